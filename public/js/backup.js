@@ -0,0 +1,386 @@
+/**
+ * Backup Format for Bible Reading Planner
+ * Builds and checks versioned backup files, merges them with the data
+ * already on a device, and summarizes what an import would change
+ *
+ * Backup data holds:
+ * - completions: [{ plan, dateKey, day, completedAt }]
+ * - notes: { dateKey: { content, lastModified } }
+ * - customPlans: { planKey: plan }
+ * - preferences: { ... }
+ */
+
+const Backup = {
+    FORMAT: 'besorah-backup',
+    VERSION: 1,
+
+    // Most schema errors to list when rejecting a backup
+    MAX_REPORTED_ERRORS: 3,
+
+    DATE_KEY_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+
+    /**
+     * Wrap data in a versioned backup with a checksum
+     * @param {Object} data - Backup data
+     * @returns {Object} Backup file contents
+     */
+    create(data) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            checksum: this.checksum(data),
+            data
+        };
+    },
+
+    /**
+     * Parse and check a backup file. Exports made before backups were
+     * versioned are converted.
+     * @param {string} text - File contents
+     * @returns {Object} { version, exportedAt, data }
+     */
+    parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`This file is not valid JSON (${error.message})`);
+        }
+        if (!file || typeof file !== 'object' || Array.isArray(file)) {
+            throw new Error('This is not a Besorah Yeshua backup');
+        }
+
+        let backup;
+        if (file.format === undefined && this.isLegacy(file)) {
+            backup = { version: 0, exportedAt: null, data: this.fromLegacy(file) };
+        } else {
+            if (file.format !== this.FORMAT) {
+                throw new Error('This is not a Besorah Yeshua backup');
+            }
+            if (!Number.isInteger(file.version) || file.version > this.VERSION) {
+                throw new Error('This backup was made by a newer version of the app. Update the app before importing it.');
+            }
+            if (file.checksum !== this.checksum(file.data)) {
+                throw new Error('This backup is damaged or was edited (checksum mismatch)');
+            }
+            backup = { version: file.version, exportedAt: file.exportedAt || null, data: file.data };
+        }
+
+        const errors = this.validate(backup.data);
+        if (errors.length > 0) {
+            const listed = errors.slice(0, this.MAX_REPORTED_ERRORS);
+            const more = errors.length - listed.length;
+            throw new Error(`This backup has problems: ${listed.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`);
+        }
+
+        return backup;
+    },
+
+    /**
+     * Check backup data against the schema
+     * @param {Object} data - Backup data
+     * @returns {Array} Error messages; empty when valid
+     */
+    validate(data) {
+        const errors = [];
+        if (!this.isObject(data)) {
+            return ['"data" must be an object'];
+        }
+
+        if (!Array.isArray(data.completions)) {
+            errors.push('"completions" must be an array');
+        } else {
+            data.completions.forEach((entry, index) => {
+                const label = `completion ${index + 1}`;
+                if (!this.isObject(entry)) {
+                    errors.push(`${label} must be an object`);
+                    return;
+                }
+                if (typeof entry.plan !== 'string' || entry.plan === '') {
+                    errors.push(`${label} has no plan`);
+                }
+                if (!this.isDateKey(entry.dateKey)) {
+                    errors.push(`${label} has an invalid date "${entry.dateKey}"`);
+                }
+                if (!Number.isInteger(entry.day) || entry.day < 1) {
+                    errors.push(`${label} has an invalid day "${entry.day}"`);
+                }
+            });
+        }
+
+        if (!this.isObject(data.notes)) {
+            errors.push('"notes" must be an object');
+        } else {
+            Object.entries(data.notes).forEach(([dateKey, note]) => {
+                if (!this.isDateKey(dateKey)) {
+                    errors.push(`note date "${dateKey}" is invalid`);
+                } else if (!this.isObject(note) || typeof note.content !== 'string') {
+                    errors.push(`note for ${dateKey} has no text`);
+                } else if (Number.isNaN(Date.parse(note.lastModified))) {
+                    errors.push(`note for ${dateKey} has an invalid "lastModified"`);
+                }
+            });
+        }
+
+        if (!this.isObject(data.customPlans)) {
+            errors.push('"customPlans" must be an object');
+        } else {
+            Object.entries(data.customPlans).forEach(([planKey, plan]) => {
+                if (!this.isObject(plan) || typeof plan.title !== 'string') {
+                    errors.push(`plan "${planKey}" has no title`);
+                }
+            });
+        }
+
+        if (!this.isObject(data.preferences)) {
+            errors.push('"preferences" must be an object');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Check each custom plan in backup data against the plan schema.
+     * A plan with problems is left out of the import rather than failing
+     * the whole backup (see withoutPlans()).
+     * @param {Object} data - Backup data
+     * @returns {Array} Array of { planKey, title, problems } for each plan with problems
+     */
+    checkCustomPlans(data) {
+        if (typeof PlanSchema === 'undefined') return [];
+
+        return Object.entries(data.customPlans)
+            .map(([planKey, plan]) => {
+                const errors = PlanSchema.validate(plan);
+                const listed = errors.slice(0, this.MAX_REPORTED_ERRORS)
+                    .map(({ day, message }) => (day !== null ? `day ${day}: ${message}` : message));
+                const more = errors.length - listed.length;
+                return {
+                    planKey,
+                    title: plan.title,
+                    problems: more > 0 ? [...listed, `and ${more} more`] : listed
+                };
+            })
+            .filter(result => result.problems.length > 0);
+    },
+
+    /**
+     * Backup data without some of its custom plans
+     * @param {Object} data - Backup data
+     * @param {Array} planKeys - Keys of the plans to leave out
+     * @returns {Object} Backup data
+     */
+    withoutPlans(data, planKeys) {
+        const customPlans = { ...data.customPlans };
+        planKeys.forEach(planKey => delete customPlans[planKey]);
+        return { ...data, customPlans };
+    },
+
+    /**
+     * Check whether a file is an export from before backups were versioned
+     * @param {Object} file - Parsed file
+     * @returns {boolean}
+     */
+    isLegacy(file) {
+        return ['COMPLETED_READINGS', 'STUDY_NOTES', 'PREFERENCES', 'CUSTOM_PLANS'].some(name => name in file);
+    },
+
+    /**
+     * Convert an unversioned export. Its completions may predate
+     * per-plan progress, so untagged ones go to the selected plan.
+     * @param {Object} file - Parsed legacy export
+     * @returns {Object} Backup data
+     */
+    fromLegacy(file) {
+        const preferences = this.isObject(file.PREFERENCES) ? file.PREFERENCES : {};
+        const plan = preferences.readingPlan || 'nt90';
+        const completions = Array.isArray(file.COMPLETED_READINGS) ? file.COMPLETED_READINGS : [];
+
+        return {
+            completions: completions.map(entry => (this.isObject(entry) && !entry.plan ? { ...entry, plan } : entry)),
+            notes: this.isObject(file.STUDY_NOTES) ? file.STUDY_NOTES : {},
+            customPlans: this.isObject(file.CUSTOM_PLANS) ? file.CUSTOM_PLANS : {},
+            preferences
+        };
+    },
+
+    /**
+     * Merge backup data into the data already on this device.
+     * Completions are combined, the most recently edited version of each
+     * note wins, and this device keeps its own settings and plans where
+     * both have one.
+     * @param {Object} current - Data on this device
+     * @param {Object} incoming - Data from the backup
+     * @returns {Object} Merged data
+     */
+    merge(current, incoming) {
+        const completions = new Map();
+        [...incoming.completions, ...current.completions].forEach(entry => {
+            completions.set(this.completionKey(entry), entry);
+        });
+
+        const notes = { ...current.notes };
+        Object.entries(incoming.notes).forEach(([dateKey, note]) => {
+            if (!notes[dateKey] || Date.parse(note.lastModified) > Date.parse(notes[dateKey].lastModified)) {
+                notes[dateKey] = note;
+            }
+        });
+
+        const preferences = {
+            ...incoming.preferences,
+            ...current.preferences,
+            planStartDates: {
+                ...(incoming.preferences.planStartDates || {}),
+                ...(current.preferences.planStartDates || {})
+            }
+        };
+
+        // A plan's reschedules only fit its own start date, so they come
+        // from whichever side the start date came from
+        if (incoming.preferences.planSchedules || current.preferences.planSchedules) {
+            const currentStarts = current.preferences.planStartDates || {};
+            preferences.planSchedules = { ...(current.preferences.planSchedules || {}) };
+            Object.entries(incoming.preferences.planSchedules || {}).forEach(([plan, events]) => {
+                if (!currentStarts[plan]) {
+                    preferences.planSchedules[plan] = events;
+                }
+            });
+        }
+
+        // Chapters read of unfinished days are combined, chapter by chapter
+        if (incoming.preferences.chapterProgress || current.preferences.chapterProgress) {
+            preferences.chapterProgress = {};
+            [incoming.preferences.chapterProgress || {}, current.preferences.chapterProgress || {}].forEach(progress => {
+                Object.entries(progress).forEach(([plan, days]) => {
+                    const merged = preferences.chapterProgress[plan] || {};
+                    Object.entries(days).forEach(([key, chapters]) => {
+                        merged[key] = { ...(merged[key] || {}), ...chapters };
+                    });
+                    preferences.chapterProgress[plan] = merged;
+                });
+            });
+        }
+
+        return {
+            completions: [...completions.values()],
+            notes,
+            customPlans: { ...incoming.customPlans, ...current.customPlans },
+            preferences
+        };
+    },
+
+    /**
+     * Work out what importing a backup would change
+     * @param {Object} current - Data on this device
+     * @param {Object} incoming - Data from the backup
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Counts of added/removed readings, added/updated/removed/kept notes,
+     *   added/removed plans, and whether settings change
+     */
+    summarize(current, incoming, mode) {
+        const result = mode === 'replace' ? incoming : this.merge(current, incoming);
+
+        const before = new Set(current.completions.map(entry => this.completionKey(entry)));
+        const after = new Set(result.completions.map(entry => this.completionKey(entry)));
+
+        const notes = { added: 0, updated: 0, removed: 0, kept: 0 };
+        Object.entries(result.notes).forEach(([dateKey, note]) => {
+            const existing = current.notes[dateKey];
+            if (!existing) {
+                notes.added++;
+            } else if (existing.content !== note.content) {
+                notes.updated++;
+            }
+        });
+        Object.keys(current.notes).forEach(dateKey => {
+            if (!result.notes[dateKey]) {
+                notes.removed++;
+            } else if (incoming.notes[dateKey] &&
+                incoming.notes[dateKey].content !== current.notes[dateKey].content &&
+                result.notes[dateKey] === current.notes[dateKey]) {
+                // Edited in both places; the newer copy on this device wins
+                notes.kept++;
+            }
+        });
+
+        const plansBefore = Object.keys(current.customPlans);
+        const plansAfter = Object.keys(result.customPlans);
+
+        return {
+            readings: {
+                added: [...after].filter(key => !before.has(key)).length,
+                removed: [...before].filter(key => !after.has(key)).length
+            },
+            notes,
+            plans: {
+                added: plansAfter.filter(key => !plansBefore.includes(key)).length,
+                removed: plansBefore.filter(key => !plansAfter.includes(key)).length
+            },
+            settingsChanged: this.canonicalJson(current.preferences) !== this.canonicalJson(result.preferences)
+        };
+    },
+
+    /**
+     * @param {Object} entry - Completion entry
+     * @returns {string} Key identifying the completion
+     */
+    completionKey({ plan, dateKey, day }) {
+        return `${plan}|${dateKey}|${day}`;
+    },
+
+    /**
+     * Checksum of backup data (FNV-1a over canonical JSON). It catches
+     * damaged or hand-edited files; it is not a signature.
+     * @param {any} data - Backup data
+     * @returns {string} 8 hex digits
+     */
+    checksum(data) {
+        const text = this.canonicalJson(data);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    },
+
+    /**
+     * JSON with object keys sorted, so equal data always gives equal text
+     * @param {any} value - Value to serialize
+     * @returns {string}
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (this.isObject(value)) {
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    },
+
+    /**
+     * @param {any} value - Value to check
+     * @returns {boolean} True for plain objects
+     */
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * @param {any} value - Value to check
+     * @returns {boolean} True for YYYY-MM-DD strings
+     */
+    isDateKey(value) {
+        return typeof value === 'string' && this.DATE_KEY_PATTERN.test(value);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backup;
+}
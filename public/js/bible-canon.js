@@ -0,0 +1,323 @@
+/**
+ * Bible Canon for Bible Reading Planner
+ * Book names, chapter and verse counts and groupings used to check and parse passages
+ */
+
+const BibleCanon = {
+    BOOKS: [
+        // Old Testament
+        { name: 'Genesis', abbreviation: 'Gen', chapters: 50, testament: 'OT', genre: 'Law', aliases: ['Gn'] },
+        { name: 'Exodus', abbreviation: 'Exod', chapters: 40, testament: 'OT', genre: 'Law', aliases: ['Ex'] },
+        { name: 'Leviticus', abbreviation: 'Lev', chapters: 27, testament: 'OT', genre: 'Law', aliases: ['Lv'] },
+        { name: 'Numbers', abbreviation: 'Num', chapters: 36, testament: 'OT', genre: 'Law', aliases: ['Nm'] },
+        { name: 'Deuteronomy', abbreviation: 'Deut', chapters: 34, testament: 'OT', genre: 'Law', aliases: ['Dt'] },
+        { name: 'Joshua', abbreviation: 'Josh', chapters: 24, testament: 'OT', genre: 'History' },
+        { name: 'Judges', abbreviation: 'Judg', chapters: 21, testament: 'OT', genre: 'History', aliases: ['Jdg'] },
+        { name: 'Ruth', abbreviation: 'Ruth', chapters: 4, testament: 'OT', genre: 'History' },
+        { name: '1 Samuel', abbreviation: '1 Sam', chapters: 31, testament: 'OT', genre: 'History' },
+        { name: '2 Samuel', abbreviation: '2 Sam', chapters: 24, testament: 'OT', genre: 'History' },
+        { name: '1 Kings', abbreviation: '1 Kgs', chapters: 22, testament: 'OT', genre: 'History', aliases: ['1 Kg'] },
+        { name: '2 Kings', abbreviation: '2 Kgs', chapters: 25, testament: 'OT', genre: 'History', aliases: ['2 Kg'] },
+        { name: '1 Chronicles', abbreviation: '1 Chr', chapters: 29, testament: 'OT', genre: 'History' },
+        { name: '2 Chronicles', abbreviation: '2 Chr', chapters: 36, testament: 'OT', genre: 'History' },
+        { name: 'Ezra', abbreviation: 'Ezra', chapters: 10, testament: 'OT', genre: 'History' },
+        { name: 'Nehemiah', abbreviation: 'Neh', chapters: 13, testament: 'OT', genre: 'History' },
+        { name: 'Esther', abbreviation: 'Esth', chapters: 10, testament: 'OT', genre: 'History' },
+        { name: 'Job', abbreviation: 'Job', chapters: 42, testament: 'OT', genre: 'Wisdom' },
+        { name: 'Psalms', abbreviation: 'Ps', chapters: 150, testament: 'OT', genre: 'Wisdom', aliases: ['Psalm', 'Pss', 'Psa'] },
+        { name: 'Proverbs', abbreviation: 'Prov', chapters: 31, testament: 'OT', genre: 'Wisdom' },
+        { name: 'Ecclesiastes', abbreviation: 'Eccl', chapters: 12, testament: 'OT', genre: 'Wisdom' },
+        { name: 'Song of Solomon', abbreviation: 'Song', chapters: 8, testament: 'OT', genre: 'Wisdom', aliases: ['Song of Songs', 'Canticles'] },
+        { name: 'Isaiah', abbreviation: 'Isa', chapters: 66, testament: 'OT', genre: 'Major Prophets' },
+        { name: 'Jeremiah', abbreviation: 'Jer', chapters: 52, testament: 'OT', genre: 'Major Prophets' },
+        { name: 'Lamentations', abbreviation: 'Lam', chapters: 5, testament: 'OT', genre: 'Major Prophets' },
+        { name: 'Ezekiel', abbreviation: 'Ezek', chapters: 48, testament: 'OT', genre: 'Major Prophets', aliases: ['Ezk'] },
+        { name: 'Daniel', abbreviation: 'Dan', chapters: 12, testament: 'OT', genre: 'Major Prophets' },
+        { name: 'Hosea', abbreviation: 'Hos', chapters: 14, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Joel', abbreviation: 'Joel', chapters: 3, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Amos', abbreviation: 'Amos', chapters: 9, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Obadiah', abbreviation: 'Obad', chapters: 1, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Jonah', abbreviation: 'Jonah', chapters: 4, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Micah', abbreviation: 'Mic', chapters: 7, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Nahum', abbreviation: 'Nah', chapters: 3, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Habakkuk', abbreviation: 'Hab', chapters: 3, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Zephaniah', abbreviation: 'Zeph', chapters: 3, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Haggai', abbreviation: 'Hag', chapters: 2, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Zechariah', abbreviation: 'Zech', chapters: 14, testament: 'OT', genre: 'Minor Prophets' },
+        { name: 'Malachi', abbreviation: 'Mal', chapters: 4, testament: 'OT', genre: 'Minor Prophets' },
+
+        // New Testament
+        { name: 'Matthew', abbreviation: 'Matt', chapters: 28, testament: 'NT', genre: 'Gospels', aliases: ['Mt'] },
+        { name: 'Mark', abbreviation: 'Mark', chapters: 16, testament: 'NT', genre: 'Gospels', aliases: ['Mk'] },
+        { name: 'Luke', abbreviation: 'Luke', chapters: 24, testament: 'NT', genre: 'Gospels', aliases: ['Lk'] },
+        { name: 'John', abbreviation: 'John', chapters: 21, testament: 'NT', genre: 'Gospels', aliases: ['Jn'] },
+        { name: 'Acts', abbreviation: 'Acts', chapters: 28, testament: 'NT', genre: 'History' },
+        { name: 'Romans', abbreviation: 'Rom', chapters: 16, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '1 Corinthians', abbreviation: '1 Cor', chapters: 16, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '2 Corinthians', abbreviation: '2 Cor', chapters: 13, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Galatians', abbreviation: 'Gal', chapters: 6, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Ephesians', abbreviation: 'Eph', chapters: 6, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Philippians', abbreviation: 'Phil', chapters: 4, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Colossians', abbreviation: 'Col', chapters: 4, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '1 Thessalonians', abbreviation: '1 Thess', chapters: 5, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '2 Thessalonians', abbreviation: '2 Thess', chapters: 3, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '1 Timothy', abbreviation: '1 Tim', chapters: 6, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: '2 Timothy', abbreviation: '2 Tim', chapters: 4, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Titus', abbreviation: 'Titus', chapters: 3, testament: 'NT', genre: 'Pauline Epistles' },
+        { name: 'Philemon', abbreviation: 'Phlm', chapters: 1, testament: 'NT', genre: 'Pauline Epistles', aliases: ['Phm'] },
+        { name: 'Hebrews', abbreviation: 'Heb', chapters: 13, testament: 'NT', genre: 'General Epistles' },
+        { name: 'James', abbreviation: 'Jas', chapters: 5, testament: 'NT', genre: 'General Epistles', aliases: ['Jm'] },
+        { name: '1 Peter', abbreviation: '1 Pet', chapters: 5, testament: 'NT', genre: 'General Epistles' },
+        { name: '2 Peter', abbreviation: '2 Pet', chapters: 3, testament: 'NT', genre: 'General Epistles' },
+        { name: '1 John', abbreviation: '1 John', chapters: 5, testament: 'NT', genre: 'General Epistles', aliases: ['1 Jn'] },
+        { name: '2 John', abbreviation: '2 John', chapters: 1, testament: 'NT', genre: 'General Epistles', aliases: ['2 Jn'] },
+        { name: '3 John', abbreviation: '3 John', chapters: 1, testament: 'NT', genre: 'General Epistles', aliases: ['3 Jn'] },
+        { name: 'Jude', abbreviation: 'Jude', chapters: 1, testament: 'NT', genre: 'General Epistles' },
+        { name: 'Revelation', abbreviation: 'Rev', chapters: 22, testament: 'NT', genre: 'Prophecy', aliases: ['Revelations', 'Apocalypse'] }
+    ],
+
+    // Further Old Testament books of the Ethiopian Orthodox canon. Plans
+    // can name them, but they have no verse counts and are not offered
+    // when building plans; they come after Revelation in canonical order.
+    ETHIOPIAN_BOOKS: [
+        { name: 'Enoch', abbreviation: 'En', chapters: 108, testament: 'OT', genre: 'Prophecy', aliases: ['1 Enoch', 'Henok'] },
+        { name: 'Jubilees', abbreviation: 'Jub', chapters: 50, testament: 'OT', genre: 'History', aliases: ['Kufale'] },
+        { name: '1 Meqabyan', abbreviation: '1 Meq', chapters: 36, testament: 'OT', genre: 'History' },
+        { name: '2 Meqabyan', abbreviation: '2 Meq', chapters: 21, testament: 'OT', genre: 'History' },
+        { name: '3 Meqabyan', abbreviation: '3 Meq', chapters: 10, testament: 'OT', genre: 'History' },
+        { name: 'Tobit', abbreviation: 'Tob', chapters: 14, testament: 'OT', genre: 'History' },
+        { name: 'Judith', abbreviation: 'Jdt', chapters: 16, testament: 'OT', genre: 'History' },
+        { name: '1 Esdras', abbreviation: '1 Esd', chapters: 9, testament: 'OT', genre: 'History' },
+        { name: 'Wisdom of Solomon', abbreviation: 'Wis', chapters: 19, testament: 'OT', genre: 'Wisdom', aliases: ['Wisdom'] },
+        { name: 'Sirach', abbreviation: 'Sir', chapters: 51, testament: 'OT', genre: 'Wisdom' },
+        { name: 'Baruch', abbreviation: 'Bar', chapters: 5, testament: 'OT', genre: 'Major Prophets' }
+    ],
+
+    // Verses in each chapter (English versification), used to balance plans by length
+    VERSES: {
+        'Genesis': [
+            31, 25, 24, 26, 32, 22, 24, 22, 29, 32, 32, 20, 18, 24, 21, 16, 27, 33, 38, 18, 34, 24, 20, 67, 34,
+            35, 46, 22, 35, 43, 55, 32, 20, 31, 29, 43, 36, 30, 23, 23, 57, 38, 34, 34, 28, 34, 31, 22, 33, 26
+        ],
+        'Exodus': [
+            22, 25, 22, 31, 23, 30, 25, 32, 35, 29, 10, 51, 22, 31, 27, 36, 16, 27, 25, 26, 36, 31, 33, 18, 40,
+            37, 21, 43, 46, 38, 18, 35, 23, 35, 35, 38, 29, 31, 43, 38
+        ],
+        'Leviticus': [
+            17, 16, 17, 35, 19, 30, 38, 36, 24, 20, 47, 8, 59, 57, 33, 34, 16, 30, 37, 27, 24, 33, 44, 23, 55,
+            46, 34
+        ],
+        'Numbers': [
+            54, 34, 51, 49, 31, 27, 89, 26, 23, 36, 35, 16, 33, 45, 41, 50, 13, 32, 22, 29, 35, 41, 30, 25, 18,
+            65, 23, 31, 40, 16, 54, 42, 56, 29, 34, 13
+        ],
+        'Deuteronomy': [
+            46, 37, 29, 49, 33, 25, 26, 20, 29, 22, 32, 32, 18, 29, 23, 22, 20, 22, 21, 20, 23, 30, 25, 22, 19,
+            19, 26, 68, 29, 20, 30, 52, 29, 12
+        ],
+        'Joshua': [18, 24, 17, 24, 15, 27, 26, 35, 27, 43, 23, 24, 33, 15, 63, 10, 18, 28, 51, 9, 45, 34, 16, 33],
+        'Judges': [36, 23, 31, 24, 31, 40, 25, 35, 57, 18, 40, 15, 25, 20, 20, 31, 13, 31, 30, 48, 25],
+        'Ruth': [22, 23, 18, 22],
+        '1 Samuel': [
+            28, 36, 21, 22, 12, 21, 17, 22, 27, 27, 15, 25, 23, 52, 35, 23, 58, 30, 24, 42, 15, 23, 29, 22, 44,
+            25, 12, 25, 11, 31, 13
+        ],
+        '2 Samuel': [27, 32, 39, 12, 25, 23, 29, 18, 13, 19, 27, 31, 39, 33, 37, 23, 29, 33, 43, 26, 22, 51, 39, 25],
+        '1 Kings': [53, 46, 28, 34, 18, 38, 51, 66, 28, 29, 43, 33, 34, 31, 34, 34, 24, 46, 21, 43, 29, 53],
+        '2 Kings': [18, 25, 27, 44, 27, 33, 20, 29, 37, 36, 21, 21, 25, 29, 38, 20, 41, 37, 37, 21, 26, 20, 37, 20, 30],
+        '1 Chronicles': [
+            54, 55, 24, 43, 26, 81, 40, 40, 44, 14, 47, 40, 14, 17, 29, 43, 27, 17, 19, 8, 30, 19, 32, 31, 31,
+            32, 34, 21, 30
+        ],
+        '2 Chronicles': [
+            17, 18, 17, 22, 14, 42, 22, 18, 31, 19, 23, 16, 22, 15, 19, 14, 19, 34, 11, 37, 20, 12, 21, 27, 28,
+            23, 9, 27, 36, 27, 21, 33, 25, 33, 27, 23
+        ],
+        'Ezra': [11, 70, 13, 24, 17, 22, 28, 36, 15, 44],
+        'Nehemiah': [11, 20, 32, 23, 19, 19, 73, 18, 38, 39, 36, 47, 31],
+        'Esther': [22, 23, 15, 17, 14, 14, 10, 17, 32, 3],
+        'Job': [
+            22, 13, 26, 21, 27, 30, 21, 22, 35, 22, 20, 25, 28, 22, 35, 22, 16, 21, 29, 29, 34, 30, 17, 25, 6,
+            14, 23, 28, 25, 31, 40, 22, 33, 37, 16, 33, 24, 41, 30, 24, 34, 17
+        ],
+        'Psalms': [
+            6, 12, 8, 8, 12, 10, 17, 9, 20, 18, 7, 8, 6, 7, 5, 11, 15, 50, 14, 9, 13, 31, 6, 10, 22,
+            12, 14, 9, 11, 12, 24, 11, 22, 22, 28, 12, 40, 22, 13, 17, 13, 11, 5, 26, 17, 11, 9, 14, 20, 23,
+            19, 9, 6, 7, 23, 13, 11, 11, 17, 12, 8, 12, 11, 10, 13, 20, 7, 35, 36, 5, 24, 20, 28, 23, 10,
+            12, 20, 72, 13, 19, 16, 8, 18, 12, 13, 17, 7, 18, 52, 17, 16, 15, 5, 23, 11, 13, 12, 9, 9, 5,
+            8, 28, 22, 35, 45, 48, 43, 13, 31, 7, 10, 10, 9, 8, 18, 19, 2, 29, 176, 7, 8, 9, 4, 8, 5,
+            6, 5, 6, 8, 8, 3, 18, 3, 3, 21, 26, 9, 8, 24, 13, 10, 7, 12, 15, 21, 10, 20, 14, 9, 6
+        ],
+        'Proverbs': [
+            33, 22, 35, 27, 23, 35, 27, 36, 18, 32, 31, 28, 25, 35, 33, 33, 28, 24, 29, 30, 31, 29, 35, 34, 28,
+            28, 27, 28, 27, 33, 31
+        ],
+        'Ecclesiastes': [18, 26, 22, 16, 20, 12, 29, 17, 18, 20, 10, 14],
+        'Song of Solomon': [17, 17, 11, 16, 16, 13, 13, 14],
+        'Isaiah': [
+            31, 22, 26, 6, 30, 13, 25, 22, 21, 34, 16, 6, 22, 32, 9, 14, 14, 7, 25, 6, 17, 25, 18, 23, 12,
+            21, 13, 29, 24, 33, 9, 20, 24, 17, 10, 22, 38, 22, 8, 31, 29, 25, 28, 28, 25, 13, 15, 22, 26, 11,
+            23, 15, 12, 17, 13, 12, 21, 14, 21, 22, 11, 12, 19, 12, 25, 24
+        ],
+        'Jeremiah': [
+            19, 37, 25, 31, 31, 30, 34, 22, 26, 25, 23, 17, 27, 22, 21, 21, 27, 23, 15, 18, 14, 30, 40, 10, 38,
+            24, 22, 17, 32, 24, 40, 44, 26, 22, 19, 32, 21, 28, 18, 16, 18, 22, 13, 30, 5, 28, 7, 47, 39, 46,
+            64, 34
+        ],
+        'Lamentations': [22, 22, 66, 22, 22],
+        'Ezekiel': [
+            28, 10, 27, 17, 17, 14, 27, 18, 11, 22, 25, 28, 23, 23, 8, 63, 24, 32, 14, 49, 32, 31, 49, 27, 17,
+            21, 36, 26, 21, 26, 18, 32, 33, 31, 15, 38, 28, 23, 29, 49, 26, 20, 27, 31, 25, 24, 23, 35
+        ],
+        'Daniel': [21, 49, 30, 37, 31, 28, 28, 27, 27, 21, 45, 13],
+        'Hosea': [11, 23, 5, 19, 15, 11, 16, 14, 17, 15, 12, 14, 16, 9],
+        'Joel': [20, 32, 21],
+        'Amos': [15, 16, 15, 13, 27, 14, 17, 14, 15],
+        'Obadiah': [21],
+        'Jonah': [17, 10, 10, 11],
+        'Micah': [16, 13, 12, 13, 15, 16, 20],
+        'Nahum': [15, 13, 19],
+        'Habakkuk': [17, 20, 19],
+        'Zephaniah': [18, 15, 20],
+        'Haggai': [15, 23],
+        'Zechariah': [21, 13, 10, 14, 11, 15, 14, 23, 17, 12, 17, 14, 9, 21],
+        'Malachi': [14, 17, 18, 6],
+        'Matthew': [
+            25, 23, 17, 25, 48, 34, 29, 34, 38, 42, 30, 50, 58, 36, 39, 28, 27, 35, 30, 34, 46, 46, 39, 51, 46,
+            75, 66, 20
+        ],
+        'Mark': [45, 28, 35, 41, 43, 56, 37, 38, 50, 52, 33, 44, 37, 72, 47, 20],
+        'Luke': [80, 52, 38, 44, 39, 49, 50, 56, 62, 42, 54, 59, 35, 35, 32, 31, 37, 43, 48, 47, 38, 71, 56, 53],
+        'John': [51, 25, 36, 54, 47, 71, 53, 59, 41, 42, 57, 50, 38, 31, 27, 33, 26, 40, 42, 31, 25],
+        'Acts': [
+            26, 47, 26, 37, 42, 15, 60, 40, 43, 48, 30, 25, 52, 28, 41, 40, 34, 28, 41, 38, 40, 30, 35, 27, 27,
+            32, 44, 31
+        ],
+        'Romans': [32, 29, 31, 25, 21, 23, 25, 39, 33, 21, 36, 21, 14, 23, 33, 27],
+        '1 Corinthians': [31, 16, 23, 21, 13, 20, 40, 13, 27, 33, 34, 31, 13, 40, 58, 24],
+        '2 Corinthians': [24, 17, 18, 18, 21, 18, 16, 24, 15, 18, 33, 21, 14],
+        'Galatians': [24, 21, 29, 31, 26, 18],
+        'Ephesians': [23, 22, 21, 32, 33, 24],
+        'Philippians': [30, 30, 21, 23],
+        'Colossians': [29, 23, 25, 18],
+        '1 Thessalonians': [10, 20, 13, 18, 28],
+        '2 Thessalonians': [12, 17, 18],
+        '1 Timothy': [20, 15, 16, 16, 25, 21],
+        '2 Timothy': [18, 26, 17, 22],
+        'Titus': [16, 15, 15],
+        'Philemon': [25],
+        'Hebrews': [14, 18, 19, 16, 14, 20, 28, 13, 28, 39, 40, 29, 25],
+        'James': [27, 26, 18, 17, 20],
+        '1 Peter': [25, 25, 22, 19, 14],
+        '2 Peter': [21, 22, 18],
+        '1 John': [10, 29, 24, 21, 21],
+        '2 John': [13],
+        '3 John': [14],
+        'Jude': [25],
+        'Revelation': [20, 29, 22, 11, 14, 17, 17, 13, 21, 11, 19, 17, 18, 20, 8, 21, 18, 24, 21, 15, 27, 21]
+    },
+
+    // Lookup table built on first use: normalized name -> book
+    index: null,
+
+    // Spelled-out and roman numeral prefixes for numbered books ("II Kings", "First John")
+    NUMBER_PREFIXES: { iii: '3', ii: '2', i: '1', first: '1', second: '2', third: '3', '1st': '1', '2nd': '2', '3rd': '3' },
+
+    /**
+     * Normalize a book name for lookup
+     * @param {string} name - Book name as written
+     * @returns {string}
+     */
+    normalizeName(name) {
+        const lower = String(name).trim().toLowerCase();
+        const withNumber = lower.replace(/^(iii|ii|i|first|second|third|1st|2nd|3rd)\s+/, (match, prefix) =>
+            this.NUMBER_PREFIXES[prefix]
+        );
+        return withNumber.replace(/[\s.]+/g, '');
+    },
+
+    /**
+     * Build the lookup index from names, abbreviations and aliases
+     */
+    buildIndex() {
+        this.index = new Map();
+        this.getBooks(true).forEach(book => {
+            [book.name, book.abbreviation, ...(book.aliases || [])].forEach(name => {
+                this.index.set(this.normalizeName(name), book);
+            });
+        });
+    },
+
+    /**
+     * Find a book by name, abbreviation or unambiguous prefix ("Matt", "1 Cor", "Philipp")
+     * @param {string} name - Book name
+     * @returns {Object|null} Book object
+     */
+    findBook(name) {
+        if (!this.index) this.buildIndex();
+
+        const key = this.normalizeName(name);
+        if (this.index.has(key)) return this.index.get(key);
+        if (key.replace(/^\d/, '').length < 2) return null;
+
+        const matches = new Set();
+        this.index.forEach((book, indexed) => {
+            if (indexed.startsWith(key)) matches.add(book);
+        });
+        return matches.size === 1 ? [...matches][0] : null;
+    },
+
+    /**
+     * Check whether text is a full book name, abbreviation or alias.
+     * Unlike findBook, prefixes do not count ("Is" is not Isaiah).
+     * @param {string} name - Book name
+     * @returns {boolean}
+     */
+    isBookName(name) {
+        if (!this.index) this.buildIndex();
+        return this.index.has(this.normalizeName(name));
+    },
+
+    /**
+     * Get the canonical order of a book (0-based)
+     * @param {string} name - Canonical book name
+     * @returns {number} Index or -1
+     */
+    getBookIndex(name) {
+        return this.getBooks(true).findIndex(book => book.name === name);
+    },
+
+    /**
+     * Get every book of a canon, in canonical order
+     * @param {boolean} ethiopian - Include the Ethiopian canon's further books
+     * @returns {Array} Book objects
+     */
+    getBooks(ethiopian = false) {
+        return ethiopian ? [...this.BOOKS, ...this.ETHIOPIAN_BOOKS] : this.BOOKS;
+    },
+
+    /**
+     * Get the number of verses in a chapter
+     * @param {string} name - Canonical book name
+     * @param {number} chapter - Chapter number
+     * @returns {number} Verse count, or 0 if unknown
+     */
+    getVerseCount(name, chapter) {
+        const verses = this.VERSES[name];
+        return (verses && verses[chapter - 1]) || 0;
+    },
+
+    /**
+     * Get books in a testament
+     * @param {string} testament - 'OT' or 'NT'
+     * @returns {Array} Book objects
+     */
+    getBooksByTestament(testament) {
+        return this.BOOKS.filter(book => book.testament === testament);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BibleCanon;
+}
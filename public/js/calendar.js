@@ -16,10 +16,321 @@ const CalendarManager = {
         this.currentDate = new Date();
         this.selectedDate = new Date();
         this.setupEventListeners();
+        this.populatePlanSelector();
         this.render();
         this.updateStats();
     },
 
+    /**
+     * Fill the reading plan selector from the loaded plans,
+     * listing the user's own plans in their own group
+     */
+    populatePlanSelector() {
+        const planSelect = document.getElementById('readingPlan');
+        if (!planSelect) return;
+
+        const plans = ReadingPlansManager.getAvailablePlans();
+        const option = plan => `<option value="${plan.key}">${this.escapeHtml(plan.title)}</option>`;
+        const builtIn = plans.filter(plan => !plan.custom);
+        const custom = plans.filter(plan => plan.custom);
+
+        planSelect.innerHTML = builtIn.map(option).join('') +
+            (custom.length > 0 ? `<optgroup label="My Plans">${custom.map(option).join('')}</optgroup>` : '');
+        planSelect.value = ReadingPlansManager.currentPlan;
+
+        this.updatePlanDescription();
+    },
+
+    /**
+     * Show the current plan's description under the selector, and the
+     * rename/delete buttons when it is one of the user's own plans
+     */
+    updatePlanDescription() {
+        const description = document.getElementById('planDescription');
+        const plan = ReadingPlansManager.getCurrentPlan();
+        if (description && plan) {
+            description.textContent = plan.description || '';
+        }
+
+        const isCustom = Boolean(plan && plan.custom);
+        ['renamePlanBtn', 'deletePlanBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.hidden = !isCustom;
+        });
+
+        // The Ethiopian plan follows the calendar, so it can't be started, paused or rescheduled
+        ['planScheduleBtn', 'reschedulePlanBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.hidden = !plan || ReadingPlansManager.currentPlan === 'ethiopian';
+        });
+    },
+
+    /**
+     * Switch to another reading plan
+     * @param {string} planKey - Plan key
+     */
+    changePlan(planKey) {
+        ReadingPlansManager.setCurrentPlan(planKey);
+        this.updatePlanDescription();
+        this.render();
+        this.updateStats();
+        if (this.selectedDate) {
+            this.displayReading(this.selectedDate);
+        }
+    },
+
+    /**
+     * Redraw everything from stored data, e.g. after importing a backup
+     */
+    refresh() {
+        this.populatePlanSelector();
+        this.setCalendarType(StorageManager.getPreference('calendarType', 'gregorian'));
+        if (this.selectedDate) {
+            this.loadNotes(this.selectedDate);
+        }
+    },
+
+    /**
+     * Open the custom plan builder dialog
+     */
+    openPlanBuilder() {
+        const bookList = testament => BibleCanon.getBooksByTestament(testament).map(book => `
+            <label class="builder-option">
+                <input type="checkbox" name="builderBook" value="${book.name}" data-testament="${testament}">
+                ${book.name}
+            </label>
+        `).join('');
+        const today = this.getDateKey(new Date());
+
+        const modal = BesorahApp.createModal({
+            title: 'Build a Reading Plan',
+            content: `
+                <div class="plan-builder">
+                    <label for="builderTitle">Plan name</label>
+                    <input type="text" id="builderTitle" placeholder="e.g. Gospels in a month">
+
+                    <fieldset>
+                        <legend>Books</legend>
+                        <label class="builder-option builder-testament">
+                            <input type="checkbox" name="builderTestament" value="OT"> Old Testament
+                        </label>
+                        <label class="builder-option builder-testament">
+                            <input type="checkbox" name="builderTestament" value="NT"> New Testament
+                        </label>
+                        <div class="builder-books">
+                            ${bookList('OT')}
+                            ${bookList('NT')}
+                        </div>
+                    </fieldset>
+
+                    <fieldset>
+                        <legend>Length</legend>
+                        <div class="builder-row">
+                            <input type="number" id="builderLength" min="1" value="30">
+                            <select id="builderLengthType" class="form-select">
+                                <option value="days">reading days</option>
+                                <option value="chaptersPerDay">chapters per day</option>
+                            </select>
+                        </div>
+                        <label for="builderBalance">Balance each day by</label>
+                        <select id="builderBalance" class="form-select">
+                            <option value="chapters">number of chapters</option>
+                            <option value="verses">number of verses</option>
+                        </select>
+                    </fieldset>
+
+                    <fieldset>
+                        <legend>Reading days</legend>
+                        <div class="builder-weekdays">
+                            ${PlanBuilder.WEEKDAY_NAMES.map((name, day) => `
+                                <label class="builder-option">
+                                    <input type="checkbox" name="builderDay" value="${day}" checked> ${name}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+
+                    <label for="builderStart">Start date</label>
+                    <input type="date" id="builderStart" value="${today}">
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Create Plan',
+                    primary: true,
+                    onClick: () => this.createPlanFromBuilder(modal)
+                }
+            ]
+        });
+
+        // Testament boxes select or clear all of their books
+        modal.querySelectorAll('input[name="builderTestament"]').forEach(box => {
+            box.addEventListener('change', () => {
+                modal.querySelectorAll(`input[name="builderBook"][data-testament="${box.value}"]`).forEach(book => {
+                    book.checked = box.checked;
+                });
+            });
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Generate, save and switch to a plan from the builder dialog
+     * @param {HTMLElement} modal - Builder dialog
+     * @returns {boolean} False to keep the dialog open after an error
+     */
+    createPlanFromBuilder(modal) {
+        const checked = name => [...modal.querySelectorAll(`input[name="${name}"]:checked`)].map(box => box.value);
+        const startValue = modal.querySelector('#builderStart').value;
+
+        let plan;
+        try {
+            plan = PlanBuilder.generate({
+                title: modal.querySelector('#builderTitle').value,
+                books: checked('builderBook'),
+                lengthType: modal.querySelector('#builderLengthType').value,
+                length: Number(modal.querySelector('#builderLength').value),
+                balanceBy: modal.querySelector('#builderBalance').value,
+                readingDays: checked('builderDay').map(Number)
+            });
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+
+        const planKey = ReadingPlansManager.addCustomPlan(plan);
+        const start = startValue ? StorageManager.parseDateKey(startValue) : new Date();
+        start.setHours(0, 0, 0, 0);
+        StorageManager.setPlanStartDate(planKey, start.toISOString());
+
+        ReadingPlansManager.setCurrentPlan(planKey);
+        this.populatePlanSelector();
+        this.changePlan(planKey);
+        this.showNotification(`Created "${plan.title}" with ${plan.totalDays} days`);
+        return true;
+    },
+
+    /**
+     * Open the plan import dialog
+     */
+    openPlanImporter() {
+        const modal = BesorahApp.createModal({
+            title: 'Import a Reading Plan',
+            content: `
+                <div class="plan-builder">
+                    <p>Load a plan in the JSON format used by the built-in plans, or a CSV file
+                    with <code>day</code>, <code>reading</code> and <code>theme</code> columns.</p>
+                    <label for="importFile">From a file</label>
+                    <input type="file" id="importFile" accept=".json,.csv,application/json,text/csv">
+                    <label for="importUrl">Or from a web address</label>
+                    <input type="text" id="importUrl" placeholder="https://example.org/plans/lent.json">
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Import',
+                    primary: true,
+                    onClick: () => {
+                        // Reading the plan is async; close the dialog once it succeeds
+                        this.importPlanFrom(modal);
+                        return false;
+                    }
+                }
+            ]
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Import the file or URL chosen in the import dialog
+     * @param {HTMLElement} modal - Import dialog
+     */
+    async importPlanFrom(modal) {
+        const file = modal.querySelector('#importFile').files[0];
+        const url = modal.querySelector('#importUrl').value.trim();
+
+        if (!file && !url) {
+            BesorahApp.showNotification('Choose a file or enter a web address', 'error');
+            return;
+        }
+
+        let plan;
+        try {
+            plan = file
+                ? PlanImporter.importText(await file.text(), file.name)
+                : await PlanImporter.fetchPlan(url);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error', 6000);
+            return;
+        }
+
+        modal.remove();
+        const planKey = ReadingPlansManager.addCustomPlan(plan);
+        ReadingPlansManager.setCurrentPlan(planKey);
+        this.populatePlanSelector();
+        this.changePlan(planKey);
+        this.showNotification(`Imported "${plan.title}"`);
+    },
+
+    /**
+     * Open a dialog to rename the current custom plan
+     */
+    openRenamePlan() {
+        const plan = ReadingPlansManager.getCurrentPlan();
+        if (!plan || !plan.custom) return;
+
+        const planKey = ReadingPlansManager.currentPlan;
+        const modal = BesorahApp.createModal({
+            title: 'Rename Plan',
+            content: `
+                <div class="plan-builder">
+                    <label for="renamePlanTitle">Plan name</label>
+                    <input type="text" id="renamePlanTitle">
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Rename',
+                    primary: true,
+                    onClick: () => {
+                        const title = modal.querySelector('#renamePlanTitle').value.trim();
+                        if (!title) {
+                            BesorahApp.showNotification('Give your plan a name', 'error');
+                            return false;
+                        }
+                        ReadingPlansManager.renameCustomPlan(planKey, title);
+                        this.populatePlanSelector();
+                        return true;
+                    }
+                }
+            ]
+        });
+
+        // Set through the DOM so quotes in the title survive
+        modal.querySelector('#renamePlanTitle').value = plan.title;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Delete the current custom plan after confirmation
+     */
+    confirmDeletePlan() {
+        const plan = ReadingPlansManager.getCurrentPlan();
+        if (!plan || !plan.custom) return;
+
+        if (confirm(`Delete "${plan.title}" and all progress in it? This cannot be undone.`)) {
+            ReadingPlansManager.deleteCustomPlan(ReadingPlansManager.currentPlan);
+            this.populatePlanSelector();
+            this.changePlan(ReadingPlansManager.currentPlan);
+            this.showNotification(`Deleted "${plan.title}"`);
+        }
+    },
+
     /**
      * Setup event listeners
      */
@@ -60,9 +371,37 @@ const CalendarManager = {
         const planSelect = document.getElementById('readingPlan');
         if (planSelect) {
             planSelect.addEventListener('change', (e) => {
-                ReadingPlansManager.setCurrentPlan(e.target.value);
-                this.render();
-                this.updateStats();
+                this.changePlan(e.target.value);
+            });
+        }
+
+        // Custom plan builder
+        const buildPlanBtn = document.getElementById('buildPlanBtn');
+        if (buildPlanBtn) {
+            buildPlanBtn.addEventListener('click', () => {
+                this.openPlanBuilder();
+            });
+        }
+
+        // Imported and custom plan management
+        const importPlanBtn = document.getElementById('importPlanBtn');
+        if (importPlanBtn) {
+            importPlanBtn.addEventListener('click', () => {
+                this.openPlanImporter();
+            });
+        }
+
+        const renamePlanBtn = document.getElementById('renamePlanBtn');
+        if (renamePlanBtn) {
+            renamePlanBtn.addEventListener('click', () => {
+                this.openRenamePlan();
+            });
+        }
+
+        const deletePlanBtn = document.getElementById('deletePlanBtn');
+        if (deletePlanBtn) {
+            deletePlanBtn.addEventListener('click', () => {
+                this.confirmDeletePlan();
             });
         }
 
@@ -81,6 +420,100 @@ const CalendarManager = {
                 this.saveNotes();
             });
         }
+
+        // Live Markdown preview, with verse links that jump to their reading
+        const notesTextarea = document.getElementById('studyNotes');
+        if (notesTextarea) {
+            notesTextarea.addEventListener('input', () => {
+                this.renderNotesPreview();
+            });
+        }
+        const notesPreview = document.getElementById('notesPreview');
+        if (notesPreview) {
+            notesPreview.addEventListener('click', (e) => {
+                const link = e.target.closest('.verse-link');
+                if (link) {
+                    e.preventDefault();
+                    this.goToReference(link.dataset.reference);
+                }
+            });
+        }
+
+        // Lock/unlock encrypted notes
+        const notesLockBtn = document.getElementById('notesLockBtn');
+        if (notesLockBtn) {
+            notesLockBtn.addEventListener('click', () => {
+                if (StorageManager.areNotesLocked()) {
+                    this.openUnlockNotes();
+                } else {
+                    this.lockNotes();
+                }
+            });
+        }
+
+        // Note encryption settings
+        const notesEncryptionBtn = document.getElementById('notesEncryptionBtn');
+        if (notesEncryptionBtn) {
+            notesEncryptionBtn.addEventListener('click', () => {
+                this.openNoteEncryption();
+            });
+        }
+
+        // Earlier versions of the selected day's note
+        const notesHistoryBtn = document.getElementById('notesHistoryBtn');
+        if (notesHistoryBtn) {
+            notesHistoryBtn.addEventListener('click', () => {
+                this.openNoteHistory();
+            });
+        }
+
+        // Every note in one journal
+        const notesJournalBtn = document.getElementById('notesJournalBtn');
+        if (notesJournalBtn) {
+            notesJournalBtn.addEventListener('click', () => {
+                this.openJournal();
+            });
+        }
+
+        // Reading schedule for calendar apps
+        const calendarExportBtn = document.getElementById('calendarExportBtn');
+        if (calendarExportBtn) {
+            calendarExportBtn.addEventListener('click', () => {
+                this.openCalendarExport();
+            });
+        }
+
+        // Start date, pauses and the plan's history
+        const planScheduleBtn = document.getElementById('planScheduleBtn');
+        if (planScheduleBtn) {
+            planScheduleBtn.addEventListener('click', () => {
+                this.openPlanSchedule();
+            });
+        }
+
+        // Catching up on missed readings
+        const reschedulePlanBtn = document.getElementById('reschedulePlanBtn');
+        if (reschedulePlanBtn) {
+            reschedulePlanBtn.addEventListener('click', () => {
+                this.openReschedule();
+            });
+        }
+
+        // Printable reading journal
+        const printJournalBtn = document.getElementById('printJournalBtn');
+        if (printJournalBtn) {
+            printJournalBtn.addEventListener('click', () => {
+                this.openJournalExport();
+            });
+        }
+
+        // Whole-Bible coverage across every plan
+        const coverageBtn = document.getElementById('coverageBtn');
+        if (coverageBtn) {
+            coverageBtn.addEventListener('click', () => {
+                this.openCoverage();
+            });
+        }
     },
 
     /**
@@ -96,6 +529,10 @@ const CalendarManager = {
         document.getElementById('ethiopianBtn')?.classList.toggle('active', type === 'ethiopian');
 
         this.render();
+        this.updateStats();
+        if (this.selectedDate) {
+            this.displayReading(this.selectedDate);
+        }
     },
 
     /**
@@ -103,7 +540,18 @@ const CalendarManager = {
      * @param {number} delta - Month change (-1 or 1)
      */
     changeMonth(delta) {
-        this.currentDate.setMonth(this.currentDate.getMonth() + delta);
+        if (this.calendarType === 'ethiopian') {
+            const current = EthiopianCalendar.fromGregorian(this.currentDate);
+            const target = EthiopianCalendar.addMonths(current.year, current.month, delta);
+            this.currentDate = EthiopianCalendar.toGregorian(target.year, target.month, 1);
+        } else {
+            // Anchor on the 1st so short months don't skip ahead
+            this.currentDate = new Date(
+                this.currentDate.getFullYear(),
+                this.currentDate.getMonth() + delta,
+                1
+            );
+        }
         this.render();
     },
 
@@ -125,7 +573,18 @@ const CalendarManager = {
             calendar.appendChild(header);
         });
 
-        // Get month data
+        if (this.calendarType === 'ethiopian') {
+            this.renderEthiopianMonth(calendar);
+        } else {
+            this.renderGregorianMonth(calendar);
+        }
+    },
+
+    /**
+     * Render the Gregorian month containing currentDate
+     * @param {HTMLElement} calendar - Calendar grid element
+     */
+    renderGregorianMonth(calendar) {
         const year = this.currentDate.getFullYear();
         const month = this.currentDate.getMonth();
         const firstDay = new Date(year, month, 1);
@@ -143,12 +602,7 @@ const CalendarManager = {
             monthTitle.textContent = `${monthNames[month]} ${year}`;
         }
 
-        // Add empty cells for days before month starts
-        for (let i = 0; i < startingDayOfWeek; i++) {
-            const emptyDay = document.createElement('div');
-            emptyDay.className = 'calendar-day other-month';
-            calendar.appendChild(emptyDay);
-        }
+        this.addEmptyDays(calendar, startingDayOfWeek);
 
         // Add days of the month
         const today = new Date();
@@ -162,44 +616,160 @@ const CalendarManager = {
         }
     },
 
+    /**
+     * Render the Ethiopian month containing currentDate
+     * (twelve 30-day months plus Pagume with 5 or 6 days)
+     * @param {HTMLElement} calendar - Calendar grid element
+     */
+    renderEthiopianMonth(calendar) {
+        const current = EthiopianCalendar.fromGregorian(this.currentDate);
+        const year = current.year;
+        const month = current.month;
+        const daysInMonth = EthiopianCalendar.getDaysInMonth(year, month);
+        const firstDay = EthiopianCalendar.toGregorian(year, month, 1);
+        const lastDay = EthiopianCalendar.toGregorian(year, month, daysInMonth);
+
+        // Update month title with the Gregorian span it covers
+        const monthTitle = document.getElementById('currentMonth');
+        if (monthTitle) {
+            monthTitle.innerHTML = `
+                ${EthiopianCalendar.getMonthName(month)} ${year}
+                <small class="calendar-subtitle">${this.formatGregorianSpan(firstDay, lastDay)}</small>
+            `;
+        }
+
+        this.addEmptyDays(calendar, firstDay.getDay());
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = EthiopianCalendar.toGregorian(year, month, day);
+            const dateKey = this.getDateKey(date);
+            const dayElement = this.createDayElement(date, dateKey, today, {
+                dayNumber: day,
+                secondaryLabel: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+            });
+            calendar.appendChild(dayElement);
+        }
+    },
+
+    /**
+     * Add empty cells before the first day of a month
+     * @param {HTMLElement} calendar - Calendar grid element
+     * @param {number} count - Number of empty cells
+     */
+    addEmptyDays(calendar, count) {
+        for (let i = 0; i < count; i++) {
+            const emptyDay = document.createElement('div');
+            emptyDay.className = 'calendar-day other-month';
+            calendar.appendChild(emptyDay);
+        }
+    },
+
+    /**
+     * Format the Gregorian date range covered by an Ethiopian month
+     * @param {Date} start - First day
+     * @param {Date} end - Last day
+     * @returns {string} e.g. "Sep 11 – Oct 10, 2024"
+     */
+    formatGregorianSpan(start, end) {
+        const startText = start.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: start.getFullYear() !== end.getFullYear() ? 'numeric' : undefined
+        });
+        const endText = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${startText} – ${endText}`;
+    },
+
     /**
      * Create a day element
      * @param {Date} date - Date object
      * @param {string} dateKey - Date key string
      * @param {Date} today - Today's date
+     * @param {Object} [labels] - Optional { dayNumber, secondaryLabel } for non-Gregorian grids
      * @returns {HTMLElement}
      */
-    createDayElement(date, dateKey, today) {
+    createDayElement(date, dateKey, today, labels = {}) {
         const dayDiv = document.createElement('div');
         dayDiv.className = 'calendar-day';
 
         // Add day number
         const dayNumber = document.createElement('div');
         dayNumber.className = 'day-number';
-        dayNumber.textContent = date.getDate();
+        dayNumber.textContent = labels.dayNumber || date.getDate();
         dayDiv.appendChild(dayNumber);
 
+        if (labels.secondaryLabel) {
+            const secondary = document.createElement('div');
+            secondary.className = 'day-secondary-date';
+            secondary.textContent = labels.secondaryLabel;
+            dayDiv.appendChild(secondary);
+        }
+
         // Get reading for this date
         const reading = ReadingPlansManager.getReadingForDate(date, this.calendarType);
+        const catchUps = this.getCatchUpReadings(date);
         
         if (reading) {
             // Add reading preview
             const preview = document.createElement('div');
             preview.className = 'day-reading-preview';
-            preview.textContent = this.truncateReading(reading.reading);
+            preview.textContent = this.getReadingPreview(reading);
             dayDiv.appendChild(preview);
 
-            // Check if completed
-            if (StorageManager.isReadingComplete(dateKey, reading.day)) {
-                dayDiv.classList.add('completed');
-            }
-
             // Check if has feast day
             if (reading.feast) {
                 dayDiv.classList.add('has-feast');
             }
         }
 
+        if (catchUps.length > 0) {
+            dayDiv.classList.add('has-catch-up');
+            const catchUpTag = document.createElement('div');
+            catchUpTag.className = 'day-catch-up-tag';
+            catchUpTag.textContent = `+${catchUps.length} catch-up`;
+            dayDiv.appendChild(catchUpTag);
+        }
+
+        // Completed once the day's reading and any catch-ups are all read,
+        // whenever that was
+        const readings = reading ? [reading, ...catchUps] : catchUps;
+        if (readings.length > 0 &&
+            readings.every(entry => ReadingPlansManager.isDayRead(entry.day, this.getPlanKey(), dateKey))) {
+            dayDiv.classList.add('completed');
+        } else if (readings.length > 0) {
+            // Fill the cell from the bottom by the share of chapters read
+            const fraction = this.getChapterFraction(readings, dateKey);
+            if (fraction > 0) {
+                dayDiv.classList.add('partly-read');
+                dayDiv.style.setProperty('--read-fill', `${Math.round(fraction * 100)}%`);
+            }
+        }
+
+        // What was actually read that day, when it belongs to other days
+        const readHere = this.getOtherDaysReadOn(dateKey, readings);
+        if (readHere.length > 0) {
+            const readTag = document.createElement('div');
+            readTag.className = 'day-read-tag';
+            readTag.textContent = readHere.length === 1 ? `Read day ${readHere[0]}` : `Read ${readHere.length} days`;
+            dayDiv.appendChild(readTag);
+        }
+
+        // Tag Ethiopian Orthodox fasts
+        const fast = ReadingPlansManager.getFastForDate(date);
+        if (fast) {
+            dayDiv.classList.add('has-fast');
+            dayDiv.classList.toggle('weekly-fast', fast.key === 'wednesday-friday');
+            dayDiv.title = fast.name;
+
+            const fastTag = document.createElement('div');
+            fastTag.className = 'day-fast-tag';
+            fastTag.textContent = fast.name;
+            dayDiv.appendChild(fastTag);
+        }
+
         // Mark today
         if (date.toDateString() === today.toDateString()) {
             dayDiv.classList.add('today');
@@ -214,17 +784,62 @@ const CalendarManager = {
     },
 
     /**
-     * Truncate reading text for preview
-     * @param {string} text - Reading text
+     * Days of the current plan read on a date that are scheduled on other dates
+     * @param {string} dateKey - Date key
+     * @param {Array} scheduled - Reading objects scheduled on the date
+     * @returns {Array} Day numbers
+     */
+    getOtherDaysReadOn(dateKey, scheduled) {
+        const planKey = this.getPlanKey();
+        if (planKey === 'ethiopian') return [];
+
+        const here = new Set(scheduled.map(reading => reading.day));
+        return StorageManager.getDaysReadOn(dateKey, planKey).filter(day => !here.has(day));
+    },
+
+    /**
+     * Catch-up readings a reschedule put on a date in the current view
+     * @param {Date} date - Date object
+     * @returns {Array} Reading objects
+     */
+    getCatchUpReadings(date) {
+        const planKey = this.getPlanKey();
+        return planKey === 'ethiopian' ? [] : ReadingPlansManager.getCatchUpReadingsForDate(date, planKey);
+    },
+
+    /**
+     * Build a short reading preview for a calendar cell from its references,
+     * falling back to cutting the text when it could not be parsed
+     * @param {Object} reading - Reading object
      * @returns {string}
      */
-    truncateReading(text) {
+    getReadingPreview(reading) {
+        if (reading.references && reading.references.length > 0) {
+            return ScriptureReferences.preview(reading.references, 15);
+        }
+
+        const text = reading.reading;
         if (text.length > 15) {
             return text.substring(0, 12) + '...';
         }
         return text;
     },
 
+    /**
+     * Escape text from plan data for use in HTML; imported plans
+     * can contain anything
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Select a date
      * @param {Date} date - Selected date
@@ -245,101 +860,432 @@ const CalendarManager = {
 
         const reading = ReadingPlansManager.getReadingForDate(date, this.calendarType);
         const dateKey = this.getDateKey(date);
+        const catchUps = this.getCatchUpReadings(date);
 
+        const notice = this.getPlanStatusNotice();
+        const readHere = this.getOtherDaysReadOn(dateKey, reading ? [reading, ...catchUps] : catchUps);
+
+        if (!reading && catchUps.length === 0 && readHere.length === 0) {
+            container.innerHTML = `
+                ${notice}
+                <p class="reading-placeholder">No reading assigned for this date.</p>
+                ${this.renderReadAheadButton()}
+            `;
+            this.bindReadingButtons(container, dateKey);
+            return;
+        }
         if (!reading) {
-            container.innerHTML = '<p class="reading-placeholder">No reading assigned for this date.</p>';
+            container.innerHTML = `
+                ${notice}
+                <div class="reading-header">
+                    <div class="reading-date">
+                        ${date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+                    </div>
+                </div>
+                ${this.renderCatchUps(dateKey, catchUps)}
+                ${this.renderReadOnDate(readHere)}
+                ${this.renderReadAheadButton()}
+            `;
+            this.bindReadingButtons(container, dateKey);
             return;
         }
 
-        const isComplete = StorageManager.isReadingComplete(dateKey, reading.day);
+        const fast = ReadingPlansManager.getFastForDate(date);
+        const section = ReadingPlansManager.getSectionForReading(reading, this.getPlanKey());
+        const bookProgress = reading.references && reading.references.length > 0
+            ? ReadingPlansManager.getBookProgress(this.getPlanKey(), ScriptureReferences.getBooks(reading.references))
+            : [];
 
         container.innerHTML = `
+            ${notice}
             <div class="reading-header">
                 <div class="reading-date">
                     ${date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
                     ${reading.ethiopianDate ? `<br><small>${reading.ethiopianDate}</small>` : ''}
                 </div>
-                <button class="reading-complete-btn ${isComplete ? 'completed' : ''}" id="completeBtn">
-                    ${isComplete ? '✓ Completed' : 'Mark Complete'}
-                </button>
+                ${this.renderCompleteButtons(dateKey, reading.day)}
             </div>
+            ${section ? `
+                <div class="reading-section-banner">
+                    <span class="reading-section-title">${this.escapeHtml(section.title)}</span>
+                    ${section.focus ? `<span class="reading-section-focus">${this.escapeHtml(section.focus)}</span>` : ''}
+                </div>
+            ` : ''}
             <div class="reading-content">
-                <div class="reading-passage">${reading.reading}</div>
-                ${reading.theme ? `<span class="reading-theme">${reading.theme}</span>` : ''}
+                <div class="reading-passage">${this.escapeHtml(reading.reading)}</div>
+                ${reading.theme ? `<span class="reading-theme">${this.escapeHtml(reading.theme)}</span>` : ''}
+                ${this.renderChapterChecklist(dateKey, reading.day)}
                 ${reading.chapters ? `<p><small>${reading.chapters} chapter${reading.chapters > 1 ? 's' : ''}</small></p>` : ''}
+                ${bookProgress.length > 0 ? `
+                    <ul class="reading-book-progress">
+                        ${bookProgress.map(book => `
+                            <li>
+                                <span class="reading-book-name">${book.book}</span>
+                                <span class="reading-book-count">${book.chaptersRead}/${book.totalChapters} chapters read</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
                 ${reading.feast ? `
                     <div class="reading-feast">
                         <span class="reading-feast-icon">✨</span>
-                        <span class="reading-feast-text">${reading.feast}</span>
+                        <span class="reading-feast-text">${this.escapeHtml(reading.feast)}</span>
+                    </div>
+                ` : ''}
+                ${fast ? `
+                    <div class="reading-fast">
+                        <div class="reading-fast-title">🕯️ ${fast.name}</div>
+                        <div class="reading-fast-text">${fast.description}</div>
+                        ${fast.supplementaryReading ? `
+                            <div class="reading-fast-supplement">
+                                <strong>Fast reading:</strong> ${this.escapeHtml(fast.supplementaryReading.reading)}
+                                ${fast.supplementaryReading.theme ? `<small>(${this.escapeHtml(fast.supplementaryReading.theme)})</small>` : ''}
+                            </div>
+                        ` : ''}
                     </div>
                 ` : ''}
             </div>
+            ${this.renderCatchUps(dateKey, catchUps)}
+            ${this.renderReadOnDate(readHere)}
             <div class="progress-bar-container">
                 <div class="progress-bar-fill" style="width: ${this.getProgressForDay(reading.day)}%">
                     ${this.getProgressForDay(reading.day)}%
                 </div>
             </div>
+            ${this.renderReadAheadButton()}
         `;
 
-        // Add complete button handler
-        const completeBtn = document.getElementById('completeBtn');
-        if (completeBtn) {
-            completeBtn.addEventListener('click', () => {
-                this.toggleReadingComplete(dateKey, reading.day);
-            });
-        }
+        this.bindReadingButtons(container, dateKey);
     },
 
     /**
-     * Get progress percentage for a specific day
+     * Render the buttons that mark a day read or unread. Marking a day read
+     * records today as the date it was read; for a past date, a second
+     * button records that date instead. Ethiopian plan days are always
+     * read on their own date.
+     * @param {string} dateKey - Date key of the selected date
      * @param {number} day - Day number
-     * @returns {number} Progress percentage
+     * @returns {string} HTML
      */
-    getProgressForDay(day) {
-        const totalDays = ReadingPlansManager.getTotalDays();
-        return Math.round((day / totalDays) * 100);
+    renderCompleteButtons(dateKey, day) {
+        const planKey = this.getPlanKey();
+        if (planKey === 'ethiopian') {
+            const isComplete = StorageManager.isReadingComplete(dateKey, day, planKey);
+            return `
+                <button class="reading-complete-btn ${isComplete ? 'completed' : ''}" data-day="${day}" data-read-on="${dateKey}">
+                    ${isComplete ? '✓ Completed' : 'Mark Complete'}
+                </button>
+            `;
+        }
+
+        const readDates = StorageManager.getDayReadDates(day, planKey);
+        if (readDates.length > 0) {
+            const label = readDates.includes(dateKey)
+                ? '✓ Completed'
+                : `✓ Read ${StorageManager.parseDateKey(readDates[0]).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+            return `<button class="reading-complete-btn completed" data-day="${day}" title="Mark as not read">${label}</button>`;
+        }
+
+        const today = this.getDateKey(new Date());
+        return `
+            <span class="reading-complete-actions">
+                <button class="reading-complete-btn" data-day="${day}" data-read-on="${today}">Mark Complete</button>
+                ${dateKey < today ? `<button class="reading-read-on-btn" data-day="${day}" data-read-on="${dateKey}">Read on this day</button>` : ''}
+            </span>
+        `;
     },
 
     /**
-     * Toggle reading completion
-     * @param {string} dateKey - Date key
+     * Render a checkbox for each chapter of a day, so a reading can be
+     * finished over several sittings. Single-chapter days only get the
+     * complete button.
+     * @param {string} dateKey - Date key of the selected date
      * @param {number} day - Day number
+     * @returns {string} HTML
      */
-    toggleReadingComplete(dateKey, day) {
-        const isComplete = StorageManager.isReadingComplete(dateKey, day);
-        
-        if (isComplete) {
-            StorageManager.markReadingIncomplete(dateKey, day);
-        } else {
-            StorageManager.markReadingComplete(dateKey, day);
-        }
+    renderChapterChecklist(dateKey, day) {
+        const progress = ReadingPlansManager.getDayChapterProgress(day, this.getPlanKey(), dateKey);
+        if (progress.total < 2) return '';
 
-        this.render();
-        this.displayReading(this.selectedDate);
-        this.updateStats();
+        return `
+            <div class="reading-chapters">
+                <div class="reading-chapters-count">${progress.read} of ${progress.total} chapters read</div>
+                ${progress.chapters.map(({ chapter, read }) => `
+                    <label class="reading-chapter">
+                        <input type="checkbox" data-chapter="${this.escapeHtml(chapter)}" data-chapter-day="${day}" ${read ? 'checked' : ''}>
+                        ${this.escapeHtml(chapter)}
+                    </label>
+                `).join('')}
+            </div>
+        `;
     },
 
     /**
-     * Load notes for selected date
-     * @param {Date} date - Selected date
+     * Share of the chapters of a date's readings that have been read.
+     * A reading without chapter references counts as one chapter.
+     * @param {Array} readings - Reading objects
+     * @param {string} dateKey - Date key
+     * @returns {number} Between 0 and 1
      */
-    loadNotes(date) {
-        const dateKey = this.getDateKey(date);
-        const notes = StorageManager.getStudyNotes(dateKey);
-        const textarea = document.getElementById('studyNotes');
-        
-        if (textarea) {
-            textarea.value = notes;
-        }
+    getChapterFraction(readings, dateKey) {
+        const planKey = this.getPlanKey();
+        let read = 0;
+        let total = 0;
+        readings.forEach(reading => {
+            const progress = ReadingPlansManager.getDayChapterProgress(reading.day, planKey, dateKey);
+            if (progress.total > 0) {
+                read += progress.read;
+                total += progress.total;
+            } else {
+                read += ReadingPlansManager.isDayRead(reading.day, planKey, dateKey) ? 1 : 0;
+                total += 1;
+            }
+        });
+        return total > 0 ? read / total : 0;
     },
 
     /**
-     * Save notes for current selected date
+     * Render the readings of other days that were read on the selected date
+     * @param {Array} days - Day numbers
+     * @returns {string} HTML
      */
-    saveNotes() {
-        if (!this.selectedDate) return;
+    renderReadOnDate(days) {
+        const readings = days.map(day => ReadingPlansManager.getReadingForDay(day, this.getPlanKey())).filter(Boolean);
+        if (readings.length === 0) return '';
 
-        const dateKey = this.getDateKey(this.selectedDate);
+        return `
+            <div class="reading-read-here">
+                <div class="reading-read-here-title">Also read this day</div>
+                <ul>
+                    ${readings.map(reading => `<li>Day ${reading.day}: ${this.escapeHtml(reading.reading)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * @returns {string} HTML of the read ahead button, for plans that can be read ahead
+     */
+    renderReadAheadButton() {
+        return this.getPlanKey() === 'ethiopian'
+            ? ''
+            : '<button class="btn btn-secondary btn-sm reading-ahead-btn" id="readAheadBtn">📖 Read Ahead</button>';
+    },
+
+    /**
+     * @param {HTMLElement} container - Reading panel
+     * @param {string} dateKey - Date key of the selected date
+     */
+    bindReadingButtons(container, dateKey) {
+        container.querySelectorAll('[data-day]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.toggleReadingComplete(dateKey, Number(button.dataset.day), button.dataset.readOn);
+            });
+        });
+
+        container.querySelectorAll('[data-chapter]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.toggleChapterRead(dateKey, Number(checkbox.dataset.chapterDay), checkbox.dataset.chapter, checkbox.checked);
+            });
+        });
+
+        const readAheadBtn = container.querySelector('#readAheadBtn');
+        if (readAheadBtn) {
+            readAheadBtn.addEventListener('click', () => {
+                this.openReadAhead();
+            });
+        }
+    },
+
+    /**
+     * A note above the reading when the plan shown hasn't started or is paused
+     * @returns {string} HTML, or an empty string
+     */
+    getPlanStatusNotice() {
+        const planKey = this.getPlanKey();
+        if (planKey === 'ethiopian') return '';
+
+        const status = ReadingPlansManager.getPlanStatus(planKey);
+        if (!status.started) {
+            return '<p class="reading-plan-status">This plan hasn\'t started. Marking a reading complete starts it today, or choose a start date under 🗓️ Schedule.</p>';
+        }
+        if (status.pausedSince) {
+            return `<p class="reading-plan-status">Paused since ${status.pausedSince}. Resume it under 🗓️ Schedule.</p>`;
+        }
+        return '';
+    },
+
+    /**
+     * Render the catch-up readings of a date, each with its own complete button
+     * @param {string} dateKey - Date key
+     * @param {Array} catchUps - Reading objects
+     * @returns {string} HTML
+     */
+    renderCatchUps(dateKey, catchUps) {
+        if (catchUps.length === 0) return '';
+
+        return `
+            <div class="reading-catch-up">
+                <div class="reading-catch-up-title">Catch-up readings</div>
+                <ul>
+                    ${catchUps.map(catchUp => `
+                        <li>
+                            <span>Day ${catchUp.day}: ${this.escapeHtml(catchUp.reading)}</span>
+                            ${this.renderCompleteButtons(dateKey, catchUp.day)}
+                            ${this.renderChapterChecklist(dateKey, catchUp.day)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Get progress percentage for a specific day
+     * @param {number} day - Day number
+     * @returns {number} Progress percentage
+     */
+    getProgressForDay(day) {
+        const totalDays = ReadingPlansManager.getTotalDays(this.getPlanKey());
+        return Math.round((day / totalDays) * 100);
+    },
+
+    /**
+     * Toggle reading completion
+     * @param {string} dateKey - Date key of the selected date
+     * @param {number} day - Day number
+     * @param {string} [readOn] - Date key of the date it was read (defaults to the selected date)
+     */
+    toggleReadingComplete(dateKey, day, readOn = dateKey) {
+        const planKey = this.getPlanKey();
+        
+        if (ReadingPlansManager.isDayRead(day, planKey, dateKey)) {
+            ReadingPlansManager.markDayUnread(day, planKey, dateKey);
+        } else {
+            this.startPreviewedPlan(planKey);
+            ReadingPlansManager.markDayRead(day, planKey, readOn);
+        }
+
+        this.render();
+        this.displayReading(this.selectedDate);
+        this.updateStats();
+    },
+
+    /**
+     * Mark one chapter of a day read today, or not read
+     * @param {string} dateKey - Date key of the selected date
+     * @param {number} day - Day number
+     * @param {string} chapter - Chapter label
+     * @param {boolean} read - Whether the chapter was checked
+     */
+    toggleChapterRead(dateKey, day, chapter, read) {
+        const planKey = this.getPlanKey();
+
+        if (read) {
+            this.startPreviewedPlan(planKey);
+            ReadingPlansManager.markChapterRead(day, chapter, planKey, dateKey, this.getDateKey(new Date()));
+        } else {
+            ReadingPlansManager.markChapterUnread(day, chapter, planKey, dateKey);
+        }
+
+        this.render();
+        this.displayReading(this.selectedDate);
+        this.updateStats();
+    },
+
+    /**
+     * Reading a plan that was only being previewed starts it today
+     * @param {string} planKey - Plan key
+     */
+    startPreviewedPlan(planKey) {
+        if (planKey !== 'ethiopian' && !ReadingPlansManager.getPlanStatus(planKey).started) {
+            ReadingPlansManager.startPlan(this.getDateKey(new Date()), planKey);
+        }
+    },
+
+    /**
+     * Open the dialog for marking the next unread days of the plan as read today
+     */
+    openReadAhead() {
+        const planKey = this.getPlanKey();
+        const upcoming = ReadingPlansManager.getNextUnreadDays(7, planKey);
+        if (upcoming.length === 0) {
+            BesorahApp.showNotification('Every day of this plan is already read', 'info');
+            return;
+        }
+
+        const modal = BesorahApp.createModal({
+            title: 'Read Ahead',
+            content: `
+                <div class="plan-builder">
+                    <p>Mark the next unread days of the plan as read today. They count as read on their own dates in the calendar too.</p>
+                    <label for="readAheadCount">Days read</label>
+                    <input type="number" id="readAheadCount" min="1" max="${ReadingPlansManager.getTotalDays(planKey)}" value="1">
+                    <p><strong>Next unread</strong></p>
+                    <ul class="plan-history">
+                        ${upcoming.map(reading => `<li>Day ${reading.day}: ${this.escapeHtml(reading.reading)}</li>`).join('')}
+                    </ul>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Mark as Read',
+                    primary: true,
+                    onClick: () => this.readAheadFrom(modal, planKey)
+                }
+            ]
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Mark the number of days chosen in the read ahead dialog as read
+     * @param {HTMLElement} modal - Read ahead dialog
+     * @param {string} planKey - Plan key
+     * @returns {boolean} False to keep the dialog open after an error
+     */
+    readAheadFrom(modal, planKey) {
+        let readings;
+        try {
+            readings = ReadingPlansManager.readAhead(parseInt(modal.querySelector('#readAheadCount').value, 10), planKey);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+        this.startPreviewedPlan(planKey);
+
+        this.refreshSchedule();
+        this.showNotification(readings.length === 1
+            ? `Marked day ${readings[0].day} as read`
+            : `Marked ${readings.length} days as read`);
+        return true;
+    },
+
+    /**
+     * Load notes for selected date
+     * @param {Date} date - Selected date
+     */
+    loadNotes(date) {
+        const dateKey = this.getDateKey(date);
+        const notes = StorageManager.getStudyNotes(dateKey);
+        const textarea = document.getElementById('studyNotes');
+        
+        if (textarea) {
+            textarea.value = notes;
+        }
+        this.updateNoteLockControls();
+        this.renderNotesPreview();
+    },
+
+    /**
+     * Save notes for current selected date
+     */
+    saveNotes() {
+        if (!this.selectedDate || StorageManager.areNotesLocked()) return;
+
+        const dateKey = this.getDateKey(this.selectedDate);
         const textarea = document.getElementById('studyNotes');
         
         if (textarea) {
@@ -348,22 +1294,951 @@ const CalendarManager = {
         }
     },
 
+    /**
+     * Show the note being edited as formatted Markdown
+     */
+    renderNotesPreview() {
+        const textarea = document.getElementById('studyNotes');
+        const preview = document.getElementById('notesPreview');
+        if (!textarea || !preview) return;
+
+        preview.innerHTML = MarkdownNotes.render(textarea.value, { linkReferences: true });
+        preview.hidden = textarea.value.trim() === '';
+    },
+
+    /**
+     * Jump to the day of the current plan that reads a passage
+     * @param {string} text - Passage as written in the note, e.g. "John 3:16"
+     */
+    goToReference(text) {
+        const references = ScriptureReferences.parse(text);
+        const planKey = this.getPlanKey();
+        const reading = references && ReadingPlansManager.findReadingForReferences(references, planKey);
+        if (!reading) {
+            BesorahApp.showNotification(`${text} is not in this reading plan`, 'info');
+            return;
+        }
+
+        this.saveUnsavedNotes();
+        const date = ReadingPlansManager.getDateForPlanDay(reading.day, planKey);
+        this.currentDate = date;
+        this.render();
+        this.selectDate(date);
+        this.showNotification(`${text}: day ${reading.day}, ${reading.reading}`);
+    },
+
+    /**
+     * Show whether notes are encrypted and locked
+     */
+    updateNoteLockControls() {
+        const encrypted = StorageManager.isNoteEncryptionOn();
+        const locked = StorageManager.areNotesLocked();
+
+        const textarea = document.getElementById('studyNotes');
+        if (textarea) {
+            if (textarea.dataset.placeholder === undefined) {
+                textarea.dataset.placeholder = textarea.placeholder;
+            }
+            textarea.disabled = locked;
+            textarea.placeholder = locked
+                ? 'Your notes are encrypted. Unlock them to read and write.'
+                : textarea.dataset.placeholder;
+        }
+
+        const lockBtn = document.getElementById('notesLockBtn');
+        if (lockBtn) {
+            lockBtn.hidden = !encrypted;
+            lockBtn.textContent = locked ? '🔓 Unlock Notes' : '🔒 Lock Notes';
+        }
+    },
+
+    /**
+     * Show the selected date's notes again after they were locked,
+     * unlocked or re-encrypted
+     */
+    reloadNotes() {
+        if (this.selectedDate) {
+            this.loadNotes(this.selectedDate);
+        } else {
+            this.updateNoteLockControls();
+        }
+    },
+
+    /**
+     * Save the note being edited if it has changed
+     */
+    saveUnsavedNotes() {
+        const textarea = document.getElementById('studyNotes');
+        if (textarea && this.selectedDate && !StorageManager.areNotesLocked() &&
+            textarea.value !== StorageManager.getStudyNotes(this.getDateKey(this.selectedDate))) {
+            this.saveNotes();
+        }
+    },
+
+    /**
+     * Save any unsaved note, then lock encrypted notes
+     */
+    lockNotes() {
+        this.saveUnsavedNotes();
+        StorageManager.lockNotes();
+        this.reloadNotes();
+    },
+
+    /**
+     * Ask for the passphrase to unlock encrypted notes
+     */
+    openUnlockNotes() {
+        const modal = BesorahApp.createModal({
+            title: 'Unlock Notes',
+            content: `
+                <div class="plan-builder">
+                    <label for="unlockPassphrase">Passphrase</label>
+                    <input type="password" id="unlockPassphrase" autocomplete="current-password">
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Unlock',
+                    primary: true,
+                    onClick: () => {
+                        // Deriving the key takes a moment; close once it succeeds
+                        this.unlockNotesFrom(modal);
+                        return false;
+                    }
+                }
+            ]
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('#unlockPassphrase').focus();
+    },
+
+    /**
+     * Unlock notes with the passphrase entered in the unlock dialog
+     * @param {HTMLElement} modal - Unlock dialog
+     */
+    async unlockNotesFrom(modal) {
+        try {
+            await StorageManager.unlockNotes(modal.querySelector('#unlockPassphrase').value);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return;
+        }
+
+        modal.remove();
+        this.reloadNotes();
+    },
+
+    /**
+     * Open the note encryption dialog: turn encryption on, or change the
+     * passphrase or turn it off
+     */
+    openNoteEncryption() {
+        const encrypted = StorageManager.isNoteEncryptionOn();
+        const passphraseFields = `
+            <label for="newPassphrase">${encrypted ? 'New passphrase' : 'Passphrase'}</label>
+            <input type="password" id="newPassphrase" autocomplete="new-password">
+            <label for="confirmPassphrase">Repeat it</label>
+            <input type="password" id="confirmPassphrase" autocomplete="new-password">
+        `;
+
+        const buttons = [{ text: 'Cancel' }];
+        if (encrypted) {
+            buttons.push({
+                text: 'Turn Off',
+                onClick: () => {
+                    this.updateNoteEncryption(modal, 'disable');
+                    return false;
+                }
+            });
+        }
+        buttons.push({
+            text: encrypted ? 'Change Passphrase' : 'Encrypt Notes',
+            primary: true,
+            onClick: () => {
+                this.updateNoteEncryption(modal, encrypted ? 'change' : 'enable');
+                return false;
+            }
+        });
+
+        const modal = BesorahApp.createModal({
+            title: 'Encrypt Notes',
+            content: encrypted ? `
+                <div class="plan-builder">
+                    <p>Your notes are encrypted on this device and in backups.</p>
+                    <label for="currentPassphrase">Current passphrase</label>
+                    <input type="password" id="currentPassphrase" autocomplete="current-password">
+                    ${passphraseFields}
+                </div>
+            ` : `
+                <div class="plan-builder">
+                    <p>Notes will be encrypted with your passphrase before they are saved, here and in backups.
+                    Use the same passphrase on each device you sync.</p>
+                    <p><strong>If you forget the passphrase, your notes cannot be recovered.</strong></p>
+                    ${passphraseFields}
+                </div>
+            `,
+            buttons
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Turn note encryption on or off, or change the passphrase, from the
+     * encryption dialog
+     * @param {HTMLElement} modal - Encryption dialog
+     * @param {string} action - 'enable', 'change' or 'disable'
+     */
+    async updateNoteEncryption(modal, action) {
+        const value = id => (modal.querySelector(id) ? modal.querySelector(id).value : '');
+        const current = value('#currentPassphrase');
+        const next = value('#newPassphrase');
+
+        if (action !== 'disable') {
+            if (!next) {
+                BesorahApp.showNotification('Choose a passphrase', 'error');
+                return;
+            }
+            if (next !== value('#confirmPassphrase')) {
+                BesorahApp.showNotification('The passphrases do not match', 'error');
+                return;
+            }
+        }
+
+        // Save what is being typed before the notes are rewritten
+        this.saveUnsavedNotes();
+
+        try {
+            if (action === 'enable') {
+                await StorageManager.enableNoteEncryption(next);
+            } else if (action === 'change') {
+                await StorageManager.changeNotePassphrase(current, next);
+            } else {
+                await StorageManager.disableNoteEncryption(current);
+            }
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return;
+        }
+
+        modal.remove();
+        this.reloadNotes();
+        this.showNotification({
+            enable: 'Notes encrypted',
+            change: 'Passphrase changed',
+            disable: 'Notes decrypted'
+        }[action]);
+    },
+
+    /**
+     * Open the history of the selected day's note: pick an earlier
+     * version, see what changed since, and restore it
+     */
+    async openNoteHistory() {
+        if (!this.selectedDate) {
+            BesorahApp.showNotification('Select a day to see its note history', 'info');
+            return;
+        }
+
+        this.saveUnsavedNotes();
+        const dateKey = this.getDateKey(this.selectedDate);
+        let revisions;
+        try {
+            revisions = await StorageManager.getNoteRevisions(dateKey);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return;
+        }
+        if (revisions.length === 0) {
+            BesorahApp.showNotification('No earlier versions of this note yet', 'info');
+            return;
+        }
+
+        const options = revisions.map((revision, index) =>
+            `<option value="${index}">${this.escapeHtml(new Date(revision.savedAt).toLocaleString())}</option>`
+        ).join('');
+        const modal = BesorahApp.createModal({
+            title: `Note History: ${this.selectedDate.toLocaleDateString()}`,
+            content: `
+                <div class="plan-builder">
+                    <label for="noteRevision">Version saved</label>
+                    <select id="noteRevision" class="form-select">${options}</select>
+                    <p class="note-diff-legend">Changes since this version:
+                        <ins>added</ins> <del>removed</del></p>
+                    <div id="noteDiff" class="note-diff"></div>
+                </div>
+            `,
+            buttons: [
+                { text: 'Close' },
+                {
+                    text: 'Restore This Version',
+                    primary: true,
+                    onClick: () => {
+                        this.restoreNoteRevisionFrom(modal, dateKey, revisions);
+                        return false;
+                    }
+                }
+            ]
+        });
+
+        const select = modal.querySelector('#noteRevision');
+        const showDiff = () => {
+            const revision = revisions[Number(select.value)];
+            modal.querySelector('#noteDiff').innerHTML = this.renderNoteDiff(
+                revision.content, StorageManager.getStudyNotes(dateKey)
+            );
+        };
+        select.addEventListener('change', showDiff);
+        showDiff();
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Show the difference between two versions of a note
+     * @param {string} before - Earlier version
+     * @param {string} after - Later version
+     * @returns {string} HTML
+     */
+    renderNoteDiff(before, after) {
+        const parts = TextDiff.diff(before, after);
+        if (parts.every(part => part.type === 'same')) {
+            return '<p class="note-diff-empty">Same as the current note</p>';
+        }
+
+        return parts.map(({ type, text }) => {
+            const html = this.escapeHtml(text);
+            if (type === 'added') return `<ins>${html}</ins>`;
+            if (type === 'removed') return `<del>${html}</del>`;
+            return html;
+        }).join('');
+    },
+
+    /**
+     * Restore the version picked in the note history dialog
+     * @param {HTMLElement} modal - Note history dialog
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Array} revisions - Versions listed in the dialog
+     */
+    async restoreNoteRevisionFrom(modal, dateKey, revisions) {
+        const revision = revisions[Number(modal.querySelector('#noteRevision').value)];
+        try {
+            await StorageManager.restoreNoteRevision(dateKey, revision.content);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return;
+        }
+
+        modal.remove();
+        this.reloadNotes();
+        this.showNotification(`Restored the version from ${new Date(revision.savedAt).toLocaleString()}`);
+    },
+
+    /**
+     * Open the journal of every note, with search and filters
+     */
+    openJournal() {
+        if (StorageManager.areNotesLocked()) {
+            BesorahApp.showNotification('Unlock your notes to see them in the journal', 'error');
+            return;
+        }
+
+        this.saveUnsavedNotes();
+        const entries = this.getJournalEntries();
+        if (entries.length === 0) {
+            BesorahApp.showNotification('No notes yet. Select a day and write your first one.', 'info');
+            return;
+        }
+
+        const option = (value, label) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`;
+        const plans = [...new Set(entries.map(entry => entry.plan).filter(Boolean))];
+        const modal = BesorahApp.createModal({
+            title: 'Notes Journal',
+            content: `
+                <div class="journal-filters">
+                    <input type="search" id="journalSearch" placeholder="Search notes and readings" aria-label="Search notes">
+                    <select id="journalTag" aria-label="Filter by tag">
+                        ${option('', 'All tags')}
+                        ${NotesJournal.getTags(entries).map(({ tag, count }) => option(tag, `#${tag} (${count})`)).join('')}
+                    </select>
+                    <select id="journalBook" aria-label="Filter by book">
+                        ${option('', 'All books')}
+                        ${NotesJournal.getBooks(entries).map(book => option(book, book)).join('')}
+                    </select>
+                    <select id="journalPlan" aria-label="Filter by plan">
+                        ${option('', 'All plans')}
+                        ${plans.map(plan => option(plan, ReadingPlansManager.plans[plan].title)).join('')}
+                    </select>
+                </div>
+                <p id="journalCount" class="journal-count"></p>
+                <div id="journalList" class="journal-list"></div>
+            `,
+            buttons: [{ text: 'Close' }]
+        });
+
+        const value = id => modal.querySelector(id).value;
+        const renderList = () => {
+            const shown = NotesJournal.filter(entries, {
+                query: value('#journalSearch'),
+                tag: value('#journalTag'),
+                book: value('#journalBook'),
+                plan: value('#journalPlan')
+            });
+            modal.querySelector('#journalCount').textContent =
+                `${shown.length} of ${entries.length} note${entries.length === 1 ? '' : 's'}`;
+            modal.querySelector('#journalList').innerHTML = shown.length > 0
+                ? shown.map(entry => this.renderJournalEntry(entry)).join('')
+                : '<p class="reading-placeholder">No notes match.</p>';
+        };
+
+        modal.querySelector('#journalSearch').addEventListener('input', renderList);
+        ['#journalTag', '#journalBook', '#journalPlan'].forEach(id => {
+            modal.querySelector(id).addEventListener('change', renderList);
+        });
+        modal.querySelector('#journalList').addEventListener('click', (e) => {
+            const tag = e.target.closest('.journal-tag');
+            if (tag) {
+                modal.querySelector('#journalTag').value = tag.dataset.tag;
+                renderList();
+                return;
+            }
+            const entry = e.target.closest('.journal-entry');
+            if (entry) {
+                modal.remove();
+                this.openJournalEntry(entry.dataset.date);
+            }
+        });
+        modal.querySelector('#journalList').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('journal-entry')) {
+                modal.remove();
+                this.openJournalEntry(e.target.dataset.date);
+            }
+        });
+        renderList();
+
+        document.body.appendChild(modal);
+        modal.querySelector('#journalSearch').focus();
+    },
+
+    /**
+     * Gather every note with the reading it belongs to: the plan a reading
+     * was completed in that day, otherwise the plan shown in the calendar
+     * @returns {Array} Journal entries (see NotesJournal.buildEntries)
+     */
+    getJournalEntries() {
+        const completedPlans = new Map();
+        StorageManager.getCompletedReadings().forEach(entry => {
+            if (!completedPlans.has(entry.dateKey) && ReadingPlansManager.plans[entry.plan]) {
+                completedPlans.set(entry.dateKey, entry.plan);
+            }
+        });
+
+        return NotesJournal.buildEntries(StorageManager.readableNotes(), dateKey => {
+            const plan = completedPlans.get(dateKey) || this.getPlanKey();
+            const reading = ReadingPlansManager.getReadingForPlanDate(StorageManager.parseDateKey(dateKey), plan);
+            return { plan, reading };
+        });
+    },
+
+    /**
+     * @param {Object} entry - Journal entry
+     * @returns {string} HTML of one journal entry
+     */
+    renderJournalEntry(entry) {
+        const date = StorageManager.parseDateKey(entry.dateKey);
+        const reading = entry.reading;
+        const complete = reading && ReadingPlansManager.isDayRead(reading.day, entry.plan, entry.dateKey);
+
+        return `
+            <article class="journal-entry" data-date="${entry.dateKey}" tabindex="0">
+                <header class="journal-entry-header">
+                    <strong>${date.toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' })}</strong>
+                    ${reading ? `<span class="journal-entry-reading">${complete ? '✓ ' : ''}Day ${reading.day}: ${this.escapeHtml(reading.reading)}</span>` : ''}
+                </header>
+                <div class="journal-entry-note">${MarkdownNotes.render(entry.text)}</div>
+                ${entry.tags.length > 0 ? `
+                    <div class="journal-entry-tags">
+                        ${entry.tags.map(tag => `<button type="button" class="journal-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`).join('')}
+                    </div>
+                ` : ''}
+            </article>
+        `;
+    },
+
+    /**
+     * Show a journal entry's day in the calendar
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     */
+    openJournalEntry(dateKey) {
+        const date = StorageManager.parseDateKey(dateKey);
+        this.currentDate = date;
+        this.render();
+        this.selectDate(date);
+    },
+
+    /**
+     * Open the dialog for printing or exporting a plan's reading journal
+     */
+    openJournalExport() {
+        if (StorageManager.areNotesLocked()) {
+            BesorahApp.showNotification('Unlock your notes to include them in the journal', 'error');
+            return;
+        }
+
+        this.saveUnsavedNotes();
+        const year = new Date().getFullYear();
+        const options = ReadingPlansManager.getAvailablePlans().map(plan =>
+            `<option value="${plan.key}"${plan.key === this.getPlanKey() ? ' selected' : ''}>${this.escapeHtml(plan.title)}</option>`
+        ).join('');
+
+        const modal = BesorahApp.createModal({
+            title: 'Reading Journal',
+            content: `
+                <div class="plan-builder">
+                    <p>Each day's dates, passage, theme, feasts, completion and note, ready to print or save as PDF.</p>
+                    <label for="journalExportPlan">Reading plan</label>
+                    <select id="journalExportPlan" class="form-select">${options}</select>
+                    <label for="journalExportFrom">From</label>
+                    <input type="date" id="journalExportFrom" value="${year}-01-01">
+                    <label for="journalExportTo">To</label>
+                    <input type="date" id="journalExportTo" value="${year}-12-31">
+                    <label class="builder-option">
+                        <input type="checkbox" id="journalExportNotesOnly"> Only days with notes
+                    </label>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Download Markdown',
+                    onClick: () => this.exportJournalFrom(modal, 'markdown')
+                },
+                {
+                    text: 'Print / Save as PDF',
+                    primary: true,
+                    onClick: () => this.exportJournalFrom(modal, 'print')
+                }
+            ]
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Export the journal chosen in the journal dialog
+     * @param {HTMLElement} modal - Journal export dialog
+     * @param {string} format - 'markdown' or 'print'
+     * @returns {boolean} False to keep the dialog open after an error
+     */
+    exportJournalFrom(modal, format) {
+        const value = id => modal.querySelector(id).value;
+        const planKey = value('#journalExportPlan');
+        let journal;
+        try {
+            journal = JournalExport.collect(
+                planKey,
+                StorageManager.parseDateKey(value('#journalExportFrom')),
+                StorageManager.parseDateKey(value('#journalExportTo')),
+                { notesOnly: modal.querySelector('#journalExportNotesOnly').checked }
+            );
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+
+        if (format === 'markdown') {
+            BesorahApp.downloadFile(
+                JournalExport.toMarkdown(journal),
+                `besorah-journal-${planKey}-${journal.from}-to-${journal.to}.md`,
+                'text/markdown'
+            );
+            return true;
+        }
+
+        const page = window.open('', '_blank');
+        if (!page) {
+            BesorahApp.showNotification('Allow pop-ups for this site to print the journal', 'error');
+            return false;
+        }
+        page.document.write(JournalExport.toHtml(journal));
+        page.document.close();
+        page.focus();
+        page.print();
+        return true;
+    },
+
+    /**
+     * Open the dashboard of how much of the Bible has been read, across
+     * every plan
+     */
+    openCoverage() {
+        const modal = BesorahApp.createModal({
+            title: 'Bible Coverage',
+            content: `
+                <div class="coverage">
+                    <p>Chapters read in any plan, book by book. Select a book to see its chapters.</p>
+                    <label class="builder-option">
+                        <input type="checkbox" id="coverageEthiopian"> Include the further books of the Ethiopian canon
+                    </label>
+                    <div id="coverageBody"></div>
+                </div>
+            `,
+            buttons: [{ text: 'Close', primary: true }]
+        });
+
+        const body = modal.querySelector('#coverageBody');
+        const show = () => {
+            const coverage = ScriptureCoverage.collect({ ethiopian: modal.querySelector('#coverageEthiopian').checked });
+            body.innerHTML = this.renderCoverage(coverage);
+            body.querySelectorAll('[data-book]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const book = coverage.books.find(entry => entry.name === button.dataset.book);
+                    body.querySelector('#coverageChapters').innerHTML = this.renderCoverageChapters(book);
+                });
+            });
+        };
+        modal.querySelector('#coverageEthiopian').addEventListener('change', show);
+        show();
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Render coverage totals and the book grid
+     * @param {Object} coverage - From ScriptureCoverage.collect()
+     * @returns {string} HTML
+     */
+    renderCoverage(coverage) {
+        const { total } = coverage;
+        const totalsList = groups => groups.map(group => `
+            <li>
+                <span>${this.escapeHtml(group.name)}</span>
+                <span class="coverage-count">${group.chaptersRead}/${group.totalChapters} (${group.percent}%)</span>
+            </li>
+        `).join('');
+
+        return `
+            <p class="coverage-summary">
+                <strong>${total.chaptersRead} of ${total.totalChapters} chapters read (${total.percent}%)</strong><br>
+                ${total.booksFinished} of ${total.totalBooks} books finished, ${total.booksStarted} started
+            </p>
+            <div class="coverage-grid">
+                ${coverage.books.map(book => `
+                    <button class="coverage-book coverage-shade-${ScriptureCoverage.getShade(book)}" data-book="${this.escapeHtml(book.name)}"
+                        title="${this.escapeHtml(book.name)}: ${book.chaptersRead}/${book.totalChapters} chapters">
+                        <span class="coverage-book-name">${this.escapeHtml(book.abbreviation)}</span>
+                        <span class="coverage-book-percent">${book.percent}%</span>
+                    </button>
+                `).join('')}
+            </div>
+            <div id="coverageChapters"></div>
+            <div class="coverage-totals">
+                <div>
+                    <h4>By testament</h4>
+                    <ul>${totalsList(coverage.testaments)}</ul>
+                </div>
+                <div>
+                    <h4>By genre</h4>
+                    <ul>${totalsList(coverage.genres)}</ul>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render which chapters of a book have been read
+     * @param {Object} book - Book coverage
+     * @returns {string} HTML
+     */
+    renderCoverageChapters(book) {
+        return `
+            <div class="coverage-chapters-title">${this.escapeHtml(book.name)}: ${book.chaptersRead} of ${book.totalChapters} chapters read</div>
+            <div class="coverage-chapters">
+                ${book.chapters.map((read, index) => `
+                    <span class="coverage-chapter${read ? ' read' : ''}" title="${this.escapeHtml(book.name)} ${index + 1}">${index + 1}</span>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Open the dialog for exporting a plan's schedule as an .ics file
+     */
+    openCalendarExport() {
+        const options = ReadingPlansManager.getAvailablePlans().map(plan =>
+            `<option value="${plan.key}"${plan.key === this.getPlanKey() ? ' selected' : ''}>${this.escapeHtml(plan.title)}</option>`
+        ).join('');
+
+        const modal = BesorahApp.createModal({
+            title: 'Add to Calendar',
+            content: `
+                <div class="plan-builder">
+                    <p>Download the schedule as an .ics file and open it with your calendar app.
+                    Each day's reading becomes an all-day event. Importing a newer file updates the events instead of adding copies.</p>
+                    <label for="icsPlan">Reading plan</label>
+                    <select id="icsPlan" class="form-select">${options}</select>
+                    <label class="builder-option">
+                        <input type="checkbox" id="icsRemainingOnly"> Only days not read yet
+                    </label>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Download .ics',
+                    primary: true,
+                    onClick: () => this.exportCalendarFrom(modal)
+                }
+            ]
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Download the .ics file chosen in the calendar export dialog
+     * @param {HTMLElement} modal - Calendar export dialog
+     * @returns {boolean} False to keep the dialog open after an error
+     */
+    exportCalendarFrom(modal) {
+        const planKey = modal.querySelector('#icsPlan').value;
+        let events;
+        try {
+            events = IcsExport.collect(planKey, { remainingOnly: modal.querySelector('#icsRemainingOnly').checked });
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+        if (events.length === 0) {
+            BesorahApp.showNotification('Every day of this plan is already read', 'info');
+            return false;
+        }
+
+        const ics = IcsExport.toIcs(events, { name: ReadingPlansManager.plans[planKey].title });
+        BesorahApp.downloadFile(ics, `besorah-${planKey}.ics`, 'text/calendar');
+        this.showNotification(`Exported ${events.length} reading${events.length === 1 ? '' : 's'}`);
+        return true;
+    },
+
+    /**
+     * Open the dialog for rescheduling the readings missed in the current plan
+     */
+    openReschedule() {
+        const planKey = this.getPlanKey();
+        if (planKey === 'ethiopian') {
+            BesorahApp.showNotification('The Ethiopian plan follows the calendar and cannot be rescheduled', 'info');
+            return;
+        }
+
+        const missed = ReadingPlansManager.getMissedDays(planKey);
+        const history = StorageManager.getPlanSchedule(planKey).filter(event => PlanSchedule.isReschedule(event));
+        const strategies = Object.entries(PlanSchedule.STRATEGIES).map(([type, label], index) => `
+            <label class="builder-option">
+                <input type="radio" name="rescheduleStrategy" value="${type}"${index === 0 ? ' checked' : ''}> ${label}
+            </label>
+        `).join('');
+
+        const buttons = [{ text: 'Cancel' }];
+        if (ReadingPlansManager.getLastReschedule(planKey)) {
+            buttons.push({ text: 'Undo Last', onClick: () => this.undoReschedule(planKey) });
+        }
+        buttons.push({ text: 'Reschedule', primary: true, onClick: () => this.rescheduleFrom(modal, planKey) });
+
+        const modal = BesorahApp.createModal({
+            title: 'Reschedule Missed Readings',
+            content: `
+                <div class="plan-builder">
+                    <p>${missed > 0
+                        ? `${missed} reading${missed === 1 ? '' : 's'} scheduled before today ${missed === 1 ? 'has' : 'have'} not been read.`
+                        : 'You are on track: every reading scheduled before today has been read.'}</p>
+                    ${strategies}
+                    <label for="rescheduleOver">Days to spread missed readings over</label>
+                    <input type="number" id="rescheduleOver" min="1" value="7">
+                    <label for="reschedulePerDay">Catch-up readings per weekend day</label>
+                    <input type="number" id="reschedulePerDay" min="1" value="2">
+                    ${history.length > 0 ? `
+                        <p><strong>Earlier reschedules</strong></p>
+                        <ul class="plan-history">
+                            ${history.map(event => `<li>${this.escapeHtml(PlanSchedule.describe(event))}</li>`).reverse().join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `,
+            buttons
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Apply the reschedule chosen in the reschedule dialog
+     * @param {HTMLElement} modal - Reschedule dialog
+     * @param {string} planKey - Plan key
+     * @returns {boolean} False to keep the dialog open
+     */
+    rescheduleFrom(modal, planKey) {
+        const checked = modal.querySelector('input[name="rescheduleStrategy"]:checked');
+        let event;
+        try {
+            event = ReadingPlansManager.reschedule(checked ? checked.value : 'shift', {
+                over: modal.querySelector('#rescheduleOver').value,
+                perDay: modal.querySelector('#reschedulePerDay').value
+            }, planKey);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+        if (!event) {
+            BesorahApp.showNotification('There are no missed readings to reschedule', 'info');
+            return false;
+        }
+
+        this.refreshSchedule();
+        BesorahApp.showNotification(PlanSchedule.describe(event), 'success', 8000, {
+            label: 'Undo',
+            onClick: () => this.undoReschedule(planKey)
+        });
+        return true;
+    },
+
+    /**
+     * Undo the most recent reschedule of a plan
+     * @param {string} planKey - Plan key
+     * @returns {boolean} True to close the dialog it was called from
+     */
+    undoReschedule(planKey) {
+        const event = ReadingPlansManager.undoReschedule(planKey);
+        if (event) {
+            this.refreshSchedule();
+            this.showNotification(`Undid: ${PlanSchedule.describe(event)}`);
+        }
+        return true;
+    },
+
+    /**
+     * Redraw everything that depends on which days fall on which dates
+     */
+    refreshSchedule() {
+        this.render();
+        this.updateStats();
+        if (this.selectedDate) {
+            this.displayReading(this.selectedDate);
+        }
+    },
+
+    /**
+     * Open the dialog for choosing the current plan's start date and
+     * pausing or resuming it, with the plan's history
+     */
+    openPlanSchedule() {
+        const planKey = this.getPlanKey();
+        if (planKey === 'ethiopian') {
+            BesorahApp.showNotification('The Ethiopian plan follows the calendar and cannot be started or paused', 'info');
+            return;
+        }
+
+        const status = ReadingPlansManager.getPlanStatus(planKey);
+        const history = ReadingPlansManager.getPlanHistory(planKey);
+        const today = this.getDateKey(new Date());
+        let statusText = `Started on ${status.start}.`;
+        if (!status.started) {
+            statusText = 'This plan has not started yet. Until it does, the calendar shows it as if it started today.';
+        } else if (status.pausedSince) {
+            statusText = `Paused since ${status.pausedSince}. When you resume, every reading from then on moves by the time the plan was paused.`;
+        }
+
+        const buttons = [{ text: 'Close' }];
+        if (status.pausedSince) {
+            buttons.push({ text: 'Resume', onClick: () => this.changePlanSchedule(modal, planKey, 'resume') });
+        } else if (status.started) {
+            buttons.push({ text: 'Pause', onClick: () => this.changePlanSchedule(modal, planKey, 'pause') });
+        }
+        buttons.push({ text: 'Set Start Date', primary: true, onClick: () => this.changePlanSchedule(modal, planKey, 'start') });
+
+        const modal = BesorahApp.createModal({
+            title: 'Plan Schedule',
+            content: `
+                <div class="plan-builder">
+                    <p>${statusText}</p>
+                    <label for="planStartDate">Start date</label>
+                    <input type="date" id="planStartDate" value="${status.start || today}">
+                    ${status.started ? '<p><small>A new start date lays the whole plan out again from that day. Earlier pauses and reschedules stay in the history but no longer move any readings.</small></p>' : ''}
+                    ${status.pausedSince ? `
+                        <label for="planResumeDate">Resume on</label>
+                        <input type="date" id="planResumeDate" value="${today}">
+                    ` : ''}
+                    ${status.started && !status.pausedSince ? `
+                        <label for="planPauseDate">Pause from</label>
+                        <input type="date" id="planPauseDate" value="${today}">
+                    ` : ''}
+                    ${history.length > 0 ? `
+                        <p><strong>History</strong></p>
+                        <ul class="plan-history">
+                            ${history.map(event => `<li>${this.escapeHtml(PlanSchedule.describe(event))}</li>`).reverse().join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `,
+            buttons
+        });
+
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Start, pause or resume a plan from the plan schedule dialog
+     * @param {HTMLElement} modal - Plan schedule dialog
+     * @param {string} planKey - Plan key
+     * @param {string} action - 'start', 'pause' or 'resume'
+     * @returns {boolean} False to keep the dialog open after an error
+     */
+    changePlanSchedule(modal, planKey, action) {
+        const fields = { start: '#planStartDate', pause: '#planPauseDate', resume: '#planResumeDate' };
+        const methods = { start: 'startPlan', pause: 'pausePlan', resume: 'resumePlan' };
+        const dateKey = modal.querySelector(fields[action]).value;
+        try {
+            ReadingPlansManager[methods[action]](dateKey, planKey);
+        } catch (error) {
+            BesorahApp.showNotification(error.message, 'error');
+            return false;
+        }
+
+        this.refreshSchedule();
+        this.showNotification(PlanSchedule.describe({ type: action, date: dateKey }));
+        return true;
+    },
+
     /**
      * Update statistics display
      */
     updateStats() {
-        const totalDays = ReadingPlansManager.getTotalDays();
-        const stats = StorageManager.getStatistics(totalDays);
+        const planKey = this.getPlanKey();
+        const totalDays = ReadingPlansManager.getTotalDays(planKey);
+        const stats = StorageManager.getStatistics(totalDays, planKey, ReadingPlansManager.getChapterCounts(planKey));
 
         const totalEl = document.getElementById('totalReading');
         const completedEl = document.getElementById('completedReading');
         const progressEl = document.getElementById('progressPercent');
         const streakEl = document.getElementById('streakDays');
+        const chaptersEl = document.getElementById('chaptersRead');
 
         if (totalEl) totalEl.textContent = stats.totalReadings;
         if (completedEl) completedEl.textContent = stats.completedReadings;
         if (progressEl) progressEl.textContent = stats.progressPercent + '%';
         if (streakEl) streakEl.textContent = stats.currentStreak;
+        if (chaptersEl) {
+            chaptersEl.textContent = stats.totalChapters > 0 ? `${stats.chaptersRead}/${stats.totalChapters} chapters` : '';
+        }
+    },
+
+    /**
+     * Get the key of the plan shown in the current calendar view
+     * @returns {string} Plan key
+     */
+    getPlanKey() {
+        return ReadingPlansManager.getActivePlanKey(this.calendarType);
     },
 
     /**
@@ -381,9 +2256,9 @@ const CalendarManager = {
     /**
      * Confirm reset action
      */
-    confirmReset() {
+    async confirmReset() {
         if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-            StorageManager.clearAll();
+            await StorageManager.clearAll();
             this.render();
             this.updateStats();
             this.showNotification('Progress reset successfully!');
@@ -428,7 +2303,7 @@ const CalendarManager = {
  */
 async function initializePlanner() {
     // Initialize all managers
-    StorageManager.init();
+    await StorageManager.init();
     await ReadingPlansManager.init();
     CalendarManager.init();
 
@@ -0,0 +1,248 @@
+/**
+ * Ethiopian Calendar for Bible Reading Planner
+ * Exact Gregorian <-> Ethiopian conversion using Julian Day Numbers
+ */
+
+const EthiopianCalendar = {
+    // Julian Day Number of the day before Meskerem 1, 1 (Amete Mihret epoch)
+    JDN_EPOCH_OFFSET: 1723856,
+
+    MONTH_NAMES: [
+        'Meskerem', 'Tikimt', 'Hidar', 'Tahsas', 'Tir', 'Yekatit',
+        'Megabit', 'Miazia', 'Ginbot', 'Sene', 'Hamle', 'Nehase', 'Pagume'
+    ],
+
+    // Indexed like Date.getDay(): 0 = Sunday
+    WEEKDAY_NAMES: ['Ehud', 'Segno', 'Maksegno', 'Rob', 'Hamus', 'Arb', 'Kidame'],
+
+    /**
+     * Check whether an Ethiopian year is a leap year (Pagume has 6 days).
+     * The Ethiopian leap year ends just before the Gregorian leap day,
+     * so E.C. 2015 (Sept 2022 - Sept 2023) is leap ahead of Gregorian 2024.
+     * @param {number} year - Ethiopian year
+     * @returns {boolean}
+     */
+    isLeapYear(year) {
+        return this.mod(year, 4) === 3;
+    },
+
+    /**
+     * Get number of days in an Ethiopian month
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Month number (1-13)
+     * @returns {number}
+     */
+    getDaysInMonth(year, month) {
+        if (month < 13) return 30;
+        return this.isLeapYear(year) ? 6 : 5;
+    },
+
+    /**
+     * Get number of days in an Ethiopian year
+     * @param {number} year - Ethiopian year
+     * @returns {number}
+     */
+    getDaysInYear(year) {
+        return this.isLeapYear(year) ? 366 : 365;
+    },
+
+    /**
+     * Convert a Gregorian date to a Julian Day Number
+     * @param {number} year - Gregorian year
+     * @param {number} month - Month number (1-12)
+     * @param {number} day - Day of month
+     * @returns {number}
+     */
+    gregorianToJdn(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+            Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    },
+
+    /**
+     * Convert a Julian Day Number to a Gregorian date
+     * @param {number} jdn - Julian Day Number
+     * @returns {Object} { year, month, day } with month 1-12
+     */
+    jdnToGregorian(jdn) {
+        const a = jdn + 32044;
+        const b = Math.floor((4 * a + 3) / 146097);
+        const c = a - Math.floor(146097 * b / 4);
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+
+        return {
+            year: 100 * b + d - 4800 + Math.floor(m / 10),
+            month: m + 3 - 12 * Math.floor(m / 10),
+            day: e - Math.floor((153 * m + 2) / 5) + 1
+        };
+    },
+
+    /**
+     * Convert an Ethiopian date to a Julian Day Number
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Month number (1-13)
+     * @param {number} day - Day of month
+     * @returns {number}
+     */
+    ethiopianToJdn(year, month, day) {
+        return this.JDN_EPOCH_OFFSET + 365 + 365 * (year - 1) +
+            Math.floor(year / 4) + 30 * month + day - 31;
+    },
+
+    /**
+     * Convert a Julian Day Number to an Ethiopian date
+     * @param {number} jdn - Julian Day Number
+     * @returns {Object} { year, month, day } with month 1-13
+     */
+    jdnToEthiopian(jdn) {
+        const offset = jdn - this.JDN_EPOCH_OFFSET;
+        const r = this.mod(offset, 1461);
+        const n = (r % 365) + 365 * Math.floor(r / 1460);
+
+        return {
+            year: 4 * Math.floor(offset / 1461) + Math.floor(r / 365) - Math.floor(r / 1460),
+            month: Math.floor(n / 30) + 1,
+            day: (n % 30) + 1
+        };
+    },
+
+    /**
+     * Get the Julian Day Number for a local Date
+     * @param {Date} date - Date object (time of day is ignored)
+     * @returns {number}
+     */
+    dateToJdn(date) {
+        return this.gregorianToJdn(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    },
+
+    /**
+     * Get a local Date (midnight) for a Julian Day Number
+     * @param {number} jdn - Julian Day Number
+     * @returns {Date}
+     */
+    jdnToDate(jdn) {
+        const g = this.jdnToGregorian(jdn);
+        const date = new Date(g.year, g.month - 1, g.day);
+        // Date treats years 0-99 as 1900-1999
+        date.setFullYear(g.year);
+        return date;
+    },
+
+    /**
+     * Convert a Gregorian Date to an Ethiopian date
+     * @param {Date} date - Gregorian date
+     * @returns {Object} Ethiopian date object
+     */
+    fromGregorian(date) {
+        const jdn = this.dateToJdn(date);
+        const eth = this.jdnToEthiopian(jdn);
+
+        return {
+            year: eth.year,
+            month: eth.month,
+            day: eth.day,
+            monthName: this.MONTH_NAMES[eth.month - 1],
+            dayOfYear: (eth.month - 1) * 30 + eth.day,
+            weekday: this.mod(jdn + 1, 7),
+            weekdayName: this.WEEKDAY_NAMES[this.mod(jdn + 1, 7)]
+        };
+    },
+
+    /**
+     * Convert an Ethiopian date to a Gregorian Date
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Month number (1-13)
+     * @param {number} day - Day of month
+     * @returns {Date}
+     */
+    toGregorian(year, month, day) {
+        if (!this.isValidDate(year, month, day)) {
+            throw new RangeError(`Invalid Ethiopian date: ${year}-${month}-${day}`);
+        }
+        return this.jdnToDate(this.ethiopianToJdn(year, month, day));
+    },
+
+    /**
+     * Validate an Ethiopian date
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Month number (1-13)
+     * @param {number} day - Day of month
+     * @returns {boolean}
+     */
+    isValidDate(year, month, day) {
+        return Number.isInteger(year) && Number.isInteger(month) && Number.isInteger(day) &&
+            month >= 1 && month <= 13 &&
+            day >= 1 && day <= this.getDaysInMonth(year, month);
+    },
+
+    /**
+     * Get the Gregorian date of Enkutatash (Meskerem 1)
+     * @param {number} year - Ethiopian year
+     * @returns {Date}
+     */
+    getNewYear(year) {
+        return this.toGregorian(year, 1, 1);
+    },
+
+    /**
+     * Step forwards or backwards through Ethiopian months
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Month number (1-13)
+     * @param {number} delta - Number of months to move (may be negative)
+     * @returns {Object} { year, month }
+     */
+    addMonths(year, month, delta) {
+        const index = (month - 1) + delta;
+        return {
+            year: year + Math.floor(index / 13),
+            month: this.mod(index, 13) + 1
+        };
+    },
+
+    /**
+     * Get Ethiopian month name
+     * @param {number} month - Month number (1-13)
+     * @returns {string}
+     */
+    getMonthName(month) {
+        return this.MONTH_NAMES[month - 1];
+    },
+
+    /**
+     * Get Ethiopian weekday name for a Date
+     * @param {Date} date - Gregorian date
+     * @returns {string}
+     */
+    getWeekdayName(date) {
+        return this.WEEKDAY_NAMES[date.getDay()];
+    },
+
+    /**
+     * Format an Ethiopian date object for display
+     * @param {Object} ethiopianDate - Result of fromGregorian()
+     * @returns {string} e.g. "Meskerem 1, 2017"
+     */
+    format(ethiopianDate) {
+        return `${ethiopianDate.monthName} ${ethiopianDate.day}, ${ethiopianDate.year}`;
+    },
+
+    /**
+     * Modulo that is always non-negative
+     * @param {number} a - Dividend
+     * @param {number} n - Divisor
+     * @returns {number}
+     */
+    mod(a, n) {
+        return ((a % n) + n) % n;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EthiopianCalendar;
+}
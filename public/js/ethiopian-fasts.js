@@ -0,0 +1,104 @@
+/**
+ * Ethiopian Orthodox Fasting Calendar for Bible Reading Planner
+ * Tags each day with the fast the church observes on it
+ */
+
+const EthiopianFasts = {
+    // Fasts in priority order; the first match wins
+    FASTS: [
+        {
+            key: 'abiy-tsom',
+            name: 'Abiy Tsom',
+            description: 'The Great Lent (Hudade), 55 days before Fasika'
+        },
+        {
+            key: 'tsome-nenewe',
+            name: 'Tsome Nenewe',
+            description: 'The three-day Fast of Nineveh'
+        },
+        {
+            key: 'tsome-hawaryat',
+            name: 'Tsome Hawaryat',
+            description: 'The Fast of the Apostles, from after Paraclete until Hamle 5'
+        },
+        {
+            key: 'tsome-filseta',
+            name: 'Tsome Filseta',
+            description: 'The Fast of the Assumption of Mary, Nehase 1-15'
+        },
+        {
+            key: 'tsome-nebiyat',
+            name: 'Tsome Nebiyat',
+            description: 'The Fast of the Prophets, from Hidar 15 to the eve of Gena'
+        },
+        {
+            key: 'gahad',
+            name: 'Gahad',
+            description: 'The Eve of Timkat'
+        },
+        {
+            key: 'wednesday-friday',
+            name: 'Tsome Dihnet',
+            description: 'The weekly Wednesday and Friday fast'
+        }
+    ],
+
+    /**
+     * Get the fast observed on a date
+     * @param {Date} date - Gregorian date
+     * @param {Object} ethiopianDate - { year, monthIndex, day } from ReadingPlansManager.gregorianToEthiopian
+     * @returns {Object|null} { key, name, description, dayOfFast } or null
+     */
+    getFastForDate(date, ethiopianDate) {
+        const jdn = EthiopianCalendar.dateToJdn(date);
+        const cycle = EthiopianFeasts.computePaschalCycle(ethiopianDate.year);
+        // Days since the Monday of Nineveh; Fasika is day 69, Paraclete day 118
+        const sinceNineveh = jdn - cycle.ninevehJdn;
+        const month = ethiopianDate.monthIndex;
+        const day = ethiopianDate.day;
+        const genaDay = EthiopianFeasts.getGenaDay(ethiopianDate.year);
+
+        const match = (key, start) => ({
+            ...this.FASTS.find(fast => fast.key === key),
+            dayOfFast: jdn - start + 1
+        });
+
+        if (sinceNineveh >= 14 && sinceNineveh <= 68) {
+            return match('abiy-tsom', cycle.ninevehJdn + 14);
+        }
+        if (sinceNineveh >= 0 && sinceNineveh <= 2) {
+            return match('tsome-nenewe', cycle.ninevehJdn);
+        }
+
+        const hamle5 = EthiopianCalendar.ethiopianToJdn(ethiopianDate.year, 11, 5);
+        if (sinceNineveh >= 119 && jdn < hamle5) {
+            return match('tsome-hawaryat', cycle.ninevehJdn + 119);
+        }
+        if (month === 12 && day <= 15) {
+            return match('tsome-filseta', EthiopianCalendar.ethiopianToJdn(ethiopianDate.year, 12, 1));
+        }
+        // The Nativity fast runs up to the eve of Gena
+        if ((month === 3 && day >= 15) || (month === 4 && day < genaDay)) {
+            return match('tsome-nebiyat', EthiopianCalendar.ethiopianToJdn(ethiopianDate.year, 3, 15));
+        }
+        if (month === 5 && day === 10) {
+            return match('gahad', jdn);
+        }
+
+        // Wednesdays and Fridays, except during the fifty days after Fasika
+        // and when Gena or Timkat falls on them
+        const weekday = date.getDay();
+        const isFeastDay = (month === 4 && day === genaDay) || (month === 5 && day === 11);
+        const isEasterSeason = sinceNineveh >= 69 && sinceNineveh <= 118;
+        if ((weekday === 3 || weekday === 5) && !isFeastDay && !isEasterSeason) {
+            return match('wednesday-friday', jdn);
+        }
+
+        return null;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EthiopianFasts;
+}
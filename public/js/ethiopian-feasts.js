@@ -0,0 +1,144 @@
+/**
+ * Ethiopian Orthodox Feast Engine for Bible Reading Planner
+ * Computes the movable feasts of the paschal cycle using Bahire Hasab
+ */
+
+const EthiopianFeasts = {
+    // Years between creation (Amete Alem) and the incarnation (Amete Mihret)
+    AMETE_ALEM_OFFSET: 5500,
+
+    // Days to add to Beale Metqi to reach the Monday of Nineveh,
+    // indexed by the weekday of Beale Metqi (0 = Sunday)
+    TEWSAK: [7, 6, 5, 4, 3, 2, 8],
+
+    // Movable feasts as day offsets from the start of Tsome Nenewe (a Monday)
+    MOVABLE_FEASTS: [
+        { key: 'tsome-nenewe', name: 'Tsome Nenewe (Fast of Nineveh) begins', offset: 0 },
+        { key: 'abiy-tsom', name: 'Abiy Tsom (Great Lent) begins', offset: 14 },
+        { key: 'debre-zeit', name: 'Debre Zeit (Mount of Olives)', offset: 41 },
+        { key: 'hosanna', name: 'Hosanna (Palm Sunday)', offset: 62 },
+        { key: 'tselote-hamus', name: 'Tselote Hamus (Maundy Thursday)', offset: 66 },
+        { key: 'siklet', name: 'Siklet (Good Friday)', offset: 67 },
+        { key: 'kidame-sur', name: 'Kidame Sur (Holy Saturday)', offset: 68 },
+        { key: 'fasika', name: 'Fasika (Easter)', offset: 69 },
+        { key: 'rikbe-kahnat', name: 'Rikbe Kahnat', offset: 93 },
+        { key: 'erget', name: 'Erget (Ascension)', offset: 108 },
+        { key: 'paraclete', name: 'Paraclete (Pentecost)', offset: 118 },
+        { key: 'tsome-hawaryat', name: 'Tsome Hawaryat (Apostles\' Fast) begins', offset: 119 }
+    ],
+
+    // Gena is kept on Tahsas 28 or 29 (see getGenaDay())
+    GENA: { key: 'gena', name: 'Gena (Christmas)' },
+
+    // Cache of computed cycles by Ethiopian year
+    cache: {},
+
+    /**
+     * Compute the Bahire Hasab paschal cycle for an Ethiopian year
+     * @param {number} year - Ethiopian year
+     * @returns {Object} Cycle values and the Julian Day Number of Nineveh
+     */
+    computePaschalCycle(year) {
+        if (this.cache[year]) return this.cache[year];
+
+        const ameteAlem = this.AMETE_ALEM_OFFSET + year;
+        const wenber = EthiopianCalendar.mod(ameteAlem - 1, 19);
+        const abekte = (wenber * 11) % 30;
+        let metqi = (wenber * 19) % 30;
+        if (metqi === 0) metqi = 30;
+
+        // Beale Metqi falls in Meskerem when Metqi is large, otherwise in Tikimt
+        const bealeMetqiMonth = metqi > 14 ? 1 : 2;
+        const bealeMetqiJdn = EthiopianCalendar.ethiopianToJdn(year, bealeMetqiMonth, metqi);
+        const bealeMetqiWeekday = EthiopianCalendar.mod(bealeMetqiJdn + 1, 7);
+        const tewsak = this.TEWSAK[bealeMetqiWeekday];
+
+        // Nineveh is four months after Beale Metqi, moved forward to a Monday
+        const ninevehJdn = bealeMetqiJdn + 120 + tewsak;
+
+        const cycle = {
+            year,
+            ameteAlem,
+            wenber,
+            abekte,
+            metqi,
+            bealeMetqi: EthiopianCalendar.jdnToEthiopian(bealeMetqiJdn),
+            tewsak,
+            ninevehJdn
+        };
+
+        this.cache[year] = cycle;
+        return cycle;
+    },
+
+    /**
+     * Get all movable feasts for an Ethiopian year
+     * @param {number} year - Ethiopian year
+     * @returns {Array} Array of { key, name, date, ethiopianDate }
+     */
+    getMovableFeasts(year) {
+        const cycle = this.computePaschalCycle(year);
+
+        return this.MOVABLE_FEASTS.map(feast => {
+            const jdn = cycle.ninevehJdn + feast.offset;
+            return {
+                key: feast.key,
+                name: feast.name,
+                date: EthiopianCalendar.jdnToDate(jdn),
+                ethiopianDate: EthiopianCalendar.jdnToEthiopian(jdn)
+            };
+        });
+    },
+
+    /**
+     * Get the Gregorian date of a movable feast
+     * @param {string} key - Feast key (e.g. 'fasika')
+     * @param {number} year - Ethiopian year
+     * @returns {Date|null}
+     */
+    getFeastDate(key, year) {
+        const feast = this.MOVABLE_FEASTS.find(f => f.key === key);
+        if (!feast) return null;
+
+        const cycle = this.computePaschalCycle(year);
+        return EthiopianCalendar.jdnToDate(cycle.ninevehJdn + feast.offset);
+    },
+
+    /**
+     * Day of Tahsas that Gena (Christmas) falls on. Gena is kept on the
+     * Gregorian January 7, which is Tahsas 28 when the year before had a
+     * sixth day of Pagume, and Tahsas 29 otherwise.
+     * @param {number} year - Ethiopian year
+     * @returns {number} 28 or 29
+     */
+    getGenaDay(year) {
+        return EthiopianCalendar.isLeapYear(year - 1) ? 28 : 29;
+    },
+
+    /**
+     * Get movable feasts that fall on a Gregorian date, including Gena,
+     * whose day of Tahsas moves with the leap years
+     * @param {Date} date - Gregorian date
+     * @returns {Array} Array of { key, name }
+     */
+    getFeastsForDate(date) {
+        const jdn = EthiopianCalendar.dateToJdn(date);
+        const ethiopianDate = EthiopianCalendar.jdnToEthiopian(jdn);
+        const cycle = this.computePaschalCycle(ethiopianDate.year);
+        const offset = jdn - cycle.ninevehJdn;
+
+        const feasts = this.MOVABLE_FEASTS
+            .filter(feast => feast.offset === offset)
+            .map(feast => ({ key: feast.key, name: feast.name }));
+
+        if (ethiopianDate.month === 4 && ethiopianDate.day === this.getGenaDay(ethiopianDate.year)) {
+            feasts.push({ ...this.GENA });
+        }
+        return feasts;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EthiopianFeasts;
+}
@@ -0,0 +1,183 @@
+/**
+ * iCalendar Export for Bible Reading Planner
+ * Turns a reading plan into an .ics file (RFC 5545) with one all-day event
+ * per plan day, so the daily reading shows up in calendar apps.
+ *
+ * Each event's UID is derived from the plan and day, not the date, so
+ * importing the file again after the schedule changes updates the events
+ * that were imported before instead of adding copies.
+ */
+
+const IcsExport = {
+    PRODID: '-//Besorah Yeshua//Bible Reading Planner//EN',
+    UID_DOMAIN: 'besorah-yeshua',
+
+    // Longest content line in octets, not counting the line break
+    MAX_LINE_OCTETS: 75,
+
+    /**
+     * Build the events of a plan. Dated plans count from their start date;
+     * the Ethiopian plan follows the Ethiopian year that contains `now`.
+     * @param {string} planKey - Plan key
+     * @param {Object} options - { remainingOnly: leave out days already read, now: Date }
+     * @returns {Array} Events { uid, date, summary, description }, in date order
+     */
+    collect(planKey, options = {}) {
+        const plan = ReadingPlansManager.plans[planKey];
+        if (!plan) {
+            throw new Error('Choose a reading plan');
+        }
+
+        const now = options.now || new Date();
+        const readings = planKey === 'ethiopian'
+            ? this.getEthiopianYear(now)
+            : plan.days
+                .map(reading => ({ reading, date: ReadingPlansManager.getDateForPlanDay(reading.day, planKey) }))
+                // Reschedules can put a day after later ones
+                .sort((a, b) => a.date - b.date);
+
+        const isRead = ({ reading, date }) => ReadingPlansManager.isDayRead(reading.day, planKey, this.getDateKey(date));
+
+        return readings
+            .filter(entry => !options.remainingOnly || !isRead(entry))
+            .map(({ reading, date }) => {
+                const feasts = ReadingPlansManager.getFeastsForDate(date, reading);
+                const description = [
+                    reading.theme ? `Theme: ${reading.theme}` : null,
+                    feasts.length > 0 ? `Feast: ${feasts.join(' • ')}` : null,
+                    reading.ethiopianDate || null
+                ].filter(Boolean).join('\n');
+
+                return {
+                    uid: planKey === 'ethiopian'
+                        ? `ethiopian-${EthiopianCalendar.fromGregorian(date).year}-day-${reading.day}@${this.UID_DOMAIN}`
+                        : `${planKey}-day-${reading.day}@${this.UID_DOMAIN}`,
+                    date,
+                    summary: `Day ${reading.day}: ${reading.reading}`,
+                    description
+                };
+            });
+    },
+
+    /**
+     * Readings of the Ethiopian plan for every day of an Ethiopian year
+     * @param {Date} date - Any date in the year
+     * @returns {Array} Array of { reading, date }
+     */
+    getEthiopianYear(date) {
+        const year = EthiopianCalendar.fromGregorian(date).year;
+        const readings = [];
+        const current = EthiopianCalendar.toGregorian(year, 1, 1);
+        for (let day = 0; day < EthiopianCalendar.getDaysInYear(year); day++) {
+            const reading = ReadingPlansManager.getEthiopianReadingForDate(current);
+            if (reading) {
+                readings.push({ reading, date: new Date(current) });
+            }
+            current.setDate(current.getDate() + 1);
+        }
+        return readings;
+    },
+
+    /**
+     * Render events as an iCalendar file
+     * @param {Array} events - From collect()
+     * @param {Object} options - { name: calendar name, now: Date for DTSTAMP }
+     * @returns {string} iCalendar text with CRLF line breaks
+     */
+    toIcs(events, options = {}) {
+        const stamp = (options.now || new Date()).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) {
+            lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+        }
+
+        events.forEach(event => {
+            const end = new Date(event.date);
+            end.setDate(end.getDate() + 1);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatDate(event.date)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(end)}`,
+                `SUMMARY:${this.escapeText(event.summary)}`
+            );
+            if (event.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            }
+            lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return `${lines.map(line => this.foldLine(line)).join('\r\n')}\r\n`;
+    },
+
+    /**
+     * Escape text for an iCalendar TEXT value
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a content line longer than 75 octets, without splitting a character
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldLine(line) {
+        const parts = [];
+        let part = '';
+        let octets = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines start with a space, which counts toward the limit
+            const limit = parts.length === 0 ? this.MAX_LINE_OCTETS : this.MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                parts.push(part);
+                part = '';
+                octets = 0;
+            }
+            part += char;
+            octets += size;
+        }
+        parts.push(part);
+        return parts.join('\r\n ');
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @returns {string} Date as YYYYMMDD
+     */
+    formatDate(date) {
+        return this.getDateKey(date).replace(/-/g, '');
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcsExport;
+}
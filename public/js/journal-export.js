@@ -0,0 +1,179 @@
+/**
+ * Journal Export for Bible Reading Planner
+ * Assembles a reading journal for one plan over a date range: each day's
+ * Gregorian and Ethiopian date, passage, theme, feasts, completion and
+ * note. It renders to Markdown, or to an HTML page laid out for printing
+ * (and saving as PDF from the browser's print dialog).
+ */
+
+const JournalExport = {
+    /**
+     * Assemble the journal of a plan
+     * @param {string} planKey - Plan key
+     * @param {Date} from - First date
+     * @param {Date} to - Last date
+     * @param {Object} options - { notesOnly: leave out days without a note }
+     * @returns {Object} Journal { planTitle, from, to, completed, readings, days }
+     */
+    collect(planKey, from, to, options = {}) {
+        const plan = ReadingPlansManager.plans[planKey];
+        if (!plan) {
+            throw new Error('Choose a reading plan');
+        }
+        if (isNaN(from) || isNaN(to)) {
+            throw new Error('Choose a start and end date');
+        }
+        if (from > to) {
+            throw new Error('The start date must come before the end date');
+        }
+
+        // A plan that was never started has no readings on any date yet
+        const started = planKey === 'ethiopian' || Boolean(StorageManager.getPlanStartDate(planKey));
+        const days = [];
+        const date = new Date(from);
+        date.setHours(0, 0, 0, 0);
+        while (date <= to) {
+            const dateKey = this.getDateKey(date);
+            const reading = started ? ReadingPlansManager.getReadingForPlanDate(date, planKey) : null;
+            const note = StorageManager.getStudyNotes(dateKey);
+
+            if ((reading || note.trim() !== '') && (!options.notesOnly || note.trim() !== '')) {
+                days.push({
+                    dateKey,
+                    gregorian: date.toLocaleDateString('en-US', {
+                        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+                    }),
+                    ethiopian: EthiopianCalendar.format(EthiopianCalendar.fromGregorian(date)),
+                    day: reading ? reading.day : null,
+                    reading: reading ? reading.reading : null,
+                    theme: (reading && reading.theme) || null,
+                    feasts: ReadingPlansManager.getFeastsForDate(date, reading),
+                    complete: reading ? ReadingPlansManager.isDayRead(reading.day, planKey, dateKey) : false,
+                    note
+                });
+            }
+            date.setDate(date.getDate() + 1);
+        }
+
+        const withReading = days.filter(day => day.reading);
+        return {
+            planTitle: plan.title,
+            from: this.getDateKey(from),
+            to: this.getDateKey(to),
+            completed: withReading.filter(day => day.complete).length,
+            readings: withReading.length,
+            days
+        };
+    },
+
+    /**
+     * Render a journal as Markdown
+     * @param {Object} journal - From collect()
+     * @returns {string} Markdown text
+     */
+    toMarkdown(journal) {
+        const lines = [
+            `# Reading Journal: ${journal.planTitle}`,
+            '',
+            `${journal.from} to ${journal.to} · ${this.describeProgress(journal)}`
+        ];
+
+        journal.days.forEach(day => {
+            lines.push('', `## ${day.gregorian}`, '', `*${day.ethiopian}*`, '');
+            if (day.reading) {
+                lines.push(`**Day ${day.day}: ${day.reading}** ${day.complete ? '✓ Completed' : '☐ Not completed'}`);
+            }
+            if (day.theme) lines.push(`Theme: ${day.theme}`);
+            if (day.feasts.length > 0) lines.push(`Feast: ${day.feasts.join(' • ')}`);
+            if (day.note.trim() !== '') {
+                lines.push('', this.demoteHeadings(day.note.trim()));
+            }
+        });
+
+        return `${lines.join('\n')}\n`;
+    },
+
+    /**
+     * Render a journal as a standalone HTML page for printing
+     * @param {Object} journal - From collect()
+     * @returns {string} HTML document
+     */
+    toHtml(journal) {
+        const escape = text => MarkdownNotes.escapeHtml(text);
+        const title = `Reading Journal: ${journal.planTitle}`;
+
+        const days = journal.days.map(day => `
+    <section class="day">
+        <h2>${escape(day.gregorian)}</h2>
+        <p class="meta">${escape(day.ethiopian)}</p>
+        ${day.reading ? `<p class="reading"><strong>Day ${day.day}: ${escape(day.reading)}</strong>
+            <span class="${day.complete ? 'complete' : 'incomplete'}">${day.complete ? '✓ Completed' : '☐ Not completed'}</span></p>` : ''}
+        ${day.theme ? `<p class="meta">Theme: ${escape(day.theme)}</p>` : ''}
+        ${day.feasts.length > 0 ? `<p class="meta">Feast: ${escape(day.feasts.join(' • '))}</p>` : ''}
+        ${day.note.trim() !== '' ? `<div class="note">${MarkdownNotes.render(this.demoteHeadings(day.note))}</div>` : ''}
+    </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(title)}</title>
+    <style>
+        body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem; font-family: Georgia, serif; line-height: 1.5; color: #222; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { margin: 0; font-size: 1.15rem; }
+        .summary, .meta { color: #555; margin: 0.25rem 0; }
+        .day { padding-top: 0.75rem; margin-top: 1rem; border-top: 1px solid #ccc; break-inside: avoid-page; }
+        .reading { margin: 0.5rem 0 0.25rem; }
+        .complete { color: #28a745; }
+        .incomplete { color: #777; }
+        .note { margin-top: 0.5rem; padding-left: 0.75rem; border-left: 3px solid #ddd; }
+        .note blockquote { margin-left: 0; padding-left: 0.75rem; border-left: 3px solid #eee; color: #555; }
+        @page { margin: 2cm; }
+        @media print {
+            body { max-width: none; margin: 0; padding: 0; }
+            a { color: inherit; text-decoration: none; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <p class="summary">${escape(`${journal.from} to ${journal.to} · ${this.describeProgress(journal)}`)}</p>${days}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * @param {Object} journal - From collect()
+     * @returns {string} e.g. "12 of 30 readings completed"
+     */
+    describeProgress(journal) {
+        return `${journal.completed} of ${journal.readings} reading${journal.readings === 1 ? '' : 's'} completed`;
+    },
+
+    /**
+     * Move a note's headings below the journal's own day headings
+     * @param {string} text - Note text
+     * @returns {string} Note text with "#" headings starting at level 3
+     */
+    demoteHeadings(text) {
+        return text.replace(/^(#{1,6})(?=\s)/gm, hashes => '#'.repeat(Math.min(hashes.length + 2, 6)));
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JournalExport;
+}
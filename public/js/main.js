@@ -4,10 +4,14 @@
  */
 
 const BesorahApp = {
-    version: '1.0.0',
+    version: '1.1.0',
     isInitialized: false,
     currentPage: null,
 
+    // Encrypted notes lock after this long without activity
+    NOTE_LOCK_MINUTES: 10,
+    noteLockTimeout: null,
+
     /**
      * Initialize the application
      */
@@ -18,8 +22,14 @@ const BesorahApp = {
             // Detect current page
             this.detectCurrentPage();
 
+            // A newer version opened in another tab takes over the database
+            StorageAdapters.indexedDB.onclose = () => {
+                this.showNotification('Besorah Yeshua was updated in another tab. Refresh to keep saving.', 'warning', 0,
+                    { label: 'Refresh', onClick: () => window.location.reload() });
+            };
+
             // Initialize storage
-            StorageManager.init();
+            await StorageManager.init();
 
             // Load reading plans if on planner page
             if (this.currentPage === 'planner') {
@@ -38,11 +48,14 @@ const BesorahApp = {
             // Check for updates
             this.checkForUpdates();
 
+            // Catch up with other devices
+            this.syncInBackground();
+
             this.isInitialized = true;
             console.log(`Besorah Yeshua v${this.version} initialized successfully`);
         } catch (error) {
             console.error('Error initializing application:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
+            this.showError(error.blocked ? error.message : 'Failed to initialize application. Please refresh the page.');
         }
     },
 
@@ -98,6 +111,9 @@ const BesorahApp = {
         // Setup auto-save for notes
         this.setupAutoSaveNotes();
 
+        // Lock encrypted notes when the reader walks away
+        this.setupNoteLockTimer();
+
         // Setup export/import functionality
         this.setupDataManagement();
 
@@ -118,6 +134,7 @@ const BesorahApp = {
         // Handle online/offline status
         window.addEventListener('online', () => {
             this.showNotification('You are back online', 'success');
+            this.syncInBackground();
         });
 
         window.addEventListener('offline', () => {
@@ -126,6 +143,14 @@ const BesorahApp = {
 
         // Handle visibility change (tab switching)
         document.addEventListener('visibilitychange', () => {
+            // Long-lived tabs would otherwise only see new versions on navigation
+            if (!document.hidden && this.serviceWorkerRegistration) {
+                this.serviceWorkerRegistration.update().catch(() => {});
+            }
+
+            // Push changes when the tab is left, pull others' when it returns
+            this.syncInBackground();
+
             if (!document.hidden && this.currentPage === 'planner') {
                 // Refresh data when user returns to tab
                 if (typeof CalendarManager !== 'undefined') {
@@ -134,6 +159,13 @@ const BesorahApp = {
             }
         });
 
+        // Show what was saved in another open tab
+        StorageManager.onRemoteChange = () => {
+            if (this.currentPage === 'planner' && typeof CalendarManager !== 'undefined') {
+                CalendarManager.refreshSchedule();
+            }
+        };
+
         // Handle before unload (warn if unsaved notes)
         window.addEventListener('beforeunload', (e) => {
             if (this.hasUnsavedChanges()) {
@@ -213,6 +245,26 @@ const BesorahApp = {
         });
     },
 
+    /**
+     * Lock unlocked notes after NOTE_LOCK_MINUTES without activity
+     */
+    setupNoteLockTimer() {
+        const restart = () => {
+            clearTimeout(this.noteLockTimeout);
+            this.noteLockTimeout = setTimeout(() => {
+                if (StorageManager.isNoteEncryptionOn() && !StorageManager.areNotesLocked()) {
+                    CalendarManager.lockNotes();
+                    this.showNotification(`Notes locked after ${this.NOTE_LOCK_MINUTES} minutes without activity`, 'info');
+                }
+            }, this.NOTE_LOCK_MINUTES * 60 * 1000);
+        };
+
+        ['keydown', 'pointerdown', 'scroll'].forEach(type => {
+            document.addEventListener(type, restart, { passive: true });
+        });
+        restart();
+    },
+
     /**
      * Setup data management (export/import)
      */
@@ -225,6 +277,14 @@ const BesorahApp = {
             });
         }
 
+        // Add sync button functionality
+        const syncBtn = document.getElementById('syncBtn');
+        if (syncBtn) {
+            syncBtn.addEventListener('click', () => {
+                this.openSyncSettings();
+            });
+        }
+
         // Add import button functionality
         const importBtn = document.getElementById('importDataBtn');
         if (importBtn) {
@@ -237,18 +297,12 @@ const BesorahApp = {
     /**
      * Export all user data
      */
-    exportData() {
+    async exportData() {
         try {
+            // Notes still being encrypted are included once stored
+            await StorageManager.flush();
             const data = StorageManager.exportData();
-            const blob = new Blob([data], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `besorah-backup-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadFile(data, `besorah-backup-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
 
             this.showNotification('Data exported successfully!', 'success');
         } catch (error) {
@@ -258,40 +312,268 @@ const BesorahApp = {
     },
 
     /**
-     * Import user data
+     * Save text as a file in the browser's downloads
+     * @param {string} content - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Import user data from a backup file, after previewing the changes
      */
     importData() {
         const input = document.createElement('input');
         input.type = 'file';
         input.accept = '.json';
 
-        input.addEventListener('change', (e) => {
+        input.addEventListener('change', async (e) => {
             const file = e.target.files[0];
             if (!file) return;
 
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const success = StorageManager.importData(event.target.result);
-                    if (success) {
-                        this.showNotification('Data imported successfully!', 'success');
-                        // Refresh the page to load new data
-                        setTimeout(() => {
-                            window.location.reload();
-                        }, 1000);
-                    } else {
-                        this.showError('Failed to import data. Invalid format.');
+            let backup;
+            try {
+                backup = Backup.parse(await file.text());
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+
+            this.showImportPreview(backup);
+        });
+
+        input.click();
+    },
+
+    /**
+     * Show what importing a backup would change and let the user choose
+     * between merging and replacing
+     * @param {Object} backup - Parsed backup (see Backup.parse)
+     */
+    showImportPreview(backup) {
+        const from = backup.exportedAt
+            ? `This backup was made on ${this.formatDate(backup.exportedAt)}.`
+            : 'This backup was made by an older version of the app.';
+
+        const modal = this.createModal({
+            title: 'Import Backup',
+            content: `
+                <div class="plan-builder">
+                    <p>${from}</p>
+                    <label class="builder-option">
+                        <input type="radio" name="importMode" value="merge" checked>
+                        Merge with the data on this device
+                    </label>
+                    <label class="builder-option">
+                        <input type="radio" name="importMode" value="replace">
+                        Replace everything on this device
+                    </label>
+                    <ul class="import-summary" id="importSummary"></ul>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel' },
+                {
+                    text: 'Import',
+                    primary: true,
+                    onClick: () => {
+                        this.applyImport({ ...backup, data }, getMode());
                     }
+                }
+            ]
+        });
+
+        // Custom plans that fail the plan schema are left out
+        const invalidPlans = Backup.checkCustomPlans(backup.data);
+        const data = Backup.withoutPlans(backup.data, invalidPlans.map(plan => plan.planKey));
+        const problems = invalidPlans.map(plan => `Custom plan "${plan.title}" won't be imported: ${plan.problems.join('; ')}`);
+
+        const getMode = () => modal.querySelector('input[name="importMode"]:checked').value;
+        const showSummary = () => {
+            const summary = Backup.summarize(StorageManager.getBackupData(), data, getMode());
+            const list = modal.querySelector('#importSummary');
+            list.innerHTML = '';
+            [...this.describeImportChanges(summary), ...problems].forEach(line => {
+                const item = document.createElement('li');
+                // Plan titles come from the file
+                item.textContent = line;
+                list.appendChild(item);
+            });
+        };
+
+        modal.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', showSummary);
+        });
+        showSummary();
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Describe an import summary in words
+     * @param {Object} summary - Result of Backup.summarize
+     * @returns {Array} Lines of text
+     */
+    describeImportChanges(summary) {
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const lines = [];
+
+        if (summary.readings.added) lines.push(`${count(summary.readings.added, 'completed reading')} added`);
+        if (summary.readings.removed) lines.push(`${count(summary.readings.removed, 'completed reading')} removed`);
+        if (summary.notes.added) lines.push(`${count(summary.notes.added, 'note')} added`);
+        if (summary.notes.updated) lines.push(`${count(summary.notes.updated, 'note')} updated`);
+        if (summary.notes.removed) lines.push(`${count(summary.notes.removed, 'note')} removed`);
+        if (summary.notes.kept) lines.push(`${count(summary.notes.kept, 'note')} kept because the copy here is newer`);
+        if (summary.plans.added) lines.push(`${count(summary.plans.added, 'custom plan')} added`);
+        if (summary.plans.removed) lines.push(`${count(summary.plans.removed, 'custom plan')} removed`);
+        if (summary.settingsChanged) lines.push('Settings will change');
+
+        return lines.length > 0 ? lines : ['Nothing will change'];
+    },
+
+    /**
+     * Import a backup and refresh the page's data in place
+     * @param {Object} backup - Parsed backup
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async applyImport(backup, mode) {
+        try {
+            const data = mode === 'replace'
+                ? backup.data
+                : Backup.merge(StorageManager.getBackupData(), backup.data);
+            await StorageManager.importData(data);
+
+            this.refreshPlannerData();
+            this.showNotification('Data imported successfully!', 'success');
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showError('Failed to import data');
+        }
+    },
+
+    /**
+     * Redraw the planner after its data changed underneath it
+     * (an imported backup or synced changes)
+     */
+    refreshPlannerData() {
+        if (this.currentPage !== 'planner') return;
+        ReadingPlansManager.reloadCustomPlans();
+        CalendarManager.refresh();
+    },
+
+    /**
+     * Sync with other devices if sync is set up. Failures are recorded
+     * in the sync settings rather than shown, since nothing asked for it.
+     */
+    async syncInBackground() {
+        if (typeof SyncManager === 'undefined' || !SyncManager.isEnabled()) return;
+
+        try {
+            const result = await SyncManager.sync();
+            if (result && result.received > 0) {
+                this.refreshPlannerData();
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+        }
+    },
+
+    /**
+     * Open the sync settings dialog
+     */
+    openSyncSettings() {
+        const state = SyncManager.getState();
+        const enabled = SyncManager.isEnabled();
+
+        let status = 'Sync is off. Use the same server address and sync code on each of your devices.';
+        if (enabled && state.lastError) {
+            status = `Last sync failed: ${state.lastError}`;
+        } else if (enabled && state.lastSyncedAt) {
+            status = `Last synced ${this.formatDate(state.lastSyncedAt)} at ${new Date(state.lastSyncedAt).toLocaleTimeString()}.`;
+        } else if (enabled) {
+            status = 'Not synced yet.';
+        }
+
+        const buttons = [{ text: 'Cancel' }];
+        if (enabled) {
+            buttons.push({
+                text: 'Turn Off',
+                onClick: () => {
+                    SyncManager.disable();
+                    this.showNotification('Sync turned off. Your data stays on this device.', 'info');
+                }
+            });
+        }
+        buttons.push({
+            text: 'Sync Now',
+            primary: true,
+            onClick: () => {
+                try {
+                    SyncManager.configure({
+                        endpoint: modal.querySelector('#syncEndpoint').value,
+                        space: modal.querySelector('#syncSpace').value,
+                        token: modal.querySelector('#syncToken').value
+                    });
                 } catch (error) {
-                    console.error('Import error:', error);
-                    this.showError('Failed to import data');
+                    this.showError(error.message);
+                    return false;
                 }
-            };
+                this.syncNow();
+                return true;
+            }
+        });
 
-            reader.readAsText(file);
+        const modal = this.createModal({
+            title: 'Sync Devices',
+            content: `
+                <div class="plan-builder">
+                    <p class="sync-status"></p>
+                    <label for="syncEndpoint">Sync server address</label>
+                    <input type="url" id="syncEndpoint" placeholder="https://sync.example.org">
+                    <label for="syncSpace">Sync code</label>
+                    <input type="text" id="syncSpace" autocomplete="off">
+                    <label for="syncToken">Access token (if the server needs one)</label>
+                    <input type="password" id="syncToken" autocomplete="off">
+                    <p><small>Completed readings, notes and settings are synced. Use a backup to copy custom plans.</small></p>
+                </div>
+            `,
+            buttons
         });
 
-        input.click();
+        // Set through the DOM so stored text is never parsed as HTML
+        modal.querySelector('.sync-status').textContent = status;
+        modal.querySelector('#syncEndpoint').value = state.endpoint || '';
+        modal.querySelector('#syncSpace').value = state.space || SyncManager.generateCode();
+        modal.querySelector('#syncToken').value = state.token || '';
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Sync at the user's request and report the result
+     */
+    async syncNow() {
+        try {
+            const result = await SyncManager.sync();
+            if (!result) {
+                this.showNotification('You are offline. Sync will run when you reconnect.', 'info');
+                return;
+            }
+            if (result.received > 0) {
+                this.refreshPlannerData();
+            }
+            this.showNotification(`Synced: ${result.received} change${result.received === 1 ? '' : 's'} received, ${result.sent} sent`, 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
     },
 
     /**
@@ -433,10 +715,10 @@ const BesorahApp = {
     },
 
     /**
-     * Check for updates (placeholder for future functionality)
+     * Register the service worker and offer a reload when a new version
+     * has been downloaded
      */
     async checkForUpdates() {
-        // This could check a version endpoint in the future
         const lastVersion = StorageManager.getPreference('appVersion');
         
         if (lastVersion && lastVersion !== this.version) {
@@ -445,6 +727,48 @@ const BesorahApp = {
         }
 
         StorageManager.setPreference('appVersion', this.version);
+
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            this.serviceWorkerRegistration = registration;
+
+            // A worker installed during an earlier visit may still be waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptForUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // With no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.promptForUpdate(worker);
+                    }
+                });
+            });
+
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading) return;
+                reloading = true;
+                window.location.reload();
+            });
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    },
+
+    /**
+     * Tell the user a new version is ready
+     * @param {ServiceWorker} worker - Installed worker waiting to take over
+     */
+    promptForUpdate(worker) {
+        this.showNotification('A new version is available.', 'info', 0, {
+            label: 'Reload',
+            onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+        });
     },
 
     /**
@@ -462,7 +786,8 @@ const BesorahApp = {
 
     /**
      * Create a modal dialog
-     * @param {Object} options - Modal options
+     * @param {Object} options - Modal options; a button's onClick can
+     *                           return false to keep the dialog open
      * @returns {HTMLElement}
      */
     createModal(options) {
@@ -495,7 +820,7 @@ const BesorahApp = {
                 button.className = `btn ${btn.primary ? 'btn-primary' : 'btn-secondary'}`;
                 button.textContent = btn.text;
                 button.addEventListener('click', () => {
-                    if (btn.onClick) btn.onClick();
+                    if (btn.onClick && btn.onClick() === false) return;
                     overlay.remove();
                 });
                 actions.appendChild(button);
@@ -530,9 +855,10 @@ const BesorahApp = {
      * Show notification message
      * @param {string} message - Notification message
      * @param {string} type - Type: 'success', 'error', 'info', 'warning'
-     * @param {number} duration - Duration in ms (default 3000)
+     * @param {number} duration - Duration in ms (default 3000, 0 to keep it open)
+     * @param {Object} action - Optional button: { label, onClick }
      */
-    showNotification(message, type = 'success', duration = 3000) {
+    showNotification(message, type = 'success', duration = 3000, action = null) {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         
@@ -559,16 +885,43 @@ const BesorahApp = {
         `;
         
         notification.textContent = message;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.style.cssText = `
+                margin-left: 1rem;
+                background: none;
+                border: 1px solid white;
+                border-radius: 4px;
+                color: inherit;
+                cursor: pointer;
+                padding: 0.25rem 0.75rem;
+            `;
+            button.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            });
+            notification.appendChild(button);
+        }
+
         document.body.appendChild(notification);
 
-        setTimeout(() => {
+        const dismiss = () => {
             notification.style.animation = 'slideOut 0.3s ease-out';
             setTimeout(() => {
                 if (notification.parentNode) {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, duration);
+        };
+
+        // A duration of 0 keeps the notification until its action is used
+        if (duration > 0) {
+            setTimeout(dismiss, duration);
+        }
     },
 
     /**
@@ -0,0 +1,187 @@
+/**
+ * Markdown Notes for Bible Reading Planner
+ * Renders study notes written in a small Markdown subset to safe HTML:
+ * headings, bullet and numbered lists, block quotes, rules, **bold**,
+ * *italic*, `code` and [links](https://...). Scripture references typed
+ * in a note ("John 3:16", "1 Cor 13") can be turned into verse links.
+ *
+ * All note text is escaped before any markup is added, so a note can
+ * never inject HTML of its own.
+ */
+
+const MarkdownNotes = {
+    // Book name followed by a chapter, optionally verses or a range:
+    // "John 3:16", "1 Cor 13:4-7", "II Kings 2", "Song of Songs 2:1", "Gen. 1-3"
+    REFERENCE_PATTERN: /((?:\b(?:[1-3]|I{1,3})\s?)?\b[A-Z][a-z]+(?:\s+of\s+[A-Z][a-z]+)?)\.?\s\d{1,3}(?::\d{1,3})?(?:\s?[-–]\s?\d{1,3}(?::\d{1,3})?)?(?![\d:])/g,
+
+    /**
+     * Render a note to HTML
+     * @param {string} text - Note text
+     * @param {Object} options - { linkReferences: turn scripture references into verse links }
+     * @returns {string} HTML
+     */
+    render(text, options = {}) {
+        const html = [];
+        let paragraph = [];
+        let quote = [];
+        let list = null;
+
+        const closeParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.map(line => this.renderInline(line, options)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const closeQuote = () => {
+            if (quote.length > 0) {
+                html.push(`<blockquote>${this.render(quote.join('\n'), options)}</blockquote>`);
+                quote = [];
+            }
+        };
+        const closeList = () => {
+            if (list) {
+                const items = list.items.map(item => `<li>${this.renderInline(item, options)}</li>`).join('');
+                html.push(`<${list.type}>${items}</${list.type}>`);
+                list = null;
+            }
+        };
+        const closeAll = () => {
+            closeParagraph();
+            closeQuote();
+            closeList();
+        };
+        const addItem = (type, item) => {
+            closeParagraph();
+            closeQuote();
+            if (list && list.type !== type) closeList();
+            if (!list) list = { type, items: [] };
+            list.items.push(item);
+        };
+
+        String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            let match;
+            if (line.trim() === '') {
+                closeAll();
+            } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+                closeAll();
+                const level = match[1].length;
+                html.push(`<h${level}>${this.renderInline(match[2], options)}</h${level}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                closeAll();
+                html.push('<hr>');
+            } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+                addItem('ul', match[1]);
+            } else if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+                addItem('ol', match[1]);
+            } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                closeParagraph();
+                closeList();
+                quote.push(match[1]);
+            } else if (list && /^\s+\S/.test(line)) {
+                // Indented line continues the last list item
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                closeQuote();
+                closeList();
+                paragraph.push(line);
+            }
+        });
+        closeAll();
+
+        return html.join('\n');
+    },
+
+    /**
+     * Render inline markup within one block
+     * @param {string} text - Text of the block
+     * @param {Object} options - See render()
+     * @returns {string} HTML
+     */
+    renderInline(text, options) {
+        // Code spans are kept exactly as written
+        return text.split(/(`[^`]+`)/).map((part, index) => (index % 2 === 1
+            ? `<code>${this.escapeHtml(part.slice(1, -1))}</code>`
+            : this.renderText(part, options)
+        )).join('');
+    },
+
+    /**
+     * Render emphasis, links and verse links in text outside code spans
+     * @param {string} text - Text
+     * @param {Object} options - See render()
+     * @returns {string} HTML
+     */
+    renderText(text, options) {
+        const html = this.escapeHtml(text).replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+            '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+        // Format only the text around links, so URLs stay intact
+        return html.split(/(<a\s[^>]*>.*?<\/a>)/).map((part, index) => {
+            if (index % 2 === 1) return part;
+
+            const formatted = part
+                .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, stars, underscores) =>
+                    `<strong>${stars || underscores}</strong>`)
+                .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?!\w)/g, '$1<em>$2</em>')
+                .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>');
+            if (!options.linkReferences) return formatted;
+
+            return formatted.split(/(<[^>]+>)/).map((piece, pieceIndex) => (pieceIndex % 2 === 1
+                ? piece
+                : this.linkReferences(piece)
+            )).join('');
+        }).join('');
+    },
+
+    /**
+     * Turn scripture references in escaped text into verse links
+     * @param {string} html - Escaped text without tags
+     * @returns {string} HTML
+     */
+    linkReferences(html) {
+        let result = '';
+        let last = 0;
+        this.findReferences(html).forEach(({ text, index }) => {
+            result += `${html.slice(last, index)}<a href="#" class="verse-link" data-reference="${text}">${text}</a>`;
+            last = index + text.length;
+        });
+        return result + html.slice(last);
+    },
+
+    /**
+     * Find scripture references in text. Only full book names and
+     * standard abbreviations count, so everyday words are not linked.
+     * @param {string} text - Note text
+     * @returns {Array} Array of { text, index, references } in order
+     */
+    findReferences(text) {
+        const found = [];
+        String(text || '').replace(this.REFERENCE_PATTERN, (match, book, index) => {
+            const references = BibleCanon.isBookName(book) ? ScriptureReferences.parse(match) : null;
+            if (references && references.length > 0) {
+                found.push({ text: match, index, references });
+            }
+            return match;
+        });
+        return found;
+    },
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownNotes;
+}
@@ -0,0 +1,141 @@
+/**
+ * Note Encryption for Bible Reading Planner
+ * Encrypts study notes with AES-GCM using a key derived from the reader's
+ * passphrase (PBKDF2-SHA256), through the browser's WebCrypto API.
+ *
+ * An encrypted note is stored as text, so backups, sync and merges handle
+ * it like any other note:
+ *   besorah-enc:v1:<salt>:<iv>:<ciphertext>   (base64 parts)
+ * Each note carries the salt its key was derived with, so it can be read
+ * on any device that knows the passphrase.
+ */
+
+const NoteCrypto = {
+    PREFIX: 'besorah-enc:v1:',
+
+    // PBKDF2 rounds for v1 notes (OWASP's recommendation for SHA-256)
+    ITERATIONS: 600000,
+
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    // Known text encrypted with the passphrase, to check it on unlock
+    CHECK_TEXT: 'besorah-yeshua',
+
+    /**
+     * Check whether note text is encrypted
+     * @param {string} text - Stored note text
+     * @returns {boolean}
+     */
+    isEncrypted(text) {
+        return typeof text === 'string' && text.startsWith(this.PREFIX);
+    },
+
+    /**
+     * @returns {string} New random salt (base64)
+     */
+    generateSalt() {
+        return this.toBase64(crypto.getRandomValues(new Uint8Array(this.SALT_BYTES)));
+    },
+
+    /**
+     * Prepare a passphrase for encrypting and decrypting. Keys are derived
+     * once per salt and cached.
+     * @param {string} passphrase - Reader's passphrase
+     * @param {string} salt - Salt for new encryptions (base64)
+     * @returns {Promise<Object>} Keyring { salt, key, keyFor(salt) }
+     */
+    async createKeyring(passphrase, salt = this.generateSalt()) {
+        if (typeof passphrase !== 'string' || passphrase === '') {
+            throw new Error('Enter your passphrase');
+        }
+
+        const keys = new Map();
+        const keyFor = saltText => {
+            if (!keys.has(saltText)) {
+                keys.set(saltText, this.deriveKey(passphrase, saltText));
+            }
+            return keys.get(saltText);
+        };
+
+        return { salt, key: await keyFor(salt), keyFor };
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Reader's passphrase
+     * @param {string} salt - Salt (base64)
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: this.ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt note text
+     * @param {string} text - Plain text
+     * @param {Object} keyring - From createKeyring
+     * @returns {Promise<string>} Encrypted note text
+     */
+    async encrypt(text, keyring) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, keyring.key, new TextEncoder().encode(text)
+        );
+        return `${this.PREFIX}${keyring.salt}:${this.toBase64(iv)}:${this.toBase64(new Uint8Array(data))}`;
+    },
+
+    /**
+     * Decrypt note text
+     * @param {string} text - Encrypted note text
+     * @param {Object} keyring - From createKeyring
+     * @returns {Promise<string>} Plain text
+     */
+    async decrypt(text, keyring) {
+        const parts = this.isEncrypted(text) ? text.slice(this.PREFIX.length).split(':') : [];
+        if (parts.length !== 3) {
+            throw new Error('This note is damaged and cannot be decrypted');
+        }
+
+        const [salt, iv, data] = parts;
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(iv) }, await keyring.keyFor(salt), this.fromBase64(data)
+            );
+            return new TextDecoder().decode(plain);
+        } catch (error) {
+            // AES-GCM cannot tell a wrong key from tampered data
+            throw new Error('Wrong passphrase');
+        }
+    },
+
+    /**
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    toBase64(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    },
+
+    /**
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteCrypto;
+}
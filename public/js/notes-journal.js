@@ -0,0 +1,110 @@
+/**
+ * Notes Journal for Bible Reading Planner
+ * Gathers every study note into a chronological journal with the reading
+ * each belongs to, and searches and filters it by text, #tags, book and plan.
+ */
+
+const NotesJournal = {
+    // "#tag" at the start of a word; "# Heading", "#1" and URL fragments are not tags
+    TAG_PATTERN: /(^|[\s([{,;])#(\p{L}[\p{L}\p{N}_-]*)/gu,
+
+    /**
+     * Find the #tags in a note
+     * @param {string} text - Note text
+     * @returns {Array} Distinct lowercase tags, in order of first use
+     */
+    extractTags(text) {
+        const tags = new Set();
+        String(text || '').replace(this.TAG_PATTERN, (match, before, tag) => {
+            tags.add(tag.toLowerCase());
+            return match;
+        });
+        return [...tags];
+    },
+
+    /**
+     * Build journal entries from notes
+     * @param {Map} notes - Note text keyed by date key
+     * @param {Function} findReading - Receives a date key, returns { plan, reading } or null
+     * @returns {Array} Entries { dateKey, text, tags, books, plan, reading }, oldest first
+     */
+    buildEntries(notes, findReading) {
+        return [...notes]
+            .filter(([, text]) => text.trim() !== '')
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([dateKey, text]) => {
+                const { plan = null, reading = null } = findReading(dateKey) || {};
+                return {
+                    dateKey,
+                    text,
+                    tags: this.extractTags(text),
+                    books: this.findBooks(text, reading),
+                    plan,
+                    reading
+                };
+            });
+    },
+
+    /**
+     * Books an entry is about: those of its reading and those its note refers to
+     * @param {string} text - Note text
+     * @param {Object} reading - Reading object, if any
+     * @returns {Array} Book names
+     */
+    findBooks(text, reading) {
+        const references = MarkdownNotes.findReferences(text).flatMap(found => found.references);
+        const books = ScriptureReferences.getBooks([...((reading && reading.references) || []), ...references]);
+        return books.sort((a, b) => BibleCanon.getBookIndex(a) - BibleCanon.getBookIndex(b));
+    },
+
+    /**
+     * Filter journal entries. Every search term must appear in the note
+     * or its reading; "quoted phrases" are matched as a whole.
+     * @param {Array} entries - From buildEntries
+     * @param {Object} filters - Any of { query, tag, book, plan }
+     * @returns {Array} Matching entries
+     */
+    filter(entries, { query = '', tag = '', book = '', plan = '' } = {}) {
+        const terms = (query.toLowerCase().match(/"[^"]+"|\S+/g) || [])
+            .map(term => term.replace(/^"|"$/g, ''));
+
+        return entries.filter(entry => {
+            if (tag && !entry.tags.includes(tag.toLowerCase())) return false;
+            if (book && !entry.books.includes(book)) return false;
+            if (plan && entry.plan !== plan) return false;
+            if (terms.length === 0) return true;
+
+            const reading = entry.reading || {};
+            const searchable = [entry.text, reading.reading, reading.theme, reading.feast]
+                .filter(Boolean).join('\n').toLowerCase();
+            return terms.every(term => searchable.includes(term));
+        });
+    },
+
+    /**
+     * Count how often each tag is used
+     * @param {Array} entries - Journal entries
+     * @returns {Array} Array of { tag, count }, most used first
+     */
+    getTags(entries) {
+        const counts = new Map();
+        entries.forEach(entry => entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    },
+
+    /**
+     * @param {Array} entries - Journal entries
+     * @returns {Array} Book names found in the entries, in canonical order
+     */
+    getBooks(entries) {
+        return [...new Set(entries.flatMap(entry => entry.books))]
+            .sort((a, b) => BibleCanon.getBookIndex(a) - BibleCanon.getBookIndex(b));
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotesJournal;
+}
@@ -0,0 +1,214 @@
+/**
+ * Plan Builder for Bible Reading Planner
+ * Generates custom schedule-format reading plans from chosen books
+ */
+
+const PlanBuilder = {
+    WEEKDAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    // Reading day presets offered in the builder
+    READING_DAY_PRESETS: {
+        everyday: [0, 1, 2, 3, 4, 5, 6],
+        weekdays: [1, 2, 3, 4, 5]
+    },
+
+    /**
+     * Generate a reading plan
+     * @param {Object} options - Builder options
+     * @param {string} options.title - Plan title
+     * @param {Array} options.books - Book names to read, in any order
+     * @param {string} options.lengthType - 'days' (total reading days) or 'chaptersPerDay'
+     * @param {number} options.length - Number of days or chapters per day
+     * @param {string} options.balanceBy - 'chapters' or 'verses'
+     * @param {Array} options.readingDays - Weekdays to read on (0 = Sunday)
+     * @returns {Object} Plan in the schedule format
+     */
+    generate(options) {
+        const title = (options.title || '').trim();
+        if (!title) {
+            throw new Error('Give your plan a name');
+        }
+
+        const books = this.sortBooks(options.books || []);
+        if (books.length === 0) {
+            throw new Error('Choose at least one book');
+        }
+
+        const readingDays = [...new Set(options.readingDays || [])].sort();
+        if (readingDays.length === 0) {
+            throw new Error('Choose at least one reading day');
+        }
+
+        const length = Number(options.length);
+        if (!Number.isInteger(length) || length < 1) {
+            throw new Error('Plan length must be a whole number');
+        }
+
+        const balanceBy = options.balanceBy === 'verses' ? 'verses' : 'chapters';
+        const chapters = this.listChapters(books, balanceBy);
+        const totalDays = options.lengthType === 'chaptersPerDay'
+            ? Math.ceil(chapters.length / length)
+            : length;
+
+        if (totalDays > chapters.length) {
+            throw new Error(`These books have ${chapters.length} chapters, so the plan can last at most ${chapters.length} days`);
+        }
+
+        const schedule = this.splitIntoDays(chapters, totalDays).map((group, index) => {
+            const references = this.toReferences(group);
+            return {
+                day: index + 1,
+                reading: ScriptureReferences.format(references),
+                theme: ScriptureReferences.getBooks(references).join(' & '),
+                chapters: group.length
+            };
+        });
+
+        return {
+            title,
+            description: this.describe(books, totalDays, readingDays),
+            totalDays,
+            totalChapters: chapters.length,
+            readingDays: readingDays.length < 7 ? readingDays : undefined,
+            custom: true,
+            builder: {
+                books: books.map(book => book.name),
+                lengthType: options.lengthType === 'chaptersPerDay' ? 'chaptersPerDay' : 'days',
+                length,
+                balanceBy,
+                readingDays
+            },
+            schedule
+        };
+    },
+
+    /**
+     * Look up book names and put them in canonical order
+     * @param {Array} names - Book names
+     * @returns {Array} Canon book objects
+     */
+    sortBooks(names) {
+        const books = new Set();
+        names.forEach(name => {
+            const book = BibleCanon.findBook(name);
+            if (!book) {
+                throw new Error(`Unknown book "${name}"`);
+            }
+            books.add(book);
+        });
+        return [...books].sort((a, b) => BibleCanon.getBookIndex(a.name) - BibleCanon.getBookIndex(b.name));
+    },
+
+    /**
+     * List every chapter of the books with its weight
+     * @param {Array} books - Canon book objects
+     * @param {string} balanceBy - 'chapters' or 'verses'
+     * @returns {Array} Array of { book, chapter, weight }
+     */
+    listChapters(books, balanceBy) {
+        const chapters = [];
+        books.forEach(book => {
+            for (let chapter = 1; chapter <= book.chapters; chapter++) {
+                chapters.push({
+                    book: book.name,
+                    chapter,
+                    weight: balanceBy === 'verses' ? BibleCanon.getVerseCount(book.name, chapter) : 1
+                });
+            }
+        });
+        return chapters;
+    },
+
+    /**
+     * Split chapters into consecutive days of roughly equal weight.
+     * Each day aims for an equal share of what is left, so a long chapter
+     * early on does not leave the last days short.
+     * @param {Array} chapters - Array of { book, chapter, weight }
+     * @param {number} totalDays - Number of days
+     * @returns {Array} Array of chapter groups, one per day
+     */
+    splitIntoDays(chapters, totalDays) {
+        const days = [];
+        let index = 0;
+        let remainingWeight = chapters.reduce((sum, ch) => sum + ch.weight, 0);
+
+        for (let day = 0; day < totalDays; day++) {
+            const daysLeft = totalDays - day;
+            const target = remainingWeight / daysLeft;
+            const group = [chapters[index]];
+            let weight = chapters[index].weight;
+            index++;
+
+            // Leave at least one chapter for each day still to come
+            while (chapters.length - index > daysLeft - 1) {
+                const next = chapters[index].weight;
+                if (daysLeft > 1 && Math.abs(weight + next - target) > Math.abs(weight - target)) break;
+                group.push(chapters[index]);
+                weight += next;
+                index++;
+            }
+
+            remainingWeight -= weight;
+            days.push(group);
+        }
+
+        return days;
+    },
+
+    /**
+     * Collapse a day's chapters into references
+     * @param {Array} group - Array of { book, chapter }
+     * @returns {Array} References
+     */
+    toReferences(group) {
+        const references = [];
+        group.forEach(({ book, chapter }) => {
+            const last = references[references.length - 1];
+            if (last && last.book === book && last.endChapter === chapter - 1) {
+                last.endChapter = chapter;
+            } else {
+                references.push({ book, startChapter: chapter, startVerse: null, endChapter: chapter, endVerse: null });
+            }
+        });
+        return references;
+    },
+
+    /**
+     * Describe a generated plan
+     * @param {Array} books - Canon book objects
+     * @param {number} totalDays - Number of reading days
+     * @param {Array} readingDays - Weekdays to read on
+     * @returns {string}
+     */
+    describe(books, totalDays, readingDays) {
+        const testaments = ['OT', 'NT'].filter(testament =>
+            BibleCanon.getBooksByTestament(testament).every(book => books.includes(book))
+        );
+
+        let scope;
+        if (testaments.length === 2) {
+            scope = 'the whole Bible';
+        } else if (testaments.length === 1 && books.length === BibleCanon.getBooksByTestament(testaments[0]).length) {
+            scope = testaments[0] === 'OT' ? 'the Old Testament' : 'the New Testament';
+        } else if (books.length === 1) {
+            scope = books[0].name;
+        } else {
+            scope = `${books.length} books from ${books[0].name} to ${books[books.length - 1].name}`;
+        }
+
+        let schedule = '';
+        if (readingDays.length < 7) {
+            const weekdays = readingDays.join() === this.READING_DAY_PRESETS.weekdays.join()
+                ? 'weekdays'
+                : readingDays.map(day => this.WEEKDAY_NAMES[day]).join(', ');
+            schedule = `, reading on ${weekdays}`;
+        }
+
+        return `Read ${scope} in ${totalDays} day${totalDays === 1 ? '' : 's'}${schedule}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanBuilder;
+}
@@ -0,0 +1,180 @@
+/**
+ * Plan Importer for Bible Reading Planner
+ * Reads reading plans from JSON or CSV files and URLs and checks them
+ * against the plan schema before they are saved
+ */
+
+const PlanImporter = {
+    // Most schema errors to list when rejecting a plan
+    MAX_REPORTED_ERRORS: 3,
+
+    /**
+     * Fetch and parse a plan from a URL
+     * @param {string} url - Plan URL (JSON or CSV)
+     * @returns {Promise<Object>} Validated plan
+     */
+    async fetchPlan(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not reach ${url}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Could not download the plan (HTTP ${response.status})`);
+        }
+
+        const fileName = new URL(url, location.href).pathname.split('/').pop() || url;
+        return this.importText(await response.text(), fileName, url);
+    },
+
+    /**
+     * Parse and validate plan text
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to pick the format and a default title
+     * @param {string} source - Where the plan came from (file name or URL)
+     * @returns {Object} Validated plan, marked as custom
+     */
+    importText(text, fileName, source = fileName) {
+        const plan = this.isCsv(text, fileName)
+            ? this.parseCsv(text, this.titleFromFileName(fileName))
+            : this.parseJson(text);
+
+        const errors = PlanSchema.validate(plan);
+        if (errors.length > 0) {
+            const listed = errors.slice(0, this.MAX_REPORTED_ERRORS)
+                .map(({ day, message }) => (day !== null ? `day ${day}: ${message}` : message));
+            const more = errors.length - listed.length;
+            throw new Error(`This plan has problems: ${listed.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`);
+        }
+
+        return { ...plan, custom: true, source };
+    },
+
+    /**
+     * Decide whether text is CSV rather than JSON
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @returns {boolean}
+     */
+    isCsv(text, fileName = '') {
+        if (/\.csv$/i.test(fileName)) return true;
+        if (/\.json$/i.test(fileName)) return false;
+        return !/^\s*[{[]/.test(text);
+    },
+
+    /**
+     * Parse a JSON plan
+     * @param {string} text - JSON text
+     * @returns {Object} Raw plan
+     */
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`This file is not valid JSON (${error.message})`);
+        }
+    },
+
+    /**
+     * Parse a CSV plan with a header row naming day, reading and theme
+     * columns (chapters and feast are optional)
+     * @param {string} text - CSV text
+     * @param {string} title - Plan title
+     * @returns {Object} Plan in the schedule format
+     */
+    parseCsv(text, title) {
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error('The CSV needs a header row and at least one day');
+        }
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const column = name => header.indexOf(name);
+        if (column('day') === -1 || column('reading') === -1) {
+            throw new Error('The CSV header must include "day" and "reading" columns');
+        }
+
+        const schedule = rows.slice(1).map(row => {
+            const cell = name => (column(name) !== -1 && row[column(name)] !== undefined ? row[column(name)].trim() : '');
+            const entry = {
+                day: Number(cell('day')),
+                reading: cell('reading')
+            };
+            if (cell('theme')) entry.theme = cell('theme');
+            if (cell('chapters')) entry.chapters = Number(cell('chapters'));
+            if (cell('feast')) entry.feast = cell('feast');
+            return entry;
+        });
+
+        return {
+            title,
+            description: `Imported plan with ${schedule.length} days`,
+            totalDays: schedule.length,
+            schedule
+        };
+    },
+
+    /**
+     * Split CSV text into rows of cells. Quoted cells may contain
+     * commas, line breaks and doubled quotes.
+     * @param {string} text - CSV text
+     * @returns {Array} Array of rows, each an array of cell strings
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Turn a file name into a plan title ("lent-2025.csv" -> "lent 2025")
+     * @param {string} fileName - File name
+     * @returns {string}
+     */
+    titleFromFileName(fileName) {
+        const title = String(fileName).replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+        return title || 'Imported Plan';
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanImporter;
+}
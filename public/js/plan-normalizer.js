@@ -0,0 +1,179 @@
+/**
+ * Plan Normalizer for Bible Reading Planner
+ * Turns every supported reading plan format into one internal representation
+ *
+ * Supported source formats:
+ *   schedule     - { schedule: [{ day, reading, theme, chapters }] }            (nt90)
+ *   months       - { months: [{ name, readings: [{ day, reading, ... }] }] }   (ethiopian)
+ *   monthlyPlans - { monthlyPlans: [{ month, focus, days: [{ day, ... }] }] } (ot365)
+ *
+ * Normalized plan:
+ *   {
+ *     ...plan metadata (title, description, totalDays, ...),
+ *     format: 'schedule' | 'months' | 'monthlyPlans',
+ *     days: [{ day, reading, theme, chapters, feast, month, monthDay, section }],
+ *     sections: [{ index, title, focus, startDay, endDay }]
+ *   }
+ */
+
+const PlanNormalizer = {
+    FORMATS: ['schedule', 'months', 'monthlyPlans'],
+
+    /**
+     * Detect which source format a plan uses
+     * @param {Object} plan - Raw plan object
+     * @returns {string|null} Format name or null if unsupported
+     */
+    detectFormat(plan) {
+        if (!plan || typeof plan !== 'object') return null;
+        return this.FORMATS.find(format => Array.isArray(plan[format])) || null;
+    },
+
+    /**
+     * Check whether a plan is already normalized
+     * @param {Object} plan - Plan object
+     * @returns {boolean}
+     */
+    isNormalized(plan) {
+        return Boolean(plan && Array.isArray(plan.days) && Array.isArray(plan.sections));
+    },
+
+    /**
+     * Normalize a plan
+     * @param {Object} plan - Raw plan object
+     * @returns {Object} Normalized plan
+     */
+    normalize(plan) {
+        if (this.isNormalized(plan)) return plan;
+
+        const format = this.detectFormat(plan);
+        if (!format) {
+            throw new Error('Unsupported reading plan format');
+        }
+
+        let result;
+        switch (format) {
+            case 'schedule':
+                result = this.normalizeSchedule(plan.schedule);
+                break;
+            case 'months':
+                result = this.normalizeMonths(plan.months);
+                break;
+            default:
+                result = this.normalizeMonthlyPlans(plan.monthlyPlans);
+        }
+        const { days, sections } = result;
+
+        // Keep metadata, drop the format-specific source array
+        const normalized = { ...plan };
+        delete normalized[format];
+
+        return {
+            ...normalized,
+            format,
+            days: days.sort((a, b) => a.day - b.day),
+            sections
+        };
+    },
+
+    /**
+     * Normalize the flat schedule format
+     * @param {Array} schedule - Schedule entries
+     * @returns {Object} { days, sections }
+     */
+    normalizeSchedule(schedule) {
+        return {
+            days: schedule.map(entry => this.normalizeEntry(entry, entry.day)),
+            sections: []
+        };
+    },
+
+    /**
+     * Normalize the calendar months format; days are numbered
+     * consecutively through the months and keep their month/day
+     * @param {Array} months - Month objects with readings
+     * @returns {Object} { days, sections }
+     */
+    normalizeMonths(months) {
+        const days = [];
+        const sections = [];
+        let day = 1;
+
+        months.forEach((month, index) => {
+            const startDay = day;
+            (month.readings || []).forEach(entry => {
+                days.push(this.normalizeEntry(entry, day, {
+                    month: month.name,
+                    monthDay: entry.day,
+                    section: index
+                }));
+                day++;
+            });
+
+            sections.push({
+                index,
+                title: month.name,
+                focus: month.note || month.feast || null,
+                startDay,
+                endDay: day - 1
+            });
+        });
+
+        return { days, sections };
+    },
+
+    /**
+     * Normalize the monthly plans format; days keep their own numbering
+     * and remember the monthly focus heading
+     * @param {Array} monthlyPlans - Monthly plan objects with days
+     * @returns {Object} { days, sections }
+     */
+    normalizeMonthlyPlans(monthlyPlans) {
+        const days = [];
+        const sections = [];
+
+        monthlyPlans.forEach((month, index) => {
+            const entries = month.days || [];
+            entries.forEach(entry => {
+                days.push(this.normalizeEntry(entry, entry.day, { section: index }));
+            });
+
+            const dayNumbers = entries.map(entry => entry.day);
+            sections.push({
+                index,
+                title: month.month,
+                focus: month.focus || null,
+                startDay: dayNumbers.length > 0 ? Math.min(...dayNumbers) : null,
+                endDay: dayNumbers.length > 0 ? Math.max(...dayNumbers) : null
+            });
+        });
+
+        return { days, sections };
+    },
+
+    /**
+     * Normalize a single reading entry
+     * @param {Object} entry - Raw entry
+     * @param {number} day - Plan day number
+     * @param {Object} extra - Extra fields (month, monthDay, section)
+     * @returns {Object} Normalized day
+     */
+    normalizeEntry(entry, day, extra = {}) {
+        return {
+            ...entry,
+            day,
+            reading: entry.reading,
+            theme: entry.theme || null,
+            chapters: entry.chapters || null,
+            feast: entry.feast || null,
+            month: extra.month || null,
+            monthDay: extra.monthDay || null,
+            section: extra.section !== undefined ? extra.section : null
+        };
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanNormalizer;
+}
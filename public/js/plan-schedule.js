@@ -0,0 +1,378 @@
+/**
+ * Plan Schedule for Bible Reading Planner
+ * Maps the days of a plan to dates. Day 1 falls on the first reading day
+ * on or after the start date and each day takes the next reading day.
+ * Reschedules are kept as a list of events that are replayed over that
+ * base schedule, so undoing one is just dropping it from the list.
+ *
+ * Three kinds of reschedule are supported:
+ * - shift: move every unread day from the first missed one forward, so
+ *   the rest of the plan starts again on a given date
+ * - spread: keep the plan where it is and read the missed days as extra
+ *   catch-up readings over the next few reading days
+ * - weekends: read the missed days as catch-up readings on Saturdays and
+ *   Sundays
+ *
+ * The same list records the plan's lifecycle. A "start" event sets the
+ * start date; only the events after the latest one are replayed, so the
+ * earlier ones remain as history. A "pause" moves everything from its
+ * date to the matching "resume", or to tomorrow while the plan is still
+ * paused.
+ */
+
+const PlanSchedule = {
+    STRATEGIES: {
+        shift: 'Shift the rest of the plan forward',
+        spread: 'Spread missed readings over the next days',
+        weekends: 'Catch up on weekends'
+    },
+
+    /**
+     * Work out the date of every day of a plan
+     * @param {Object} plan - Normalized plan
+     * @param {string} startKey - Date key (YYYY-MM-DD) of the start date, if no event sets one
+     * @param {Array} events - Schedule events, oldest first
+     * @param {string} todayKey - Date key of today, for a pause that has not ended
+     * @returns {Object} Schedule { dates: Map of day to { dateKey, catchUp }, byDate: Map of date key to [{ day, catchUp }] }
+     */
+    build(plan, startKey, events = [], todayKey = this.getDateKey(new Date())) {
+        const readingDays = this.getReadingDays(plan);
+        const chapters = new Map(plan.days.map(reading => [reading.day, reading.chapters || 1]));
+        const dates = new Map();
+        const start = this.getStartEvent(events);
+        const active = this.getActiveEvents(events);
+
+        let date = this.nextReadingDate(this.parseDateKey(start ? start.date : startKey), readingDays);
+        plan.days.forEach(reading => {
+            dates.set(reading.day, { dateKey: this.getDateKey(date), catchUp: false });
+            date = this.nextReadingDate(this.addDays(date, 1), readingDays);
+        });
+
+        active.forEach((event, index) => {
+            const days = (event.days || []).filter(day => dates.has(day));
+            if (event.type === 'shift') {
+                this.applyShift(dates, days, event.date, readingDays);
+            } else if (event.type === 'spread') {
+                this.applySpread(dates, days, event.date, event.over, readingDays, chapters);
+            } else if (event.type === 'weekends') {
+                this.applyWeekends(dates, days, event.date, event.perDay);
+            } else if (event.type === 'pause') {
+                const resume = active.slice(index + 1).find(next => next.type === 'resume');
+                const until = resume
+                    ? resume.date
+                    : this.getDateKey(this.addDays(this.parseDateKey(event.date > todayKey ? event.date : todayKey), 1));
+                this.applyPause(dates, event.date, until, readingDays);
+            }
+        });
+
+        const byDate = new Map();
+        dates.forEach((entry, day) => {
+            if (!byDate.has(entry.dateKey)) {
+                byDate.set(entry.dateKey, []);
+            }
+            byDate.get(entry.dateKey).push({ day, catchUp: entry.catchUp });
+        });
+        // Regular readings first, then catch-ups in plan order
+        byDate.forEach(entries => entries.sort((a, b) => (a.catchUp - b.catchUp) || (a.day - b.day)));
+
+        return { dates, byDate };
+    },
+
+    /**
+     * Give days consecutive reading days from a date, around the days that stay put
+     * @param {Map} dates - Day to { dateKey, catchUp }
+     * @param {Array} days - Days to move, in plan order
+     * @param {string} from - Date key of the first date to use
+     * @param {Array|null} readingDays - Weekdays with a reading, or null for every day
+     */
+    applyShift(dates, days, from, readingDays) {
+        const moving = new Set(days);
+        const taken = new Set();
+        dates.forEach((entry, day) => {
+            if (!moving.has(day) && !entry.catchUp) {
+                taken.add(entry.dateKey);
+            }
+        });
+
+        let date = this.parseDateKey(from);
+        days.forEach(day => {
+            date = this.nextReadingDate(date, readingDays);
+            while (taken.has(this.getDateKey(date))) {
+                date = this.nextReadingDate(this.addDays(date, 1), readingDays);
+            }
+            dates.set(day, { dateKey: this.getDateKey(date), catchUp: false });
+            date = this.addDays(date, 1);
+        });
+    },
+
+    /**
+     * Share days out as catch-ups over a number of reading days, balancing chapters
+     * @param {Map} dates - Day to { dateKey, catchUp }
+     * @param {Array} days - Days to catch up, in plan order
+     * @param {string} from - Date key of the first date to use
+     * @param {number} over - Number of reading days to use
+     * @param {Array|null} readingDays - Weekdays with a reading, or null for every day
+     * @param {Map} chapters - Day to chapter count
+     */
+    applySpread(dates, days, from, over, readingDays, chapters) {
+        const slots = Math.max(1, Math.min(over || 1, days.length));
+        const targets = [];
+        let date = this.parseDateKey(from);
+        for (let i = 0; i < slots; i++) {
+            date = this.nextReadingDate(date, readingDays);
+            targets.push(this.getDateKey(date));
+            date = this.addDays(date, 1);
+        }
+
+        const total = days.reduce((sum, day) => sum + chapters.get(day), 0);
+        let before = 0;
+        days.forEach(day => {
+            // A day goes to the slot its middle chapter falls in
+            const size = chapters.get(day);
+            const slot = Math.min(slots - 1, Math.floor(((before + size / 2) * slots) / total));
+            dates.set(day, { dateKey: targets[slot], catchUp: true });
+            before += size;
+        });
+    },
+
+    /**
+     * Give days out as catch-ups on Saturdays and Sundays
+     * @param {Map} dates - Day to { dateKey, catchUp }
+     * @param {Array} days - Days to catch up, in plan order
+     * @param {string} from - Date key of the first date to use
+     * @param {number} perDay - Catch-up readings per weekend day
+     */
+    applyWeekends(dates, days, from, perDay) {
+        const size = Math.max(1, perDay || 1);
+        let date = this.parseDateKey(from);
+        for (let i = 0; i < days.length; i += size) {
+            while (date.getDay() !== 0 && date.getDay() !== 6) {
+                date = this.addDays(date, 1);
+            }
+            days.slice(i, i + size).forEach(day => {
+                dates.set(day, { dateKey: this.getDateKey(date), catchUp: true });
+            });
+            date = this.addDays(date, 1);
+        }
+    },
+
+    /**
+     * Move everything from the start of a pause to its end. The readings
+     * keep their places among the reading days; catch-ups move by the
+     * length of the pause.
+     * @param {Map} dates - Day to { dateKey, catchUp }
+     * @param {string} from - Date key of the first paused date
+     * @param {string} until - Date key of the date reading resumes
+     * @param {Array|null} readingDays - Weekdays with a reading, or null for every day
+     */
+    applyPause(dates, from, until, readingDays) {
+        if (until <= from) return;
+
+        const span = Math.round((this.parseDateKey(until) - this.parseDateKey(from)) / (24 * 60 * 60 * 1000));
+        const regular = [];
+        dates.forEach((entry, day) => {
+            if (entry.dateKey < from) return;
+            if (entry.catchUp) {
+                dates.set(day, { dateKey: this.getDateKey(this.addDays(this.parseDateKey(entry.dateKey), span)), catchUp: true });
+            } else {
+                regular.push([day, entry.dateKey]);
+            }
+        });
+
+        // Walk the reading days after the pause began and after it ended side by side
+        let source = this.nextReadingDate(this.parseDateKey(from), readingDays);
+        let target = this.nextReadingDate(this.parseDateKey(until), readingDays);
+        regular.sort((a, b) => a[1].localeCompare(b[1])).forEach(([day, dateKey]) => {
+            while (this.getDateKey(source) < dateKey) {
+                source = this.nextReadingDate(this.addDays(source, 1), readingDays);
+                target = this.nextReadingDate(this.addDays(target, 1), readingDays);
+            }
+            dates.set(day, { dateKey: this.getDateKey(target), catchUp: false });
+        });
+    },
+
+    /**
+     * @param {Array} events - Schedule events, oldest first
+     * @returns {Object|null} The latest start event
+     */
+    getStartEvent(events) {
+        return [...events].reverse().find(event => event.type === 'start') || null;
+    },
+
+    /**
+     * @param {Array} events - Schedule events, oldest first
+     * @returns {Array} The events since the latest start, which shape the schedule
+     */
+    getActiveEvents(events) {
+        const start = this.getStartEvent(events);
+        return start ? events.slice(events.lastIndexOf(start) + 1) : events;
+    },
+
+    /**
+     * @param {Array} events - Schedule events, oldest first
+     * @returns {string|null} Date key the plan has been paused since, or null if it is running
+     */
+    getPausedSince(events) {
+        const last = [...this.getActiveEvents(events)].reverse()
+            .find(event => event.type === 'pause' || event.type === 'resume');
+        return last && last.type === 'pause' ? last.date : null;
+    },
+
+    /**
+     * @param {Array} events - Schedule events, oldest first
+     * @returns {number} Index of the most recent reschedule since the last start, or -1
+     */
+    getLastRescheduleIndex(events) {
+        const start = this.getStartEvent(events);
+        const first = start ? events.lastIndexOf(start) + 1 : 0;
+        for (let index = events.length - 1; index >= first; index--) {
+            if (this.isReschedule(events[index])) return index;
+        }
+        return -1;
+    },
+
+    /**
+     * @param {Object} event - Schedule event
+     * @returns {boolean} Whether the event is a reschedule rather than a start, pause or resume
+     */
+    isReschedule(event) {
+        return Object.prototype.hasOwnProperty.call(this.STRATEGIES, event.type);
+    },
+
+    /**
+     * Find the days scheduled before a date that have not been read.
+     * A day counts as read whichever date it was marked on.
+     * @param {Object} schedule - From build()
+     * @param {Set} readDays - Days that have been read
+     * @param {string} todayKey - Date key of today
+     * @returns {Array} Missed days, in plan order
+     */
+    findMissed(schedule, readDays, todayKey) {
+        return [...schedule.dates.entries()]
+            .filter(([day, entry]) => entry.dateKey < todayKey && !readDays.has(day))
+            .map(([day]) => day)
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Create a reschedule event for the missed days of a schedule
+     * @param {string} type - One of STRATEGIES
+     * @param {Object} schedule - From build()
+     * @param {Set} readDays - Days that have been read
+     * @param {Object} options - { today: date key, over: days to spread over, perDay: catch-ups per weekend day }
+     * @returns {Object|null} Event, or null when nothing was missed
+     */
+    createEvent(type, schedule, readDays, options) {
+        if (!this.STRATEGIES[type]) {
+            throw new Error(`Unknown reschedule strategy: ${type}`);
+        }
+
+        const missed = this.findMissed(schedule, readDays, options.today);
+        if (missed.length === 0) return null;
+
+        const event = { type, date: options.today, at: new Date().toISOString() };
+        if (type === 'shift') {
+            event.days = [...schedule.dates.keys()]
+                .filter(day => day >= missed[0] && !readDays.has(day))
+                .sort((a, b) => a - b);
+        } else {
+            event.days = missed;
+        }
+
+        if (type === 'spread') {
+            const over = parseInt(options.over, 10);
+            if (!(over >= 1)) {
+                throw new Error('Choose how many days to spread the readings over');
+            }
+            event.over = over;
+        } else if (type === 'weekends') {
+            const perDay = parseInt(options.perDay, 10);
+            if (!(perDay >= 1)) {
+                throw new Error('Choose how many readings to catch up each weekend day');
+            }
+            event.perDay = perDay;
+        }
+        return event;
+    },
+
+    /**
+     * @param {Object} event - Schedule event
+     * @returns {string} e.g. "Spread 3 readings over 5 days from 2026-01-10"
+     */
+    describe(event) {
+        if (event.type === 'start') return `Started on ${event.date}`;
+        if (event.type === 'pause') return `Paused on ${event.date}`;
+        if (event.type === 'resume') return `Resumed on ${event.date}`;
+
+        const count = event.days.length;
+        const readings = `${count} reading${count === 1 ? '' : 's'}`;
+        if (event.type === 'shift') {
+            return `Moved ${readings} to start ${event.date}`;
+        }
+        if (event.type === 'spread') {
+            return `Spread ${readings} over ${event.over} day${event.over === 1 ? '' : 's'} from ${event.date}`;
+        }
+        return `Catching up ${readings} on weekends from ${event.date}`;
+    },
+
+    /**
+     * @param {Object} plan - Normalized plan
+     * @returns {Array|null} Weekdays with a reading (0 = Sunday), or null for every day.
+     *   Anything but the weekday numbers 0-6 is ignored.
+     */
+    getReadingDays(plan) {
+        if (!Array.isArray(plan.readingDays)) return null;
+
+        const readingDays = [...new Set(plan.readingDays)].filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        return readingDays.length > 0 && readingDays.length < 7 ? readingDays : null;
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @param {Array|null} readingDays - Weekdays with a reading, or null for every day
+     * @returns {Date} The date, or the next reading day after it
+     */
+    nextReadingDate(date, readingDays) {
+        let next = date;
+        // A week always holds a reading day, unless the date is invalid
+        for (let step = 0; step < 7 && readingDays && !readingDays.includes(next.getDay()); step++) {
+            next = this.addDays(next, 1);
+        }
+        return next;
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @param {number} count - Days to add
+     * @returns {Date} New date
+     */
+    addDays(date, count) {
+        // Work on the calendar date so daylight saving changes don't shift it
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + count);
+    },
+
+    /**
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date} Local midnight of that date
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanSchedule;
+}
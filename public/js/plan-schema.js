@@ -0,0 +1,231 @@
+/**
+ * Plan Schema for Bible Reading Planner
+ * Checks reading plan data before it is used or shipped
+ */
+
+const PlanSchema = {
+    /**
+     * Validate a raw reading plan
+     * @param {Object} plan - Raw plan object (any supported format)
+     * @returns {Array} Array of { day, message } errors; empty when valid
+     */
+    validate(plan) {
+        const errors = [];
+        const error = (message, day = null) => errors.push({ day, message });
+
+        if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+            error('Plan must be a JSON object');
+            return errors;
+        }
+
+        this.checkString(plan, 'title', error, true);
+        this.checkString(plan, 'description', error, false);
+        ['totalDays', 'totalChapters'].forEach(field => {
+            if (plan[field] !== undefined && !this.isPositiveInteger(plan[field])) {
+                error(`"${field}" must be a positive whole number`);
+            }
+        });
+        if (plan.readingDays !== undefined && !this.isWeekdayList(plan.readingDays)) {
+            error('"readingDays" must list different weekdays as numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+
+        const formats = PlanNormalizer.FORMATS.filter(format => plan[format] !== undefined);
+        if (formats.length !== 1) {
+            error(formats.length === 0
+                ? `Plan needs one of ${PlanNormalizer.FORMATS.map(f => `"${f}"`).join(', ')}`
+                : `Plan has more than one day list: ${formats.join(', ')}`);
+            return errors;
+        }
+
+        const format = formats[0];
+        if (!Array.isArray(plan[format]) || plan[format].length === 0) {
+            error(`"${format}" must be a non-empty array`);
+            return errors;
+        }
+
+        const entries = this.collectEntries(plan, format, error);
+        entries.forEach(entry => this.checkEntry(entry, error));
+
+        if (format !== 'months') {
+            this.checkNumbering(entries, error);
+        }
+        this.checkTotals(plan, entries, error);
+
+        return errors;
+    },
+
+    /**
+     * Gather day entries from a plan, checking the containers they sit in
+     * @param {Object} plan - Raw plan object
+     * @param {string} format - Plan format
+     * @param {Function} error - Error reporter
+     * @returns {Array} Array of { entry, day } where day is the plan day number
+     */
+    collectEntries(plan, format, error) {
+        if (format === 'schedule') {
+            return plan.schedule.map(entry => ({ entry, day: entry && entry.day }));
+        }
+
+        const entries = [];
+        const listKey = format === 'months' ? 'readings' : 'days';
+        const nameKey = format === 'months' ? 'name' : 'month';
+        let planDay = 1;
+
+        plan[format].forEach((group, index) => {
+            if (!group || typeof group !== 'object') {
+                error(`${format}[${index}] must be an object`);
+                return;
+            }
+            const label = typeof group[nameKey] === 'string' ? group[nameKey] : `${format}[${index}]`;
+            this.checkString(group, nameKey, message => error(`${label}: ${message}`), true);
+
+            if (!Array.isArray(group[listKey])) {
+                error(`${label}: "${listKey}" must be an array`);
+                return;
+            }
+
+            if (format === 'months') {
+                // Ethiopian months number their own days from 1
+                group[listKey].forEach((entry, i) => {
+                    if (entry && entry.day !== i + 1) {
+                        error(`${label}: expected day ${i + 1} but found ${entry.day}`, planDay);
+                    }
+                    entries.push({ entry, day: planDay++ });
+                });
+                if (group.days !== undefined && group.days !== group[listKey].length) {
+                    error(`${label}: "days" is ${group.days} but it has ${group[listKey].length} readings`);
+                }
+            } else {
+                group[listKey].forEach(entry => entries.push({ entry, day: entry && entry.day }));
+            }
+        });
+
+        return entries;
+    },
+
+    /**
+     * Validate a single day entry
+     * @param {Object} item - { entry, day }
+     * @param {Function} error - Error reporter
+     */
+    checkEntry({ entry, day }, error) {
+        if (!entry || typeof entry !== 'object') {
+            error('Day entry must be an object', day);
+            return;
+        }
+        if (!this.isPositiveInteger(entry.day)) {
+            error('"day" must be a positive whole number', day);
+        }
+        if (typeof entry.reading !== 'string' || entry.reading.trim() === '') {
+            error('"reading" is required', day);
+            return;
+        }
+        ['theme', 'feast'].forEach(field => {
+            if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+                error(`"${field}" must be text`, day);
+            }
+        });
+
+        const { references, errors } = ScriptureReferences.parseDetailed(entry.reading);
+        errors.forEach(message => error(message, day));
+
+        if (entry.chapters !== undefined) {
+            if (!this.isPositiveInteger(entry.chapters)) {
+                error('"chapters" must be a positive whole number', day);
+            } else if (errors.length === 0) {
+                const counted = ScriptureReferences.countChapters(references);
+                if (counted !== entry.chapters) {
+                    error(`"chapters" is ${entry.chapters} but "${entry.reading}" covers ${counted}`, day);
+                }
+            }
+        }
+    },
+
+    /**
+     * Check that day numbers run 1, 2, 3... without gaps or repeats
+     * @param {Array} entries - Array of { entry, day }
+     * @param {Function} error - Error reporter
+     */
+    checkNumbering(entries, error) {
+        const seen = new Set();
+        entries.forEach(({ day }) => {
+            if (!this.isPositiveInteger(day)) return;
+            if (seen.has(day)) {
+                error(`Day ${day} appears more than once`, day);
+            }
+            seen.add(day);
+        });
+
+        // Report each gap once rather than every day after it
+        const last = Math.max(0, ...seen);
+        for (let day = 1; day <= last; day++) {
+            if (seen.has(day)) continue;
+            let end = day;
+            while (end + 1 <= last && !seen.has(end + 1)) end++;
+            error(day === end ? `Day ${day} is missing` : `Days ${day}-${end} are missing`, day);
+            day = end;
+        }
+    },
+
+    /**
+     * Check totalDays and totalChapters against the entries
+     * @param {Object} plan - Raw plan object
+     * @param {Array} entries - Array of { entry, day }
+     * @param {Function} error - Error reporter
+     */
+    checkTotals(plan, entries, error) {
+        if (this.isPositiveInteger(plan.totalDays) && plan.totalDays !== entries.length) {
+            error(`"totalDays" is ${plan.totalDays} but the plan has ${entries.length} days`);
+        }
+
+        if (this.isPositiveInteger(plan.totalChapters)) {
+            const withChapters = entries.filter(({ entry }) => entry && this.isPositiveInteger(entry.chapters));
+            if (withChapters.length !== entries.length) {
+                error('"totalChapters" is set but not every day lists "chapters"');
+                return;
+            }
+            const sum = withChapters.reduce((total, { entry }) => total + entry.chapters, 0);
+            if (sum !== plan.totalChapters) {
+                error(`"totalChapters" is ${plan.totalChapters} but the days add up to ${sum}`);
+            }
+        }
+    },
+
+    /**
+     * Check that a field is a non-empty string
+     * @param {Object} obj - Object holding the field
+     * @param {string} field - Field name
+     * @param {Function} error - Error reporter
+     * @param {boolean} required - Whether the field must be present
+     */
+    checkString(obj, field, error, required) {
+        if (obj[field] === undefined) {
+            if (required) error(`"${field}" is required`);
+        } else if (typeof obj[field] !== 'string' || obj[field].trim() === '') {
+            error(`"${field}" must be non-empty text`);
+        }
+    },
+
+    /**
+     * @param {any} value - Value to check
+     * @returns {boolean} Whether it is a non-empty list of distinct weekday numbers (0 = Sunday)
+     */
+    isWeekdayList(value) {
+        return Array.isArray(value) && value.length > 0 &&
+            value.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+            new Set(value).size === value.length;
+    },
+
+    /**
+     * @param {any} value - Value to check
+     * @returns {boolean}
+     */
+    isPositiveInteger(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanSchema;
+}
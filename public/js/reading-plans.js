@@ -6,56 +6,155 @@
 const ReadingPlansManager = {
     plans: {},
     currentPlan: null,
+    // Plan key to the plan's cached schedule and what it was built from
+    schedules: new Map(),
 
     /**
      * Initialize and load all reading plans
      */
     async init() {
         await this.loadAllPlans();
+        this.loadCustomPlans();
         const savedPlan = StorageManager.getPreference('readingPlan', 'nt90');
         this.setCurrentPlan(savedPlan);
     },
 
+    // Built-in plans and their data files
+    PLAN_FILES: {
+        nt90: '/data/reading-plans/nt90.json',
+        ethiopian: '/data/reading-plans/ethiopian-calendar.json',
+        ot365: '/data/reading-plans/ot365.json'
+    },
+
     /**
      * Load all reading plans from data files
      */
     async loadAllPlans() {
-        try {
-            // Load NT90 plan
-            const nt90Response = await fetch('/data/reading-plans/nt90.json');
-            if (nt90Response.ok) {
-                this.plans.nt90 = await nt90Response.json();
+        // Load each plan on its own so one bad file doesn't hide the others
+        await Promise.all(Object.entries(this.PLAN_FILES).map(async ([planKey, url]) => {
+            try {
+                const response = await fetch(url);
+                if (response.ok) {
+                    this.addPlan(planKey, await response.json());
+                }
+            } catch (error) {
+                console.error(`Error loading reading plan ${planKey}:`, error);
             }
+        }));
+
+        // Fallback to embedded data if the NT90 plan could not be fetched
+        if (!this.plans.nt90) {
+            this.loadFallbackPlans();
+        }
+    },
 
-            // Load Ethiopian Calendar plan
-            const ethiopianResponse = await fetch('/data/reading-plans/ethiopian-calendar.json');
-            if (ethiopianResponse.ok) {
-                this.plans.ethiopian = await ethiopianResponse.json();
+    /**
+     * Load plans the user has built from storage
+     */
+    loadCustomPlans() {
+        Object.entries(StorageManager.getCustomPlans()).forEach(([planKey, plan]) => {
+            try {
+                this.addPlan(planKey, { ...plan, custom: true });
+            } catch (error) {
+                console.error(`Error loading custom plan ${planKey}:`, error);
             }
+        });
+    },
 
-            // Load OT365 plan
-            const ot365Response = await fetch('/data/reading-plans/ot365.json');
-            if (ot365Response.ok) {
-                this.plans.ot365 = await ot365Response.json();
+    /**
+     * Reload the user's plans from storage, e.g. after importing a backup,
+     * keeping the saved plan selected if it still exists
+     */
+    reloadCustomPlans() {
+        Object.keys(this.plans).forEach(planKey => {
+            if (this.plans[planKey].custom) {
+                delete this.plans[planKey];
             }
-        } catch (error) {
-            console.error('Error loading reading plans:', error);
-            // Fallback to embedded data if fetch fails
-            this.loadFallbackPlans();
+        });
+        this.loadCustomPlans();
+
+        const savedPlan = StorageManager.getPreference('readingPlan', StorageManager.DEFAULT_PLAN);
+        this.setCurrentPlan(this.plans[savedPlan] ? savedPlan : StorageManager.DEFAULT_PLAN);
+    },
+
+    /**
+     * Save a new custom plan and make it available
+     * @param {Object} plan - Plan in the schedule format
+     * @returns {string} Key of the new plan
+     */
+    addCustomPlan(plan) {
+        const planKey = StorageManager.generateCustomPlanKey();
+        this.addPlan(planKey, plan);
+        StorageManager.saveCustomPlan(planKey, plan);
+        return planKey;
+    },
+
+    /**
+     * Rename a custom plan
+     * @param {string} planKey - Plan key
+     * @param {string} title - New title
+     */
+    renameCustomPlan(planKey, title) {
+        const plan = this.plans[planKey];
+        if (!plan || !plan.custom) return;
+
+        plan.title = title;
+        StorageManager.renameCustomPlan(planKey, title);
+    },
+
+    /**
+     * Delete a custom plan, switching back to the default plan if it was selected
+     * @param {string} planKey - Plan key
+     */
+    deleteCustomPlan(planKey) {
+        const plan = this.plans[planKey];
+        if (!plan || !plan.custom) return;
+
+        delete this.plans[planKey];
+        StorageManager.deleteCustomPlan(planKey);
+
+        if (this.currentPlan === planKey) {
+            this.setCurrentPlan(StorageManager.DEFAULT_PLAN);
         }
     },
 
+    /**
+     * Register a plan, normalizing it to the internal representation
+     * @param {string} planKey - Plan key
+     * @param {Object} plan - Plan in any supported format
+     */
+    addPlan(planKey, plan) {
+        this.plans[planKey] = this.attachReferences(PlanNormalizer.normalize(plan));
+    },
+
+    /**
+     * Parse every reading in a normalized plan into structured references.
+     * Chapter counts come from the references when the reading parses.
+     * @param {Object} plan - Normalized plan
+     * @returns {Object} The same plan
+     */
+    attachReferences(plan) {
+        plan.days.forEach(day => {
+            const references = ScriptureReferences.parse(day.reading);
+            day.references = references || [];
+            if (references) {
+                day.chapters = ScriptureReferences.countChapters(references);
+            }
+        });
+        return plan;
+    },
+
     /**
      * Load fallback plans (embedded in code)
      */
     loadFallbackPlans() {
         // Simple fallback NT90 plan
-        this.plans.nt90 = {
+        this.addPlan('nt90', {
             title: "90-Day New Testament Challenge",
             description: "Read through the entire New Testament in 90 days",
             totalDays: 90,
             schedule: this.generateSimpleNT90()
-        };
+        });
     },
 
     /**
@@ -99,6 +198,7 @@ const ReadingPlansManager = {
         for (const book of books) {
             for (let ch = 1; ch <= book.chapters; ch++) {
                 if (!schedule[day - 1]) {
+                    currentChapter = ch;
                     schedule.push({
                         day: day,
                         reading: `${book.name} ${ch}`,
@@ -106,7 +206,7 @@ const ReadingPlansManager = {
                         chapters: 1
                     });
                 } else {
-                    schedule[day - 1].reading += `-${ch}`;
+                    schedule[day - 1].reading = `${book.name} ${currentChapter}-${ch}`;
                     schedule[day - 1].chapters++;
                 }
 
@@ -133,6 +233,16 @@ const ReadingPlansManager = {
         }
     },
 
+    /**
+     * Get the key of the plan whose readings a calendar view shows.
+     * The Ethiopian view always follows the Ethiopian calendar plan.
+     * @param {string} calendarType - 'gregorian' or 'ethiopian'
+     * @returns {string} Plan key
+     */
+    getActivePlanKey(calendarType = 'gregorian') {
+        return calendarType === 'ethiopian' ? 'ethiopian' : this.currentPlan;
+    },
+
     /**
      * Get the current reading plan
      * @returns {Object} Current plan object
@@ -144,50 +254,32 @@ const ReadingPlansManager = {
     /**
      * Get reading for a specific day
      * @param {number} day - Day number
+     * @param {string} planKey - Plan key (defaults to the current plan)
      * @returns {Object|null} Reading object
      */
-    getReadingForDay(day) {
-        const plan = this.getCurrentPlan();
+    getReadingForDay(day, planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
         if (!plan) return null;
 
-        if (plan.schedule) {
-            // Standard schedule format (nt90, ot365)
-            return plan.schedule.find(r => r.day === day);
-        } else if (plan.months) {
-            // Ethiopian calendar format
-            return this.getEthiopianReadingForDay(day);
-        }
+        // Days are sorted and usually contiguous, so try the direct index first
+        const reading = plan.days[day - 1];
+        if (reading && reading.day === day) return reading;
 
-        return null;
+        return plan.days.find(r => r.day === day) || null;
     },
 
     /**
-     * Get reading for Ethiopian calendar day
-     * @param {number} day - Day number
-     * @returns {Object|null} Reading object
+     * Get the section (monthly focus heading) a reading belongs to
+     * @param {Object} reading - Reading object
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} Section object
      */
-    getEthiopianReadingForDay(day) {
-        const plan = this.plans.ethiopian;
-        if (!plan || !plan.months) return null;
-
-        let currentDay = 1;
-        for (const month of plan.months) {
-            for (const reading of month.readings) {
-                if (currentDay === day) {
-                    return {
-                        day: currentDay,
-                        reading: reading.reading,
-                        theme: reading.theme,
-                        feast: reading.feast || null,
-                        month: month.name,
-                        monthDay: reading.day
-                    };
-                }
-                currentDay++;
-            }
+    getSectionForReading(reading, planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
+        if (!plan || !reading || reading.section === null || reading.section === undefined) {
+            return null;
         }
-
-        return null;
+        return plan.sections[reading.section] || null;
     },
 
     /**
@@ -200,23 +292,497 @@ const ReadingPlansManager = {
             return this.getEthiopianReadingForDate(date);
         }
 
-        // For Gregorian calendar, calculate day based on start date
-        const startDate = StorageManager.getPreference('planStartDate');
-        if (!startDate) {
-            // No start date set, use today as day 1
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            StorageManager.setPreference('planStartDate', today.toISOString());
-            
-            const dayDiff = Math.floor((date - today) / (1000 * 60 * 60 * 24));
-            return this.getReadingForDay(dayDiff + 1);
+        const day = this.getPlanDayForDate(date);
+        return day !== null ? this.getReadingForDay(day) : null;
+    },
+
+    /**
+     * Get a plan's reading for a specific date, whichever plan is current
+     * @param {Date} date - Date object
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} Reading object
+     */
+    getReadingForPlanDate(date, planKey = this.currentPlan) {
+        if (planKey === 'ethiopian') {
+            return this.getEthiopianReadingForDate(date);
         }
 
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-        const dayDiff = Math.floor((date - start) / (1000 * 60 * 60 * 24));
-        
-        return this.getReadingForDay(dayDiff + 1);
+        const day = this.getPlanDayForDate(date, planKey);
+        return day !== null ? this.getReadingForDay(day, planKey) : null;
+    },
+
+    /**
+     * Work out which plan day falls on a date, counting from the plan's
+     * start date. Plans with "readingDays" (weekdays, 0 = Sunday) only
+     * advance on those days and have no reading on the others.
+     * Pauses and reschedules move days to other dates; catch-up readings
+     * are left to getPlanDaysForDate. A plan that was never started is
+     * shown as if it started today.
+     * @param {Date} date - Date object
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {number|null} Day number, or null when no day falls on the date
+     */
+    getPlanDayForDate(date, planKey = this.currentPlan) {
+        const regular = this.getPlanDaysForDate(date, planKey).find(entry => !entry.catchUp);
+        return regular ? regular.day : null;
+    },
+
+    /**
+     * Every plan day that falls on a date, the regular one first and then
+     * any catch-up readings a reschedule added
+     * @param {Date} date - Date object
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Array} Array of { day, catchUp }
+     */
+    getPlanDaysForDate(date, planKey = this.currentPlan) {
+        const schedule = this.getSchedule(planKey);
+        return schedule ? schedule.byDate.get(PlanSchedule.getDateKey(date)) || [] : [];
+    },
+
+    /**
+     * Catch-up readings a reschedule put on a date
+     * @param {Date} date - Date object
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Array} Reading objects
+     */
+    getCatchUpReadingsForDate(date, planKey = this.currentPlan) {
+        return this.getPlanDaysForDate(date, planKey)
+            .filter(entry => entry.catchUp)
+            .map(entry => this.getReadingForDay(entry.day, planKey))
+            .filter(Boolean);
+    },
+
+    /**
+     * Work out the date a plan day falls on; the reverse of getPlanDayForDate.
+     * The Ethiopian plan follows the calendar, so its days fall on their
+     * month day in the current Ethiopian year.
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Date|null} Date of the reading, or null if the plan has no such day
+     */
+    getDateForPlanDay(day, planKey = this.currentPlan) {
+        if (planKey === 'ethiopian') {
+            const plan = this.plans[planKey];
+            const reading = plan && plan.days.find(entry => entry.day === day);
+            if (!reading || !reading.month) return null;
+
+            const year = this.gregorianToEthiopian(new Date()).year;
+            const month = EthiopianCalendar.MONTH_NAMES.indexOf(reading.month) + 1;
+            // Pagume 6 only comes in leap years
+            return EthiopianCalendar.isValidDate(year, month, reading.monthDay)
+                ? this.ethiopianToGregorian(year, month, reading.monthDay)
+                : null;
+        }
+
+        const schedule = this.getSchedule(planKey);
+        const entry = schedule && schedule.dates.get(day);
+        return entry ? PlanSchedule.parseDateKey(entry.dateKey) : null;
+    },
+
+    /**
+     * The dates of a plan's days, with its pauses and reschedules applied.
+     * A plan that was never started is laid out from today.
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} Schedule from PlanSchedule.build, or null for an unknown plan
+     */
+    getSchedule(planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
+        if (!plan) return null;
+
+        const today = PlanSchedule.getDateKey(new Date());
+        const startKey = PlanSchedule.getDateKey(new Date(StorageManager.getPlanStartDate(planKey) || Date.now()));
+        const events = StorageManager.getPlanSchedule(planKey);
+        // A pause that hasn't ended moves the plan on every day, so today counts too
+        const signature = JSON.stringify([startKey, events, today]);
+
+        const cached = this.schedules.get(planKey);
+        if (cached && cached.plan === plan && cached.signature === signature) {
+            return cached.schedule;
+        }
+
+        const schedule = PlanSchedule.build(plan, startKey, events, today);
+        this.schedules.set(planKey, { plan, signature, schedule });
+        return schedule;
+    },
+
+    /**
+     * Reschedule the days of a plan that were missed
+     * @param {string} type - Strategy, one of PlanSchedule.STRATEGIES
+     * @param {Object} options - { over: days to spread over, perDay: catch-ups per weekend day }
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} The reschedule, or null when no days were missed
+     */
+    reschedule(type, options = {}, planKey = this.currentPlan) {
+        if (planKey === 'ethiopian') {
+            throw new Error('The Ethiopian plan follows the calendar and cannot be rescheduled');
+        }
+        const schedule = this.getSchedule(planKey);
+        if (!schedule) {
+            throw new Error('Choose a reading plan');
+        }
+        if (this.getPlanStatus(planKey).pausedSince) {
+            throw new Error('Resume the plan before rescheduling it');
+        }
+
+        const readDays = new Set(StorageManager.getCompletedReadings(planKey).map(entry => entry.day));
+        const today = PlanSchedule.getDateKey(new Date());
+        const event = PlanSchedule.createEvent(type, schedule, readDays, { ...options, today });
+        if (event) {
+            StorageManager.setPlanSchedule(planKey, [...StorageManager.getPlanSchedule(planKey), event]);
+        }
+        return event;
+    },
+
+    /**
+     * Undo the most recent reschedule of a plan
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} The reschedule that was undone
+     */
+    undoReschedule(planKey = this.currentPlan) {
+        // Look the event up in the same copy that is saved back
+        const events = StorageManager.getPlanSchedule(planKey);
+        const index = PlanSchedule.getLastRescheduleIndex(events);
+        if (index === -1) return null;
+
+        const [event] = events.splice(index, 1);
+        StorageManager.setPlanSchedule(planKey, events);
+        return event;
+    },
+
+    /**
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} The most recent reschedule since the plan was last started
+     */
+    getLastReschedule(planKey = this.currentPlan) {
+        const events = StorageManager.getPlanSchedule(planKey);
+        const index = PlanSchedule.getLastRescheduleIndex(events);
+        return index === -1 ? null : events[index];
+    },
+
+    /**
+     * Where a plan is in its lifecycle
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object} { started, start: date key or null, pausedSince: date key or null }
+     */
+    getPlanStatus(planKey = this.currentPlan) {
+        const startDate = StorageManager.getPlanStartDate(planKey);
+        const events = StorageManager.getPlanSchedule(planKey);
+        return {
+            started: Boolean(startDate),
+            start: startDate ? PlanSchedule.getDateKey(new Date(startDate)) : null,
+            pausedSince: startDate ? PlanSchedule.getPausedSince(events) : null
+        };
+    },
+
+    /**
+     * Start (or restart) a plan on a date, in the past or the future.
+     * Pauses and reschedules from before stay in the history but no
+     * longer move any days.
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     */
+    startPlan(dateKey, planKey = this.currentPlan) {
+        this.checkLifecycleChange(dateKey, planKey);
+
+        StorageManager.setPlanStartDate(planKey, PlanSchedule.parseDateKey(dateKey).toISOString());
+        this.addScheduleEvent(planKey, { type: 'start', date: dateKey });
+    },
+
+    /**
+     * Pause a plan from a date until it is resumed
+     * @param {string} dateKey - Date key of the first day off
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     */
+    pausePlan(dateKey, planKey = this.currentPlan) {
+        this.checkLifecycleChange(dateKey, planKey);
+        const status = this.getPlanStatus(planKey);
+        if (!status.started) {
+            throw new Error('Start the plan before pausing it');
+        }
+        if (status.pausedSince) {
+            throw new Error('This plan is already paused');
+        }
+        if (dateKey < status.start) {
+            throw new Error('The pause must begin after the plan starts');
+        }
+
+        this.addScheduleEvent(planKey, { type: 'pause', date: dateKey });
+        StorageManager.recalculateStreak(planKey);
+    },
+
+    /**
+     * Resume a paused plan; every day from the pause on moves by the time it was paused
+     * @param {string} dateKey - Date key of the first day back
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     */
+    resumePlan(dateKey, planKey = this.currentPlan) {
+        this.checkLifecycleChange(dateKey, planKey);
+        const { pausedSince } = this.getPlanStatus(planKey);
+        if (!pausedSince) {
+            throw new Error('This plan is not paused');
+        }
+        if (dateKey < pausedSince) {
+            throw new Error('The plan must resume after it was paused');
+        }
+
+        this.addScheduleEvent(planKey, { type: 'resume', date: dateKey });
+        StorageManager.recalculateStreak(planKey);
+    },
+
+    /**
+     * @param {string} dateKey - Date key the change takes effect
+     * @param {string} planKey - Plan key
+     */
+    checkLifecycleChange(dateKey, planKey) {
+        if (planKey === 'ethiopian') {
+            throw new Error('The Ethiopian plan follows the calendar and cannot be started or paused');
+        }
+        if (!this.plans[planKey]) {
+            throw new Error('Choose a reading plan');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '') || isNaN(PlanSchedule.parseDateKey(dateKey))) {
+            throw new Error('Choose a date');
+        }
+    },
+
+    /**
+     * @param {string} planKey - Plan key
+     * @param {Object} event - { type, date }
+     */
+    addScheduleEvent(planKey, event) {
+        const events = StorageManager.getPlanSchedule(planKey);
+        StorageManager.setPlanSchedule(planKey, [...events, { ...event, at: new Date().toISOString() }]);
+    },
+
+    /**
+     * A plan's start, pause and resume events and its reschedules, oldest
+     * first. Plans started before this history was kept get their start
+     * date as the first entry.
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Array} Schedule events
+     */
+    getPlanHistory(planKey = this.currentPlan) {
+        const events = StorageManager.getPlanSchedule(planKey);
+        const { start } = this.getPlanStatus(planKey);
+        if (start && !PlanSchedule.getStartEvent(events)) {
+            return [{ type: 'start', date: start }, ...events];
+        }
+        return events;
+    },
+
+    /**
+     * Count the days of a plan that were scheduled before today and not read
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {number} Missed days
+     */
+    getMissedDays(planKey = this.currentPlan) {
+        const schedule = planKey !== 'ethiopian' && StorageManager.getPlanStartDate(planKey)
+            ? this.getSchedule(planKey)
+            : null;
+        if (!schedule) return 0;
+
+        const readDays = new Set(StorageManager.getCompletedReadings(planKey).map(entry => entry.day));
+        return PlanSchedule.findMissed(schedule, readDays, PlanSchedule.getDateKey(new Date())).length;
+    },
+
+    /**
+     * Whether a plan day has been read. A day of a dated plan counts as
+     * read whichever date it was read on; the Ethiopian plan comes round
+     * every year, so its days count only on their own date.
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     * @returns {boolean}
+     */
+    isDayRead(day, planKey, dateKey) {
+        return planKey === 'ethiopian'
+            ? StorageManager.isReadingComplete(dateKey, day, planKey)
+            : StorageManager.getDayReadDates(day, planKey).length > 0;
+    },
+
+    /**
+     * Record that a plan day was read on a date
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key
+     * @param {string} readOn - Date key of the date it was read
+     */
+    markDayRead(day, planKey, readOn) {
+        StorageManager.markReadingComplete(readOn, day, planKey);
+        StorageManager.setChaptersRead(this.getChapterProgressKey(day, planKey, readOn), {}, planKey);
+    },
+
+    /**
+     * Mark a plan day as not read
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     */
+    markDayUnread(day, planKey, dateKey) {
+        if (planKey === 'ethiopian') {
+            StorageManager.markReadingIncomplete(dateKey, day, planKey);
+        } else {
+            StorageManager.markDayUnread(day, planKey);
+        }
+        StorageManager.setChaptersRead(this.getChapterProgressKey(day, planKey, dateKey), {}, planKey);
+    },
+
+    /**
+     * Chapters of a plan day, for marking them read one at a time
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Array} Chapter labels ("Matthew 2"), in reading order
+     */
+    getDayChapters(day, planKey = this.currentPlan) {
+        const reading = this.getReadingForDay(day, planKey);
+        if (!reading) return [];
+        return ScriptureReferences.expandChapters(reading.references || [])
+            .map(({ book, chapter }) => `${book} ${chapter}`);
+    },
+
+    /**
+     * Chapter count of every day of a plan
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Map} Chapter count by day number
+     */
+    getChapterCounts(planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
+        if (!plan) return new Map();
+        return new Map(plan.days.map(reading => [
+            reading.day,
+            ScriptureReferences.countChapters(reading.references || [])
+        ]));
+    },
+
+    /**
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     * @returns {string} StorageManager chapter progress key
+     */
+    getChapterProgressKey(day, planKey, dateKey) {
+        return StorageManager.chapterProgressKey(day, planKey === 'ethiopian' ? dateKey : null);
+    },
+
+    /**
+     * Which chapters of a plan day have been read. Every chapter of a day
+     * that is read counts as read.
+     * @param {number} day - Day number
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     * @returns {Object} { chapters: [{ chapter, read }], read, total }
+     */
+    getDayChapterProgress(day, planKey, dateKey) {
+        const dayRead = this.isDayRead(day, planKey, dateKey);
+        const chaptersRead = StorageManager.getChaptersRead(this.getChapterProgressKey(day, planKey, dateKey), planKey);
+        const chapters = this.getDayChapters(day, planKey)
+            .map(chapter => ({ chapter, read: dayRead || Boolean(chaptersRead[chapter]) }));
+
+        return {
+            chapters,
+            read: chapters.filter(entry => entry.read).length,
+            total: chapters.length
+        };
+    },
+
+    /**
+     * Record that one chapter of a plan day was read. Reading the last
+     * unread chapter marks the whole day read on that date.
+     * @param {number} day - Day number
+     * @param {string} chapter - Chapter label, from getDayChapters()
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     * @param {string} readOn - Date key of the date it was read
+     */
+    markChapterRead(day, chapter, planKey, dateKey, readOn) {
+        const chapters = this.getDayChapters(day, planKey);
+        if (!chapters.includes(chapter)) {
+            throw new Error('That chapter isn\'t part of this reading');
+        }
+        if (this.isDayRead(day, planKey, dateKey)) return;
+
+        const key = this.getChapterProgressKey(day, planKey, dateKey);
+        const chaptersRead = { ...StorageManager.getChaptersRead(key, planKey), [chapter]: readOn };
+        if (chapters.every(entry => chaptersRead[entry])) {
+            this.markDayRead(day, planKey, planKey === 'ethiopian' ? dateKey : readOn);
+        } else {
+            StorageManager.setChaptersRead(key, chaptersRead, planKey);
+        }
+    },
+
+    /**
+     * Mark one chapter of a plan day as not read. On a day that was read,
+     * the other chapters stay read, dated when the day was.
+     * @param {number} day - Day number
+     * @param {string} chapter - Chapter label, from getDayChapters()
+     * @param {string} planKey - Plan key
+     * @param {string} dateKey - Date key of the day's calendar cell
+     */
+    markChapterUnread(day, chapter, planKey, dateKey) {
+        const key = this.getChapterProgressKey(day, planKey, dateKey);
+
+        if (this.isDayRead(day, planKey, dateKey)) {
+            const readOn = planKey === 'ethiopian' ? dateKey : StorageManager.getDayReadDates(day, planKey)[0];
+            this.markDayUnread(day, planKey, dateKey);
+            const chaptersRead = {};
+            this.getDayChapters(day, planKey)
+                .filter(entry => entry !== chapter)
+                .forEach(entry => { chaptersRead[entry] = readOn; });
+            StorageManager.setChaptersRead(key, chaptersRead, planKey);
+            return;
+        }
+
+        const chaptersRead = StorageManager.getChaptersRead(key, planKey);
+        delete chaptersRead[chapter];
+        StorageManager.setChaptersRead(key, chaptersRead, planKey);
+    },
+
+    /**
+     * The first days of a plan that have not been read, in plan order
+     * @param {number} count - Number of days
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Array} Reading objects
+     */
+    getNextUnreadDays(count, planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
+        if (!plan || planKey === 'ethiopian') return [];
+
+        const read = new Set(StorageManager.getCompletedReadings(planKey).map(entry => entry.day));
+        return plan.days.filter(reading => !read.has(reading.day)).slice(0, count);
+    },
+
+    /**
+     * Mark the next unread days of a plan as read, for reading ahead
+     * @param {number} count - Number of days
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @param {string} readOn - Date key of the date they were read
+     * @returns {Array} Reading objects marked read
+     */
+    readAhead(count, planKey = this.currentPlan, readOn = PlanSchedule.getDateKey(new Date())) {
+        if (planKey === 'ethiopian') {
+            throw new Error('The Ethiopian plan follows the calendar, so it can\'t be read ahead');
+        }
+        if (!(count >= 1)) {
+            throw new Error('Choose how many readings you read');
+        }
+
+        const readings = this.getNextUnreadDays(count, planKey);
+        readings.forEach(reading => this.markDayRead(reading.day, planKey, readOn));
+        return readings;
+    },
+
+    /**
+     * Find the first day of a plan that reads any of a passage
+     * @param {Array} references - Parsed references
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @returns {Object|null} Reading object
+     */
+    findReadingForReferences(references, planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
+        if (!plan) return null;
+
+        return plan.days.find(reading => (reading.references || []).some(planned =>
+            references.some(ref => ScriptureReferences.overlaps(planned, ref))
+        )) || null;
     },
 
     /**
@@ -226,77 +792,111 @@ const ReadingPlansManager = {
      */
     getEthiopianReadingForDate(date) {
         const plan = this.plans.ethiopian;
-        if (!plan || !plan.months) return null;
+        if (!plan) return null;
 
         // Convert Gregorian to Ethiopian calendar
         const ethiopianDate = this.gregorianToEthiopian(date);
         
         // Find the reading for this Ethiopian date
-        const month = plan.months.find(m => m.name === ethiopianDate.monthName);
-        if (!month) return null;
-
-        const reading = month.readings.find(r => r.day === ethiopianDate.day);
+        const reading = plan.days.find(r =>
+            r.month === ethiopianDate.monthName && r.monthDay === ethiopianDate.day
+        );
         if (!reading) return null;
 
+        const feasts = this.getFeastsForDate(date, reading);
+
         return {
+            ...reading,
             day: ethiopianDate.dayOfYear,
-            reading: reading.reading,
-            theme: reading.theme,
-            feast: reading.feast || null,
-            month: month.name,
-            monthDay: reading.day,
-            ethiopianDate: `${ethiopianDate.monthName} ${ethiopianDate.day}, ${ethiopianDate.year}`
+            feast: feasts.length > 0 ? feasts.join(' • ') : null,
+            feasts: feasts,
+            ethiopianDate: EthiopianCalendar.format(ethiopianDate)
         };
     },
 
     /**
-     * Convert Gregorian date to Ethiopian calendar
-     * @param {Date} gregorianDate - Gregorian date
-     * @returns {Object} Ethiopian date object
+     * Get fixed and movable feasts for a date
+     * @param {Date} date - Gregorian date
+     * @param {Object} reading - Plan reading entry (may carry a fixed feast)
+     * @returns {Array} Array of feast names
      */
-    gregorianToEthiopian(gregorianDate) {
-        // Ethiopian calendar is approximately 7-8 years behind Gregorian
-        // New Year starts September 11 (or 12 in leap year)
-        
-        const year = gregorianDate.getFullYear();
-        const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-        const ethiopianNewYear = new Date(year, 8, isLeapYear ? 12 : 11); // Sept 11 or 12
-        
-        let ethiopianYear;
-        let dayOfYear;
-        
-        if (gregorianDate >= ethiopianNewYear) {
-            ethiopianYear = year - 7;
-            dayOfYear = Math.floor((gregorianDate - ethiopianNewYear) / (1000 * 60 * 60 * 24)) + 1;
-        } else {
-            ethiopianYear = year - 8;
-            const lastNewYear = new Date(year - 1, 8, isLeapYear ? 12 : 11);
-            dayOfYear = Math.floor((gregorianDate - lastNewYear) / (1000 * 60 * 60 * 24)) + 1;
+    getFeastsForDate(date, reading) {
+        const feasts = reading && reading.feast ? [reading.feast] : [];
+
+        if (typeof EthiopianFeasts !== 'undefined') {
+            EthiopianFeasts.getFeastsForDate(date).forEach(feast => {
+                if (!feasts.includes(feast.name)) {
+                    feasts.push(feast.name);
+                }
+            });
         }
 
-        // Ethiopian months (30 days each, except Pagume with 5-6 days)
-        const months = [
-            "Meskerem", "Tikimt", "Hidar", "Tahsas", "Tir", "Yekatit",
-            "Megabit", "Miazia", "Ginbot", "Sene", "Hamle", "Nehase", "Pagume"
-        ];
+        return feasts;
+    },
 
-        let monthIndex = Math.floor((dayOfYear - 1) / 30);
-        let day = ((dayOfYear - 1) % 30) + 1;
+    /**
+     * Get the Ethiopian Orthodox fast observed on a date
+     * @param {Date} date - Gregorian date
+     * @returns {Object|null} Fast object with any supplementary reading from the current plan
+     */
+    getFastForDate(date) {
+        if (typeof EthiopianFasts === 'undefined') return null;
 
-        if (monthIndex >= 12) {
-            monthIndex = 12; // Pagume
-            day = dayOfYear - 360;
-        }
+        const fast = EthiopianFasts.getFastForDate(date, this.gregorianToEthiopian(date));
+        if (!fast) return null;
+
+        return {
+            ...fast,
+            supplementaryReading: this.getFastReading(fast)
+        };
+    },
+
+    /**
+     * Get the current plan's supplementary reading for a fast.
+     * Plans attach these under "fastReadings", keyed by fast; a list of
+     * readings is cycled through by day of the fast.
+     * @param {Object} fast - Fast object from EthiopianFasts
+     * @returns {Object|null} Reading object
+     */
+    getFastReading(fast) {
+        const plan = this.getCurrentPlan();
+        if (!plan || !plan.fastReadings || !plan.fastReadings[fast.key]) return null;
+
+        const readings = plan.fastReadings[fast.key];
+        if (!Array.isArray(readings)) return readings;
+        if (readings.length === 0) return null;
+
+        return readings[(fast.dayOfFast - 1) % readings.length];
+    },
+
+    /**
+     * Convert Gregorian date to Ethiopian calendar
+     * @param {Date} gregorianDate - Gregorian date
+     * @returns {Object} Ethiopian date object
+     */
+    gregorianToEthiopian(gregorianDate) {
+        const ethiopianDate = EthiopianCalendar.fromGregorian(gregorianDate);
 
         return {
-            year: ethiopianYear,
-            monthName: months[monthIndex],
-            monthIndex: monthIndex + 1,
-            day: day,
-            dayOfYear: dayOfYear
+            year: ethiopianDate.year,
+            monthName: ethiopianDate.monthName,
+            monthIndex: ethiopianDate.month,
+            day: ethiopianDate.day,
+            dayOfYear: ethiopianDate.dayOfYear
         };
     },
 
+    /**
+     * Convert Ethiopian calendar date to Gregorian
+     * @param {number} year - Ethiopian year
+     * @param {number} month - Ethiopian month (1-13)
+     * @param {number} day - Day of month
+     * @returns {Date} Gregorian date
+     */
+    ethiopianToGregorian(year, month, day) {
+        return EthiopianCalendar.toGregorian(year, month, day);
+    },
+
     /**
      * Get all available reading plans
      * @returns {Array} Array of plan info objects
@@ -308,7 +908,8 @@ const ReadingPlansManager = {
                 key: key,
                 title: plan.title,
                 description: plan.description,
-                totalDays: plan.totalDays || 365
+                totalDays: plan.totalDays || 365,
+                custom: Boolean(plan.custom)
             };
         });
     },
@@ -322,51 +923,69 @@ const ReadingPlansManager = {
         const plan = this.getCurrentPlan();
         if (!plan) return [];
 
-        const results = [];
         const searchLower = keyword.toLowerCase();
 
-        if (plan.schedule) {
-            plan.schedule.forEach(reading => {
-                if (reading.reading.toLowerCase().includes(searchLower) ||
-                    (reading.theme && reading.theme.toLowerCase().includes(searchLower))) {
-                    results.push(reading);
+        return plan.days.filter(reading =>
+            reading.reading.toLowerCase().includes(searchLower) ||
+            (reading.theme && reading.theme.toLowerCase().includes(searchLower)) ||
+            (reading.feast && reading.feast.toLowerCase().includes(searchLower))
+        );
+    },
+
+    /**
+     * Get chapter progress through each book a plan covers.
+     * A chapter counts as read once any completed day includes it, or
+     * once it is checked off on a day that isn't finished.
+     * @param {string} planKey - Plan key (defaults to the current plan)
+     * @param {Array} books - Only report these book names (optional)
+     * @returns {Array} Array of { book, totalChapters, chaptersRead, percent } in canonical order
+     */
+    getBookProgress(planKey = this.currentPlan, books = null) {
+        const plan = this.plans[planKey];
+        if (!plan) return [];
+
+        const completedDays = new Set(StorageManager.getCompletedReadings(planKey).map(c => c.day));
+        const partlyRead = new Set();
+        Object.entries(StorageManager.getChapterProgress(planKey)).forEach(([key, chapters]) => {
+            const day = key.split('|').pop();
+            Object.keys(chapters).forEach(chapter => partlyRead.add(`${day}|${chapter}`));
+        });
+        const progress = new Map();
+
+        plan.days.forEach(reading => {
+            ScriptureReferences.expandChapters(reading.references || []).forEach(({ book, chapter }) => {
+                if (books && !books.includes(book)) return;
+                if (!progress.has(book)) {
+                    progress.set(book, { all: new Set(), read: new Set() });
+                }
+                const entry = progress.get(book);
+                entry.all.add(chapter);
+                if (completedDays.has(reading.day) || partlyRead.has(`${reading.day}|${book} ${chapter}`)) {
+                    entry.read.add(chapter);
                 }
             });
-        } else if (plan.months) {
-            plan.months.forEach(month => {
-                month.readings.forEach(reading => {
-                    if (reading.reading.toLowerCase().includes(searchLower) ||
-                        reading.theme.toLowerCase().includes(searchLower) ||
-                        (reading.feast && reading.feast.toLowerCase().includes(searchLower))) {
-                        results.push({
-                            ...reading,
-                            month: month.name
-                        });
-                    }
-                });
-            });
-        }
+        });
 
-        return results;
+        return [...progress.entries()]
+            .sort(([a], [b]) => BibleCanon.getBookIndex(a) - BibleCanon.getBookIndex(b))
+            .map(([book, { all, read }]) => ({
+                book,
+                totalChapters: all.size,
+                chaptersRead: read.size,
+                percent: Math.round((read.size / all.size) * 100)
+            }));
     },
 
     /**
-     * Get total days in current plan
+     * Get total days in a plan
+     * @param {string} planKey - Plan key (defaults to the current plan)
      * @returns {number} Total days
      */
-    getTotalDays() {
-        const plan = this.getCurrentPlan();
+    getTotalDays(planKey = this.currentPlan) {
+        const plan = this.plans[planKey];
         if (!plan) return 0;
 
-        if (plan.totalDays) {
-            return plan.totalDays;
-        } else if (plan.schedule) {
-            return plan.schedule.length;
-        } else if (plan.months) {
-            return plan.months.reduce((total, month) => total + month.readings.length, 0);
-        }
-
-        return 0;
+        return plan.totalDays || plan.days.length;
     }
 };
 
@@ -0,0 +1,138 @@
+/**
+ * Scripture Coverage for Bible Reading Planner
+ * Adds up the chapters read in every reading plan, so progress through
+ * the Bible as a whole can be shown book by book and chapter by chapter,
+ * with totals by testament and genre.
+ */
+
+const ScriptureCoverage = {
+    TESTAMENTS: { OT: 'Old Testament', NT: 'New Testament' },
+
+    /**
+     * Coverage of every book, from the progress of every plan
+     * @param {Object} options - { ethiopian: include the Ethiopian canon's further books }
+     * @returns {Object} From summarize()
+     */
+    collect(options = {}) {
+        return this.summarize(this.getReadChapters(), options);
+    },
+
+    /**
+     * Chapters read in any plan. A chapter counts once, whichever plan it
+     * was read in and however often. Days that are only partly read add
+     * the chapters checked off so far.
+     * @returns {Map} Set of chapter numbers read, by book name
+     */
+    getReadChapters() {
+        const read = new Map();
+        const add = (book, chapter) => {
+            if (!read.has(book)) {
+                read.set(book, new Set());
+            }
+            read.get(book).add(chapter);
+        };
+
+        StorageManager.getCompletedReadings().forEach(entry => {
+            const reading = ReadingPlansManager.getReadingForDay(entry.day, entry.plan);
+            if (!reading) return;
+            ScriptureReferences.expandChapters(reading.references || [])
+                .forEach(({ book, chapter }) => add(book, chapter));
+        });
+
+        Object.keys(ReadingPlansManager.plans).forEach(planKey => {
+            Object.values(StorageManager.getChapterProgress(planKey)).forEach(chapters => {
+                Object.keys(chapters).forEach(label => {
+                    const match = label.match(/^(.+) (\d+)$/);
+                    if (match) add(match[1], Number(match[2]));
+                });
+            });
+        });
+
+        return read;
+    },
+
+    /**
+     * Work out the coverage of each book of the canon
+     * @param {Map} read - Set of chapter numbers read, by book name
+     * @param {Object} options - { ethiopian: include the Ethiopian canon's further books }
+     * @returns {Object} { books, testaments, genres, total }. Books are
+     *   { name, abbreviation, testament, genre, chapters: [read?], chaptersRead, totalChapters, percent };
+     *   the total also counts totalBooks, booksStarted and booksFinished.
+     */
+    summarize(read, options = {}) {
+        const books = BibleCanon.getBooks(Boolean(options.ethiopian)).map(book => {
+            const chaptersRead = read.get(book.name) || new Set();
+            const chapters = Array.from({ length: book.chapters }, (_, index) => chaptersRead.has(index + 1));
+            return {
+                name: book.name,
+                abbreviation: book.abbreviation,
+                testament: book.testament,
+                genre: book.genre,
+                chapters,
+                ...this.totals([{ chaptersRead: chapters.filter(Boolean).length, totalChapters: book.chapters }])
+            };
+        });
+
+        return {
+            books,
+            testaments: this.groupTotals(books, book => this.TESTAMENTS[book.testament]),
+            genres: this.groupTotals(books, book => book.genre),
+            total: {
+                ...this.totals(books),
+                totalBooks: books.length,
+                booksStarted: books.filter(book => book.chaptersRead > 0).length,
+                booksFinished: books.filter(book => book.chaptersRead === book.totalChapters).length
+            }
+        };
+    },
+
+    /**
+     * Total books by a grouping, in canonical order of each group's first book
+     * @param {Array} books - Book coverage
+     * @param {Function} groupOf - Returns a book's group name
+     * @returns {Array} Array of { name, chaptersRead, totalChapters, percent }
+     */
+    groupTotals(books, groupOf) {
+        const groups = new Map();
+        books.forEach(book => {
+            const name = groupOf(book);
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(book);
+        });
+
+        return [...groups].map(([name, members]) => ({ name, ...this.totals(members) }));
+    },
+
+    /**
+     * @param {Array} books - Objects with chaptersRead and totalChapters
+     * @returns {Object} { chaptersRead, totalChapters, percent }
+     */
+    totals(books) {
+        const chaptersRead = books.reduce((sum, book) => sum + book.chaptersRead, 0);
+        const totalChapters = books.reduce((sum, book) => sum + book.totalChapters, 0);
+        return {
+            chaptersRead,
+            totalChapters,
+            // Only a finished book shows 100%
+            percent: totalChapters > 0 ? Math.floor((chaptersRead / totalChapters) * 100) : 0
+        };
+    },
+
+    /**
+     * Shading step of a book on the coverage grid
+     * @param {Object} book - Book coverage
+     * @returns {number} 0 for unread, 1-3 by thirds, 4 for finished
+     */
+    getShade(book) {
+        if (book.chaptersRead === 0) return 0;
+        if (book.chaptersRead === book.totalChapters) return 4;
+        return Math.min(3, 1 + Math.floor((book.chaptersRead / book.totalChapters) * 3));
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptureCoverage;
+}
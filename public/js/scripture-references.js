@@ -0,0 +1,397 @@
+/**
+ * Scripture Reference Parser for Bible Reading Planner
+ * Parses passage text such as "Genesis 1-3", "Ps 119:1-48; Prov 31"
+ * or "Genesis 50 - Exodus 2" into structured references
+ *
+ * A parsed reference covers a span within one book:
+ *   { book: 'Psalms', startChapter: 119, startVerse: 1, endChapter: 119, endVerse: 48 }
+ * Verses are null when whole chapters are meant. Spans across books are
+ * split into one reference per book.
+ */
+
+const ScriptureReferences = {
+    // Leading book name ("1 John", "I John", "Song of Songs", "Matt.") and the rest
+    BOOK_PATTERN: /^((?:[1-3]\s*)?[A-Za-z][A-Za-z.\s]*?)\.?\s*([\d\-–].*)?$/,
+
+    // "1", "1-3", "3:16", "3:16-18", "3:16-4:2", "3:16ff"
+    RANGE_PATTERN: /^(\d+)(?::(\d+))?(ff)?(?:\s*[-–]\s*(\d+)(?::(\d+))?)?$/,
+
+    // "50 - Exodus 2", "50:26-Exodus 1:5", "- Exodus"
+    CROSS_BOOK_PATTERN: /^(\d+(?::\d+)?)?\s*[-–]\s*((?:[1-3]\s*)?[A-Za-z].*)$/,
+
+    // "2", "2:5"
+    POSITION_PATTERN: /^(\d+)(?::(\d+))?$/,
+
+    /**
+     * Parse passage text into references
+     * @param {string} text - Passage text
+     * @returns {Array|null} Array of references, or null if any part is invalid
+     */
+    parse(text) {
+        const result = this.parseDetailed(text);
+        return result.errors.length === 0 ? result.references : null;
+    },
+
+    /**
+     * Parse passage text, collecting an error for every part that fails.
+     * Segments are separated by ";" and items within a segment by ",".
+     * Items without a book name continue the previous book, and after a
+     * verse reference bare numbers in a comma list are verses
+     * ("John 3:16, 18-20").
+     * @param {string} text - Passage text
+     * @returns {Object} { references, errors }
+     */
+    parseDetailed(text) {
+        const references = [];
+        const errors = [];
+
+        if (typeof text !== 'string' || text.trim() === '') {
+            return { references, errors: ['Empty passage reference'] };
+        }
+
+        let currentBook = null;
+
+        text.split(';').map(part => part.trim()).filter(Boolean).forEach(segment => {
+            let verseContext = null;
+
+            segment.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+                const parsed = this.splitBook(item);
+                if (typeof parsed === 'string') {
+                    errors.push(`${parsed} in "${segment}"`);
+                    return;
+                }
+
+                if (parsed.book) {
+                    currentBook = parsed.book;
+                    verseContext = null;
+                } else if (!currentBook) {
+                    errors.push(`Missing book name in "${segment}"`);
+                    return;
+                }
+
+                const result = this.parseItem(currentBook, parsed.rest, verseContext);
+                if (typeof result === 'string') {
+                    errors.push(`${result} in "${segment}"`);
+                    return;
+                }
+
+                references.push(...result);
+                const last = result[result.length - 1];
+                currentBook = BibleCanon.findBook(last.book);
+                verseContext = last.startVerse !== null ? last.endChapter : null;
+            });
+        });
+
+        return { references, errors };
+    },
+
+    /**
+     * Split a leading book name off an item
+     * @param {string} item - Item text such as "1 Cor 13" or "4-6"
+     * @returns {Object|string} { book, rest } (book is null when absent), or an error message
+     */
+    splitBook(item) {
+        const match = item.match(this.BOOK_PATTERN);
+        if (!match || !/[A-Za-z]/.test(match[1])) {
+            return { book: null, rest: item };
+        }
+
+        const book = BibleCanon.findBook(match[1]);
+        if (!book) return `Unknown book "${match[1].trim()}"`;
+
+        return { book, rest: (match[2] || '').trim() };
+    },
+
+    /**
+     * Parse the part of an item after the book name
+     * @param {Object} book - Canon book
+     * @param {string} text - Range text, possibly ending in another book
+     * @param {number|null} verseContext - Chapter that bare numbers refer to as verses
+     * @returns {Array|string} References, or an error message
+     */
+    parseItem(book, text, verseContext) {
+        if (text === '') {
+            // A bare book name means the whole book
+            return [this.createReference(book, 1, null, book.chapters, null)];
+        }
+
+        const crossBook = text.match(this.CROSS_BOOK_PATTERN);
+        if (crossBook) {
+            return this.parseCrossBook(book, crossBook[1] || null, crossBook[2]);
+        }
+
+        const reference = this.parseRange(book, text, verseContext);
+        return typeof reference === 'string' ? reference : [reference];
+    },
+
+    /**
+     * Parse a span that ends in a later book ("Genesis 50 - Exodus 2")
+     * @param {Object} startBook - Canon book the span starts in
+     * @param {string|null} startText - Start position ("50", "50:26"), or null for the whole book
+     * @param {string} endText - End book and optional position ("Exodus 2")
+     * @returns {Array|string} One reference per book, or an error message
+     */
+    parseCrossBook(startBook, startText, endText) {
+        const end = this.splitBook(endText);
+        if (typeof end === 'string') return end;
+
+        const startIndex = BibleCanon.getBookIndex(startBook.name);
+        const endIndex = BibleCanon.getBookIndex(end.book.name);
+        if (endIndex >= BibleCanon.BOOKS.length) {
+            return `Ranges can't run into ${end.book.name}; list it separately`;
+        }
+        if (endIndex <= startIndex) {
+            return `${end.book.name} does not come after ${startBook.name}`;
+        }
+
+        const start = startText ? startText.match(this.POSITION_PATTERN) : [null, '1', null];
+        const finish = end.rest ? end.rest.match(this.POSITION_PATTERN) : [null, String(end.book.chapters), null];
+        if (!start || !finish) return `Cannot read "${startText || ''}-${endText}"`;
+
+        const spans = [];
+        for (let i = startIndex; i <= endIndex; i++) {
+            const book = BibleCanon.BOOKS[i];
+            let startChapter = i === startIndex ? Number(start[1]) : 1;
+            const endChapter = i === endIndex ? Number(finish[1]) : book.chapters;
+            const endVerse = i === endIndex && finish[2] ? Number(finish[2]) : null;
+
+            if (i === startIndex && start[2]) {
+                // Finish the opening chapter from its verse, then carry on by whole chapters
+                spans.push([book, startChapter, Number(start[2]), startChapter, null]);
+                if (startChapter === endChapter) continue;
+                startChapter++;
+            }
+            spans.push([book, startChapter, endVerse !== null && startChapter === endChapter ? 1 : null, endChapter, endVerse]);
+        }
+
+        const references = [];
+        for (const span of spans) {
+            const reference = this.validateReference(span[0], this.createReference(...span));
+            if (typeof reference === 'string') return reference;
+            references.push(reference);
+        }
+
+        return references;
+    },
+
+    /**
+     * Parse one chapter/verse range within a book
+     * @param {Object} book - Canon book
+     * @param {string} text - Range text such as "3:16-18"
+     * @param {number|null} verseContext - Chapter that bare numbers refer to as verses
+     * @returns {Object|string} Reference, or an error message
+     */
+    parseRange(book, text, verseContext) {
+        const match = text.match(this.RANGE_PATTERN);
+        if (!match) return `Cannot read "${text}"`;
+
+        let [, startChapter, startVerse, toChapterEnd, endChapter, endVerse] = match;
+        if (toChapterEnd) {
+            // "3:16ff" runs from verse 16 to the end of the chapter; "Jude 3ff" needs no chapter
+            if (endChapter || (!startVerse && book.chapters > 1)) return `Cannot read "${text}"`;
+            const chapter = startVerse ? Number(startChapter) : 1;
+            return this.validateReference(book, this.createReference(
+                book, chapter, Number(startVerse || startChapter), chapter, null
+            ));
+        }
+
+        startChapter = Number(startChapter);
+        startVerse = startVerse ? Number(startVerse) : null;
+        endChapter = endChapter ? Number(endChapter) : null;
+        endVerse = endVerse ? Number(endVerse) : null;
+
+        // Numbers are verses after a verse reference, and in single-chapter
+        // books ("Jude 3-7") unless the whole chapter is meant ("Jude 1")
+        const isSingleChapter = book.chapters === 1 && text !== '1';
+        if (startVerse === null && (verseContext !== null || isSingleChapter)) {
+            const chapter = verseContext !== null ? verseContext : 1;
+            return this.validateReference(book, this.createReference(
+                book, chapter, startChapter, chapter, endChapter || startChapter
+            ));
+        }
+
+        if (startVerse !== null && endChapter !== null && endVerse === null) {
+            // "3:16-18" is a verse range within one chapter
+            endVerse = endChapter;
+            endChapter = startChapter;
+        }
+
+        return this.validateReference(book, this.createReference(
+            book,
+            startChapter,
+            startVerse,
+            endChapter || startChapter,
+            endVerse !== null ? endVerse : startVerse
+        ));
+    },
+
+    /**
+     * Build a reference object
+     * @param {Object} book - Canon book
+     * @param {number} startChapter - First chapter
+     * @param {number|null} startVerse - First verse, or null for whole chapters
+     * @param {number} endChapter - Last chapter
+     * @param {number|null} endVerse - Last verse, or null for whole chapters
+     * @returns {Object}
+     */
+    createReference(book, startChapter, startVerse, endChapter, endVerse) {
+        return { book: book.name, startChapter, startVerse, endChapter, endVerse };
+    },
+
+    /**
+     * Check a reference against the canon
+     * @param {Object} book - Canon book
+     * @param {Object} reference - Reference object
+     * @returns {Object|string} The reference, or an error message
+     */
+    validateReference(book, reference) {
+        const { startChapter, startVerse, endChapter, endVerse } = reference;
+
+        if (startChapter < 1 || endChapter > book.chapters || startChapter > book.chapters) {
+            return `${book.name} has ${book.chapters} chapter${book.chapters > 1 ? 's' : ''}`;
+        }
+        if (endChapter < startChapter) {
+            return `Chapter range ${startChapter}-${endChapter} is backwards`;
+        }
+        if ((startVerse !== null && startVerse < 1) || (endVerse !== null && endVerse < 1)) {
+            return 'Verse numbers start at 1';
+        }
+        if (endChapter === startChapter && startVerse !== null && endVerse !== null && endVerse < startVerse) {
+            return `Verse range ${startVerse}-${endVerse} is backwards`;
+        }
+
+        return reference;
+    },
+
+    /**
+     * Format references back into passage text. Consecutive references
+     * in the same book drop the repeated book name.
+     * @param {Array} references - Parsed references
+     * @param {Object} options - { short: use book abbreviations }
+     * @returns {string}
+     */
+    format(references, options = {}) {
+        let previousBook = null;
+
+        return references.map(ref => {
+            const text = this.formatReference(ref, options, ref.book === previousBook);
+            previousBook = ref.book;
+            return text;
+        }).join('; ');
+    },
+
+    /**
+     * Format a single reference
+     * @param {Object} ref - Reference
+     * @param {Object} options - { short: use book abbreviations }
+     * @param {boolean} omitBook - Leave out the book name
+     * @returns {string}
+     */
+    formatReference(ref, options = {}, omitBook = false) {
+        const book = BibleCanon.findBook(ref.book);
+        const name = options.short ? book.abbreviation : book.name;
+
+        if (book.chapters === 1 && ref.startVerse === null) {
+            return name;
+        }
+
+        const position = (chapter, verse) => {
+            if (book.chapters === 1) return String(verse);
+            return verse !== null ? `${chapter}:${verse}` : String(chapter);
+        };
+
+        let range = position(ref.startChapter, ref.startVerse);
+        if (ref.startVerse !== null && ref.endVerse === null) {
+            range += 'ff';
+        } else if (ref.endChapter !== ref.startChapter) {
+            range += `-${position(ref.endChapter, ref.endVerse)}`;
+        } else if (ref.endVerse !== ref.startVerse) {
+            range += `-${ref.endVerse}`;
+        }
+
+        return omitBook ? range : `${name} ${range}`;
+    },
+
+    /**
+     * Build a compact preview of references for calendar cells.
+     * Tries the full text, then abbreviations, then the first book
+     * with a count of the others ("1 Pet 3-5 +3").
+     * @param {Array} references - Parsed references
+     * @param {number} maxLength - Longest preview wanted
+     * @returns {string}
+     */
+    preview(references, maxLength = 15) {
+        if (references.length === 0) return '';
+
+        const full = this.format(references);
+        if (full.length <= maxLength) return full;
+
+        const short = this.format(references, { short: true });
+        if (short.length <= maxLength) return short;
+
+        const books = this.getBooks(references);
+        const first = this.format(references.filter(ref => ref.book === books[0]), { short: true });
+        return books.length > 1 ? `${first} +${books.length - 1}` : first;
+    },
+
+    /**
+     * List the distinct chapters touched by references, in reading order
+     * @param {Array} references - Parsed references
+     * @returns {Array} Array of { book, chapter }
+     */
+    expandChapters(references) {
+        const seen = new Set();
+        const chapters = [];
+
+        references.forEach(ref => {
+            for (let chapter = ref.startChapter; chapter <= ref.endChapter; chapter++) {
+                const key = `${ref.book} ${chapter}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    chapters.push({ book: ref.book, chapter });
+                }
+            }
+        });
+
+        return chapters;
+    },
+
+    /**
+     * Check whether two references share any verse. Whole chapters
+     * overlap every verse in them.
+     * @param {Object} a - Parsed reference
+     * @param {Object} b - Parsed reference
+     * @returns {boolean}
+     */
+    overlaps(a, b) {
+        if (a.book !== b.book) return false;
+
+        // Position of a verse as one number; null verses cover the whole chapter
+        const start = ref => ref.startChapter * 1000 + (ref.startVerse || 0);
+        const end = ref => ref.endChapter * 1000 + (ref.endVerse || 999);
+        return start(a) <= end(b) && start(b) <= end(a);
+    },
+
+    /**
+     * Count distinct chapters touched by references
+     * @param {Array} references - Parsed references
+     * @returns {number}
+     */
+    countChapters(references) {
+        return this.expandChapters(references).length;
+    },
+
+    /**
+     * List the distinct books in references, in reading order
+     * @param {Array} references - Parsed references
+     * @returns {Array} Book names
+     */
+    getBooks(references) {
+        return [...new Set(references.map(ref => ref.book))];
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptureReferences;
+}
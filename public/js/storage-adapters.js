@@ -0,0 +1,530 @@
+/**
+ * Storage Adapters for Bible Reading Planner
+ * Async backends behind StorageManager: IndexedDB, with the original
+ * localStorage layout kept as a fallback for browsers without it
+ *
+ * Both adapters store the same kinds of data:
+ * - completions: { plan, dateKey, day, completedAt } records
+ * - notes: study notes keyed by date key
+ * - values: everything else (preferences, streaks, custom plans...) keyed by storage key
+ * - revisions: earlier versions of notes, { dateKey, savedAt, content }. They
+ *   are read per date when needed, so loadAll() leaves them out.
+ */
+
+const StorageAdapters = {
+    /**
+     * Open the best available backend
+     * @param {Object} keys - StorageManager.KEYS, used by the localStorage layout
+     * @returns {Promise<Object>} IndexedDB adapter, or the localStorage adapter when IndexedDB cannot be opened
+     */
+    async open(keys) {
+        this.localStorage.keys = keys;
+        if (typeof indexedDB === 'undefined') {
+            return this.localStorage;
+        }
+
+        try {
+            await this.indexedDB.open();
+            return this.indexedDB;
+        } catch (error) {
+            // The data is in IndexedDB; localStorage would show none of it
+            if (error.blocked) throw error;
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            return this.localStorage;
+        }
+    },
+
+    /**
+     * Copy everything from one adapter into another, then clear the source
+     * @param {Object} from - Adapter holding the data
+     * @param {Object} to - Adapter to copy into
+     */
+    async migrate(from, to) {
+        await to.writeAll({ ...(await from.loadAll()), revisions: await from.getRevisions() });
+        from.clear();
+    },
+
+    /**
+     * Check a completion against a query
+     * @param {Object} entry - Completion record
+     * @param {Object} query - Any of { plan, dateKey, day }
+     * @returns {boolean}
+     */
+    matches(entry, { plan, dateKey, day } = {}) {
+        return (plan === undefined || entry.plan === plan) &&
+            (dateKey === undefined || entry.dateKey === dateKey) &&
+            (day === undefined || entry.day === day);
+    },
+
+    indexedDB: {
+        DB_NAME: 'besorah',
+
+        // Schema version; bump it with a new step in upgrade() when stores or indexes change
+        DB_VERSION: 2,
+
+        db: null,
+
+        // Called when another tab upgrades the database and this one has to let go of it
+        onclose: null,
+
+        /**
+         * Open (and create or upgrade) the database. An upgrade waits for
+         * tabs still holding the older version; rather than hang, this
+         * rejects with an error marked `blocked` asking for them to be closed.
+         * @returns {Promise}
+         */
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = event => this.upgrade(request.result, event.oldVersion);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // The upgrade finished after the other tabs closed, but too late to use
+                    if (blocked) {
+                        db.close();
+                        return;
+                    }
+                    db.onversionchange = () => this.close();
+                    this.db = db;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+
+                let blocked = false;
+                request.onblocked = () => {
+                    blocked = true;
+                    const error = new Error('Besorah Yeshua is open in another tab with an older version. Close the other tabs, then refresh this page.');
+                    error.blocked = true;
+                    reject(error);
+                };
+            });
+        },
+
+        /**
+         * Close the database so a newer version open in another tab can upgrade it
+         */
+        close() {
+            if (!this.db) return;
+            this.db.close();
+            this.db = null;
+            if (this.onclose) this.onclose();
+        },
+
+        /**
+         * Create stores and indexes
+         * @param {IDBDatabase} db - Database being upgraded
+         * @param {number} oldVersion - Version before the upgrade (0 when new)
+         */
+        upgrade(db, oldVersion) {
+            if (oldVersion < 1) {
+                const completions = db.createObjectStore('completions', { keyPath: ['plan', 'dateKey', 'day'] });
+                completions.createIndex('plan', 'plan');
+                completions.createIndex('dateKey', 'dateKey');
+                completions.createIndex('planDay', ['plan', 'day']);
+                db.createObjectStore('notes', { keyPath: 'dateKey' });
+                db.createObjectStore('values');
+            }
+            if (oldVersion < 2) {
+                const revisions = db.createObjectStore('revisions', { keyPath: ['dateKey', 'savedAt'] });
+                revisions.createIndex('dateKey', 'dateKey');
+            }
+        },
+
+        /**
+         * Run a transaction and wait for it to commit
+         * @param {string|Array} stores - Store name(s)
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} work - Receives the transaction; may return a request or an array of requests
+         * @returns {Promise<any>} Result(s) of the returned request(s)
+         */
+        run(stores, mode, work) {
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(stores, mode);
+                const requests = work(transaction);
+                transaction.oncomplete = () => {
+                    if (Array.isArray(requests)) {
+                        resolve(requests.map(request => request.result));
+                    } else {
+                        resolve(requests ? requests.result : undefined);
+                    }
+                };
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        },
+
+        /**
+         * Read every stored record
+         * @returns {Promise<Object>} { completions, notes, values }
+         */
+        async loadAll() {
+            const [completions, noteRecords, valueKeys, valueList] = await this.run(
+                ['completions', 'notes', 'values'], 'readonly', transaction => [
+                    transaction.objectStore('completions').getAll(),
+                    transaction.objectStore('notes').getAll(),
+                    transaction.objectStore('values').getAllKeys(),
+                    transaction.objectStore('values').getAll()
+                ]
+            );
+
+            const notes = {};
+            noteRecords.forEach(({ dateKey, ...note }) => {
+                notes[dateKey] = note;
+            });
+            const values = {};
+            valueKeys.forEach((key, index) => {
+                values[key] = valueList[index];
+            });
+
+            return { completions, notes, values };
+        },
+
+        /**
+         * Look up completions through the plan, date and plan/day indexes
+         * @param {Object} query - Any of { plan, dateKey, day }
+         * @returns {Promise<Array>} Matching completion records
+         */
+        async getCompletions(query = {}) {
+            const { plan, dateKey, day } = query;
+            const entries = await this.run('completions', 'readonly', transaction => {
+                const store = transaction.objectStore('completions');
+                if (plan !== undefined && day !== undefined) return store.index('planDay').getAll([plan, day]);
+                if (plan !== undefined) return store.index('plan').getAll(plan);
+                if (dateKey !== undefined) return store.index('dateKey').getAll(dateKey);
+                return store.getAll();
+            });
+            return entries.filter(entry => StorageAdapters.matches(entry, query));
+        },
+
+        /**
+         * @param {Object} entry - Completion record
+         */
+        putCompletion(entry) {
+            return this.run('completions', 'readwrite', transaction => {
+                transaction.objectStore('completions').put(entry);
+            });
+        },
+
+        /**
+         * @param {Object} entry - { plan, dateKey, day } of the completion to remove
+         */
+        deleteCompletion({ plan, dateKey, day }) {
+            return this.run('completions', 'readwrite', transaction => {
+                transaction.objectStore('completions').delete([plan, dateKey, day]);
+            });
+        },
+
+        /**
+         * Remove every completion of a plan
+         * @param {string} plan - Plan key
+         */
+        deleteCompletions(plan) {
+            return this.run('completions', 'readwrite', transaction => {
+                const store = transaction.objectStore('completions');
+                const request = store.index('plan').openKeyCursor(IDBKeyRange.only(plan));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
+        },
+
+        /**
+         * @param {string} dateKey - Date key (YYYY-MM-DD)
+         * @param {Object} note - { content, lastModified }
+         */
+        putNote(dateKey, note) {
+            return this.run('notes', 'readwrite', transaction => {
+                transaction.objectStore('notes').put({ ...note, dateKey });
+            });
+        },
+
+        /**
+         * Get earlier versions of notes, oldest first
+         * @param {string} dateKey - Date key (YYYY-MM-DD), or undefined for every date
+         * @returns {Promise<Array>} Revision records
+         */
+        getRevisions(dateKey) {
+            return this.run('revisions', 'readonly', transaction => {
+                const store = transaction.objectStore('revisions');
+                return dateKey === undefined ? store.getAll() : store.index('dateKey').getAll(dateKey);
+            });
+        },
+
+        /**
+         * Add a revision, then drop the oldest of its date beyond a limit
+         * @param {Object} revision - { dateKey, savedAt, content }
+         * @param {number} limit - Most revisions to keep per date
+         */
+        putRevision(revision, limit) {
+            return this.run('revisions', 'readwrite', transaction => {
+                const store = transaction.objectStore('revisions');
+                store.put(revision);
+                const request = store.index('dateKey').getAllKeys(revision.dateKey);
+                request.onsuccess = () => {
+                    request.result.slice(0, -limit).forEach(key => store.delete(key));
+                };
+            });
+        },
+
+        /**
+         * Remove every revision
+         */
+        deleteRevisions() {
+            return this.run('revisions', 'readwrite', transaction => {
+                transaction.objectStore('revisions').clear();
+            });
+        },
+
+        /**
+         * @param {string} key - Storage key
+         * @param {any} value - Value to store
+         */
+        setValue(key, value) {
+            return this.run('values', 'readwrite', transaction => {
+                transaction.objectStore('values').put(value, key);
+            });
+        },
+
+        /**
+         * @param {string} key - Storage key
+         */
+        removeValue(key) {
+            return this.run('values', 'readwrite', transaction => {
+                transaction.objectStore('values').delete(key);
+            });
+        },
+
+        /**
+         * Write several kinds of data in one transaction
+         * @param {Object} data - Any of { completions, notes, values, revisions }
+         * @param {boolean} replace - Clear each given store first
+         */
+        writeAll({ completions, notes, values, revisions }, replace = false) {
+            return this.run(['completions', 'notes', 'values', 'revisions'], 'readwrite', transaction => {
+                const write = (name, records, put) => {
+                    if (records === undefined) return;
+                    const store = transaction.objectStore(name);
+                    if (replace) store.clear();
+                    put(store);
+                };
+                write('completions', completions, store => completions.forEach(entry => store.put(entry)));
+                write('notes', notes, store => Object.entries(notes).forEach(([dateKey, note]) => {
+                    store.put({ ...note, dateKey });
+                }));
+                write('values', values, store => Object.entries(values).forEach(([key, value]) => {
+                    store.put(value, key);
+                }));
+                write('revisions', revisions, store => revisions.forEach(revision => store.put(revision)));
+            });
+        }
+    },
+
+    // The layout used before IndexedDB: one JSON value per storage key,
+    // with all completions, notes and revisions each in one value
+    localStorage: {
+        keys: null,
+
+        /**
+         * @param {string} key - Storage key
+         * @returns {boolean} Whether the key holds records rather than a plain value
+         */
+        isRecordKey(key) {
+            return [this.keys.COMPLETED_READINGS, this.keys.STUDY_NOTES, this.keys.NOTE_REVISIONS].includes(key);
+        },
+
+        /**
+         * @param {string} key - Storage key
+         * @returns {any} Parsed value or null
+         */
+        read(key) {
+            try {
+                const item = localStorage.getItem(key);
+                return item ? JSON.parse(item) : null;
+            } catch (error) {
+                console.error(`Error getting ${key}:`, error);
+                return null;
+            }
+        },
+
+        /**
+         * @param {string} key - Storage key
+         * @param {any} value - Value to store; throws when the quota is full
+         */
+        write(key, value) {
+            localStorage.setItem(key, JSON.stringify(value));
+        },
+
+        /**
+         * Check whether any app data is stored here
+         * @returns {boolean}
+         */
+        hasData() {
+            return Object.values(this.keys).some(key => this.read(key) !== null);
+        },
+
+        /**
+         * Read every stored record
+         * @returns {Promise<Object>} { completions, notes, values }
+         */
+        async loadAll() {
+            const values = {};
+            Object.values(this.keys).forEach(key => {
+                if (this.isRecordKey(key)) return;
+                const value = this.read(key);
+                if (value !== null) values[key] = value;
+            });
+
+            return {
+                completions: this.read(this.keys.COMPLETED_READINGS) || [],
+                notes: this.read(this.keys.STUDY_NOTES) || {},
+                values
+            };
+        },
+
+        /**
+         * @param {Object} query - Any of { plan, dateKey, day }
+         * @returns {Promise<Array>} Matching completion records
+         */
+        async getCompletions(query = {}) {
+            const completions = this.read(this.keys.COMPLETED_READINGS) || [];
+            return completions.filter(entry => StorageAdapters.matches(entry, query));
+        },
+
+        /**
+         * @param {Object} entry - Completion record
+         */
+        async putCompletion(entry) {
+            const { plan, dateKey, day } = entry;
+            const completions = (this.read(this.keys.COMPLETED_READINGS) || [])
+                .filter(c => !StorageAdapters.matches(c, { plan, dateKey, day }));
+            completions.push(entry);
+            this.write(this.keys.COMPLETED_READINGS, completions);
+        },
+
+        /**
+         * @param {Object} entry - { plan, dateKey, day } of the completion to remove
+         */
+        async deleteCompletion({ plan, dateKey, day }) {
+            const completions = this.read(this.keys.COMPLETED_READINGS) || [];
+            this.write(this.keys.COMPLETED_READINGS,
+                completions.filter(c => !StorageAdapters.matches(c, { plan, dateKey, day })));
+        },
+
+        /**
+         * @param {string} plan - Plan key
+         */
+        async deleteCompletions(plan) {
+            const completions = this.read(this.keys.COMPLETED_READINGS) || [];
+            this.write(this.keys.COMPLETED_READINGS, completions.filter(c => c.plan !== plan));
+        },
+
+        /**
+         * @param {string} dateKey - Date key (YYYY-MM-DD)
+         * @param {Object} note - { content, lastModified }
+         */
+        async putNote(dateKey, note) {
+            const notes = this.read(this.keys.STUDY_NOTES) || {};
+            notes[dateKey] = note;
+            this.write(this.keys.STUDY_NOTES, notes);
+        },
+
+        /**
+         * @param {string} dateKey - Date key (YYYY-MM-DD), or undefined for every date
+         * @returns {Promise<Array>} Revision records, oldest first
+         */
+        async getRevisions(dateKey) {
+            const revisions = this.read(this.keys.NOTE_REVISIONS) || [];
+            return revisions.filter(revision => dateKey === undefined || revision.dateKey === dateKey);
+        },
+
+        /**
+         * @param {Object} revision - { dateKey, savedAt, content }
+         * @param {number} limit - Most revisions to keep per date
+         */
+        async putRevision(revision, limit) {
+            const revisions = (this.read(this.keys.NOTE_REVISIONS) || []).filter(r =>
+                r.dateKey !== revision.dateKey || r.savedAt !== revision.savedAt
+            );
+            revisions.push(revision);
+            const ofDate = revisions.filter(r => r.dateKey === revision.dateKey);
+            const dropped = new Set(ofDate.slice(0, -limit));
+            this.write(this.keys.NOTE_REVISIONS, revisions.filter(r => !dropped.has(r)));
+        },
+
+        /**
+         * Remove every revision
+         */
+        async deleteRevisions() {
+            localStorage.removeItem(this.keys.NOTE_REVISIONS);
+        },
+
+        /**
+         * @param {string} key - Storage key
+         * @param {any} value - Value to store
+         */
+        async setValue(key, value) {
+            this.write(key, value);
+        },
+
+        /**
+         * @param {string} key - Storage key
+         */
+        async removeValue(key) {
+            localStorage.removeItem(key);
+        },
+
+        /**
+         * @param {Object} data - Any of { completions, notes, values, revisions }
+         * @param {boolean} replace - Drop what is stored first
+         */
+        async writeAll({ completions, notes, values, revisions }, replace = false) {
+            if (completions !== undefined) {
+                const kept = replace ? [] : (this.read(this.keys.COMPLETED_READINGS) || [])
+                    .filter(c => !completions.some(entry => StorageAdapters.matches(c, entry)));
+                this.write(this.keys.COMPLETED_READINGS, [...kept, ...completions]);
+            }
+            if (notes !== undefined) {
+                const kept = replace ? {} : (this.read(this.keys.STUDY_NOTES) || {});
+                this.write(this.keys.STUDY_NOTES, { ...kept, ...notes });
+            }
+            if (values !== undefined) {
+                if (replace) {
+                    Object.values(this.keys).forEach(key => {
+                        if (!this.isRecordKey(key)) {
+                            localStorage.removeItem(key);
+                        }
+                    });
+                }
+                Object.entries(values).forEach(([key, value]) => this.write(key, value));
+            }
+            if (revisions !== undefined) {
+                const kept = replace ? [] : (this.read(this.keys.NOTE_REVISIONS) || []).filter(r =>
+                    !revisions.some(revision => revision.dateKey === r.dateKey && revision.savedAt === r.savedAt)
+                );
+                this.write(this.keys.NOTE_REVISIONS, [...kept, ...revisions]);
+            }
+        },
+
+        /**
+         * Remove every app key
+         */
+        clear() {
+            Object.values(this.keys).forEach(key => {
+                try {
+                    localStorage.removeItem(key);
+                } catch (error) {
+                    console.error(`Error removing ${key}:`, error);
+                }
+            });
+        }
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapters;
+}
@@ -1,6 +1,8 @@
 /**
  * Storage Management for Bible Reading Planner
- * Handles localStorage operations for reading progress, notes, and preferences
+ * Handles reading progress, notes, and preferences. Data is held in memory
+ * for fast lookups and written through to an async storage adapter
+ * (IndexedDB, or localStorage where IndexedDB is unavailable).
  */
 
 const StorageManager = {
@@ -11,19 +13,115 @@ const StorageManager = {
         PREFERENCES: 'besorah_preferences',
         CURRENT_PLAN: 'besorah_current_plan',
         STREAK_DATA: 'besorah_streak_data',
-        LAST_ACTIVE: 'besorah_last_active'
+        LAST_ACTIVE: 'besorah_last_active',
+        DATA_VERSION: 'besorah_data_version',
+        CUSTOM_PLANS: 'besorah_custom_plans',
+        SYNC: 'besorah_sync',
+        NOTE_ENCRYPTION: 'besorah_note_encryption',
+        NOTE_REVISIONS: 'besorah_note_revisions'
     },
 
+    // Bump when stored data needs migrating (see migrate())
+    DATA_VERSION: 2,
+
+    DEFAULT_PLAN: 'nt90',
+
+    // Earlier versions of a note kept per date (see keepRevision())
+    REVISION_LIMIT: 20,
+
+    // Minimum time between kept versions while a note is being edited
+    REVISION_INTERVAL: 10 * 60 * 1000,
+
+    // Backend adapter (see StorageAdapters)
+    adapter: null,
+
+    // Completions indexed by plan, then by "dateKey|day"
+    completions: new Map(),
+
+    // Study notes keyed by date key
+    notes: {},
+
+    // Every other stored value keyed by storage key
+    values: {},
+
+    // Passphrase keys while encrypted notes are unlocked (see NoteCrypto)
+    noteKeyring: null,
+
+    // Decrypted text of encrypted notes while unlocked, keyed by date key
+    plainNotes: new Map(),
+
+    // Chain of pending adapter writes
+    pending: Promise.resolve(),
+
+    // BroadcastChannel telling other open tabs what this one saved
+    channel: null,
+
+    // Called after another tab's change is applied, to refresh the page
+    onRemoteChange: null,
+
+    // Promise for the first init() call
+    ready: null,
+
     /**
-     * Initialize storage with default values if not exists
+     * Load stored data. Safe to call more than once; later calls wait
+     * for the first.
+     * @returns {Promise}
      */
     init() {
-        if (!this.get(this.KEYS.COMPLETED_READINGS)) {
-            this.set(this.KEYS.COMPLETED_READINGS, []);
+        if (!this.ready) {
+            this.ready = this.load();
         }
-        if (!this.get(this.KEYS.STUDY_NOTES)) {
-            this.set(this.KEYS.STUDY_NOTES, {});
+        return this.ready;
+    },
+
+    /**
+     * Open the storage backend and load its data. On the first run with
+     * IndexedDB, data saved in localStorage is upgraded where it is and
+     * then moved across.
+     */
+    async load() {
+        this.listenToOtherTabs();
+        const local = StorageAdapters.localStorage;
+        const adapter = await StorageAdapters.open(this.KEYS);
+
+        if (adapter !== local && local.hasData()) {
+            await this.loadFrom(local);
+            try {
+                await StorageAdapters.migrate(local, adapter);
+            } catch (error) {
+                console.error('Error moving data to IndexedDB, staying on localStorage:', error);
+                this.updateLastActive();
+                return;
+            }
         }
+
+        await this.loadFrom(adapter);
+        this.updateLastActive();
+    },
+
+    /**
+     * Read everything from an adapter into memory and bring it up to date
+     * @param {Object} adapter - Storage adapter
+     */
+    async loadFrom(adapter) {
+        await this.flush();
+        this.adapter = adapter;
+        const { completions, notes, values } = await adapter.loadAll();
+        this.values = values;
+        this.notes = notes;
+        this.lockNotes();
+        this.completions = new Map();
+        completions.forEach(entry => this.indexCompletion(entry));
+
+        this.applyDefaults();
+        this.migrate();
+        await this.flush();
+    },
+
+    /**
+     * Store default values for anything not yet saved
+     */
+    applyDefaults() {
         if (!this.get(this.KEYS.PREFERENCES)) {
             this.set(this.KEYS.PREFERENCES, {
                 calendarType: 'gregorian',
@@ -31,136 +129,834 @@ const StorageManager = {
             });
         }
         if (!this.get(this.KEYS.STREAK_DATA)) {
-            this.set(this.KEYS.STREAK_DATA, {
-                currentStreak: 0,
-                longestStreak: 0,
-                lastCompletedDate: null
-            });
+            this.set(this.KEYS.STREAK_DATA, {});
         }
-        this.updateLastActive();
     },
 
     /**
-     * Get item from localStorage
+     * Queue a write to the storage adapter. Writes run in order; a failed
+     * write (e.g. a full quota) is logged and does not block later ones.
+     * @param {Function} task - Receives the adapter and returns a promise
+     * @returns {Promise} Resolves once the write has finished
+     */
+    write(task) {
+        const adapter = this.adapter;
+        if (!adapter) return this.pending;
+
+        this.pending = this.pending
+            .then(() => task(adapter))
+            .catch(error => console.error('Error saving data:', error));
+        return this.pending;
+    },
+
+    /**
+     * Wait for every queued write to finish
+     * @returns {Promise}
+     */
+    flush() {
+        return this.pending;
+    },
+
+    /**
+     * Keep the in-memory copy in step with other open tabs. Each tab holds
+     * its data in memory, so without this one tab's whole-value writes
+     * (preferences, custom plans, streaks) would overwrite another's.
+     */
+    listenToOtherTabs() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel('besorah-storage');
+        this.channel.onmessage = event => this.applyRemoteChange(event.data);
+        // Node (which runs the tests) would otherwise wait on the channel
+        if (this.channel.unref) this.channel.unref();
+    },
+
+    /**
+     * Tell other tabs about a change once it has been saved
+     * @param {Promise} saved - From write()
+     * @param {Object} change - Change for applyRemoteChange()
+     */
+    announce(saved, change) {
+        if (!this.channel) return;
+        saved.then(() => this.channel.postMessage(change));
+    },
+
+    /**
+     * Apply a change another tab saved to the in-memory copy
+     * @param {Object} change - { type, ... } as announced
+     */
+    applyRemoteChange(change) {
+        if (change.type === 'value') {
+            if (change.value === undefined) {
+                delete this.values[change.key];
+            } else {
+                this.values[change.key] = change.value;
+            }
+        } else if (change.type === 'completion') {
+            this.indexCompletion(change.entry);
+        } else if (change.type === 'completion-removed') {
+            const planCompletions = this.completions.get(change.plan);
+            if (planCompletions) {
+                planCompletions.delete(this.completionKey(change.dateKey, change.day));
+            }
+        } else if (change.type === 'completions') {
+            this.completions = new Map();
+            change.entries.forEach(entry => this.indexCompletion(entry));
+        } else if (change.type === 'plan-removed') {
+            this.completions.delete(change.plan);
+        } else if (change.type === 'note') {
+            this.notes[change.dateKey] = change.note;
+            this.plainNotes.delete(change.dateKey);
+            const keyring = this.noteKeyring;
+            if (keyring && NoteCrypto.isEncrypted(change.note.content)) {
+                NoteCrypto.decrypt(change.note.content, keyring)
+                    .then(text => this.plainNotes.set(change.dateKey, text))
+                    .catch(() => this.lockNotes());
+            }
+        } else if (change.type === 'notes') {
+            this.notes = change.notes;
+            this.plainNotes = new Map();
+            const keyring = this.noteKeyring;
+            if (keyring) {
+                this.decryptNotes(keyring)
+                    .then(plainNotes => { this.plainNotes = plainNotes; })
+                    .catch(() => this.lockNotes());
+            }
+        }
+
+        if (this.onRemoteChange) {
+            this.onRemoteChange(change);
+        }
+    },
+
+    /**
+     * Upgrade stored data from older versions
+     */
+    migrate() {
+        const version = this.get(this.KEYS.DATA_VERSION) || 1;
+        if (version >= this.DATA_VERSION) return;
+
+        if (version < 2) {
+            this.migrateToPerPlanProgress();
+        }
+
+        this.set(this.KEYS.DATA_VERSION, this.DATA_VERSION);
+    },
+
+    /**
+     * Version 2: namespace completions, streaks and start dates by plan.
+     * Untagged completions are assigned to the plan that produced them:
+     * the Ethiopian plan when the day matches the Ethiopian day of year
+     * (Ethiopian calendar view), otherwise the plan that was selected.
+     */
+    migrateToPerPlanProgress() {
+        const activePlan = this.getActivePlan();
+        const legacyStart = this.getPreference('planStartDate');
+        const start = legacyStart ? new Date(legacyStart) : null;
+        if (start) start.setHours(0, 0, 0, 0);
+
+        const completed = this.getCompletedReadings().map(entry => {
+            if (entry.plan) return entry;
+            return { ...entry, plan: this.inferLegacyPlan(entry, activePlan, start) };
+        });
+        this.replaceCompletedReadings(completed);
+
+        if (legacyStart) {
+            this.setPlanStartDate(activePlan, legacyStart);
+            const prefs = this.get(this.KEYS.PREFERENCES) || {};
+            delete prefs.planStartDate;
+            this.set(this.KEYS.PREFERENCES, prefs);
+        }
+
+        // Old streak data was a single object; rebuild per plan
+        this.set(this.KEYS.STREAK_DATA, {});
+        [...new Set(completed.map(c => c.plan))].forEach(plan => {
+            this.recalculateStreak(plan);
+        });
+    },
+
+    /**
+     * Work out which plan an untagged completion was recorded against
+     * @param {Object} entry - Completion entry { dateKey, day }
+     * @param {string} activePlan - Plan selected at migration time
+     * @param {Date|null} start - Legacy plan start date
+     * @returns {string} Plan key
+     */
+    inferLegacyPlan(entry, activePlan, start) {
+        const date = this.parseDateKey(entry.dateKey);
+
+        if (start) {
+            const dayDiff = Math.round((date - start) / (1000 * 60 * 60 * 24));
+            if (dayDiff + 1 === entry.day) return activePlan;
+        }
+
+        if (typeof EthiopianCalendar !== 'undefined' &&
+            EthiopianCalendar.fromGregorian(date).dayOfYear === entry.day) {
+            return 'ethiopian';
+        }
+
+        return activePlan;
+    },
+
+    /**
+     * Parse a date key into a local Date
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date}
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * @param {Date} date - Date object
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    },
+
+    /**
+     * Get the key of the currently selected reading plan
+     * @returns {string}
+     */
+    getActivePlan() {
+        return this.getPreference('readingPlan', this.DEFAULT_PLAN);
+    },
+
+    /**
+     * Get a stored value. Completions and notes have their own methods.
      * @param {string} key - Storage key
-     * @returns {any} Parsed value or null
+     * @returns {any} Copy of the value or null
      */
     get(key) {
-        try {
-            const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : null;
-        } catch (error) {
-            console.error(`Error getting ${key}:`, error);
-            return null;
-        }
+        return this.values[key] !== undefined ? structuredClone(this.values[key]) : null;
     },
 
     /**
-     * Set item in localStorage
+     * Store a value
      * @param {string} key - Storage key
      * @param {any} value - Value to store
      */
     set(key, value) {
-        try {
-            localStorage.setItem(key, JSON.stringify(value));
-        } catch (error) {
-            console.error(`Error setting ${key}:`, error);
-        }
+        const copy = structuredClone(value);
+        this.values[key] = copy;
+        this.announce(this.write(adapter => adapter.setValue(key, copy)), { type: 'value', key, value: copy });
     },
 
     /**
-     * Remove item from localStorage
+     * Remove a stored value
      * @param {string} key - Storage key
      */
     remove(key) {
-        try {
-            localStorage.removeItem(key);
-        } catch (error) {
-            console.error(`Error removing ${key}:`, error);
-        }
+        delete this.values[key];
+        this.announce(this.write(adapter => adapter.removeValue(key)), { type: 'value', key });
     },
 
     /**
-     * Clear all app data
+     * Clear all app data. Plans the user built and sync settings are kept;
+     * only progress, notes and settings are reset. This device then syncs
+     * as a new one: the other devices keep their data rather than being
+     * sent the deletion of every record.
+     * @returns {Promise} Resolves once the cleared data is saved
      */
     clearAll() {
+        const kept = [this.KEYS.CUSTOM_PLANS, this.KEYS.SYNC];
         Object.values(this.KEYS).forEach(key => {
-            this.remove(key);
+            if (!kept.includes(key) && this.values[key] !== undefined) {
+                this.remove(key);
+            }
         });
-        this.init();
+        const sync = this.get(this.KEYS.SYNC);
+        if (sync && sync.base) {
+            this.set(this.KEYS.SYNC, { ...sync, cursor: 0, base: {}, lastSyncedAt: null });
+        }
+        this.replaceCompletedReadings([]);
+        this.replaceStudyNotes({});
+        this.write(adapter => adapter.deleteRevisions());
+        this.lockNotes();
+        this.applyDefaults();
+        this.migrate();
+        this.updateLastActive();
+        return this.flush();
+    },
+
+    /**
+     * Key of a completion within its plan
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} day - Day number in the reading plan
+     * @returns {string}
+     */
+    completionKey(dateKey, day) {
+        return `${dateKey}|${day}`;
+    },
+
+    /**
+     * Add a completion to the in-memory index
+     * @param {Object} entry - Completion entry
+     */
+    indexCompletion(entry) {
+        if (!this.completions.has(entry.plan)) {
+            this.completions.set(entry.plan, new Map());
+        }
+        this.completions.get(entry.plan).set(this.completionKey(entry.dateKey, entry.day), entry);
     },
 
     /**
      * Mark a reading as completed
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {number} day - Day number in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
      */
-    markReadingComplete(dateKey, day) {
-        const completed = this.get(this.KEYS.COMPLETED_READINGS) || [];
-        const entry = { dateKey, day, completedAt: new Date().toISOString() };
-        
+    markReadingComplete(dateKey, day, plan = this.getActivePlan()) {
         // Check if already completed
-        const exists = completed.find(c => c.dateKey === dateKey && c.day === day);
-        if (!exists) {
-            completed.push(entry);
-            this.set(this.KEYS.COMPLETED_READINGS, completed);
-            this.updateStreak(dateKey);
-        }
+        if (this.isReadingComplete(dateKey, day, plan)) return;
+
+        this.saveCompletion({ plan, dateKey, day, completedAt: new Date().toISOString() });
+        this.updateStreak(dateKey, plan);
+    },
+
+    /**
+     * Store a completion entry as it is, without touching streaks
+     * (used when applying synced changes)
+     * @param {Object} entry - { plan, dateKey, day, completedAt }
+     */
+    saveCompletion(entry) {
+        const copy = { ...entry };
+        this.indexCompletion(copy);
+        this.announce(this.write(adapter => adapter.putCompletion(copy)), { type: 'completion', entry: copy });
     },
 
     /**
      * Mark a reading as incomplete
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {number} day - Day number in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
      */
-    markReadingIncomplete(dateKey, day) {
-        let completed = this.get(this.KEYS.COMPLETED_READINGS) || [];
-        completed = completed.filter(c => !(c.dateKey === dateKey && c.day === day));
-        this.set(this.KEYS.COMPLETED_READINGS, completed);
-        this.recalculateStreak();
+    markReadingIncomplete(dateKey, day, plan = this.getActivePlan()) {
+        const planCompletions = this.completions.get(plan);
+        if (planCompletions) {
+            planCompletions.delete(this.completionKey(dateKey, day));
+        }
+        this.announce(this.write(adapter => adapter.deleteCompletion({ plan, dateKey, day })),
+            { type: 'completion-removed', plan, dateKey, day });
+        this.recalculateStreak(plan);
     },
 
     /**
      * Check if a reading is completed
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {number} day - Day number in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
      * @returns {boolean}
      */
-    isReadingComplete(dateKey, day) {
-        const completed = this.get(this.KEYS.COMPLETED_READINGS) || [];
-        return completed.some(c => c.dateKey === dateKey && c.day === day);
+    isReadingComplete(dateKey, day, plan = this.getActivePlan()) {
+        const planCompletions = this.completions.get(plan);
+        return Boolean(planCompletions && planCompletions.has(this.completionKey(dateKey, day)));
+    },
+
+    /**
+     * Dates a plan day was read on, whichever calendar cell it belongs to
+     * @param {number} day - Day number in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @returns {Array} Date keys, earliest first
+     */
+    getDayReadDates(day, plan = this.getActivePlan()) {
+        const planCompletions = this.completions.get(plan) || new Map();
+        return [...planCompletions.values()]
+            .filter(entry => entry.day === day)
+            .map(entry => entry.dateKey)
+            .sort();
+    },
+
+    /**
+     * Plan days that were read on a date
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @returns {Array} Day numbers, in plan order
+     */
+    getDaysReadOn(dateKey, plan = this.getActivePlan()) {
+        const planCompletions = this.completions.get(plan) || new Map();
+        return [...planCompletions.values()]
+            .filter(entry => entry.dateKey === dateKey)
+            .map(entry => entry.day)
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Mark a plan day as not read, on every date it was read on
+     * @param {number} day - Day number in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
+     */
+    markDayUnread(day, plan = this.getActivePlan()) {
+        const dates = this.getDayReadDates(day, plan);
+        if (dates.length === 0) return;
+
+        dates.forEach(dateKey => {
+            this.completions.get(plan).delete(this.completionKey(dateKey, day));
+            this.announce(this.write(adapter => adapter.deleteCompletion({ plan, dateKey, day })),
+                { type: 'completion-removed', plan, dateKey, day });
+        });
+        this.recalculateStreak(plan);
+    },
+
+    /**
+     * Key of a day's chapter progress. A day of a dated plan is read once,
+     * so its number is enough; Ethiopian plan days come round every year
+     * and are keyed by their date as well.
+     * @param {number} day - Day number in the reading plan
+     * @param {string|null} dateKey - Date key, for the Ethiopian plan
+     * @returns {string}
+     */
+    chapterProgressKey(day, dateKey = null) {
+        return dateKey ? this.completionKey(dateKey, day) : String(day);
+    },
+
+    /**
+     * Chapters read of a day that isn't finished yet
+     * @param {string} key - From chapterProgressKey()
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @returns {Object} Date key each chapter was read on, by chapter label ("Matthew 2")
+     */
+    getChaptersRead(key, plan = this.getActivePlan()) {
+        return this.getChapterProgress(plan)[key] || {};
     },
 
     /**
-     * Get all completed readings
+     * Set the chapters read of a day that isn't finished yet
+     * @param {string} key - From chapterProgressKey()
+     * @param {Object} chapters - Date key each chapter was read on, by chapter label
+     * @param {string} plan - Plan key (defaults to the active plan)
+     */
+    setChaptersRead(key, chapters, plan = this.getActivePlan()) {
+        const progress = this.getPreference('chapterProgress', {});
+        const planProgress = progress[plan] || {};
+        if (Object.keys(chapters).length > 0) {
+            planProgress[key] = chapters;
+        } else {
+            delete planProgress[key];
+        }
+
+        if (Object.keys(planProgress).length > 0) {
+            progress[plan] = planProgress;
+        } else {
+            delete progress[plan];
+        }
+        this.setPreference('chapterProgress', progress);
+    },
+
+    /**
+     * Chapter progress of every unfinished day of a plan
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @returns {Object} Chapters read, by chapterProgressKey()
+     */
+    getChapterProgress(plan = this.getActivePlan()) {
+        const progress = this.getPreference('chapterProgress', {});
+        return progress[plan] || {};
+    },
+
+    /**
+     * Get completed readings
+     * @param {string|null} plan - Plan key, or null for every plan
      * @returns {Array} Array of completed reading objects
      */
-    getCompletedReadings() {
-        return this.get(this.KEYS.COMPLETED_READINGS) || [];
+    getCompletedReadings(plan = null) {
+        const maps = plan ? [this.completions.get(plan) || new Map()] : [...this.completions.values()];
+        return maps.flatMap(map => [...map.values()]).map(entry => ({ ...entry }));
     },
 
     /**
-     * Save study notes for a specific date
+     * Replace every completed reading
+     * @param {Array} entries - Completion entries
+     */
+    replaceCompletedReadings(entries) {
+        const copies = entries.map(entry => ({ ...entry }));
+        this.completions = new Map();
+        copies.forEach(entry => this.indexCompletion(entry));
+        this.announce(this.write(adapter => adapter.writeAll({ completions: copies }, true)), { type: 'completions', entries: copies });
+    },
+
+    /**
+     * Save study notes for a specific date. While note encryption is on,
+     * the text is encrypted before it is stored; text that is already
+     * encrypted (from a backup or another device) is stored as it is.
+     * The text being replaced may be kept as a revision (see keepRevision()).
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {string} notes - Study notes text
+     * @param {string} lastModified - ISO time of the edit (defaults to now)
      */
-    saveStudyNotes(dateKey, notes) {
-        const allNotes = this.get(this.KEYS.STUDY_NOTES) || {};
-        allNotes[dateKey] = {
-            content: notes,
-            lastModified: new Date().toISOString()
-        };
-        this.set(this.KEYS.STUDY_NOTES, allNotes);
+    saveStudyNotes(dateKey, notes, lastModified = new Date().toISOString()) {
+        const keyring = this.noteKeyring;
+        this.plainNotes.delete(dateKey);
+
+        if (NoteCrypto.isEncrypted(notes)) {
+            if (keyring) {
+                this.write(async () => {
+                    this.plainNotes.set(dateKey, await NoteCrypto.decrypt(notes, keyring));
+                });
+            }
+        } else if (notes !== '' && this.isNoteEncryptionOn()) {
+            if (!keyring) {
+                throw new Error('Unlock your notes before saving them');
+            }
+            // Shown at once; stored once encrypted
+            this.plainNotes.set(dateKey, notes);
+            this.write(async adapter => {
+                const note = { content: await NoteCrypto.encrypt(notes, keyring), lastModified };
+                const previous = this.notes[dateKey];
+                this.notes[dateKey] = note;
+                await this.keepRevision(adapter, dateKey, previous, note);
+                await adapter.putNote(dateKey, note);
+                this.announce(Promise.resolve(), { type: 'note', dateKey, note });
+            });
+            return;
+        }
+
+        this.storeNote(dateKey, { content: notes, lastModified });
+    },
+
+    /**
+     * Save a note pulled from another device. A plain note that arrives
+     * while notes are locked can't be encrypted yet, so it is stored as it
+     * came and encrypted on unlock (see encryptPlainNotes()).
+     * @param {string} dateKey - Date key
+     * @param {string} notes - Note content, plain or encrypted
+     * @param {string} lastModified - ISO time of the edit
+     */
+    saveSyncedNote(dateKey, notes, lastModified) {
+        if (notes !== '' && !NoteCrypto.isEncrypted(notes) && this.areNotesLocked()) {
+            this.plainNotes.delete(dateKey);
+            this.storeNote(dateKey, { content: notes, lastModified });
+            return;
+        }
+        this.saveStudyNotes(dateKey, notes, lastModified);
+    },
+
+    /**
+     * Store a note as given, keeping the version it replaces
+     * @param {string} dateKey - Date key
+     * @param {Object} note - { content, lastModified }
+     */
+    storeNote(dateKey, note) {
+        const previous = this.notes[dateKey];
+        this.notes[dateKey] = note;
+        this.announce(this.write(async adapter => {
+            await this.keepRevision(adapter, dateKey, previous, note);
+            await adapter.putNote(dateKey, note);
+        }), { type: 'note', dateKey, note });
+    },
+
+    /**
+     * Keep the version of a note being replaced, so it can be restored.
+     * Auto-save stores a note every few seconds while the user types, so
+     * a version is only kept once REVISION_INTERVAL has passed since the
+     * last kept one or since it was written, or when the edit removes most
+     * of the text.
+     * @param {Object} adapter - Storage adapter
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} previous - Stored note being replaced, if any
+     * @param {Object} next - Note replacing it
+     */
+    async keepRevision(adapter, dateKey, previous, next) {
+        if (!previous || previous.content === '' || previous.content === next.content) return;
+
+        const savedAt = previous.lastModified || new Date().toISOString();
+        const latest = (await adapter.getRevisions(dateKey)).pop();
+        const due = !latest ||
+            Date.parse(savedAt) - Date.parse(latest.savedAt) >= this.REVISION_INTERVAL ||
+            Date.parse(next.lastModified) - Date.parse(savedAt) >= this.REVISION_INTERVAL;
+        if (due || next.content.length < previous.content.length / 2) {
+            await adapter.putRevision({ dateKey, savedAt, content: previous.content }, this.REVISION_LIMIT);
+        }
+    },
+
+    /**
+     * Get the kept versions of a note, newest first. Versions encrypted
+     * with a passphrase other than the current one are left out.
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Promise<Array>} Array of { savedAt, content }
+     */
+    async getNoteRevisions(dateKey) {
+        await this.flush();
+        const keyring = this.noteKeyring;
+        const revisions = [];
+        for (const revision of (await this.adapter.getRevisions(dateKey)).reverse()) {
+            if (!NoteCrypto.isEncrypted(revision.content)) {
+                revisions.push({ savedAt: revision.savedAt, content: revision.content });
+                continue;
+            }
+            if (!keyring) {
+                throw new Error('Unlock your notes to see their history');
+            }
+            try {
+                revisions.push({ savedAt: revision.savedAt, content: await NoteCrypto.decrypt(revision.content, keyring) });
+            } catch (error) {
+                // Unreadable with this passphrase
+            }
+        }
+        return revisions;
+    },
+
+    /**
+     * Bring back an earlier version of a note. The current text is kept
+     * as a revision first, so a restore can itself be undone.
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} content - Text of the version, as from getNoteRevisions()
+     * @returns {Promise} Resolves once the note is saved
+     */
+    async restoreNoteRevision(dateKey, content) {
+        await this.flush();
+        const current = this.notes[dateKey];
+        if (current && current.content !== '') {
+            const revision = {
+                dateKey,
+                savedAt: current.lastModified || new Date().toISOString(),
+                content: current.content
+            };
+            this.write(adapter => adapter.putRevision(revision, this.REVISION_LIMIT));
+        }
+        this.saveStudyNotes(dateKey, content);
+        return this.flush();
     },
 
     /**
      * Get study notes for a specific date
      * @param {string} dateKey - Date key (YYYY-MM-DD)
-     * @returns {string} Notes content or empty string
+     * @returns {string} Notes content or empty string; empty for encrypted
+     *   notes while they are locked
      */
     getStudyNotes(dateKey) {
-        const allNotes = this.get(this.KEYS.STUDY_NOTES) || {};
-        return allNotes[dateKey] ? allNotes[dateKey].content : '';
+        if (this.plainNotes.has(dateKey)) {
+            return this.plainNotes.get(dateKey);
+        }
+        const content = this.notes[dateKey] ? this.notes[dateKey].content : '';
+        return NoteCrypto.isEncrypted(content) ? '' : content;
+    },
+
+    /**
+     * Get every study note as stored (encrypted notes stay encrypted)
+     * @returns {Object} Notes keyed by date key: { content, lastModified }
+     */
+    getAllStudyNotes() {
+        return structuredClone(this.notes);
+    },
+
+    /**
+     * Replace every study note
+     * @param {Object} notes - Notes keyed by date key
+     */
+    replaceStudyNotes(notes) {
+        this.notes = structuredClone(notes);
+        const copy = structuredClone(notes);
+        this.announce(this.write(adapter => adapter.writeAll({ notes: copy }, true)), { type: 'notes', notes: copy });
+
+        // Notes encrypted with another passphrase lock everything again
+        const keyring = this.noteKeyring;
+        this.plainNotes = new Map();
+        if (keyring) {
+            this.write(async () => {
+                try {
+                    this.plainNotes = await this.decryptNotes(keyring);
+                } catch (error) {
+                    this.lockNotes();
+                }
+            });
+        }
+    },
+
+    /**
+     * @returns {boolean} Whether notes are encrypted on this device, or
+     *   encrypted notes arrived from a backup or another device
+     */
+    isNoteEncryptionOn() {
+        return Boolean(this.get(this.KEYS.NOTE_ENCRYPTION)) ||
+            Object.values(this.notes).some(note => NoteCrypto.isEncrypted(note.content));
+    },
+
+    /**
+     * @returns {boolean} Whether encrypted notes are waiting for the passphrase
+     */
+    areNotesLocked() {
+        return this.isNoteEncryptionOn() && !this.noteKeyring;
+    },
+
+    /**
+     * Unlock encrypted notes. Encryption is turned on with this passphrase
+     * if only encrypted notes from elsewhere were found.
+     * @param {string} passphrase - Reader's passphrase
+     * @returns {Promise} Rejects with "Wrong passphrase"
+     */
+    async unlockNotes(passphrase) {
+        await this.flush();
+        const settings = this.get(this.KEYS.NOTE_ENCRYPTION);
+        const keyring = await NoteCrypto.createKeyring(passphrase, settings ? settings.salt : undefined);
+        if (settings) {
+            await NoteCrypto.decrypt(settings.check, keyring);
+        }
+
+        const plainNotes = await this.decryptNotes(keyring);
+        if (!settings) {
+            this.set(this.KEYS.NOTE_ENCRYPTION, {
+                salt: keyring.salt,
+                check: await NoteCrypto.encrypt(NoteCrypto.CHECK_TEXT, keyring)
+            });
+        }
+        this.noteKeyring = keyring;
+        this.plainNotes = plainNotes;
+        this.encryptPlainNotes(keyring);
+    },
+
+    /**
+     * Encrypt notes that were stored plain while notes were locked
+     * @param {Object} keyring - Keys from NoteCrypto.createKeyring
+     */
+    encryptPlainNotes(keyring) {
+        Object.entries(this.notes).forEach(([dateKey, note]) => {
+            if (note.content === '' || NoteCrypto.isEncrypted(note.content)) return;
+
+            this.plainNotes.set(dateKey, note.content);
+            this.write(async adapter => {
+                const encrypted = { ...note, content: await NoteCrypto.encrypt(note.content, keyring) };
+                // Leave it if it was edited in the meantime
+                if (this.notes[dateKey] !== note) return;
+                this.notes[dateKey] = encrypted;
+                await adapter.putNote(dateKey, encrypted);
+                this.announce(Promise.resolve(), { type: 'note', dateKey, note: encrypted });
+            });
+        });
+    },
+
+    /**
+     * Forget the passphrase and decrypted notes
+     */
+    lockNotes() {
+        this.noteKeyring = null;
+        this.plainNotes = new Map();
+    },
+
+    /**
+     * Encrypt every note with a new passphrase
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise} Resolves once the notes are saved
+     */
+    async enableNoteEncryption(passphrase) {
+        if (this.isNoteEncryptionOn()) {
+            throw new Error('Notes are already encrypted');
+        }
+        await this.encryptAllNotes(passphrase, new Map(
+            Object.entries(this.notes).map(([dateKey, note]) => [dateKey, note.content])
+        ));
+    },
+
+    /**
+     * Re-encrypt every note with a new passphrase
+     * @param {string} current - Current passphrase
+     * @param {string} next - New passphrase
+     * @returns {Promise} Rejects with "Wrong passphrase" if current is wrong
+     */
+    async changeNotePassphrase(current, next) {
+        await this.unlockNotes(current);
+        await this.encryptAllNotes(next, this.readableNotes());
+    },
+
+    /**
+     * Decrypt every note and turn encryption off
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise} Rejects with "Wrong passphrase"
+     */
+    async disableNoteEncryption(passphrase) {
+        await this.unlockNotes(passphrase);
+        const readable = this.readableNotes();
+        Object.keys(this.notes).forEach(dateKey => {
+            this.notes[dateKey] = { ...this.notes[dateKey], content: readable.get(dateKey) };
+        });
+
+        this.remove(this.KEYS.NOTE_ENCRYPTION);
+        const keyring = this.noteKeyring;
+        this.lockNotes();
+        const copy = structuredClone(this.notes);
+        this.announce(this.write(adapter => adapter.writeAll({ notes: copy }, true)), { type: 'notes', notes: copy });
+        return this.rewriteRevisions(keyring, null);
+    },
+
+    /**
+     * Encrypt notes with a new passphrase and salt and store them. Edit
+     * times are kept, since the text itself has not changed.
+     * @param {string} passphrase - New passphrase
+     * @param {Map} readable - Plain text keyed by date key
+     */
+    async encryptAllNotes(passphrase, readable) {
+        // Let notes being encrypted with an older key land first
+        await this.flush();
+        const previous = this.noteKeyring;
+        const keyring = await NoteCrypto.createKeyring(passphrase);
+        const notes = {};
+        for (const [dateKey, note] of Object.entries(this.notes)) {
+            const text = readable.get(dateKey);
+            notes[dateKey] = { ...note, content: text === '' ? '' : await NoteCrypto.encrypt(text, keyring) };
+        }
+
+        this.set(this.KEYS.NOTE_ENCRYPTION, {
+            salt: keyring.salt,
+            check: await NoteCrypto.encrypt(NoteCrypto.CHECK_TEXT, keyring)
+        });
+        this.notes = notes;
+        this.noteKeyring = keyring;
+        this.plainNotes = new Map([...readable].filter(([, text]) => text !== ''));
+
+        const copy = structuredClone(notes);
+        this.announce(this.write(adapter => adapter.writeAll({ notes: copy }, true)), { type: 'notes', notes: copy });
+        await this.rewriteRevisions(previous, keyring);
+    },
+
+    /**
+     * Re-encrypt kept note versions after the passphrase changes.
+     * Versions that cannot be decrypted are left as they are.
+     * @param {Object} from - Keyring they are encrypted with, or null
+     * @param {Object} to - Keyring to encrypt them with, or null to store them plain
+     * @returns {Promise} Resolves once they are saved
+     */
+    rewriteRevisions(from, to) {
+        return this.write(async adapter => {
+            const revisions = [];
+            for (const revision of await adapter.getRevisions()) {
+                try {
+                    const text = NoteCrypto.isEncrypted(revision.content)
+                        ? await NoteCrypto.decrypt(revision.content, from)
+                        : revision.content;
+                    revisions.push({ ...revision, content: to ? await NoteCrypto.encrypt(text, to) : text });
+                } catch (error) {
+                    revisions.push(revision);
+                }
+            }
+            await adapter.writeAll({ revisions }, true);
+        });
+    },
+
+    /**
+     * Decrypt every encrypted note
+     * @param {Object} keyring - From NoteCrypto.createKeyring
+     * @returns {Promise<Map>} Plain text keyed by date key
+     */
+    async decryptNotes(keyring) {
+        const plainNotes = new Map();
+        for (const [dateKey, note] of Object.entries(this.notes)) {
+            if (NoteCrypto.isEncrypted(note.content)) {
+                plainNotes.set(dateKey, await NoteCrypto.decrypt(note.content, keyring));
+            }
+        }
+        return plainNotes;
+    },
+
+    /**
+     * Text of every note while unlocked
+     * @returns {Map} Plain text keyed by date key
+     */
+    readableNotes() {
+        return new Map(Object.keys(this.notes).map(dateKey => [dateKey, this.getStudyNotes(dateKey)]));
     },
 
     /**
@@ -185,26 +981,181 @@ const StorageManager = {
         return prefs[key] !== undefined ? prefs[key] : defaultValue;
     },
 
+    /**
+     * Get the start date of a reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @returns {string|null} ISO date string
+     */
+    getPlanStartDate(plan = this.getActivePlan()) {
+        const startDates = this.getPreference('planStartDates', {});
+        return startDates[plan] || null;
+    },
+
+    /**
+     * Set the start date of a reading plan
+     * @param {string} plan - Plan key
+     * @param {string} startDate - ISO date string
+     */
+    setPlanStartDate(plan, startDate) {
+        const startDates = this.getPreference('planStartDates', {});
+        startDates[plan] = startDate;
+        this.setPreference('planStartDates', startDates);
+    },
+
+    /**
+     * Get the schedule events of a reading plan: its starts, pauses,
+     * resumes and reschedules (see PlanSchedule)
+     * @param {string} plan - Plan key
+     * @returns {Array} Schedule events, oldest first
+     */
+    getPlanSchedule(plan = this.getActivePlan()) {
+        const schedules = this.getPreference('planSchedules', {});
+        return schedules[plan] || [];
+    },
+
+    /**
+     * Set the schedule events of a reading plan
+     * @param {string} plan - Plan key
+     * @param {Array} events - Schedule events, oldest first
+     */
+    setPlanSchedule(plan, events) {
+        const schedules = this.getPreference('planSchedules', {});
+        if (events.length > 0) {
+            schedules[plan] = events;
+        } else {
+            delete schedules[plan];
+        }
+        this.setPreference('planSchedules', schedules);
+    },
+
+    /**
+     * Periods a plan has been paused since it was last started
+     * @param {string} plan - Plan key
+     * @returns {Array} Array of { from, to } date keys; "to" is the day reading resumed, or null while paused
+     */
+    getPlanPauses(plan = this.getActivePlan()) {
+        const events = this.getPlanSchedule(plan);
+        const lastStart = events.map(event => event.type).lastIndexOf('start');
+        const pauses = [];
+        events.slice(lastStart + 1).forEach(event => {
+            if (event.type === 'pause') {
+                pauses.push({ from: event.date, to: null });
+            } else if (event.type === 'resume' && pauses.length > 0) {
+                pauses[pauses.length - 1].to = event.date;
+            }
+        });
+        return pauses;
+    },
+
+    /**
+     * Count the days between two dates, leaving out days the plan was paused
+     * @param {string} fromKey - Earlier date key
+     * @param {string} toKey - Later date key
+     * @param {string} plan - Plan key
+     * @returns {number} Days from one to the other; 1 for the next day the plan ran
+     */
+    getActiveDayDiff(fromKey, toKey, plan = this.getActivePlan()) {
+        const dayNumber = dateKey => Math.round(Date.parse(dateKey) / (1000 * 60 * 60 * 24));
+        const from = dayNumber(fromKey);
+        const to = dayNumber(toKey);
+
+        // Paused days strictly between the two dates don't count
+        const paused = this.getPlanPauses(plan).reduce((total, pause) => {
+            const first = Math.max(dayNumber(pause.from), from + 1);
+            const end = Math.min(pause.to ? dayNumber(pause.to) : Infinity, to);
+            return total + Math.max(0, end - first);
+        }, 0);
+        return to - from - paused;
+    },
+
+    /**
+     * Get plans the user has built or imported
+     * @returns {Object} Plans keyed by plan key
+     */
+    getCustomPlans() {
+        return this.get(this.KEYS.CUSTOM_PLANS) || {};
+    },
+
+    /**
+     * Save a custom plan
+     * @param {string} plan - Plan key
+     * @param {Object} data - Plan in the schedule format
+     */
+    saveCustomPlan(plan, data) {
+        const plans = this.getCustomPlans();
+        plans[plan] = data;
+        this.set(this.KEYS.CUSTOM_PLANS, plans);
+    },
+
+    /**
+     * Rename a custom plan
+     * @param {string} plan - Plan key
+     * @param {string} title - New title
+     */
+    renameCustomPlan(plan, title) {
+        const plans = this.getCustomPlans();
+        if (!plans[plan]) return;
+        plans[plan].title = title;
+        this.set(this.KEYS.CUSTOM_PLANS, plans);
+    },
+
+    /**
+     * Delete a custom plan along with its progress and start date
+     * @param {string} plan - Plan key
+     */
+    deleteCustomPlan(plan) {
+        const plans = this.getCustomPlans();
+        delete plans[plan];
+        this.set(this.KEYS.CUSTOM_PLANS, plans);
+
+        this.completions.delete(plan);
+        this.announce(this.write(adapter => adapter.deleteCompletions(plan)), { type: 'plan-removed', plan });
+
+        const streaks = this.get(this.KEYS.STREAK_DATA) || {};
+        delete streaks[plan];
+        this.set(this.KEYS.STREAK_DATA, streaks);
+
+        const startDates = this.getPreference('planStartDates', {});
+        delete startDates[plan];
+        this.setPreference('planStartDates', startDates);
+
+        this.setPlanSchedule(plan, []);
+
+        const chapterProgress = this.getPreference('chapterProgress', {});
+        delete chapterProgress[plan];
+        this.setPreference('chapterProgress', chapterProgress);
+    },
+
+    /**
+     * Create a key for a new custom plan
+     * @returns {string} Plan key
+     */
+    generateCustomPlanKey() {
+        const plans = this.getCustomPlans();
+        let key;
+        do {
+            key = `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (plans[key]);
+        return key;
+    },
+
     /**
      * Update streak data when a reading is completed
      * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} plan - Plan key (defaults to the active plan)
      */
-    updateStreak(dateKey) {
-        const streakData = this.get(this.KEYS.STREAK_DATA) || {
-            currentStreak: 0,
-            longestStreak: 0,
-            lastCompletedDate: null
-        };
+    updateStreak(dateKey, plan = this.getActivePlan()) {
+        const streakData = this.getStreakData(plan);
 
-        const completedDate = new Date(dateKey);
-        const lastDate = streakData.lastCompletedDate ? new Date(streakData.lastCompletedDate) : null;
+        const lastDate = streakData.lastCompletedDate;
 
         if (!lastDate) {
             // First completion
             streakData.currentStreak = 1;
             streakData.longestStreak = 1;
         } else {
-            const dayDiff = Math.floor((completedDate - lastDate) / (1000 * 60 * 60 * 24));
+            // Days the plan was paused don't break the streak
+            const dayDiff = this.getActiveDayDiff(lastDate, dateKey, plan);
             
             if (dayDiff === 0) {
                 // Same day, no change
@@ -224,17 +1175,18 @@ const StorageManager = {
         }
 
         streakData.lastCompletedDate = dateKey;
-        this.set(this.KEYS.STREAK_DATA, streakData);
+        this.setStreakData(plan, streakData);
     },
 
     /**
      * Recalculate streak from completed readings
+     * @param {string} plan - Plan key (defaults to the active plan)
      */
-    recalculateStreak() {
-        const completed = this.get(this.KEYS.COMPLETED_READINGS) || [];
+    recalculateStreak(plan = this.getActivePlan()) {
+        const completed = this.getCompletedReadings(plan);
         
         if (completed.length === 0) {
-            this.set(this.KEYS.STREAK_DATA, {
+            this.setStreakData(plan, {
                 currentStreak: 0,
                 longestStreak: 0,
                 lastCompletedDate: null
@@ -253,9 +1205,7 @@ const StorageManager = {
         let tempStreak = 1;
 
         for (let i = 1; i < sorted.length; i++) {
-            const prevDate = new Date(sorted[i - 1]);
-            const currDate = new Date(sorted[i]);
-            const dayDiff = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
+            const dayDiff = this.getActiveDayDiff(sorted[i - 1], sorted[i], plan);
 
             if (dayDiff === 1) {
                 tempStreak++;
@@ -271,15 +1221,13 @@ const StorageManager = {
             longestStreak = tempStreak;
         }
 
-        // Check if the streak is current (last completed was today or yesterday)
-        const lastDate = new Date(sorted[sorted.length - 1]);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const daysSinceLastReading = Math.floor((today - lastDate) / (1000 * 60 * 60 * 24));
+        // Check if the streak is current (last completed was today or
+        // yesterday, not counting days the plan was paused)
+        const daysSinceLastReading = this.getActiveDayDiff(sorted[sorted.length - 1], this.getDateKey(new Date()), plan);
 
         currentStreak = daysSinceLastReading <= 1 ? tempStreak : 0;
 
-        this.set(this.KEYS.STREAK_DATA, {
+        this.setStreakData(plan, {
             currentStreak,
             longestStreak,
             lastCompletedDate: sorted[sorted.length - 1]
@@ -288,16 +1236,29 @@ const StorageManager = {
 
     /**
      * Get current streak data
+     * @param {string} plan - Plan key (defaults to the active plan)
      * @returns {Object} Streak data
      */
-    getStreakData() {
-        return this.get(this.KEYS.STREAK_DATA) || {
+    getStreakData(plan = this.getActivePlan()) {
+        const allStreaks = this.get(this.KEYS.STREAK_DATA) || {};
+        return allStreaks[plan] || {
             currentStreak: 0,
             longestStreak: 0,
             lastCompletedDate: null
         };
     },
 
+    /**
+     * Save streak data for a plan
+     * @param {string} plan - Plan key
+     * @param {Object} streakData - Streak data
+     */
+    setStreakData(plan, streakData) {
+        const allStreaks = this.get(this.KEYS.STREAK_DATA) || {};
+        allStreaks[plan] = streakData;
+        this.set(this.KEYS.STREAK_DATA, allStreaks);
+    },
+
     /**
      * Update last active timestamp
      */
@@ -308,52 +1269,81 @@ const StorageManager = {
     /**
      * Get statistics for the reading plan
      * @param {number} totalDays - Total days in the reading plan
+     * @param {string} plan - Plan key (defaults to the active plan)
+     * @param {Map|null} dayChapters - Chapter count of each day; adds chaptersRead and totalChapters
      * @returns {Object} Statistics object
      */
-    getStatistics(totalDays) {
-        const completed = this.get(this.KEYS.COMPLETED_READINGS) || [];
-        const uniqueDays = [...new Set(completed.map(c => c.day))].length;
-        const streakData = this.getStreakData();
+    getStatistics(totalDays, plan = this.getActivePlan(), dayChapters = null) {
+        const completed = this.getCompletedReadings(plan);
+        const readDays = new Set(completed.map(c => c.day));
+        const uniqueDays = readDays.size;
+        const streakData = this.getStreakData(plan);
 
-        return {
+        const stats = {
             totalReadings: totalDays,
             completedReadings: uniqueDays,
             progressPercent: totalDays > 0 ? Math.round((uniqueDays / totalDays) * 100) : 0,
             currentStreak: streakData.currentStreak,
             longestStreak: streakData.longestStreak
         };
+
+        if (dayChapters) {
+            // Chapters read so far of days that aren't finished
+            const partial = new Map();
+            Object.entries(this.getChapterProgress(plan)).forEach(([key, chapters]) => {
+                const day = Number(key.split('|').pop());
+                partial.set(day, Math.max(partial.get(day) || 0, Object.keys(chapters).length));
+            });
+
+            stats.totalChapters = 0;
+            stats.chaptersRead = 0;
+            dayChapters.forEach((count, day) => {
+                stats.totalChapters += count;
+                stats.chaptersRead += readDays.has(day) ? count : Math.min(partial.get(day) || 0, count);
+            });
+        }
+
+        return stats;
     },
 
     /**
-     * Export all data as JSON
-     * @returns {string} JSON string of all data
+     * Get the data that goes into a backup
+     * @returns {Object} { completions, notes, customPlans, preferences }
+     */
+    getBackupData() {
+        return {
+            completions: this.getCompletedReadings(),
+            notes: this.getAllStudyNotes(),
+            customPlans: this.getCustomPlans(),
+            preferences: this.get(this.KEYS.PREFERENCES) || {}
+        };
+    },
+
+    /**
+     * Export all data as a versioned backup (see Backup)
+     * @returns {string} JSON string of the backup
      */
     exportData() {
-        const data = {};
-        Object.entries(this.KEYS).forEach(([name, key]) => {
-            data[name] = this.get(key);
-        });
-        return JSON.stringify(data, null, 2);
+        return JSON.stringify(Backup.create(this.getBackupData()), null, 2);
     },
 
     /**
-     * Import data from JSON
-     * @param {string} jsonString - JSON string to import
-     * @returns {boolean} Success status
+     * Replace stored data with backup data, already merged with this
+     * device's data if needed (see Backup.merge). Streaks are rebuilt
+     * from the imported completions.
+     * @param {Object} data - { completions, notes, customPlans, preferences }
+     * @returns {Promise} Resolves once the data is saved
      */
-    importData(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            Object.entries(this.KEYS).forEach(([name, key]) => {
-                if (data[name]) {
-                    this.set(key, data[name]);
-                }
-            });
-            return true;
-        } catch (error) {
-            console.error('Error importing data:', error);
-            return false;
-        }
+    importData(data) {
+        this.replaceCompletedReadings(data.completions);
+        this.replaceStudyNotes(data.notes);
+        this.set(this.KEYS.CUSTOM_PLANS, data.customPlans);
+        this.set(this.KEYS.PREFERENCES, data.preferences);
+
+        this.set(this.KEYS.STREAK_DATA, {});
+        [...this.completions.keys()].forEach(plan => this.recalculateStreak(plan));
+
+        return this.flush();
     }
 };
 
@@ -0,0 +1,407 @@
+/**
+ * Sync Manager for Bible Reading Planner
+ * Keeps a reader's devices in step through a self-hosted sync endpoint
+ * (see server/sync-server.js). Each sync pushes the records that changed
+ * on this device since the last sync and pulls every other device's
+ * changes. Conflicts are settled per record: the latest edit wins.
+ *
+ * Records are completions, notes and preferences, with ids such as
+ * "completion:nt90|2026-01-01|1", "note:2026-01-01" and "preference:calendarType".
+ * Chapter progress and plan schedules are kept in preferences but synced
+ * per day and per plan ("chapters:nt90|12", "schedule:nt90"), so progress
+ * from two devices adds up rather than one overwriting the other.
+ * A change is { id, value, deleted, modifiedAt, deviceId }.
+ */
+
+const SyncManager = {
+    // Preferences that describe this device rather than the reader
+    LOCAL_PREFERENCES: ['hasVisited', 'totalVisits', 'appVersion'],
+
+    // Preferences synced as a record per entry instead of as a whole
+    SPLIT_PREFERENCES: ['chapterProgress', 'planSchedules'],
+
+    // Ids of the records that sync
+    RECORD_PATTERN: /^(completion|note|preference|chapters|schedule):./,
+
+    SPACE_PATTERN: /^[A-Za-z0-9_-]{6,64}$/,
+
+    // Sync in progress, shared by triggers that fire together
+    running: null,
+
+    /**
+     * Get sync settings and progress
+     * @returns {Object} { deviceId, endpoint, space, token, cursor, base, lastSyncedAt, lastError }
+     */
+    getState() {
+        return StorageManager.get(StorageManager.KEYS.SYNC) || {};
+    },
+
+    /**
+     * @param {Object} state - Sync settings and progress
+     */
+    saveState(state) {
+        StorageManager.set(StorageManager.KEYS.SYNC, state);
+    },
+
+    /**
+     * @returns {boolean} Whether an endpoint and sync code are set
+     */
+    isEnabled() {
+        const state = this.getState();
+        return Boolean(state.endpoint && state.space);
+    },
+
+    /**
+     * Set the sync endpoint. Progress is kept when the endpoint and sync
+     * code stay the same, and starts over otherwise.
+     * @param {Object} settings - { endpoint, space, token }
+     */
+    configure({ endpoint, space, token = '' }) {
+        endpoint = (endpoint || '').trim().replace(/\/+$/, '');
+        space = (space || '').trim();
+
+        if (!/^https?:\/\/\S+$/.test(endpoint)) {
+            throw new Error('Enter the sync server address, starting with http:// or https://');
+        }
+        if (!this.SPACE_PATTERN.test(space)) {
+            throw new Error('The sync code must be 6-64 letters, numbers, dashes or underscores');
+        }
+
+        const state = this.getState();
+        const unchanged = state.endpoint === endpoint && state.space === space;
+        this.saveState({
+            deviceId: state.deviceId || this.generateCode(),
+            endpoint,
+            space,
+            token: token.trim() || null,
+            cursor: unchanged ? state.cursor : 0,
+            base: unchanged ? state.base : {},
+            lastSyncedAt: unchanged ? state.lastSyncedAt : null,
+            lastError: null
+        });
+    },
+
+    /**
+     * Stop syncing. Data on this device is kept.
+     */
+    disable() {
+        const { deviceId } = this.getState();
+        this.saveState({ deviceId });
+    },
+
+    /**
+     * Create a random code for a new sync space or device
+     * @returns {string} 16 lowercase letters and digits
+     */
+    generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => (byte % 36).toString(36)).join('');
+    },
+
+    /**
+     * Sync now. Calls made while a sync is running share its result.
+     * @returns {Promise<Object|null>} { received, sent }, or null when sync is off or offline
+     */
+    sync() {
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    },
+
+    /**
+     * Pull remote changes, apply them, then push local ones
+     * @returns {Promise<Object|null>}
+     */
+    async run() {
+        if (!this.isEnabled()) return null;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return null;
+
+        const state = this.getState();
+        state.base = state.base || {};
+
+        try {
+            // Encrypted notes are stored once their encryption finishes
+            await StorageManager.flush();
+            const outgoing = this.collectChanges(state);
+            const pulled = await this.request(state, 'GET', `?since=${state.cursor || 0}`);
+            const { received, pending } = this.applyRemoteChanges(pulled.changes || [], outgoing, state);
+            await StorageManager.flush();
+
+            // Save pull progress before pushing, so a failed push only retries the push
+            state.cursor = pulled.cursor;
+            this.saveState(state);
+
+            if (pending.length > 0) {
+                await this.request(state, 'POST', '', { deviceId: state.deviceId, changes: pending });
+                pending.forEach(change => this.updateBase(state, change.id, change.deleted ? undefined : change.value));
+            }
+
+            state.lastSyncedAt = new Date().toISOString();
+            state.lastError = null;
+            this.saveState(state);
+            return { received, sent: pending.length };
+        } catch (error) {
+            state.lastError = error.message;
+            this.saveState(state);
+            throw error;
+        }
+    },
+
+    /**
+     * Call the sync endpoint
+     * @param {Object} state - Sync settings
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} query - Query string to append
+     * @param {Object} body - JSON body for POST
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(state, method, query, body = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (state.token) {
+            headers.Authorization = `Bearer ${state.token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${state.endpoint}/spaces/${encodeURIComponent(state.space)}/changes${query}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error(`Could not reach the sync server at ${state.endpoint}`);
+        }
+
+        if (response.status === 401) {
+            throw new Error('The sync server rejected the access token');
+        }
+        if (!response.ok) {
+            throw new Error(`The sync server replied with an error (HTTP ${response.status})`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Gather every syncable record on this device
+     * @returns {Object} Values keyed by record id
+     */
+    collectRecords() {
+        const records = {};
+        StorageManager.getCompletedReadings().forEach(entry => {
+            records[`completion:${entry.plan}|${entry.dateKey}|${entry.day}`] = entry;
+        });
+        Object.entries(StorageManager.getAllStudyNotes()).forEach(([dateKey, note]) => {
+            records[`note:${dateKey}`] = note;
+        });
+        const preferences = StorageManager.get(StorageManager.KEYS.PREFERENCES) || {};
+        Object.entries(preferences).forEach(([name, value]) => {
+            if (!this.LOCAL_PREFERENCES.includes(name) && !this.SPLIT_PREFERENCES.includes(name)) {
+                records[`preference:${name}`] = value;
+            }
+        });
+        Object.entries(preferences.chapterProgress || {}).forEach(([plan, progress]) => {
+            Object.entries(progress).forEach(([key, chapters]) => {
+                records[`chapters:${plan}|${key}`] = chapters;
+            });
+        });
+        Object.entries(preferences.planSchedules || {}).forEach(([plan, events]) => {
+            records[`schedule:${plan}`] = events;
+        });
+        return records;
+    },
+
+    /**
+     * Work out which records changed since the last sync
+     * @param {Object} state - Sync state holding the base fingerprints
+     * @returns {Array} Changes
+     */
+    collectChanges(state) {
+        const records = this.collectRecords();
+        const now = new Date().toISOString();
+        const changes = [];
+
+        Object.entries(records).forEach(([id, value]) => {
+            if (state.base[id] !== this.fingerprint(value)) {
+                changes.push({ id, value, deleted: false, modifiedAt: this.modifiedAt(id, value, now, state), deviceId: state.deviceId });
+            }
+        });
+        Object.keys(state.base).forEach(id => {
+            if (!(id in records)) {
+                changes.push({ id, value: null, deleted: true, modifiedAt: now, deviceId: state.deviceId });
+            }
+        });
+
+        return changes;
+    },
+
+    /**
+     * Best known edit time of a record. Notes and completions carry their
+     * own; preferences do not, so they count as edited now, except on a
+     * device's first sync, where the synced settings should win over the
+     * new device's defaults.
+     * @param {string} id - Record id
+     * @param {any} value - Record value
+     * @param {string} now - Current ISO time
+     * @param {Object} state - Sync state
+     * @returns {string} ISO time
+     */
+    modifiedAt(id, value, now, state) {
+        if (id.startsWith('note:')) return value.lastModified;
+        if (id.startsWith('completion:')) return value.completedAt || now;
+        return state.lastSyncedAt ? now : new Date(0).toISOString();
+    },
+
+    /**
+     * Apply pulled changes that beat this device's own edits
+     * @param {Array} changes - Pulled changes
+     * @param {Array} outgoing - Local changes not yet pushed
+     * @param {Object} state - Sync state
+     * @returns {Object} { received, pending } - count applied, and local changes still to push
+     */
+    applyRemoteChanges(changes, outgoing, state) {
+        const pending = new Map(outgoing.map(change => [change.id, change]));
+        const touchedPlans = new Set();
+        const applied = [];
+
+        changes.forEach(change => {
+            if (!this.isValidChange(change) || change.deviceId === state.deviceId) return;
+
+            const mine = pending.get(change.id);
+            if (mine) {
+                if (mine.deleted === change.deleted && this.fingerprint(mine.value) === this.fingerprint(change.value)) {
+                    // Both devices made the same edit
+                    pending.delete(change.id);
+                    this.updateBase(state, change.id, change.deleted ? undefined : change.value);
+                    return;
+                }
+                // Settings from a device's first sync never beat synced ones
+                if (this.compareChanges(mine, change) >= 0 && Date.parse(mine.modifiedAt) > 0) return;
+                pending.delete(change.id);
+            }
+
+            this.applyChange(change, touchedPlans);
+            applied.push(change.id);
+        });
+
+        touchedPlans.forEach(plan => StorageManager.recalculateStreak(plan));
+
+        // Record what the applied records look like here now
+        const records = this.collectRecords();
+        applied.forEach(id => this.updateBase(state, id, records[id]));
+
+        return { received: applied.length, pending: [...pending.values()] };
+    },
+
+    /**
+     * Write one remote change into storage
+     * @param {Object} change - Change to apply
+     * @param {Set} touchedPlans - Collects plans whose streaks need recalculating
+     */
+    applyChange(change, touchedPlans) {
+        const separator = change.id.indexOf(':');
+        const type = change.id.slice(0, separator);
+        const key = change.id.slice(separator + 1);
+
+        if (type === 'completion') {
+            const [plan, dateKey, day] = key.split('|');
+            if (change.deleted) {
+                StorageManager.markReadingIncomplete(dateKey, Number(day), plan);
+            } else {
+                StorageManager.saveCompletion(change.value);
+            }
+            touchedPlans.add(plan);
+        } else if (type === 'note') {
+            if (change.deleted) {
+                StorageManager.saveSyncedNote(key, '', change.modifiedAt);
+            } else {
+                StorageManager.saveSyncedNote(key, change.value.content, change.value.lastModified);
+            }
+        } else if (type === 'chapters') {
+            const separator = key.indexOf('|');
+            StorageManager.setChaptersRead(key.slice(separator + 1), change.deleted ? {} : change.value, key.slice(0, separator));
+        } else if (type === 'schedule') {
+            StorageManager.setPlanSchedule(key, change.deleted ? [] : change.value);
+        } else if (type === 'preference' && !change.deleted && !this.LOCAL_PREFERENCES.includes(key) &&
+            // Whole copies from devices that synced these before they were split
+            !this.SPLIT_PREFERENCES.includes(key)) {
+            StorageManager.setPreference(key, change.value);
+        }
+    },
+
+    /**
+     * Check a pulled change before applying it
+     * @param {Object} change - Change from the server
+     * @returns {boolean}
+     */
+    isValidChange(change) {
+        if (!change || typeof change.id !== 'string' || Number.isNaN(Date.parse(change.modifiedAt))) {
+            return false;
+        }
+        if (change.deleted) {
+            return this.RECORD_PATTERN.test(change.id);
+        }
+
+        const value = change.value;
+        if (change.id.startsWith('completion:')) {
+            return Backup.validate({ completions: [value], notes: {}, customPlans: {}, preferences: {} }).length === 0 &&
+                change.id === `completion:${value.plan}|${value.dateKey}|${value.day}`;
+        }
+        if (change.id.startsWith('note:')) {
+            return Backup.validate({ completions: [], notes: { [change.id.slice(5)]: value }, customPlans: {}, preferences: {} }).length === 0;
+        }
+        if (change.id.startsWith('chapters:')) {
+            return change.id.includes('|') && value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(dateKey => typeof dateKey === 'string');
+        }
+        if (change.id.startsWith('schedule:')) {
+            return Array.isArray(value) && value.every(event => event && /^\d{4}-\d{2}-\d{2}$/.test(event.date) &&
+                (['start', 'pause', 'resume'].includes(event.type) || PlanSchedule.isReschedule(event)));
+        }
+        return change.id.startsWith('preference:');
+    },
+
+    /**
+     * Order two changes to the same record: later edit first, then device id
+     * so every device and the server settle ties the same way
+     * @param {Object} a - Change
+     * @param {Object} b - Change
+     * @returns {number} Positive when a wins, negative when b wins, 0 when equal
+     */
+    compareChanges(a, b) {
+        const time = Date.parse(a.modifiedAt) - Date.parse(b.modifiedAt);
+        if (time !== 0) return time;
+        if (a.deviceId === b.deviceId) return 0;
+        return a.deviceId > b.deviceId ? 1 : -1;
+    },
+
+    /**
+     * Remember the synced value of a record
+     * @param {Object} state - Sync state
+     * @param {string} id - Record id
+     * @param {any} value - Synced value, or undefined when the record is gone
+     */
+    updateBase(state, id, value) {
+        if (value === undefined) {
+            delete state.base[id];
+        } else {
+            state.base[id] = this.fingerprint(value);
+        }
+    },
+
+    /**
+     * Short fingerprint of a record value
+     * @param {any} value - Record value
+     * @returns {string}
+     */
+    fingerprint(value) {
+        return Backup.checksum(value);
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncManager;
+}
@@ -0,0 +1,107 @@
+/**
+ * Text Diff for Bible Reading Planner
+ * Compares two versions of a note word by word (longest common
+ * subsequence), for showing what changed between note revisions.
+ */
+
+const TextDiff = {
+    // Largest comparison table before falling back to whole lines
+    MAX_CELLS: 4000000,
+
+    /**
+     * Compare two texts
+     * @param {string} before - Earlier text
+     * @param {string} after - Later text
+     * @returns {Array} Array of { type: 'same' | 'added' | 'removed', text },
+     *   with neighbouring parts of the same type merged
+     */
+    diff(before, after) {
+        let oldTokens = this.tokenize(before, /\s+|\S+/g);
+        let newTokens = this.tokenize(after, /\s+|\S+/g);
+        if (oldTokens.length * newTokens.length > this.MAX_CELLS) {
+            oldTokens = this.tokenize(before, /[^\n]*\n|[^\n]+/g);
+            newTokens = this.tokenize(after, /[^\n]*\n|[^\n]+/g);
+        }
+
+        // Most edits touch one place; compare only what lies between
+        // the shared start and end
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < oldTokens.length - start && end < newTokens.length - start &&
+            oldTokens[oldTokens.length - 1 - end] === newTokens[newTokens.length - 1 - end]) {
+            end++;
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        oldTokens.slice(0, start).forEach(token => push('same', token));
+        this.compare(
+            oldTokens.slice(start, oldTokens.length - end),
+            newTokens.slice(start, newTokens.length - end)
+        ).forEach(({ type, text }) => push(type, text));
+        oldTokens.slice(oldTokens.length - end).forEach(token => push('same', token));
+        return parts;
+    },
+
+    /**
+     * @param {string} text - Text to split
+     * @param {RegExp} pattern - Global pattern matching each token
+     * @returns {Array} Tokens that join back into the text
+     */
+    tokenize(text, pattern) {
+        return String(text || '').match(pattern) || [];
+    },
+
+    /**
+     * Longest common subsequence of two token lists
+     * @param {Array} a - Earlier tokens
+     * @param {Array} b - Later tokens
+     * @returns {Array} Array of { type, text }, one per token
+     */
+    compare(a, b) {
+        // lengths[i * width + j]: common tokens of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                parts.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                parts.push({ type: 'removed', text: a[i++] });
+            } else {
+                parts.push({ type: 'added', text: b[j++] });
+            }
+        }
+        a.slice(i).forEach(text => parts.push({ type: 'removed', text }));
+        b.slice(j).forEach(text => parts.push({ type: 'added', text }));
+        return parts;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+}
@@ -0,0 +1,99 @@
+/**
+ * Service Worker for Besorah Yeshua Bible Reading Planner
+ * Precaches the app shell and reading plans so the planner works offline
+ */
+
+// Must match BesorahApp.version. Changing it is what makes browsers
+// install the new worker and offer the update, so bump it whenever
+// PRECACHE_URLS or any file in it changes.
+const CACHE_VERSION = '1.1.0';
+const CACHE_PREFIX = 'besorah-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/planner.html',
+    '/404.html',
+    '/manifest.json',
+    '/css/main.css',
+    '/css/planner.css',
+    '/js/storage-adapters.js',
+    '/js/note-crypto.js',
+    '/js/storage.js',
+    '/js/backup.js',
+    '/js/sync.js',
+    '/js/ethiopian-calendar.js',
+    '/js/ethiopian-feasts.js',
+    '/js/ethiopian-fasts.js',
+    '/js/bible-canon.js',
+    '/js/scripture-references.js',
+    '/js/markdown-notes.js',
+    '/js/text-diff.js',
+    '/js/notes-journal.js',
+    '/js/plan-normalizer.js',
+    '/js/plan-schema.js',
+    '/js/plan-schedule.js',
+    '/js/plan-builder.js',
+    '/js/plan-importer.js',
+    '/js/reading-plans.js',
+    '/js/journal-export.js',
+    '/js/scripture-coverage.js',
+    '/js/ics-export.js',
+    '/js/calendar.js',
+    '/js/main.js',
+    '/data/reading-plans/nt90.json',
+    '/data/reading-plans/ot365.json',
+    '/data/reading-plans/ethiopian-calendar.json'
+];
+
+if (typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+    self.addEventListener('install', event => {
+        // Bypass the HTTP cache: script and style names are not hashed
+        const requests = PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }));
+        event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(requests)));
+    });
+
+    self.addEventListener('activate', event => {
+        event.waitUntil(
+            caches.keys()
+                .then(keys => Promise.all(keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))))
+                .then(() => self.clients.claim())
+        );
+    });
+
+    // The page asks the waiting worker to take over once the user agrees to reload
+    self.addEventListener('message', event => {
+        if (event.data && event.data.type === 'SKIP_WAITING') {
+            self.skipWaiting();
+        }
+    });
+
+    self.addEventListener('fetch', event => {
+        const request = event.request;
+        if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+            return;
+        }
+
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true }).then(cached => {
+                if (cached) return cached;
+
+                return fetch(request).catch(() => {
+                    if (request.mode === 'navigate') {
+                        const path = new URL(request.url).pathname;
+                        return caches.match(path.startsWith('/planner') ? '/planner.html' : '/index.html');
+                    }
+                    return Response.error();
+                });
+            })
+        );
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CACHE_VERSION, CACHE_NAME, PRECACHE_URLS };
+}
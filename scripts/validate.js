@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Reading Plan Validator for Bible Reading Planner
+ * Checks every plan in public/data/reading-plans before it ships
+ * Run with: npm run validate
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.PlanNormalizer = require('../public/js/plan-normalizer.js');
+const PlanSchema = require('../public/js/plan-schema.js');
+
+const PLANS_DIR = path.join(__dirname, '..', 'public', 'data', 'reading-plans');
+
+/**
+ * Validate one plan file
+ * @param {string} file - Absolute file path
+ * @returns {Array} Array of { day, message } errors
+ */
+function validateFile(file) {
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return [{ day: null, message: `Invalid JSON: ${error.message}` }];
+    }
+    return PlanSchema.validate(plan);
+}
+
+/**
+ * Validate every plan and report the results
+ * @returns {number} Exit code
+ */
+function main() {
+    const files = fs.readdirSync(PLANS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort();
+
+    let failed = 0;
+
+    files.forEach(name => {
+        const relative = path.join('public', 'data', 'reading-plans', name);
+        const errors = validateFile(path.join(PLANS_DIR, name));
+
+        if (errors.length === 0) {
+            console.log(`✓ ${relative}`);
+            return;
+        }
+
+        failed++;
+        console.error(`✗ ${relative}`);
+        errors.forEach(({ day, message }) => {
+            console.error(`  ${relative}: ${day !== null ? `day ${day}: ` : ''}${message}`);
+        });
+    });
+
+    if (failed > 0) {
+        console.error(`\n${failed} of ${files.length} plan${files.length === 1 ? '' : 's'} failed validation`);
+        return 1;
+    }
+
+    console.log(`\nAll ${files.length} plans are valid`);
+    return 0;
+}
+
+process.exitCode = main();
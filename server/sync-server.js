@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Reference Sync Server for Bible Reading Planner
+ * A small self-hostable endpoint for SyncManager. Each sync space (the
+ * sync code devices share) keeps the latest change to every record in a
+ * JSON file, numbered so devices can ask for what is new since their
+ * last sync.
+ *
+ * Run with: npm run sync-server
+ * Environment:
+ *   PORT           Port to listen on (default 8787)
+ *   SYNC_DATA_DIR  Where to keep space files (default ./sync-data)
+ *   SYNC_TOKEN     Access token devices must send; unset allows anyone
+ *
+ * API:
+ *   GET  /spaces/:space/changes?since=N  -> { changes, cursor }
+ *   POST /spaces/:space/changes          <- { deviceId, changes } -> { cursor, accepted }
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SyncManager = require('../public/js/sync.js');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Create the sync server
+ * @param {Object} options - { dataDir, token }
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataDir, token = null }) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const spaces = new Map();
+
+    /**
+     * Load a space from disk, or start an empty one
+     * @param {string} space - Sync code
+     * @returns {Object} { seq, records } where records maps record id to change
+     * @throws {Error} When the space's file can't be read; it is tried again on the next request
+     */
+    function loadSpace(space) {
+        if (!spaces.has(space)) {
+            const file = path.join(dataDir, `${space}.json`);
+            let data = { seq: 0, records: {} };
+            if (fs.existsSync(file)) {
+                try {
+                    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    console.error(`Could not read ${file}:`, error.message);
+                    throw new Error('The data for this sync code could not be read on the server');
+                }
+            }
+            spaces.set(space, data);
+        }
+        return spaces.get(space);
+    }
+
+    /**
+     * Write a space to disk, replacing the file in one step, then keep it in memory
+     * @param {string} space - Sync code
+     * @param {Object} data - { seq, records }
+     */
+    function saveSpace(space, data) {
+        const file = path.join(dataDir, `${space}.json`);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+        spaces.set(space, data);
+    }
+
+    /**
+     * Keep each incoming change that is newer than the stored one
+     * @param {string} space - Sync code
+     * @param {Object} body - { deviceId, changes }
+     * @returns {Object} { cursor, accepted }
+     */
+    function pushChanges(space, body) {
+        // Changed on a copy, so a failed write leaves the stored space as it was
+        const data = structuredClone(loadSpace(space));
+        let accepted = 0;
+
+        body.changes.forEach(pushed => {
+            if (!isChange(pushed)) return;
+            const change = { ...pushed, deviceId: body.deviceId };
+            const stored = data.records[change.id];
+            if (stored && SyncManager.compareChanges(stored, change) >= 0) return;
+
+            data.seq++;
+            data.records[change.id] = {
+                id: change.id,
+                value: change.deleted ? null : change.value,
+                deleted: Boolean(change.deleted),
+                modifiedAt: change.modifiedAt,
+                deviceId: body.deviceId,
+                seq: data.seq
+            };
+            accepted++;
+        });
+
+        if (accepted > 0) saveSpace(space, data);
+        return { cursor: data.seq, accepted };
+    }
+
+    /**
+     * List changes made after a cursor, oldest first
+     * @param {string} space - Sync code
+     * @param {number} since - Cursor from the device's last pull
+     * @returns {Object} { changes, cursor }
+     */
+    function pullChanges(space, since) {
+        const data = loadSpace(space);
+        const changes = Object.values(data.records)
+            .filter(change => change.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+        return { changes, cursor: data.seq };
+    }
+
+    return http.createServer((request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            });
+            response.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        // A space that fails to load or save answers 500 without stopping the server
+        const respond = work => {
+            let result;
+            try {
+                result = work();
+            } catch (error) {
+                send(500, { error: error.message });
+                return;
+            }
+            send(200, result);
+        };
+
+        if (request.method === 'OPTIONS') {
+            send(204);
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        const match = url.pathname.match(/^\/spaces\/([^/]+)\/changes$/);
+        if (!match) {
+            send(404, { error: 'Not found' });
+            return;
+        }
+
+        // Sync codes only use characters that are never percent-encoded
+        const space = match[1];
+        if (!SyncManager.SPACE_PATTERN.test(space)) {
+            send(400, { error: 'Invalid sync code' });
+            return;
+        }
+        if (token && request.headers.authorization !== `Bearer ${token}`) {
+            send(401, { error: 'Invalid access token' });
+            return;
+        }
+
+        if (request.method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            respond(() => pullChanges(space, since));
+            return;
+        }
+
+        if (request.method !== 'POST') {
+            send(405, { error: 'Method not allowed' });
+            return;
+        }
+
+        readJson(request).then(body => {
+            if (!body || typeof body.deviceId !== 'string' || !Array.isArray(body.changes)) {
+                send(400, { error: 'Expected { deviceId, changes }' });
+                return;
+            }
+            respond(() => pushChanges(space, body));
+        }).catch(error => {
+            send(400, { error: error.message });
+        });
+    });
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<any>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Check the shape of a pushed change
+ * @param {any} change - Change from a device
+ * @returns {boolean}
+ */
+function isChange(change) {
+    return Boolean(change) &&
+        typeof change.id === 'string' &&
+        SyncManager.RECORD_PATTERN.test(change.id) &&
+        !Number.isNaN(Date.parse(change.modifiedAt));
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const dataDir = process.env.SYNC_DATA_DIR || path.join(process.cwd(), 'sync-data');
+    createSyncServer({ dataDir, token: process.env.SYNC_TOKEN || null }).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port} (data in ${dataDir})`);
+    });
+}
+
+module.exports = { createSyncServer };
@@ -0,0 +1,203 @@
+/**
+ * Tests for the versioned backup format
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.PlanNormalizer = require('../public/js/plan-normalizer.js');
+global.PlanSchema = require('../public/js/plan-schema.js');
+const Backup = require('../public/js/backup.js');
+
+/**
+ * Backup data with defaults for anything not given
+ * @param {Object} data - Parts of the data
+ * @returns {Object}
+ */
+function backupData(data = {}) {
+    return {
+        completions: [],
+        notes: {},
+        customPlans: {},
+        preferences: {},
+        ...data
+    };
+}
+
+const note = (content, lastModified) => ({ content, lastModified });
+const completion = (plan, dateKey, day) => ({ plan, dateKey, day, completedAt: `${dateKey}T08:00:00.000Z` });
+
+describe('Backup.create and parse', () => {
+    test('round trips data', () => {
+        const data = backupData({
+            completions: [completion('nt90', '2026-01-01', 1)],
+            notes: { '2026-01-01': note('Grace', '2026-01-01T09:00:00.000Z') }
+        });
+        const file = Backup.create(data);
+        assert.equal(file.format, Backup.FORMAT);
+        assert.equal(file.version, Backup.VERSION);
+        assert.match(file.checksum, /^[0-9a-f]{8}$/);
+
+        const backup = Backup.parse(JSON.stringify(file, null, 2));
+        assert.deepEqual(backup.data, data);
+        assert.equal(backup.exportedAt, file.exportedAt);
+    });
+
+    test('checksum ignores key order', () => {
+        assert.equal(Backup.checksum({ a: 1, b: [1, { c: 2, d: 3 }] }), Backup.checksum({ b: [1, { d: 3, c: 2 }], a: 1 }));
+        assert.notEqual(Backup.checksum({ a: 1 }), Backup.checksum({ a: 2 }));
+    });
+
+    test('rejects edited backups', () => {
+        const file = Backup.create(backupData({ completions: [completion('nt90', '2026-01-01', 1)] }));
+        file.data.completions[0].day = 2;
+        assert.throws(() => Backup.parse(JSON.stringify(file)), /checksum mismatch/);
+    });
+
+    test('rejects other files and newer versions', () => {
+        assert.throws(() => Backup.parse('not json'), /not valid JSON/);
+        assert.throws(() => Backup.parse('{"title": "A plan"}'), /not a Besorah Yeshua backup/);
+
+        const file = Backup.create(backupData());
+        file.version = Backup.VERSION + 1;
+        assert.throws(() => Backup.parse(JSON.stringify(file)), /newer version/);
+    });
+
+    test('rejects data that does not match the schema', () => {
+        const file = Backup.create(backupData({
+            completions: [{ plan: 'nt90', dateKey: 'yesterday', day: 0 }],
+            notes: { '2026-01-01': { content: 'x' } }
+        }));
+        assert.throws(() => Backup.parse(JSON.stringify(file)),
+            /invalid date "yesterday"; completion 1 has an invalid day "0"; note for 2026-01-01 has an invalid "lastModified"/);
+    });
+
+    test('converts exports made before backups were versioned', () => {
+        const backup = Backup.parse(JSON.stringify({
+            COMPLETED_READINGS: [{ dateKey: '2026-01-01', day: 1 }, completion('nt90', '2026-01-02', 2)],
+            STUDY_NOTES: { '2026-01-01': note('Old', '2026-01-01T09:00:00.000Z') },
+            PREFERENCES: { readingPlan: 'ot365' },
+            STREAK_DATA: {}
+        }));
+
+        assert.equal(backup.version, 0);
+        assert.deepEqual(backup.data.completions.map(c => c.plan), ['ot365', 'nt90']);
+        assert.deepEqual(backup.data.customPlans, {});
+        assert.equal(backup.data.notes['2026-01-01'].content, 'Old');
+    });
+});
+
+describe('Backup.checkCustomPlans', () => {
+    test('reports custom plans that fail the plan schema', () => {
+        const data = backupData({
+            customPlans: {
+                'custom-a': { title: 'Good', schedule: [{ day: 1, reading: 'John 1' }] },
+                'custom-b': { title: 'No days' },
+                'custom-c': { title: 'Bad day', schedule: [{ day: 1, reading: 'John 1' }, { day: 2, reading: '' }] }
+            }
+        });
+
+        const invalid = Backup.checkCustomPlans(data);
+        assert.deepEqual(invalid.map(plan => plan.planKey), ['custom-b', 'custom-c']);
+        assert.match(invalid[0].problems[0], /Plan needs one of/);
+        assert.match(invalid[1].problems[0], /^day 2: /);
+
+        const kept = Backup.withoutPlans(data, invalid.map(plan => plan.planKey));
+        assert.deepEqual(Object.keys(kept.customPlans), ['custom-a']);
+        assert.equal(Object.keys(data.customPlans).length, 3);
+    });
+});
+
+describe('Backup.merge', () => {
+    const current = backupData({
+        completions: [completion('nt90', '2026-01-01', 1), completion('nt90', '2026-01-02', 2)],
+        notes: {
+            '2026-01-01': note('Laptop, newer', '2026-01-03T00:00:00.000Z'),
+            '2026-01-02': note('Laptop, older', '2026-01-02T00:00:00.000Z'),
+            '2026-01-04': note('Laptop only', '2026-01-04T00:00:00.000Z')
+        },
+        customPlans: { 'custom-a': { title: 'Laptop A' } },
+        preferences: { calendarType: 'gregorian', planStartDates: { nt90: '2026-01-01' } }
+    });
+    const incoming = backupData({
+        completions: [completion('nt90', '2026-01-02', 2), completion('ot365', '2026-01-02', 1)],
+        notes: {
+            '2026-01-01': note('Phone, older', '2026-01-02T00:00:00.000Z'),
+            '2026-01-02': note('Phone, newer', '2026-01-05T00:00:00.000Z'),
+            '2026-01-03': note('Phone only', '2026-01-03T00:00:00.000Z')
+        },
+        customPlans: { 'custom-a': { title: 'Phone A' }, 'custom-b': { title: 'Phone B' } },
+        preferences: { calendarType: 'ethiopian', planStartDates: { ot365: '2026-01-02' } }
+    });
+
+    test('unions completions', () => {
+        const merged = Backup.merge(current, incoming);
+        assert.deepEqual(merged.completions.map(Backup.completionKey).sort(),
+            ['nt90|2026-01-01|1', 'nt90|2026-01-02|2', 'ot365|2026-01-02|1']);
+    });
+
+    test('keeps the most recently edited note', () => {
+        const { notes } = Backup.merge(current, incoming);
+        assert.equal(notes['2026-01-01'].content, 'Laptop, newer');
+        assert.equal(notes['2026-01-02'].content, 'Phone, newer');
+        assert.equal(notes['2026-01-03'].content, 'Phone only');
+        assert.equal(notes['2026-01-04'].content, 'Laptop only');
+    });
+
+    test('keeps this device\'s settings and plans, adding new ones', () => {
+        const merged = Backup.merge(current, incoming);
+        assert.equal(merged.customPlans['custom-a'].title, 'Laptop A');
+        assert.equal(merged.customPlans['custom-b'].title, 'Phone B');
+        assert.equal(merged.preferences.calendarType, 'gregorian');
+        assert.deepEqual(merged.preferences.planStartDates, { nt90: '2026-01-01', ot365: '2026-01-02' });
+    });
+
+    test('takes each plan\'s reschedules from the side its start date came from', () => {
+        const shift = date => [{ type: 'shift', date, days: [2, 3] }];
+        const merged = Backup.merge(
+            { ...current, preferences: { ...current.preferences, planSchedules: { nt90: shift('2026-01-05') } } },
+            { ...incoming, preferences: { ...incoming.preferences, planSchedules: { nt90: shift('2026-01-09'), ot365: shift('2026-01-07') } } }
+        );
+        assert.deepEqual(merged.preferences.planSchedules, { nt90: shift('2026-01-05'), ot365: shift('2026-01-07') });
+        assert.equal(Backup.merge(current, incoming).preferences.planSchedules, undefined);
+    });
+
+    test('combines chapters read of unfinished days', () => {
+        const merged = Backup.merge(
+            { ...current, preferences: { ...current.preferences, chapterProgress: { nt90: { 1: { 'Matthew 1': '2026-01-01' } } } } },
+            { ...incoming, preferences: { ...incoming.preferences, chapterProgress: { nt90: { 1: { 'Matthew 2': '2026-01-02' }, 2: { 'Matthew 5': '2026-01-02' } } } } }
+        );
+        assert.deepEqual(merged.preferences.chapterProgress, {
+            nt90: { 1: { 'Matthew 1': '2026-01-01', 'Matthew 2': '2026-01-02' }, 2: { 'Matthew 5': '2026-01-02' } }
+        });
+        assert.equal(Backup.merge(current, incoming).preferences.chapterProgress, undefined);
+    });
+
+    test('summarizes a merge', () => {
+        assert.deepEqual(Backup.summarize(current, incoming, 'merge'), {
+            readings: { added: 1, removed: 0 },
+            notes: { added: 1, updated: 1, removed: 0, kept: 1 },
+            plans: { added: 1, removed: 0 },
+            settingsChanged: true
+        });
+    });
+
+    test('summarizes a replace', () => {
+        assert.deepEqual(Backup.summarize(current, incoming, 'replace'), {
+            readings: { added: 1, removed: 1 },
+            notes: { added: 1, updated: 2, removed: 1, kept: 0 },
+            plans: { added: 1, removed: 0 },
+            settingsChanged: true
+        });
+    });
+
+    test('summarizes an identical backup as no change', () => {
+        const summary = Backup.summarize(current, current, 'merge');
+        assert.deepEqual(summary.readings, { added: 0, removed: 0 });
+        assert.deepEqual(summary.notes, { added: 0, updated: 0, removed: 0, kept: 0 });
+        assert.equal(summary.settingsChanged, false);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for the Ethiopian calendar engine
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EthiopianCalendar = require('../public/js/ethiopian-calendar.js');
+
+/**
+ * Build a local Date from a YYYY-MM-DD string
+ * @param {string} iso - Date string
+ * @returns {Date}
+ */
+function localDate(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a local Date as YYYY-MM-DD
+ * @param {Date} date - Date object
+ * @returns {string}
+ */
+function isoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Enkutatash (Meskerem 1) falls on Sept 12 in the Gregorian year before a
+// Gregorian leap year, and on Sept 11 otherwise.
+const NEW_YEARS = [
+    ['1980-09-11', 1973], ['1981-09-11', 1974], ['1982-09-11', 1975], ['1983-09-12', 1976],
+    ['1984-09-11', 1977], ['1985-09-11', 1978], ['1986-09-11', 1979], ['1987-09-12', 1980],
+    ['1988-09-11', 1981], ['1989-09-11', 1982], ['1990-09-11', 1983], ['1991-09-12', 1984],
+    ['1992-09-11', 1985], ['1993-09-11', 1986], ['1994-09-11', 1987], ['1995-09-12', 1988],
+    ['1996-09-11', 1989], ['1997-09-11', 1990], ['1998-09-11', 1991], ['1999-09-12', 1992],
+    ['2000-09-11', 1993], ['2001-09-11', 1994], ['2002-09-11', 1995], ['2003-09-12', 1996],
+    ['2004-09-11', 1997], ['2005-09-11', 1998], ['2006-09-11', 1999], ['2007-09-12', 2000],
+    ['2008-09-11', 2001], ['2009-09-11', 2002], ['2010-09-11', 2003], ['2011-09-12', 2004],
+    ['2012-09-11', 2005], ['2013-09-11', 2006], ['2014-09-11', 2007], ['2015-09-12', 2008],
+    ['2016-09-11', 2009], ['2017-09-11', 2010], ['2018-09-11', 2011], ['2019-09-12', 2012],
+    ['2020-09-11', 2013], ['2021-09-11', 2014], ['2022-09-11', 2015], ['2023-09-12', 2016],
+    ['2024-09-11', 2017], ['2025-09-11', 2018], ['2026-09-11', 2019], ['2027-09-12', 2020],
+    ['2028-09-11', 2021], ['2029-09-11', 2022], ['2030-09-11', 2023], ['2031-09-12', 2024],
+    ['2032-09-11', 2025], ['2033-09-11', 2026], ['2034-09-11', 2027], ['2035-09-12', 2028],
+    ['2036-09-11', 2029], ['2037-09-11', 2030], ['2038-09-11', 2031], ['2039-09-12', 2032],
+    ['2040-09-11', 2033]
+];
+
+// [Gregorian date, Ethiopian year, month, day]
+const KNOWN_DATES = [
+    ['2007-09-12', 2000, 1, 1],   // Ethiopian millennium
+    ['2023-09-11', 2015, 13, 6],  // Pagume 6 of a leap year
+    ['2023-09-12', 2016, 1, 1],
+    ['2024-01-20', 2016, 5, 11],  // Timkat after a leap year
+    ['2024-02-29', 2016, 6, 21],  // Gregorian leap day
+    ['2024-05-05', 2016, 8, 27],  // Fasika 2024
+    ['2024-09-10', 2016, 13, 5],  // Pagume 5 of a common year
+    ['2024-09-11', 2017, 1, 1],
+    ['2025-01-07', 2017, 4, 29],  // Gena
+    ['2025-01-19', 2017, 5, 11],  // Timkat
+    ['2000-01-01', 1992, 4, 22],
+    ['1970-01-01', 1962, 4, 23]
+];
+
+// [Ethiopian year, is leap year]
+const LEAP_YEARS = [
+    [1999, true], [2000, false], [2003, true], [2011, true],
+    [2012, false], [2015, true], [2016, false], [2019, true]
+];
+
+describe('EthiopianCalendar New Year', () => {
+    for (const [gregorian, year] of NEW_YEARS) {
+        test(`Meskerem 1, ${year} is ${gregorian}`, () => {
+            const eth = EthiopianCalendar.fromGregorian(localDate(gregorian));
+            assert.deepEqual([eth.year, eth.month, eth.day], [year, 1, 1]);
+            assert.equal(isoDate(EthiopianCalendar.getNewYear(year)), gregorian);
+        });
+
+        test(`day before ${gregorian} is the last day of Pagume ${year - 1}`, () => {
+            const eve = localDate(gregorian);
+            eve.setDate(eve.getDate() - 1);
+            const eth = EthiopianCalendar.fromGregorian(eve);
+            const pagumeDays = EthiopianCalendar.isLeapYear(year - 1) ? 6 : 5;
+            assert.deepEqual([eth.year, eth.month, eth.day], [year - 1, 13, pagumeDays]);
+        });
+    }
+});
+
+describe('EthiopianCalendar known dates', () => {
+    for (const [gregorian, year, month, day] of KNOWN_DATES) {
+        test(`${gregorian} <-> ${year}-${month}-${day}`, () => {
+            const eth = EthiopianCalendar.fromGregorian(localDate(gregorian));
+            assert.deepEqual([eth.year, eth.month, eth.day], [year, month, day]);
+            assert.equal(eth.monthName, EthiopianCalendar.MONTH_NAMES[month - 1]);
+            assert.equal(isoDate(EthiopianCalendar.toGregorian(year, month, day)), gregorian);
+        });
+    }
+});
+
+describe('EthiopianCalendar leap years', () => {
+    for (const [year, isLeap] of LEAP_YEARS) {
+        test(`${year} has ${isLeap ? 6 : 5} days in Pagume`, () => {
+            assert.equal(EthiopianCalendar.isLeapYear(year), isLeap);
+            assert.equal(EthiopianCalendar.getDaysInMonth(year, 13), isLeap ? 6 : 5);
+            assert.equal(EthiopianCalendar.getDaysInYear(year), isLeap ? 366 : 365);
+            assert.equal(EthiopianCalendar.isValidDate(year, 13, 6), isLeap);
+        });
+    }
+
+    test('rejects Pagume 6 in a common year', () => {
+        assert.throws(() => EthiopianCalendar.toGregorian(2016, 13, 6), RangeError);
+    });
+
+    test('rejects out of range months and days', () => {
+        assert.throws(() => EthiopianCalendar.toGregorian(2016, 14, 1), RangeError);
+        assert.throws(() => EthiopianCalendar.toGregorian(2016, 1, 31), RangeError);
+        assert.throws(() => EthiopianCalendar.toGregorian(2016, 0, 1), RangeError);
+    });
+});
+
+describe('EthiopianCalendar round trip', () => {
+    test('every day from 1980 to 2040 converts both ways', () => {
+        const date = localDate('1980-01-01');
+        const end = localDate('2041-01-01');
+        let previous = EthiopianCalendar.fromGregorian(date);
+
+        while (date < end) {
+            date.setDate(date.getDate() + 1);
+            const eth = EthiopianCalendar.fromGregorian(date);
+            assert.equal(
+                isoDate(EthiopianCalendar.toGregorian(eth.year, eth.month, eth.day)),
+                isoDate(date)
+            );
+
+            // Consecutive days advance by exactly one Ethiopian day
+            if (eth.day === 1) {
+                const daysInPrevious = EthiopianCalendar.getDaysInMonth(previous.year, previous.month);
+                assert.equal(previous.day, daysInPrevious);
+            } else {
+                assert.equal(eth.day, previous.day + 1);
+            }
+            previous = eth;
+        }
+    });
+
+    test('Julian Day Numbers match known values', () => {
+        assert.equal(EthiopianCalendar.gregorianToJdn(2000, 1, 1), 2451545);
+        assert.deepEqual(EthiopianCalendar.jdnToGregorian(2451545), { year: 2000, month: 1, day: 1 });
+        assert.equal(EthiopianCalendar.ethiopianToJdn(1, 1, 1), 1724221);
+        assert.deepEqual(EthiopianCalendar.jdnToEthiopian(1724221), { year: 1, month: 1, day: 1 });
+    });
+});
+
+describe('EthiopianCalendar month navigation', () => {
+    const STEPS = [
+        // [year, month, delta, expected year, expected month]
+        [2017, 1, 1, 2017, 2],
+        [2017, 12, 1, 2017, 13],
+        [2017, 13, 1, 2018, 1],
+        [2018, 1, -1, 2017, 13],
+        [2017, 1, -1, 2016, 13],
+        [2017, 5, 13, 2018, 5],
+        [2017, 5, -26, 2015, 5]
+    ];
+
+    for (const [year, month, delta, expectedYear, expectedMonth] of STEPS) {
+        test(`${year}-${month} ${delta > 0 ? '+' : ''}${delta} months is ${expectedYear}-${expectedMonth}`, () => {
+            assert.deepEqual(
+                EthiopianCalendar.addMonths(year, month, delta),
+                { year: expectedYear, month: expectedMonth }
+            );
+        });
+    }
+});
+
+describe('EthiopianCalendar names', () => {
+    test('exposes thirteen month names', () => {
+        assert.equal(EthiopianCalendar.MONTH_NAMES.length, 13);
+        assert.equal(EthiopianCalendar.getMonthName(1), 'Meskerem');
+        assert.equal(EthiopianCalendar.getMonthName(13), 'Pagume');
+    });
+
+    test('weekday names follow Date.getDay()', () => {
+        // 2024-05-05 was a Sunday
+        assert.equal(EthiopianCalendar.getWeekdayName(localDate('2024-05-05')), 'Ehud');
+        assert.equal(EthiopianCalendar.fromGregorian(localDate('2024-05-05')).weekdayName, 'Ehud');
+        // 2000-01-01 was a Saturday
+        assert.equal(EthiopianCalendar.fromGregorian(localDate('2000-01-01')).weekdayName, 'Kidame');
+    });
+
+    test('formats a date for display', () => {
+        const eth = EthiopianCalendar.fromGregorian(localDate('2024-09-11'));
+        assert.equal(EthiopianCalendar.format(eth), 'Meskerem 1, 2017');
+    });
+});
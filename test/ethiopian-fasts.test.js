@@ -0,0 +1,61 @@
+/**
+ * Tests for the Ethiopian Orthodox fasting calendar
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.EthiopianCalendar = require('../public/js/ethiopian-calendar.js');
+global.EthiopianFeasts = require('../public/js/ethiopian-feasts.js');
+const EthiopianFasts = require('../public/js/ethiopian-fasts.js');
+
+/**
+ * Look up the fast key for a Gregorian date string
+ * @param {string} iso - YYYY-MM-DD
+ * @returns {string|null}
+ */
+function fastOn(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const eth = EthiopianCalendar.fromGregorian(date);
+    const fast = EthiopianFasts.getFastForDate(date, { year: eth.year, monthIndex: eth.month, day: eth.day });
+    return fast ? fast.key : null;
+}
+
+// [Gregorian date, expected fast key] around the 2018 E.C. boundaries
+const FAST_DAYS = [
+    ['2026-02-02', 'tsome-nenewe'],     // Monday of Nineveh
+    ['2026-02-04', 'tsome-nenewe'],
+    ['2026-02-05', null],               // Thursday after Nineveh
+    ['2026-02-06', 'wednesday-friday'],
+    ['2026-02-16', 'abiy-tsom'],        // First day of Lent
+    ['2026-04-11', 'abiy-tsom'],        // Kidame Sur
+    ['2026-04-12', null],               // Fasika
+    ['2026-04-15', null],               // Wednesday in the fifty days
+    ['2026-05-29', null],               // Friday in the fifty days
+    ['2026-06-01', 'tsome-hawaryat'],   // Monday after Paraclete
+    ['2026-07-11', 'tsome-hawaryat'],   // Hamle 4
+    ['2026-07-12', null],               // Hamle 5, feast of the Apostles
+    ['2026-08-07', 'tsome-filseta'],    // Nehase 1
+    ['2026-08-21', 'tsome-filseta'],    // Nehase 15
+    ['2026-08-22', null],               // Nehase 16, Filseta
+    ['2025-11-24', 'tsome-nebiyat'],    // Hidar 15, 2018
+    ['2025-11-23', null],               // Hidar 14 (Sunday)
+    ['2026-01-06', 'tsome-nebiyat'],    // Tahsas 28
+    ['2026-01-07', null],               // Gena (a Wednesday)
+    ['2024-01-06', 'tsome-nebiyat'],    // Tahsas 27, 2016, after a leap year
+    ['2024-01-07', null],               // Gena on Tahsas 28
+    ['2024-01-08', null],
+    ['2028-01-07', null],               // Gena on Tahsas 28 (a Friday)
+    ['2026-01-18', 'gahad'],            // Tir 10, eve of Timkat
+    ['2026-01-19', null]                // Timkat
+];
+
+describe('EthiopianFasts', () => {
+    for (const [iso, expected] of FAST_DAYS) {
+        test(`${iso} is ${expected || 'not a fast day'}`, () => {
+            assert.equal(fastOn(iso), expected);
+        });
+    }
+});
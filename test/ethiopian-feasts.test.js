@@ -0,0 +1,94 @@
+/**
+ * Tests for the Ethiopian Orthodox movable feast engine
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.EthiopianCalendar = require('../public/js/ethiopian-calendar.js');
+const EthiopianFeasts = require('../public/js/ethiopian-feasts.js');
+
+/**
+ * Format a local Date as YYYY-MM-DD
+ * @param {Date} date - Date object
+ * @returns {string}
+ */
+function isoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// [Ethiopian year, Tsome Nenewe, Abiy Tsom, Hosanna, Fasika, Erget, Paraclete]
+const PASCHAL_CYCLES = [
+    [2008, '2016-02-22', '2016-03-07', '2016-04-24', '2016-05-01', '2016-06-09', '2016-06-19'],
+    [2009, '2017-02-06', '2017-02-20', '2017-04-09', '2017-04-16', '2017-05-25', '2017-06-04'],
+    [2010, '2018-01-29', '2018-02-12', '2018-04-01', '2018-04-08', '2018-05-17', '2018-05-27'],
+    [2011, '2019-02-18', '2019-03-04', '2019-04-21', '2019-04-28', '2019-06-06', '2019-06-16'],
+    [2012, '2020-02-10', '2020-02-24', '2020-04-12', '2020-04-19', '2020-05-28', '2020-06-07'],
+    [2013, '2021-02-22', '2021-03-08', '2021-04-25', '2021-05-02', '2021-06-10', '2021-06-20'],
+    [2014, '2022-02-14', '2022-02-28', '2022-04-17', '2022-04-24', '2022-06-02', '2022-06-12'],
+    [2015, '2023-02-06', '2023-02-20', '2023-04-09', '2023-04-16', '2023-05-25', '2023-06-04'],
+    [2016, '2024-02-26', '2024-03-11', '2024-04-28', '2024-05-05', '2024-06-13', '2024-06-23'],
+    [2017, '2025-02-10', '2025-02-24', '2025-04-13', '2025-04-20', '2025-05-29', '2025-06-08'],
+    [2018, '2026-02-02', '2026-02-16', '2026-04-05', '2026-04-12', '2026-05-21', '2026-05-31'],
+    [2019, '2027-02-22', '2027-03-08', '2027-04-25', '2027-05-02', '2027-06-10', '2027-06-20']
+];
+
+describe('EthiopianFeasts paschal cycle', () => {
+    for (const [year, nineveh, abiyTsom, hosanna, fasika, erget, paraclete] of PASCHAL_CYCLES) {
+        test(`movable feasts of ${year} E.C.`, () => {
+            const dates = ['tsome-nenewe', 'abiy-tsom', 'hosanna', 'fasika', 'erget', 'paraclete']
+                .map(key => isoDate(EthiopianFeasts.getFeastDate(key, year)));
+            assert.deepEqual(dates, [nineveh, abiyTsom, hosanna, fasika, erget, paraclete]);
+        });
+    }
+
+    test('Fasika is always a Sunday and Nineveh a Monday', () => {
+        for (let year = 1950; year <= 2100; year++) {
+            assert.equal(EthiopianFeasts.getFeastDate('fasika', year).getDay(), 0);
+            assert.equal(EthiopianFeasts.getFeastDate('tsome-nenewe', year).getDay(), 1);
+        }
+    });
+
+    test('Bahire Hasab values for 2016 E.C.', () => {
+        const cycle = EthiopianFeasts.computePaschalCycle(2016);
+        assert.equal(cycle.ameteAlem, 7516);
+        assert.equal(cycle.wenber, 10);
+        assert.equal(cycle.abekte, 20);
+        assert.equal(cycle.metqi, 10);
+        assert.deepEqual(cycle.bealeMetqi, { year: 2016, month: 2, day: 10 });
+        assert.equal(cycle.tewsak, 8);
+    });
+});
+
+describe('EthiopianFeasts lookup by date', () => {
+    test('finds Fasika on its Gregorian date', () => {
+        const feasts = EthiopianFeasts.getFeastsForDate(new Date(2024, 4, 5));
+        assert.deepEqual(feasts.map(f => f.key), ['fasika']);
+    });
+
+    test('returns nothing on an ordinary day', () => {
+        assert.deepEqual(EthiopianFeasts.getFeastsForDate(new Date(2024, 4, 6)), []);
+    });
+
+    test('keeps Gena on January 7', () => {
+        [2016, 2017, 2018, 2019, 2020].forEach(year => {
+            const gena = EthiopianCalendar.toGregorian(year, 4, EthiopianFeasts.getGenaDay(year));
+            assert.deepEqual([gena.getMonth(), gena.getDate()], [0, 7], String(year));
+        });
+    });
+
+    test('finds Gena on Tahsas 28 or 29 by the leap years', () => {
+        const keys = date => EthiopianFeasts.getFeastsForDate(date).map(f => f.key);
+        // Tahsas 28, 2016 and Tahsas 29, 2017
+        assert.deepEqual(keys(new Date(2024, 0, 7)), ['gena']);
+        assert.deepEqual(keys(new Date(2025, 0, 7)), ['gena']);
+        assert.deepEqual(keys(new Date(2024, 0, 8)), []);
+    });
+
+    test('returns null for unknown feast keys', () => {
+        assert.equal(EthiopianFeasts.getFeastDate('unknown', 2016), null);
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * In-memory stand-in for the browser's localStorage, for tests that load
+ * StorageManager
+ */
+
+/**
+ * Install the stand-in as the global localStorage
+ * @param {Map} store - Items by key; tests that simulate several devices
+ *   swap it through the returned object's `store`
+ * @returns {Object} The stand-in, with its `store`
+ */
+function installLocalStorage(store = new Map()) {
+    const storage = {
+        store,
+        getItem: key => (storage.store.has(key) ? storage.store.get(key) : null),
+        setItem: (key, value) => storage.store.set(key, String(value)),
+        removeItem: key => storage.store.delete(key)
+    };
+    global.localStorage = storage;
+    return storage;
+}
+
+module.exports = { installLocalStorage };
@@ -0,0 +1,39 @@
+/**
+ * Loads the planner's scripts for tests of the modules that build on the
+ * reading plans
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { installLocalStorage } = require('./local-storage.js');
+
+/**
+ * Install an empty localStorage and set the planner's modules as globals,
+ * in the order planner.html loads them
+ * @returns {Object} The localStorage stand-in
+ */
+function loadPlanner() {
+    const storage = installLocalStorage();
+    global.StorageAdapters = require('../../public/js/storage-adapters.js');
+    global.NoteCrypto = require('../../public/js/note-crypto.js');
+    global.StorageManager = require('../../public/js/storage.js');
+    global.EthiopianCalendar = require('../../public/js/ethiopian-calendar.js');
+    global.EthiopianFeasts = require('../../public/js/ethiopian-feasts.js');
+    global.BibleCanon = require('../../public/js/bible-canon.js');
+    global.ScriptureReferences = require('../../public/js/scripture-references.js');
+    global.MarkdownNotes = require('../../public/js/markdown-notes.js');
+    global.PlanNormalizer = require('../../public/js/plan-normalizer.js');
+    global.PlanSchedule = require('../../public/js/plan-schedule.js');
+    global.ReadingPlansManager = require('../../public/js/reading-plans.js');
+    return storage;
+}
+
+/**
+ * @param {string} name - Plan data file name
+ * @returns {Object} Plan data
+ */
+function planFile(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, `../../public/data/reading-plans/${name}`), 'utf8'));
+}
+
+module.exports = { loadPlanner, planFile };
@@ -0,0 +1,121 @@
+/**
+ * Tests for the iCalendar export
+ * Run with: npm test
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlanner, planFile } = require('./helpers/planner.js');
+
+loadPlanner();
+const IcsExport = require('../public/js/ics-export.js');
+
+before(async () => {
+    await StorageManager.init();
+    ReadingPlansManager.addPlan('nt90', planFile('nt90.json'));
+    ReadingPlansManager.addPlan('ethiopian', planFile('ethiopian-calendar.json'));
+    StorageManager.setPlanStartDate('nt90', new Date(2026, 0, 1).toISOString());
+    StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+    // Read a day late; it still counts as read
+    StorageManager.markReadingComplete('2026-01-04', 2, 'nt90');
+});
+
+describe('IcsExport.collect', () => {
+    test('dates each plan day from the start date with a UID per day', () => {
+        const events = IcsExport.collect('nt90');
+
+        assert.equal(events.length, 90);
+        assert.equal(IcsExport.getDateKey(events[0].date), '2026-01-01');
+        assert.equal(IcsExport.getDateKey(events[89].date), '2026-03-31');
+        assert.equal(events[0].uid, 'nt90-day-1@besorah-yeshua');
+        assert.equal(events[0].summary, 'Day 1: Matthew 1-4');
+        assert.equal(events[0].description, 'Theme: Birth & Early Ministry');
+    });
+
+    test('keeps UIDs when the start date moves', () => {
+        const before = IcsExport.collect('nt90');
+        StorageManager.setPlanStartDate('nt90', new Date(2026, 1, 1).toISOString());
+        const after = IcsExport.collect('nt90');
+        StorageManager.setPlanStartDate('nt90', new Date(2026, 0, 1).toISOString());
+
+        assert.deepEqual(after.map(event => event.uid), before.map(event => event.uid));
+        assert.equal(IcsExport.getDateKey(after[0].date), '2026-02-01');
+    });
+
+    test('follows reschedules', () => {
+        const days = Array.from({ length: 88 }, (_, index) => index + 3);
+        StorageManager.setPlanSchedule('nt90', [{ type: 'shift', date: '2026-02-01', days }]);
+        const events = IcsExport.collect('nt90');
+        StorageManager.setPlanSchedule('nt90', []);
+
+        assert.equal(IcsExport.getDateKey(events[1].date), '2026-01-02');
+        assert.equal(IcsExport.getDateKey(events[2].date), '2026-02-01');
+        assert.equal(events[2].uid, 'nt90-day-3@besorah-yeshua');
+    });
+
+    test('can leave out days already read', () => {
+        const events = IcsExport.collect('nt90', { remainingOnly: true });
+        assert.equal(events.length, 88);
+        assert.equal(events[0].uid, 'nt90-day-3@besorah-yeshua');
+    });
+
+    test('follows the Ethiopian calendar for the Ethiopian plan', () => {
+        const events = IcsExport.collect('ethiopian', { now: new Date(2026, 0, 1) });
+        const newYear = events[0];
+
+        assert.equal(IcsExport.getDateKey(newYear.date), '2025-09-11');
+        assert.equal(newYear.uid, 'ethiopian-2018-day-1@besorah-yeshua');
+        assert.equal(newYear.summary, 'Day 1: Genesis 1-3');
+        assert.match(newYear.description, /Feast: New Year \(Enkutatash\)/);
+        assert.match(newYear.description, /Meskerem 1, 2018/);
+    });
+
+    test('rejects unknown plans', () => {
+        assert.throws(() => IcsExport.collect('missing'), /plan/);
+    });
+});
+
+describe('IcsExport.toIcs', () => {
+    const now = new Date(Date.UTC(2026, 0, 1, 8, 30, 0));
+
+    test('writes all-day events with CRLF line breaks', () => {
+        const ics = IcsExport.toIcs(IcsExport.collect('nt90').slice(0, 1), { name: 'NT in 90 Days', now });
+
+        assert.equal(ics, [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Besorah Yeshua//Bible Reading Planner//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:NT in 90 Days',
+            'BEGIN:VEVENT',
+            'UID:nt90-day-1@besorah-yeshua',
+            'DTSTAMP:20260101T083000Z',
+            'DTSTART;VALUE=DATE:20260101',
+            'DTEND;VALUE=DATE:20260102',
+            'SUMMARY:Day 1: Matthew 1-4',
+            'DESCRIPTION:Theme: Birth & Early Ministry',
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+            'END:VCALENDAR',
+            ''
+        ].join('\r\n'));
+    });
+
+    test('escapes text values', () => {
+        assert.equal(IcsExport.escapeText('Faith, hope; love\\\nand grace'), 'Faith\\, hope\\; love\\\\\\nand grace');
+    });
+
+    test('folds long lines without splitting characters', () => {
+        const line = `DESCRIPTION:${'ሰላም '.repeat(40)}`;
+        const folded = IcsExport.foldLine(line).split('\r\n');
+
+        assert.ok(folded.length > 1);
+        folded.forEach((part, index) => {
+            assert.ok(Buffer.byteLength(part) <= 75);
+            assert.equal(part.startsWith(' '), index > 0);
+        });
+        assert.equal(folded.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+        assert.equal(IcsExport.foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the printable reading journal
+ * Run with: npm test
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlanner, planFile } = require('./helpers/planner.js');
+
+loadPlanner();
+const JournalExport = require('../public/js/journal-export.js');
+
+before(async () => {
+    await StorageManager.init();
+    ReadingPlansManager.addPlan('nt90', planFile('nt90.json'));
+    ReadingPlansManager.setCurrentPlan('nt90');
+    StorageManager.setPlanStartDate('nt90', new Date(2026, 0, 1).toISOString());
+
+    StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+    StorageManager.saveStudyNotes('2026-01-02', '# Beatitudes\nBlessed are the <meek>');
+    StorageManager.saveStudyNotes('2025-12-31', 'Before the plan began');
+});
+
+describe('JournalExport.collect', () => {
+    test('lists each day with both dates, its reading, completion and note', () => {
+        const journal = JournalExport.collect('nt90', new Date(2025, 11, 30), new Date(2026, 0, 3));
+
+        assert.equal(journal.planTitle, '90-Day New Testament Challenge');
+        assert.deepEqual(journal.days.map(day => day.dateKey), ['2025-12-31', '2026-01-01', '2026-01-02', '2026-01-03']);
+        assert.equal(journal.completed, 1);
+        assert.equal(journal.readings, 3);
+
+        const [before, first, second] = journal.days;
+        assert.equal(before.reading, null);
+        assert.equal(first.gregorian, 'Thursday, January 1, 2026');
+        assert.equal(first.ethiopian, 'Tahsas 23, 2018');
+        assert.equal(first.reading, 'Matthew 1-4');
+        assert.equal(first.theme, 'Birth & Early Ministry');
+        assert.equal(first.complete, true);
+        assert.equal(second.complete, false);
+        assert.equal(second.note, '# Beatitudes\nBlessed are the <meek>');
+    });
+
+    test('can leave out days without notes', () => {
+        const journal = JournalExport.collect('nt90', new Date(2026, 0, 1), new Date(2026, 0, 3), { notesOnly: true });
+        assert.deepEqual(journal.days.map(day => day.dateKey), ['2026-01-02']);
+    });
+
+    test('rejects unknown plans and bad date ranges', () => {
+        assert.throws(() => JournalExport.collect('missing', new Date(2026, 0, 1), new Date(2026, 0, 2)), /plan/);
+        assert.throws(() => JournalExport.collect('nt90', new Date(2026, 0, 2), new Date(2026, 0, 1)), /before/);
+        assert.throws(() => JournalExport.collect('nt90', new Date(NaN), new Date(2026, 0, 1)), /Choose a start/);
+    });
+});
+
+describe('JournalExport rendering', () => {
+    const journal = () => JournalExport.collect('nt90', new Date(2026, 0, 1), new Date(2026, 0, 2));
+
+    test('renders Markdown with notes below the day headings', () => {
+        const markdown = JournalExport.toMarkdown(journal());
+
+        assert.ok(markdown.startsWith('# Reading Journal: 90-Day New Testament Challenge\n\n2026-01-01 to 2026-01-02 · 1 of 2 readings completed\n'));
+        assert.ok(markdown.includes('## Thursday, January 1, 2026\n\n*Tahsas 23, 2018*\n\n**Day 1: Matthew 1-4** ✓ Completed\nTheme: Birth & Early Ministry\n'));
+        assert.ok(markdown.includes('**Day 2: Matthew 5-7** ☐ Not completed'));
+        assert.ok(markdown.includes('\n### Beatitudes\nBlessed are the <meek>\n'));
+    });
+
+    test('renders a printable page with notes escaped', () => {
+        const html = JournalExport.toHtml(journal());
+
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('<title>Reading Journal: 90-Day New Testament Challenge</title>'));
+        assert.ok(html.includes('@media print'));
+        assert.ok(html.includes('<h3>Beatitudes</h3>'));
+        assert.ok(html.includes('Blessed are the &lt;meek&gt;'));
+        assert.ok(html.includes('Birth &amp; Early Ministry'));
+    });
+
+    test('demotes note headings but not tags', () => {
+        assert.equal(JournalExport.demoteHeadings('# One\n#### Four\n###### Six\n#tag'), '### One\n###### Four\n###### Six\n#tag');
+    });
+});
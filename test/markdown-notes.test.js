@@ -0,0 +1,91 @@
+/**
+ * Tests for Markdown study notes and verse detection
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+const MarkdownNotes = require('../public/js/markdown-notes.js');
+
+describe('MarkdownNotes.render', () => {
+    test('renders headings, lists, quotes and rules', () => {
+        const html = MarkdownNotes.render([
+            '# Sermon on the Mount',
+            '## Beatitudes',
+            '- Poor in spirit',
+            '- Those who mourn',
+            '  and are comforted',
+            '1. Read',
+            '2. Pray',
+            '> Blessed are the meek',
+            '---'
+        ].join('\n'));
+
+        assert.equal(html, [
+            '<h1>Sermon on the Mount</h1>',
+            '<h2>Beatitudes</h2>',
+            '<ul><li>Poor in spirit</li><li>Those who mourn and are comforted</li></ul>',
+            '<ol><li>Read</li><li>Pray</li></ol>',
+            '<blockquote><p>Blessed are the meek</p></blockquote>',
+            '<hr>'
+        ].join('\n'));
+    });
+
+    test('joins paragraph lines and splits paragraphs on blank lines', () => {
+        assert.equal(MarkdownNotes.render('First line\nsecond line\n\nNew paragraph'),
+            '<p>First line<br>second line</p>\n<p>New paragraph</p>');
+    });
+
+    test('renders emphasis, code and web links', () => {
+        assert.equal(MarkdownNotes.render('**Grace** and *truth*, _mercy_ in `code *here*`'),
+            '<p><strong>Grace</strong> and <em>truth</em>, <em>mercy</em> in <code>code *here*</code></p>');
+        assert.equal(MarkdownNotes.render('[Commentary](https://example.org/a_b_c)'),
+            '<p><a href="https://example.org/a_b_c" target="_blank" rel="noopener noreferrer">Commentary</a></p>');
+        assert.equal(MarkdownNotes.render('2 * 3 * 4 and snake_case_name'), '<p>2 * 3 * 4 and snake_case_name</p>');
+    });
+
+    test('escapes HTML and refuses script links', () => {
+        assert.equal(MarkdownNotes.render('<img src=x onerror=alert(1)>'),
+            '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+        assert.equal(MarkdownNotes.render('[click](javascript:alert(1))'), '<p>[click](javascript:alert(1))</p>');
+        assert.equal(MarkdownNotes.render('[x](https://a.org/"onmouseover="alert(1))').includes('"onmouseover'), false);
+    });
+
+    test('links scripture references only when asked', () => {
+        const text = 'Read John 3:16 today';
+        assert.equal(MarkdownNotes.render(text), '<p>Read John 3:16 today</p>');
+        assert.equal(MarkdownNotes.render(text, { linkReferences: true }),
+            '<p>Read <a href="#" class="verse-link" data-reference="John 3:16">John 3:16</a> today</p>');
+    });
+
+    test('does not link references inside code or web links', () => {
+        const html = MarkdownNotes.render('`John 3:16` [John 3:16](https://example.org)', { linkReferences: true });
+        assert.equal(html.includes('verse-link'), false);
+    });
+});
+
+describe('MarkdownNotes.findReferences', () => {
+    const found = text => MarkdownNotes.findReferences(text).map(match => match.text);
+
+    test('finds names, abbreviations, numbered books and ranges', () => {
+        assert.deepEqual(
+            found('Compare John 3:16 with 1 Cor 13:4-7, Ps 23 and Song of Songs 2:1. Also Gen. 1-3 and II Kings 2.'),
+            ['John 3:16', '1 Cor 13:4-7', 'Ps 23', 'Song of Songs 2:1', 'Gen. 1-3', 'II Kings 2']
+        );
+    });
+
+    test('parses what it finds', () => {
+        const [match] = MarkdownNotes.findReferences('See Romans 8:28');
+        assert.equal(match.index, 4);
+        assert.deepEqual(match.references, [
+            { book: 'Romans', startChapter: 8, startVerse: 28, endChapter: 8, endVerse: 28 }
+        ]);
+    });
+
+    test('ignores everyday words, unknown books and impossible chapters', () => {
+        assert.deepEqual(found('Is 5 enough? Chapter 3 on May 5, Hezekiah 3 and John 99'), []);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for note encryption
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NoteCrypto = require('../public/js/note-crypto.js');
+
+// Far fewer rounds than in the browser, to keep the tests fast
+NoteCrypto.ITERATIONS = 1000;
+
+describe('NoteCrypto', () => {
+    test('round-trips text, including non-Latin scripts', async () => {
+        const keyring = await NoteCrypto.createKeyring('correct horse');
+        const text = 'ብፁዓን ናቸው — Blessed are the poor in spirit 🙏';
+
+        const encrypted = await NoteCrypto.encrypt(text, keyring);
+        assert.equal(NoteCrypto.isEncrypted(encrypted), true);
+        assert.equal(encrypted.includes('Blessed'), false);
+        assert.equal(await NoteCrypto.decrypt(encrypted, keyring), text);
+    });
+
+    test('uses a fresh IV for every encryption', async () => {
+        const keyring = await NoteCrypto.createKeyring('correct horse');
+        const first = await NoteCrypto.encrypt('same text', keyring);
+        const second = await NoteCrypto.encrypt('same text', keyring);
+        assert.notEqual(first, second);
+    });
+
+    test('reads notes encrypted under another salt with the same passphrase', async () => {
+        const elsewhere = await NoteCrypto.createKeyring('correct horse');
+        const here = await NoteCrypto.createKeyring('correct horse');
+        assert.notEqual(elsewhere.salt, here.salt);
+
+        const encrypted = await NoteCrypto.encrypt('From my phone', elsewhere);
+        assert.equal(await NoteCrypto.decrypt(encrypted, here), 'From my phone');
+    });
+
+    test('rejects a wrong passphrase and tampered text', async () => {
+        const keyring = await NoteCrypto.createKeyring('correct horse');
+        const encrypted = await NoteCrypto.encrypt('Secret prayer', keyring);
+        const wrong = await NoteCrypto.createKeyring('battery staple', keyring.salt);
+
+        await assert.rejects(NoteCrypto.decrypt(encrypted, wrong), /Wrong passphrase/);
+        await assert.rejects(NoteCrypto.decrypt(`${encrypted.slice(0, -4)}AAAA`, keyring), /Wrong passphrase/);
+        await assert.rejects(NoteCrypto.decrypt(`${NoteCrypto.PREFIX}broken`, keyring), /damaged/);
+    });
+
+    test('requires a passphrase', async () => {
+        await assert.rejects(NoteCrypto.createKeyring(''), /Enter your passphrase/);
+    });
+
+    test('recognizes encrypted text', () => {
+        assert.equal(NoteCrypto.isEncrypted('Plain note'), false);
+        assert.equal(NoteCrypto.isEncrypted(undefined), false);
+        assert.equal(NoteCrypto.isEncrypted(`${NoteCrypto.PREFIX}a:b:c`), true);
+    });
+});
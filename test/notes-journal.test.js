@@ -0,0 +1,83 @@
+/**
+ * Tests for the notes journal
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.MarkdownNotes = require('../public/js/markdown-notes.js');
+const NotesJournal = require('../public/js/notes-journal.js');
+
+const readings = {
+    '2026-01-01': { day: 1, reading: 'Matthew 1-3', theme: 'Birth of the King', references: ScriptureReferences.parse('Matthew 1-3') },
+    '2026-01-02': { day: 2, reading: 'Matthew 4-6', theme: 'Sermon on the Mount', references: ScriptureReferences.parse('Matthew 4-6') }
+};
+
+/**
+ * @param {string} dateKey - Date key
+ * @returns {Object} Reading of the test plan on that date
+ */
+function findReading(dateKey) {
+    return readings[dateKey] ? { plan: 'nt90', reading: readings[dateKey] } : { plan: 'ethiopian', reading: null };
+}
+
+const entries = NotesJournal.buildEntries(new Map([
+    ['2026-01-02', 'Blessed are the meek. #Beatitudes #prayer\nCompare Psalm 37:11'],
+    ['2026-01-03', 'Fasting day. #prayer'],
+    ['2026-01-01', 'Genealogy of Jesus'],
+    ['2026-01-04', '  ']
+]), findReading);
+
+describe('NotesJournal.extractTags', () => {
+    test('finds tags but not headings, numbers or links', () => {
+        assert.deepEqual(
+            NotesJournal.extractTags('# Heading\n#Grace and (#faith), #1 https://example.org/#top #ጸሎት #Grace'),
+            ['grace', 'faith', 'ጸሎት']
+        );
+        assert.deepEqual(NotesJournal.extractTags(''), []);
+    });
+});
+
+describe('NotesJournal.buildEntries', () => {
+    test('lists notes oldest first with their readings, skipping empty ones', () => {
+        assert.deepEqual(entries.map(entry => entry.dateKey), ['2026-01-01', '2026-01-02', '2026-01-03']);
+        assert.equal(entries[1].reading.reading, 'Matthew 4-6');
+        assert.equal(entries[1].plan, 'nt90');
+        assert.deepEqual(entries[1].tags, ['beatitudes', 'prayer']);
+    });
+
+    test('collects books from the reading and the note', () => {
+        assert.deepEqual(entries[1].books, ['Psalms', 'Matthew']);
+        assert.deepEqual(entries[2].books, []);
+        assert.deepEqual(NotesJournal.getBooks(entries), ['Psalms', 'Matthew']);
+    });
+});
+
+describe('NotesJournal.filter', () => {
+    const dates = filters => NotesJournal.filter(entries, filters).map(entry => entry.dateKey);
+
+    test('searches notes and readings for every term', () => {
+        assert.deepEqual(dates({ query: 'meek' }), ['2026-01-02']);
+        assert.deepEqual(dates({ query: 'SERMON blessed' }), ['2026-01-02']);
+        assert.deepEqual(dates({ query: 'sermon fasting' }), []);
+        assert.deepEqual(dates({ query: '"of Jesus"' }), ['2026-01-01']);
+        assert.equal(dates({ query: '  ' }).length, 3);
+    });
+
+    test('filters by tag, book and plan', () => {
+        assert.deepEqual(dates({ tag: 'Prayer' }), ['2026-01-02', '2026-01-03']);
+        assert.deepEqual(dates({ book: 'Psalms' }), ['2026-01-02']);
+        assert.deepEqual(dates({ book: 'Matthew', query: 'genealogy' }), ['2026-01-01']);
+        assert.deepEqual(dates({ plan: 'ethiopian' }), ['2026-01-03']);
+    });
+
+    test('counts tags, most used first', () => {
+        assert.deepEqual(NotesJournal.getTags(entries), [
+            { tag: 'prayer', count: 2 },
+            { tag: 'beatitudes', count: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for the custom reading plan builder
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.PlanNormalizer = require('../public/js/plan-normalizer.js');
+const PlanSchema = require('../public/js/plan-schema.js');
+const PlanBuilder = require('../public/js/plan-builder.js');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Build a plan with defaults for anything not given
+ * @param {Object} options - Builder options
+ * @returns {Object}
+ */
+function build(options) {
+    return PlanBuilder.generate({
+        title: 'Test',
+        lengthType: 'days',
+        balanceBy: 'chapters',
+        readingDays: EVERY_DAY,
+        ...options
+    });
+}
+
+/**
+ * Total verses read on each day of a plan
+ * @param {Object} plan - Generated plan
+ * @returns {Array}
+ */
+function versesPerDay(plan) {
+    return plan.schedule.map(entry =>
+        ScriptureReferences.expandChapters(ScriptureReferences.parse(entry.reading))
+            .reduce((sum, { book, chapter }) => sum + BibleCanon.getVerseCount(book, chapter), 0)
+    );
+}
+
+describe('BibleCanon verse counts', () => {
+    test('cover every chapter and add up to the whole Bible', () => {
+        let total = 0;
+        BibleCanon.BOOKS.forEach(book => {
+            assert.equal(BibleCanon.VERSES[book.name].length, book.chapters, book.name);
+            total += BibleCanon.VERSES[book.name].reduce((sum, count) => sum + count, 0);
+        });
+        assert.equal(total, 31102);
+        assert.equal(BibleCanon.getVerseCount('Psalms', 119), 176);
+        assert.equal(BibleCanon.getVerseCount('Psalms', 151), 0);
+    });
+});
+
+describe('PlanBuilder.generate', () => {
+    test('spreads chapters evenly over the requested days', () => {
+        const plan = build({ books: ['Romans'], length: 5 });
+        assert.deepEqual(plan.schedule.map(entry => entry.reading), [
+            'Romans 1-3', 'Romans 4-6', 'Romans 7-9', 'Romans 10-13', 'Romans 14-16'
+        ]);
+        assert.equal(plan.totalDays, 5);
+        assert.equal(plan.totalChapters, 16);
+    });
+
+    test('works out the length from chapters per day', () => {
+        const plan = build({
+            books: BibleCanon.getBooksByTestament('NT').map(book => book.name),
+            lengthType: 'chaptersPerDay',
+            length: 3
+        });
+        assert.equal(plan.totalDays, 87);
+        assert.ok(plan.schedule.every(entry => entry.chapters >= 2 && entry.chapters <= 4));
+        assert.equal(plan.description, 'Read the New Testament in 87 days');
+    });
+
+    test('reads books in canonical order and crosses between them', () => {
+        const plan = build({ books: ['Jude', '2 John', '3 John'], length: 1 });
+        assert.equal(plan.schedule[0].reading, '2 John; 3 John; Jude');
+        assert.equal(plan.schedule[0].theme, '2 John & 3 John & Jude');
+    });
+
+    test('balances by verses so long chapters get their own day', () => {
+        const plan = build({ books: ['Psalms'], length: 30, balanceBy: 'verses' });
+        assert.ok(plan.schedule.some(entry => entry.reading === 'Psalms 119'));
+
+        const verses = versesPerDay(plan).filter((count, i) => plan.schedule[i].reading !== 'Psalms 119');
+        const average = 2461 / 30;
+        assert.ok(verses.every(count => count > average / 2 && count < average * 2), verses.join());
+    });
+
+    test('evens out verses better than chapters do', () => {
+        const spread = plan => {
+            const verses = versesPerDay(plan);
+            return Math.max(...verses) - Math.min(...verses);
+        };
+        const books = ['Luke', 'Acts'];
+        assert.ok(spread(build({ books, length: 20, balanceBy: 'verses' })) <
+            spread(build({ books, length: 20, balanceBy: 'chapters' })));
+    });
+
+    test('records reading days only when some are skipped', () => {
+        assert.equal(build({ books: ['Mark'], length: 8 }).readingDays, undefined);
+
+        const weekdays = build({ books: ['Mark'], length: 8, readingDays: [5, 1, 2, 3, 4] });
+        assert.deepEqual(weekdays.readingDays, [1, 2, 3, 4, 5]);
+        assert.equal(weekdays.description, 'Read Mark in 8 days, reading on weekdays');
+    });
+
+    test('produces plans that pass the schema', () => {
+        const plan = build({ books: BibleCanon.BOOKS.map(book => book.name), length: 365, balanceBy: 'verses' });
+        assert.deepEqual(PlanSchema.validate(plan), []);
+        assert.equal(plan.description, 'Read the whole Bible in 365 days');
+    });
+
+    test('rejects incomplete options', () => {
+        assert.throws(() => build({ title: ' ', books: ['Mark'], length: 5 }), /Give your plan a name/);
+        assert.throws(() => build({ books: [], length: 5 }), /Choose at least one book/);
+        assert.throws(() => build({ books: ['Mark'], length: 5, readingDays: [] }), /Choose at least one reading day/);
+        assert.throws(() => build({ books: ['Mark'], length: 0 }), /whole number/);
+        assert.throws(() => build({ books: ['Mark'], length: 17 }), /at most 16 days/);
+        assert.throws(() => build({ books: ['Hezekiah'], length: 1 }), /Unknown book "Hezekiah"/);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for importing reading plans from JSON and CSV
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.PlanNormalizer = require('../public/js/plan-normalizer.js');
+global.PlanSchema = require('../public/js/plan-schema.js');
+const PlanImporter = require('../public/js/plan-importer.js');
+
+describe('PlanImporter.parseCsvRows', () => {
+    test('splits plain rows', () => {
+        assert.deepEqual(PlanImporter.parseCsvRows('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    });
+
+    test('keeps commas, quotes and line breaks inside quoted cells', () => {
+        assert.deepEqual(PlanImporter.parseCsvRows('"Psalms 1, 23","He said ""peace""","line\r\nbreak"\r\n'), [
+            ['Psalms 1, 23', 'He said "peace"', 'line\r\nbreak']
+        ]);
+    });
+});
+
+describe('PlanImporter.importText', () => {
+    test('imports a CSV plan with day, reading and theme columns', () => {
+        const csv = 'Day,Reading,Theme\n1,"Psalms 1, 23",Blessed\n2,John 10,Good Shepherd\n\n';
+        const plan = PlanImporter.importText(csv, 'advent_readings.csv');
+
+        assert.equal(plan.title, 'advent readings');
+        assert.equal(plan.totalDays, 2);
+        assert.equal(plan.custom, true);
+        assert.equal(plan.source, 'advent_readings.csv');
+        assert.deepEqual(plan.schedule, [
+            { day: 1, reading: 'Psalms 1, 23', theme: 'Blessed' },
+            { day: 2, reading: 'John 10', theme: 'Good Shepherd' }
+        ]);
+    });
+
+    test('accepts CSV columns in any order with optional chapters', () => {
+        const plan = PlanImporter.importText('reading,chapters,day\nGenesis 1-2,2,1', 'plan.csv');
+        assert.deepEqual(plan.schedule, [{ day: 1, reading: 'Genesis 1-2', chapters: 2 }]);
+    });
+
+    test('imports JSON plans in any supported format', () => {
+        const json = JSON.stringify({
+            title: 'Two Months',
+            months: [{ name: 'Meskerem', readings: [{ day: 1, reading: 'Mark 1' }] }]
+        });
+        const plan = PlanImporter.importText(json, 'download');
+        assert.equal(plan.title, 'Two Months');
+        assert.equal(plan.custom, true);
+    });
+
+    test('reports schema problems with their day', () => {
+        const json = JSON.stringify({
+            title: 'Broken',
+            schedule: [{ day: 1, reading: 'Hezekiah 1' }, { day: 3, reading: 'John 1' }]
+        });
+        assert.throws(() => PlanImporter.importText(json, 'broken.json'),
+            /day 1: Unknown book "Hezekiah".*day 2: Day 2 is missing/);
+    });
+
+    test('rejects reading days that are not weekday numbers', () => {
+        const plan = readingDays => JSON.stringify({ title: 'Weekly', readingDays, schedule: [{ day: 1, reading: 'John 1' }] });
+        assert.throws(() => PlanImporter.importText(plan([7]), 'weekly.json'), /"readingDays" must list different weekdays/);
+        assert.throws(() => PlanImporter.importText(plan(['1', '3']), 'weekly.json'), /"readingDays"/);
+        assert.throws(() => PlanImporter.importText(plan([1, 1]), 'weekly.json'), /"readingDays"/);
+        assert.deepEqual(PlanImporter.importText(plan([1, 3]), 'weekly.json').readingDays, [1, 3]);
+    });
+
+    test('limits how many problems it lists', () => {
+        const schedule = [1, 2, 3, 4, 5].map(day => ({ day, reading: 'Nowhere 1' }));
+        assert.throws(() => PlanImporter.importText(JSON.stringify({ title: 'Lots', schedule }), 'lots.json'),
+            /\(and 2 more\)$/);
+    });
+
+    test('rejects unreadable files', () => {
+        assert.throws(() => PlanImporter.importText('{ not json', 'plan.json'), /not valid JSON/);
+        assert.throws(() => PlanImporter.importText('day,theme\n1,Hope', 'plan.csv'), /"day" and "reading" columns/);
+        assert.throws(() => PlanImporter.importText('day,reading', 'plan.csv'), /at least one day/);
+    });
+});
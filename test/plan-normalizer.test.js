@@ -0,0 +1,114 @@
+/**
+ * Tests for turning each reading plan format into the internal representation
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlanNormalizer = require('../public/js/plan-normalizer.js');
+
+const schedulePlan = {
+    title: 'Schedule',
+    totalDays: 2,
+    schedule: [
+        { day: 2, reading: 'Genesis 3', chapters: 1 },
+        { day: 1, reading: 'Genesis 1-2', theme: 'Creation', chapters: 2 }
+    ]
+};
+
+const monthsPlan = {
+    title: 'Months',
+    months: [
+        {
+            name: 'Meskerem',
+            feast: 'New Year',
+            readings: [
+                { day: 1, reading: 'Genesis 1-3', feast: 'Enkutatash' },
+                { day: 2, reading: 'Genesis 4-6' }
+            ]
+        },
+        { name: 'Tikimt', note: 'Harvest', readings: [{ day: 1, reading: 'Exodus 1-3' }] }
+    ]
+};
+
+const monthlyPlansPlan = {
+    title: 'Monthly',
+    monthlyPlans: [
+        { month: 'January', focus: 'The Law', days: [{ day: 1, reading: 'Genesis 1' }, { day: 2, reading: 'Genesis 2' }] },
+        { month: 'February', days: [{ day: 32, reading: 'Exodus 1' }] },
+        { month: 'March', days: [] }
+    ]
+};
+
+describe('PlanNormalizer.detectFormat', () => {
+    test('recognizes each supported format', () => {
+        assert.equal(PlanNormalizer.detectFormat(schedulePlan), 'schedule');
+        assert.equal(PlanNormalizer.detectFormat(monthsPlan), 'months');
+        assert.equal(PlanNormalizer.detectFormat(monthlyPlansPlan), 'monthlyPlans');
+    });
+
+    test('returns null for anything else', () => {
+        assert.equal(PlanNormalizer.detectFormat({ title: 'No days' }), null);
+        assert.equal(PlanNormalizer.detectFormat({ schedule: 'day 1' }), null);
+        assert.equal(PlanNormalizer.detectFormat(null), null);
+        assert.equal(PlanNormalizer.detectFormat('plan'), null);
+    });
+});
+
+describe('PlanNormalizer.normalize', () => {
+    test('sorts schedule days and fills in missing fields', () => {
+        const plan = PlanNormalizer.normalize(schedulePlan);
+
+        assert.equal(plan.format, 'schedule');
+        assert.equal(plan.title, 'Schedule');
+        assert.equal(plan.totalDays, 2);
+        assert.equal('schedule' in plan, false);
+        assert.deepEqual(plan.sections, []);
+        assert.deepEqual(plan.days.map(day => day.day), [1, 2]);
+        assert.deepEqual(plan.days[1], {
+            day: 2, reading: 'Genesis 3', theme: null, chapters: 1, feast: null, month: null, monthDay: null, section: null
+        });
+    });
+
+    test('numbers calendar month readings through the year, keeping their month day', () => {
+        const plan = PlanNormalizer.normalize(monthsPlan);
+
+        assert.equal(plan.format, 'months');
+        assert.deepEqual(plan.days.map(day => [day.day, day.month, day.monthDay, day.section]), [
+            [1, 'Meskerem', 1, 0], [2, 'Meskerem', 2, 0], [3, 'Tikimt', 1, 1]
+        ]);
+        assert.equal(plan.days[0].feast, 'Enkutatash');
+        assert.deepEqual(plan.sections, [
+            { index: 0, title: 'Meskerem', focus: 'New Year', startDay: 1, endDay: 2 },
+            { index: 1, title: 'Tikimt', focus: 'Harvest', startDay: 3, endDay: 3 }
+        ]);
+    });
+
+    test('keeps monthly plan day numbers and their focus headings', () => {
+        const plan = PlanNormalizer.normalize(monthlyPlansPlan);
+
+        assert.equal(plan.format, 'monthlyPlans');
+        assert.deepEqual(plan.days.map(day => [day.day, day.section]), [[1, 0], [2, 0], [32, 1]]);
+        assert.deepEqual(plan.sections, [
+            { index: 0, title: 'January', focus: 'The Law', startDay: 1, endDay: 2 },
+            { index: 1, title: 'February', focus: null, startDay: 32, endDay: 32 },
+            { index: 2, title: 'March', focus: null, startDay: null, endDay: null }
+        ]);
+    });
+
+    test('returns an already normalized plan as it is', () => {
+        const plan = PlanNormalizer.normalize(schedulePlan);
+        assert.equal(PlanNormalizer.normalize(plan), plan);
+    });
+
+    test('leaves the source plan unchanged', () => {
+        const copy = structuredClone(schedulePlan);
+        PlanNormalizer.normalize(schedulePlan);
+        assert.deepEqual(schedulePlan, copy);
+    });
+
+    test('rejects a plan in an unknown format', () => {
+        assert.throws(() => PlanNormalizer.normalize({ title: 'Weeks', weeks: [] }), /Unsupported reading plan format/);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for plan schedules and rescheduling
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlanSchedule = require('../public/js/plan-schedule.js');
+
+const plan = {
+    days: [1, 1, 1, 1, 2, 2].map((chapters, index) => ({ day: index + 1, reading: `Reading ${index + 1}`, chapters }))
+};
+
+/**
+ * @param {Object} schedule - From build()
+ * @returns {Object} Date key of each day, with "+" marking catch-ups
+ */
+function datesOf(schedule) {
+    return Object.fromEntries([...schedule.dates].map(([day, entry]) => [day, `${entry.dateKey}${entry.catchUp ? '+' : ''}`]));
+}
+
+describe('PlanSchedule.build', () => {
+    test('gives each day the next date from the start date', () => {
+        const schedule = PlanSchedule.build(plan, '2026-03-28');
+        assert.deepEqual(datesOf(schedule), {
+            1: '2026-03-28', 2: '2026-03-29', 3: '2026-03-30', 4: '2026-03-31', 5: '2026-04-01', 6: '2026-04-02'
+        });
+        assert.deepEqual(schedule.byDate.get('2026-03-29'), [{ day: 2, catchUp: false }]);
+    });
+
+    test('only uses the reading days of the week', () => {
+        // Mondays, Wednesdays and Fridays, starting on a Sunday
+        const schedule = PlanSchedule.build({ ...plan, readingDays: [1, 3, 5] }, '2026-01-04');
+        assert.deepEqual(datesOf(schedule), {
+            1: '2026-01-05', 2: '2026-01-07', 3: '2026-01-09', 4: '2026-01-12', 5: '2026-01-14', 6: '2026-01-16'
+        });
+    });
+
+    test('ignores reading days that are not weekday numbers', () => {
+        assert.equal(PlanSchedule.getReadingDays({ readingDays: [7] }), null);
+        assert.equal(PlanSchedule.getReadingDays({ readingDays: ['1', '3'] }), null);
+        assert.deepEqual(PlanSchedule.getReadingDays({ readingDays: [1, '3', 1, 8] }), [1]);
+
+        const schedule = PlanSchedule.build({ ...plan, readingDays: [7] }, '2026-03-28');
+        assert.equal(schedule.dates.get(2).dateKey, '2026-03-29');
+    });
+
+    test('stops looking for a reading day after a week', () => {
+        const date = PlanSchedule.nextReadingDate(new Date(NaN), [1, 3, 5]);
+        assert.ok(Number.isNaN(date.getTime()));
+    });
+});
+
+describe('PlanSchedule reschedules', () => {
+    const base = PlanSchedule.build(plan, '2026-01-05');
+    const options = { today: '2026-01-08', over: 2, perDay: 2 };
+
+    test('finds days scheduled before today that were not read', () => {
+        assert.deepEqual(PlanSchedule.findMissed(base, new Set([1]), '2026-01-08'), [2, 3]);
+        assert.deepEqual(PlanSchedule.findMissed(base, new Set([1, 2, 3]), '2026-01-08'), []);
+    });
+
+    test('shifts every unread day forward from today', () => {
+        const event = PlanSchedule.createEvent('shift', base, new Set([1]), options);
+        assert.deepEqual(event.days, [2, 3, 4, 5, 6]);
+        assert.deepEqual(datesOf(PlanSchedule.build(plan, '2026-01-05', [event])), {
+            1: '2026-01-05', 2: '2026-01-08', 3: '2026-01-09', 4: '2026-01-10', 5: '2026-01-11', 6: '2026-01-12'
+        });
+    });
+
+    test('leaves days read ahead where they are when shifting', () => {
+        const event = PlanSchedule.createEvent('shift', base, new Set([1, 5]), options);
+        assert.deepEqual(datesOf(PlanSchedule.build(plan, '2026-01-05', [event])), {
+            1: '2026-01-05', 2: '2026-01-08', 3: '2026-01-10', 4: '2026-01-11', 5: '2026-01-09', 6: '2026-01-12'
+        });
+    });
+
+    test('spreads missed days as catch-ups over the next days', () => {
+        const event = PlanSchedule.createEvent('spread', base, new Set([1]), options);
+        assert.deepEqual(event.days, [2, 3]);
+
+        const schedule = PlanSchedule.build(plan, '2026-01-05', [event]);
+        assert.equal(datesOf(schedule)[2], '2026-01-08+');
+        assert.equal(datesOf(schedule)[3], '2026-01-09+');
+        assert.deepEqual(schedule.byDate.get('2026-01-08'), [{ day: 4, catchUp: false }, { day: 2, catchUp: true }]);
+    });
+
+    test('balances spread catch-ups by chapters', () => {
+        const event = { type: 'spread', date: '2026-01-11', over: 3, days: [1, 2, 5, 6] };
+        const dates = datesOf(PlanSchedule.build(plan, '2026-01-05', [event]));
+        assert.deepEqual([dates[1], dates[2], dates[5], dates[6]], ['2026-01-11+', '2026-01-11+', '2026-01-12+', '2026-01-13+']);
+    });
+
+    test('catches up on Saturdays and Sundays', () => {
+        const event = { type: 'weekends', date: '2026-01-08', perDay: 2, days: [1, 2, 3] };
+        const dates = datesOf(PlanSchedule.build(plan, '2026-01-05', [event]));
+        assert.deepEqual([dates[1], dates[2], dates[3]], ['2026-01-10+', '2026-01-10+', '2026-01-11+']);
+    });
+
+    test('replays reschedules in order, so dropping the last one undoes it', () => {
+        const shift = PlanSchedule.createEvent('shift', base, new Set([1]), options);
+        const spread = { type: 'spread', date: '2026-01-12', over: 1, days: [2] };
+        const both = PlanSchedule.build(plan, '2026-01-05', [shift, spread]);
+        assert.equal(datesOf(both)[2], '2026-01-12+');
+        assert.equal(datesOf(PlanSchedule.build(plan, '2026-01-05', [shift]))[2], '2026-01-08');
+    });
+
+    test('does nothing when no days were missed, and rejects bad options', () => {
+        assert.equal(PlanSchedule.createEvent('shift', base, new Set([1, 2, 3]), options), null);
+        assert.throws(() => PlanSchedule.createEvent('skip', base, new Set(), options), /Unknown/);
+        assert.throws(() => PlanSchedule.createEvent('spread', base, new Set(), { ...options, over: 0 }), /how many days/);
+    });
+
+    test('describes reschedules', () => {
+        assert.equal(PlanSchedule.describe({ type: 'spread', date: '2026-01-08', over: 2, days: [2, 3] }),
+            'Spread 2 readings over 2 days from 2026-01-08');
+        assert.equal(PlanSchedule.describe({ type: 'shift', date: '2026-01-08', days: [2] }),
+            'Moved 1 reading to start 2026-01-08');
+    });
+});
+
+describe('PlanSchedule lifecycle', () => {
+    const weekdays = { ...plan, readingDays: [1, 3, 5] };
+    const pause = (date, resume) => [{ type: 'pause', date }, ...(resume ? [{ type: 'resume', date: resume }] : [])];
+
+    test('moves every day from a pause by the time it lasted', () => {
+        const schedule = PlanSchedule.build(plan, '2026-01-05', pause('2026-01-07', '2026-01-10'));
+        assert.deepEqual(datesOf(schedule), {
+            1: '2026-01-05', 2: '2026-01-06', 3: '2026-01-10', 4: '2026-01-11', 5: '2026-01-12', 6: '2026-01-13'
+        });
+    });
+
+    test('keeps readings on reading days across a pause', () => {
+        // Paused from a Wednesday to a Saturday; readings are on Mondays, Wednesdays and Fridays
+        const schedule = PlanSchedule.build(weekdays, '2026-01-04', pause('2026-01-07', '2026-01-10'));
+        assert.deepEqual(datesOf(schedule), {
+            1: '2026-01-05', 2: '2026-01-12', 3: '2026-01-14', 4: '2026-01-16', 5: '2026-01-19', 6: '2026-01-21'
+        });
+    });
+
+    test('holds a paused plan back until tomorrow', () => {
+        const schedule = PlanSchedule.build(plan, '2026-01-05', pause('2026-01-07'), '2026-01-08');
+        assert.equal(datesOf(schedule)[3], '2026-01-09');
+        assert.equal(PlanSchedule.getPausedSince(pause('2026-01-07')), '2026-01-07');
+        assert.equal(PlanSchedule.getPausedSince(pause('2026-01-07', '2026-01-09')), null);
+    });
+
+    test('moves catch-ups along with the plan', () => {
+        const events = [{ type: 'spread', date: '2026-01-08', over: 1, days: [1] }, ...pause('2026-01-07', '2026-01-09')];
+        assert.equal(datesOf(PlanSchedule.build(plan, '2026-01-05', events))[1], '2026-01-10+');
+    });
+
+    test('lays the plan out again from its latest start', () => {
+        const events = [
+            { type: 'start', date: '2026-01-05' },
+            ...pause('2026-01-06'),
+            { type: 'start', date: '2026-02-01' }
+        ];
+        assert.equal(datesOf(PlanSchedule.build(plan, '2026-01-01', events))[1], '2026-02-01');
+        assert.equal(datesOf(PlanSchedule.build(plan, '2026-01-01', events))[2], '2026-02-02');
+        assert.equal(PlanSchedule.getPausedSince(events), null);
+        assert.equal(PlanSchedule.getActiveEvents(events).length, 0);
+        assert.equal(PlanSchedule.isReschedule(events[1]), false);
+    });
+
+    test('finds the last reschedule since the latest start, past a later pause', () => {
+        const shift = { type: 'shift', date: '2026-01-08', days: [2] };
+        assert.equal(PlanSchedule.getLastRescheduleIndex([shift, ...pause('2026-01-09', '2026-01-10')]), 0);
+        assert.equal(PlanSchedule.getLastRescheduleIndex([shift, { type: 'start', date: '2026-02-01' }]), -1);
+        assert.equal(PlanSchedule.getLastRescheduleIndex([]), -1);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the reading plan schema and the shipped plans
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+global.ScriptureReferences = require('../public/js/scripture-references.js');
+global.PlanNormalizer = require('../public/js/plan-normalizer.js');
+const PlanSchema = require('../public/js/plan-schema.js');
+
+const PLANS_DIR = path.join(__dirname, '..', 'public', 'data', 'reading-plans');
+
+/**
+ * Build a small valid schedule plan, then apply overrides
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object}
+ */
+function schedulePlan(overrides = {}) {
+    return {
+        title: 'Test Plan',
+        totalDays: 3,
+        totalChapters: 5,
+        schedule: [
+            { day: 1, reading: 'Genesis 1-2', chapters: 2 },
+            { day: 2, reading: 'Genesis 3', chapters: 1 },
+            { day: 3, reading: 'Psalms 23; John 3:16-18', chapters: 2 }
+        ],
+        ...overrides
+    };
+}
+
+/**
+ * @param {Array} errors - Schema errors
+ * @returns {Array} Messages only
+ */
+const messages = errors => errors.map(error => error.message);
+
+describe('PlanSchema.validate', () => {
+    test('accepts a valid schedule plan', () => {
+        assert.deepEqual(PlanSchema.validate(schedulePlan()), []);
+    });
+
+    test('rejects non-objects and plans without days', () => {
+        assert.deepEqual(messages(PlanSchema.validate([])), ['Plan must be a JSON object']);
+        assert.match(messages(PlanSchema.validate({ title: 'Empty' }))[0], /Plan needs one of/);
+    });
+
+    test('requires a title', () => {
+        assert.deepEqual(messages(PlanSchema.validate(schedulePlan({ title: undefined }))), ['"title" is required']);
+    });
+
+    test('reports duplicate and missing days', () => {
+        const plan = schedulePlan({
+            totalDays: undefined,
+            totalChapters: undefined,
+            schedule: [
+                { day: 1, reading: 'Genesis 1' },
+                { day: 1, reading: 'Genesis 2' },
+                { day: 4, reading: 'Genesis 3' }
+            ]
+        });
+        assert.deepEqual(PlanSchema.validate(plan), [
+            { day: 1, message: 'Day 1 appears more than once' },
+            { day: 2, message: 'Days 2-3 are missing' }
+        ]);
+    });
+
+    test('reports unknown books and chapters out of range with their day', () => {
+        const plan = schedulePlan({
+            totalChapters: undefined,
+            schedule: [
+                { day: 1, reading: 'Hezekiah 1' },
+                { day: 2, reading: 'Jude 2:1' },
+                { day: 3, reading: 'Genesis 3' }
+            ]
+        });
+        const errors = PlanSchema.validate(plan);
+        assert.deepEqual(errors.map(error => error.day), [1, 2]);
+        assert.match(errors[0].message, /Unknown book "Hezekiah"/);
+        assert.match(errors[1].message, /Jude has 1 chapter/);
+    });
+
+    test('checks chapters against the reading', () => {
+        const plan = schedulePlan({ totalChapters: undefined });
+        plan.schedule[1].chapters = 3;
+        assert.deepEqual(PlanSchema.validate(plan), [
+            { day: 2, message: '"chapters" is 3 but "Genesis 3" covers 1' }
+        ]);
+    });
+
+    test('checks totalDays and totalChapters', () => {
+        assert.deepEqual(messages(PlanSchema.validate(schedulePlan({ totalDays: 4, totalChapters: 6 }))), [
+            '"totalDays" is 4 but the plan has 3 days',
+            '"totalChapters" is 6 but the days add up to 5'
+        ]);
+    });
+
+    test('numbers months format days within each month', () => {
+        const plan = {
+            title: 'Months',
+            months: [
+                { name: 'Meskerem', readings: [{ day: 1, reading: 'John 1' }, { day: 2, reading: 'John 2' }] },
+                { name: 'Tikimt', readings: [{ day: 1, reading: 'John 3' }, { day: 3, reading: 'John 4' }] }
+            ]
+        };
+        assert.deepEqual(PlanSchema.validate(plan), [
+            { day: 4, message: 'Tikimt: expected day 2 but found 3' }
+        ]);
+    });
+});
+
+describe('shipped reading plans', () => {
+    fs.readdirSync(PLANS_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+        test(`${name} passes validation`, () => {
+            const plan = JSON.parse(fs.readFileSync(path.join(PLANS_DIR, name), 'utf8'));
+            assert.deepEqual(PlanSchema.validate(plan), []);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for plan progress and lifecycle in the reading plans manager
+ * Run with: npm test
+ */
+
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlanner, planFile } = require('./helpers/planner.js');
+
+loadPlanner();
+
+before(async () => {
+    await StorageManager.init();
+    ReadingPlansManager.addPlan('nt90', planFile('nt90.json'));
+    ReadingPlansManager.addPlan('ethiopian', planFile('ethiopian-calendar.json'));
+});
+
+beforeEach(async () => {
+    await StorageManager.clearAll();
+});
+
+describe('ReadingPlansManager progress', () => {
+    test('counts a dated plan\'s day as read whichever date it was read on', () => {
+        ReadingPlansManager.markDayRead(12, 'nt90', '2026-01-03');
+
+        assert.equal(ReadingPlansManager.isDayRead(12, 'nt90', '2026-01-12'), true);
+        assert.equal(ReadingPlansManager.isDayRead(13, 'nt90', '2026-01-03'), false);
+
+        ReadingPlansManager.markDayUnread(12, 'nt90', '2026-01-12');
+        assert.equal(ReadingPlansManager.isDayRead(12, 'nt90', '2026-01-12'), false);
+    });
+
+    test('counts an Ethiopian plan day only on its own date', () => {
+        ReadingPlansManager.markDayRead(1, 'ethiopian', '2025-09-11');
+
+        assert.equal(ReadingPlansManager.isDayRead(1, 'ethiopian', '2025-09-11'), true);
+        assert.equal(ReadingPlansManager.isDayRead(1, 'ethiopian', '2026-09-11'), false);
+    });
+
+    test('reads ahead from the first unread day', () => {
+        ReadingPlansManager.markDayRead(1, 'nt90', '2026-01-01');
+        ReadingPlansManager.markDayRead(3, 'nt90', '2026-01-01');
+
+        const readings = ReadingPlansManager.readAhead(2, 'nt90', '2026-01-02');
+        assert.deepEqual(readings.map(reading => reading.day), [2, 4]);
+        assert.deepEqual(StorageManager.getDaysReadOn('2026-01-02', 'nt90'), [2, 4]);
+        assert.deepEqual(ReadingPlansManager.getNextUnreadDays(2, 'nt90').map(reading => reading.day), [5, 6]);
+
+        assert.throws(() => ReadingPlansManager.readAhead(0, 'nt90'), /how many/);
+        assert.throws(() => ReadingPlansManager.readAhead(1, 'ethiopian'), /Ethiopian/);
+    });
+
+    test('finds an Ethiopian plan day on its date in the current Ethiopian year', () => {
+        const year = EthiopianCalendar.fromGregorian(new Date()).year;
+        assert.deepEqual(ReadingPlansManager.getDateForPlanDay(1, 'ethiopian'), EthiopianCalendar.getNewYear(year));
+
+        const reading = ReadingPlansManager.findReadingForReferences(ScriptureReferences.parse('John 3:16'), 'ethiopian');
+        const date = ReadingPlansManager.getDateForPlanDay(reading.day, 'ethiopian');
+        assert.equal(EthiopianCalendar.fromGregorian(date).year, year);
+        assert.equal(ReadingPlansManager.getEthiopianReadingForDate(date).reading, reading.reading);
+    });
+});
+
+describe('ReadingPlansManager chapter progress', () => {
+    test('marks a day read once its last chapter is read', () => {
+        assert.deepEqual(ReadingPlansManager.getDayChapters(1, 'nt90'), ['Matthew 1', 'Matthew 2', 'Matthew 3', 'Matthew 4']);
+
+        ReadingPlansManager.markChapterRead(1, 'Matthew 1', 'nt90', '2026-01-01', '2026-01-01');
+        ReadingPlansManager.markChapterRead(1, 'Matthew 3', 'nt90', '2026-01-01', '2026-01-01');
+        const progress = ReadingPlansManager.getDayChapterProgress(1, 'nt90', '2026-01-01');
+        assert.equal(progress.read, 2);
+        assert.equal(progress.total, 4);
+        assert.deepEqual(progress.chapters[1], { chapter: 'Matthew 2', read: false });
+        assert.equal(ReadingPlansManager.isDayRead(1, 'nt90', '2026-01-01'), false);
+
+        ReadingPlansManager.markChapterRead(1, 'Matthew 2', 'nt90', '2026-01-01', '2026-01-02');
+        ReadingPlansManager.markChapterRead(1, 'Matthew 4', 'nt90', '2026-01-01', '2026-01-02');
+        assert.deepEqual(StorageManager.getDayReadDates(1, 'nt90'), ['2026-01-02']);
+        assert.deepEqual(StorageManager.getChapterProgress('nt90'), {});
+
+        assert.throws(() => ReadingPlansManager.markChapterRead(1, 'Mark 1', 'nt90', '2026-01-01', '2026-01-01'), /isn't part/);
+    });
+
+    test('keeps the other chapters read when one chapter of a read day is unchecked', () => {
+        ReadingPlansManager.markDayRead(1, 'nt90', '2026-01-01');
+        ReadingPlansManager.markChapterUnread(1, 'Matthew 4', 'nt90', '2026-01-01');
+
+        assert.equal(ReadingPlansManager.isDayRead(1, 'nt90', '2026-01-01'), false);
+        assert.deepEqual(StorageManager.getChaptersRead('1', 'nt90'), {
+            'Matthew 1': '2026-01-01', 'Matthew 2': '2026-01-01', 'Matthew 3': '2026-01-01'
+        });
+
+        ReadingPlansManager.markDayUnread(1, 'nt90', '2026-01-01');
+        assert.deepEqual(StorageManager.getChapterProgress('nt90'), {});
+    });
+
+    test('keeps Ethiopian plan chapters to their own date', () => {
+        ReadingPlansManager.markChapterRead(1, 'Genesis 1', 'ethiopian', '2025-09-11', '2025-09-11');
+
+        assert.equal(ReadingPlansManager.getDayChapterProgress(1, 'ethiopian', '2025-09-11').read, 1);
+        assert.equal(ReadingPlansManager.getDayChapterProgress(1, 'ethiopian', '2026-09-11').read, 0);
+    });
+
+    test('reports chapters read alongside days completed', () => {
+        ReadingPlansManager.markDayRead(1, 'nt90', '2026-01-01');
+        ReadingPlansManager.markChapterRead(2, 'Matthew 5', 'nt90', '2026-01-02', '2026-01-02');
+
+        const stats = StorageManager.getStatistics(90, 'nt90', ReadingPlansManager.getChapterCounts('nt90'));
+        assert.equal(stats.completedReadings, 1);
+        assert.equal(stats.chaptersRead, 5);
+        assert.equal(stats.totalChapters, 260);
+        assert.equal(ReadingPlansManager.getBookProgress('nt90', ['Matthew'])[0].chaptersRead, 5);
+    });
+});
+
+describe('ReadingPlansManager lifecycle', () => {
+    test('previews a plan that was never started without starting it', () => {
+        const today = new Date();
+        assert.equal(ReadingPlansManager.getPlanDayForDate(today, 'nt90'), 1);
+        assert.equal(ReadingPlansManager.getPlanStatus('nt90').started, false);
+    });
+
+    test('starts, pauses and resumes a plan, keeping its history', () => {
+        ReadingPlansManager.startPlan('2026-01-01', 'nt90');
+        ReadingPlansManager.pausePlan('2026-01-03', 'nt90');
+        assert.equal(ReadingPlansManager.getPlanStatus('nt90').pausedSince, '2026-01-03');
+        assert.throws(() => ReadingPlansManager.pausePlan('2026-01-04', 'nt90'), /already paused/);
+        assert.throws(() => ReadingPlansManager.resumePlan('2026-01-02', 'nt90'), /after it was paused/);
+
+        ReadingPlansManager.resumePlan('2026-01-06', 'nt90');
+        assert.equal(ReadingPlansManager.getPlanStatus('nt90').pausedSince, null);
+        assert.equal(ReadingPlansManager.getPlanDayForDate(new Date(2026, 0, 2), 'nt90'), 2);
+        assert.equal(ReadingPlansManager.getPlanDayForDate(new Date(2026, 0, 4), 'nt90'), null);
+        assert.equal(ReadingPlansManager.getPlanDayForDate(new Date(2026, 0, 6), 'nt90'), 3);
+        assert.deepEqual(ReadingPlansManager.getPlanHistory('nt90').map(event => event.type), ['start', 'pause', 'resume']);
+    });
+
+    test('undoes the last reschedule without touching a later pause and resume', () => {
+        ReadingPlansManager.startPlan('2026-01-01', 'nt90');
+        const shift = { type: 'shift', date: '2026-01-05', days: [3, 4] };
+        ReadingPlansManager.addScheduleEvent('nt90', shift);
+        ReadingPlansManager.pausePlan('2026-01-07', 'nt90');
+        ReadingPlansManager.resumePlan('2026-01-09', 'nt90');
+
+        const undone = ReadingPlansManager.undoReschedule('nt90');
+        assert.equal(undone.type, 'shift');
+        assert.deepEqual(undone.days, [3, 4]);
+        assert.deepEqual(StorageManager.getPlanSchedule('nt90').map(event => event.type), ['start', 'pause', 'resume']);
+        assert.equal(ReadingPlansManager.getPlanStatus('nt90').pausedSince, null);
+        assert.equal(ReadingPlansManager.undoReschedule('nt90'), null);
+    });
+
+    test('rejects lifecycle changes it can\'t make', () => {
+        assert.throws(() => ReadingPlansManager.pausePlan('2026-01-03', 'nt90'), /Start the plan/);
+        assert.throws(() => ReadingPlansManager.startPlan('soon', 'nt90'), /Choose a date/);
+        assert.throws(() => ReadingPlansManager.startPlan('2026-01-01', 'ethiopian'), /Ethiopian/);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for whole-Bible coverage
+ * Run with: npm test
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPlanner, planFile } = require('./helpers/planner.js');
+
+loadPlanner();
+const ScriptureCoverage = require('../public/js/scripture-coverage.js');
+
+before(async () => {
+    await StorageManager.init();
+    ReadingPlansManager.addPlan('nt90', planFile('nt90.json'));
+    ReadingPlansManager.addPlan('ethiopian', planFile('ethiopian-calendar.json'));
+
+    // Matthew 1-4 in the 90-day plan
+    ReadingPlansManager.markDayRead(1, 'nt90', '2026-01-01');
+    // Genesis 1-3 in the Ethiopian plan, two years running
+    ReadingPlansManager.markDayRead(1, 'ethiopian', '2024-09-11');
+    ReadingPlansManager.markDayRead(1, 'ethiopian', '2025-09-11');
+    // Half of Matthew 5-7
+    ReadingPlansManager.markChapterRead(2, 'Matthew 5', 'nt90', '2026-01-02', '2026-01-02');
+});
+
+describe('ScriptureCoverage.collect', () => {
+    test('counts each chapter once across every plan', () => {
+        const read = ScriptureCoverage.getReadChapters();
+        assert.deepEqual([...read.get('Genesis')], [1, 2, 3]);
+        assert.deepEqual([...read.get('Matthew')].sort((a, b) => a - b), [1, 2, 3, 4, 5]);
+    });
+
+    test('reports each of the 66 books chapter by chapter', () => {
+        const { books } = ScriptureCoverage.collect();
+        const matthew = books.find(book => book.name === 'Matthew');
+
+        assert.equal(books.length, 66);
+        assert.equal(matthew.chaptersRead, 5);
+        assert.equal(matthew.totalChapters, 28);
+        assert.equal(matthew.percent, 17);
+        assert.deepEqual(matthew.chapters.slice(0, 6), [true, true, true, true, true, false]);
+    });
+
+    test('totals by testament and genre', () => {
+        const { testaments, genres, total } = ScriptureCoverage.collect();
+
+        assert.deepEqual(testaments.map(group => group.name), ['Old Testament', 'New Testament']);
+        assert.equal(testaments[0].chaptersRead, 3);
+        assert.equal(testaments[0].totalChapters, 929);
+        assert.equal(testaments[1].totalChapters, 260);
+        assert.deepEqual(genres.find(group => group.name === 'Law'), { name: 'Law', chaptersRead: 3, totalChapters: 187, percent: 1 });
+        assert.deepEqual(total, {
+            chaptersRead: 8, totalChapters: 1189, percent: 0, totalBooks: 66, booksStarted: 2, booksFinished: 0
+        });
+    });
+
+    test('can add the further books of the Ethiopian canon', () => {
+        const { books, total } = ScriptureCoverage.collect({ ethiopian: true });
+
+        assert.equal(books.length, 66 + BibleCanon.ETHIOPIAN_BOOKS.length);
+        assert.equal(books[66].name, 'Enoch');
+        assert.equal(total.totalChapters, 1189 + BibleCanon.ETHIOPIAN_BOOKS.reduce((sum, book) => sum + book.chapters, 0));
+    });
+});
+
+describe('ScriptureCoverage.getShade', () => {
+    test('shades unread, partly read and finished books', () => {
+        const shade = chaptersRead => ScriptureCoverage.getShade({ chaptersRead, totalChapters: 30 });
+        assert.deepEqual([0, 1, 10, 20, 29, 30].map(shade), [0, 1, 2, 3, 3, 4]);
+    });
+});
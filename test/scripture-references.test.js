@@ -0,0 +1,152 @@
+/**
+ * Tests for the scripture reference parser
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.BibleCanon = require('../public/js/bible-canon.js');
+const ScriptureReferences = require('../public/js/scripture-references.js');
+
+/**
+ * Shorthand for an expected reference
+ */
+const ref = (book, startChapter, startVerse, endChapter, endVerse) =>
+    ({ book, startChapter, startVerse, endChapter, endVerse });
+
+// [passage text, expected references]
+const PASSAGES = [
+    ['Genesis 1-3', [ref('Genesis', 1, null, 3, null)]],
+    ['Psalms 23', [ref('Psalms', 23, null, 23, null)]],
+    ['Isaiah 9:1-7', [ref('Isaiah', 9, 1, 9, 7)]],
+    ['John 3:16', [ref('John', 3, 16, 3, 16)]],
+    ['John 3:16-4:2', [ref('John', 3, 16, 4, 2)]],
+    ['John 3:16ff', [ref('John', 3, 16, 3, null)]],
+    ['Psalms 1, 23, 100', [
+        ref('Psalms', 1, null, 1, null),
+        ref('Psalms', 23, null, 23, null),
+        ref('Psalms', 100, null, 100, null)
+    ]],
+    ['John 3:16, 18-20', [ref('John', 3, 16, 3, 16), ref('John', 3, 18, 3, 20)]],
+    ['Genesis 1; 3', [ref('Genesis', 1, null, 1, null), ref('Genesis', 3, null, 3, null)]],
+    ['Titus 1-3; Philemon', [ref('Titus', 1, null, 3, null), ref('Philemon', 1, null, 1, null)]],
+    ['Jude 3-7', [ref('Jude', 1, 3, 1, 7)]],
+    ['Jude 1', [ref('Jude', 1, null, 1, null)]],
+    ['Ruth', [ref('Ruth', 1, null, 4, null)]],
+    // Abbreviations, roman numerals and aliases
+    ['Gen 1:1-5', [ref('Genesis', 1, 1, 1, 5)]],
+    ['1 Cor 13', [ref('1 Corinthians', 13, null, 13, null)]],
+    ['I John 4', [ref('1 John', 4, null, 4, null)]],
+    ['II Kings 2', [ref('2 Kings', 2, null, 2, null)]],
+    ['Ps. 119:1-48', [ref('Psalms', 119, 1, 119, 48)]],
+    ['Song of Songs 2', [ref('Song of Solomon', 2, null, 2, null)]],
+    ['Phil 4; Phlm', [ref('Philippians', 4, null, 4, null), ref('Philemon', 1, null, 1, null)]],
+    // Further books of the Ethiopian canon
+    ['Enoch 1-5; Sir 2', [ref('Enoch', 1, null, 5, null), ref('Sirach', 2, null, 2, null)]],
+    ['1 Meqabyan 3:1-4', [ref('1 Meqabyan', 3, 1, 3, 4)]],
+    // Spans across books
+    ['Genesis 50 - Exodus 2', [ref('Genesis', 50, null, 50, null), ref('Exodus', 1, null, 2, null)]],
+    ['Malachi 4-Matthew 1:17', [ref('Malachi', 4, null, 4, null), ref('Matthew', 1, 1, 1, 17)]],
+    ['Genesis 49:28 - Exodus 1', [
+        ref('Genesis', 49, 28, 49, null),
+        ref('Genesis', 50, null, 50, null),
+        ref('Exodus', 1, null, 1, null)
+    ]],
+    ['2 John - Jude', [ref('2 John', 1, null, 1, null), ref('3 John', 1, null, 1, null), ref('Jude', 1, null, 1, null)]]
+];
+
+// [passage text, expected error fragment]
+const INVALID = [
+    ['', 'Empty passage reference'],
+    ['Hezekiah 3', 'Unknown book "Hezekiah"'],
+    ['Genesis 51', 'Genesis has 50 chapters'],
+    ['Genesis 3-1', 'Chapter range 3-1 is backwards'],
+    ['John 3:18-16', 'Verse range 18-16 is backwards'],
+    ['Matthew 1-2-3', 'Cannot read "1-2-3"'],
+    ['3-4', 'Missing book name'],
+    ['Exodus - Genesis', 'Genesis does not come after Exodus'],
+    ['Malachi 4 - Tobit 1', 'Ranges can\'t run into Tobit'],
+    ['Ju 1', 'Unknown book "Ju"']
+];
+
+describe('ScriptureReferences.parse', () => {
+    PASSAGES.forEach(([text, expected]) => {
+        test(`parses "${text}"`, () => {
+            assert.deepEqual(ScriptureReferences.parse(text), expected);
+        });
+    });
+
+    INVALID.forEach(([text, message]) => {
+        test(`rejects "${text}"`, () => {
+            const { errors } = ScriptureReferences.parseDetailed(text);
+            assert.equal(errors.length, 1);
+            assert.ok(errors[0].includes(message), errors[0]);
+            assert.equal(ScriptureReferences.parse(text), null);
+        });
+    });
+});
+
+describe('ScriptureReferences.format', () => {
+    test('round-trips every parsed passage', () => {
+        PASSAGES.forEach(([text, expected]) => {
+            assert.deepEqual(ScriptureReferences.parse(ScriptureReferences.format(expected)), expected, text);
+        });
+    });
+
+    test('drops repeated book names and uses abbreviations when asked', () => {
+        const refs = ScriptureReferences.parse('Genesis 1; 3; Exodus 20:1-17');
+        assert.equal(ScriptureReferences.format(refs), 'Genesis 1; 3; Exodus 20:1-17');
+        assert.equal(ScriptureReferences.format(refs, { short: true }), 'Gen 1; 3; Exod 20:1-17');
+    });
+
+    test('writes single-chapter books by name or verse', () => {
+        assert.equal(ScriptureReferences.format(ScriptureReferences.parse('Obadiah 1')), 'Obadiah');
+        assert.equal(ScriptureReferences.format(ScriptureReferences.parse('Obadiah 1:15-21')), 'Obadiah 15-21');
+    });
+});
+
+describe('ScriptureReferences.preview', () => {
+    test('keeps short passages whole', () => {
+        assert.equal(ScriptureReferences.preview(ScriptureReferences.parse('Matthew 1-4')), 'Matthew 1-4');
+    });
+
+    test('abbreviates before cutting', () => {
+        assert.equal(ScriptureReferences.preview(ScriptureReferences.parse('Revelation 10-12')), 'Rev 10-12');
+    });
+
+    test('shows the first book and a count of the rest', () => {
+        const refs = ScriptureReferences.parse('1 Peter 3-5; 2 Peter 1-3; 1 John 1-5; Revelation 1-3');
+        assert.equal(ScriptureReferences.preview(refs), '1 Pet 3-5 +3');
+    });
+});
+
+describe('chapter helpers', () => {
+    test('count distinct chapters', () => {
+        assert.equal(ScriptureReferences.countChapters(ScriptureReferences.parse('John 3:16; John 3:17-21; John 4')), 2);
+        assert.equal(ScriptureReferences.countChapters(ScriptureReferences.parse('Genesis 50 - Exodus 2')), 3);
+        assert.equal(ScriptureReferences.countChapters(ScriptureReferences.parse('2 John; 3 John; Jude')), 3);
+    });
+
+    test('overlaps compares verses, with whole chapters covering every verse', () => {
+        const [john316] = ScriptureReferences.parse('John 3:16');
+        const overlaps = text => ScriptureReferences.parse(text).some(ref => ScriptureReferences.overlaps(ref, john316));
+
+        assert.equal(overlaps('John 3'), true);
+        assert.equal(overlaps('John 1-4'), true);
+        assert.equal(overlaps('John 3:1-21'), true);
+        assert.equal(overlaps('John 2:23-3:16'), true);
+        assert.equal(overlaps('John 3:17-36'), false);
+        assert.equal(overlaps('1 John 3'), false);
+    });
+
+    test('expand chapters and list books in reading order', () => {
+        const refs = ScriptureReferences.parse('Jonah 4; Micah 1-2');
+        assert.deepEqual(ScriptureReferences.expandChapters(refs), [
+            { book: 'Jonah', chapter: 4 },
+            { book: 'Micah', chapter: 1 },
+            { book: 'Micah', chapter: 2 }
+        ]);
+        assert.deepEqual(ScriptureReferences.getBooks(refs), ['Jonah', 'Micah']);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for the service worker precache list
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { CACHE_VERSION, CACHE_NAME, PRECACHE_URLS } = require('../public/sw.js');
+const BesorahApp = require('../public/js/main.js');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+function listFiles(dir, extension) {
+    return fs.readdirSync(path.join(PUBLIC_DIR, dir))
+        .filter(file => file.endsWith(extension))
+        .map(file => `/${dir}/${file}`);
+}
+
+describe('service worker', () => {
+    test('cache version matches the app version', () => {
+        assert.equal(CACHE_VERSION, BesorahApp.version);
+        assert.ok(CACHE_NAME.includes(BesorahApp.version));
+    });
+
+    test('precaches every page, script, stylesheet and reading plan', () => {
+        const expected = [
+            ...listFiles('.', '.html').map(file => file.replace('/./', '/')),
+            ...listFiles('css', '.css'),
+            ...listFiles('js', '.js'),
+            ...listFiles('data/reading-plans', '.json')
+        ];
+        expected.forEach(url => assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`));
+    });
+
+    test('only precaches files that exist', () => {
+        PRECACHE_URLS.filter(url => url !== '/').forEach(url => {
+            assert.ok(fs.existsSync(path.join(PUBLIC_DIR, url)), `${url} does not exist`);
+        });
+    });
+});
@@ -0,0 +1,488 @@
+/**
+ * Tests for StorageManager on the localStorage adapter
+ * Run with: npm test
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installLocalStorage } = require('./helpers/local-storage.js');
+
+const { store } = installLocalStorage();
+
+global.StorageAdapters = require('../public/js/storage-adapters.js');
+global.NoteCrypto = require('../public/js/note-crypto.js');
+global.Backup = require('../public/js/backup.js');
+global.EthiopianCalendar = require('../public/js/ethiopian-calendar.js');
+const StorageManager = require('../public/js/storage.js');
+
+// Far fewer rounds than in the browser, to keep the tests fast
+NoteCrypto.ITERATIONS = 1000;
+
+/**
+ * Load StorageManager as a fresh page would
+ */
+async function reload() {
+    StorageManager.ready = null;
+    await StorageManager.init();
+    await StorageManager.flush();
+}
+
+/**
+ * @param {string} key - localStorage key
+ * @returns {any} Parsed value
+ */
+function stored(key) {
+    return JSON.parse(store.get(key));
+}
+
+beforeEach(async () => {
+    store.clear();
+    await reload();
+});
+
+describe('StorageManager completions', () => {
+    test('marks, checks and unmarks readings per plan', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.markReadingComplete('2026-01-02', 2, 'ot365');
+
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'ot365'), false);
+        assert.equal(StorageManager.getCompletedReadings('nt90').length, 1);
+        assert.equal(StorageManager.getCompletedReadings().length, 2);
+
+        StorageManager.markReadingIncomplete('2026-01-01', 1, 'nt90');
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), false);
+
+        await StorageManager.flush();
+        assert.deepEqual(stored(StorageManager.KEYS.COMPLETED_READINGS).map(c => c.plan), ['ot365']);
+    });
+
+    test('keeps data across page loads', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.saveStudyNotes('2026-01-01', 'In the beginning');
+        StorageManager.setPreference('calendarType', 'ethiopian');
+        await reload();
+
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'In the beginning');
+        assert.equal(StorageManager.getPreference('calendarType'), 'ethiopian');
+    });
+
+    test('returned values are copies', () => {
+        StorageManager.setPreference('planStartDates', { nt90: '2026-01-01' });
+        StorageManager.getPreference('planStartDates').nt90 = 'changed';
+        StorageManager.getCompletedReadings().forEach(entry => { entry.day = 99; });
+
+        assert.equal(StorageManager.getPlanStartDate('nt90'), '2026-01-01');
+    });
+
+    test('deleting a custom plan removes its progress', async () => {
+        StorageManager.saveCustomPlan('custom-a', { title: 'A', schedule: [] });
+        StorageManager.markReadingComplete('2026-01-01', 1, 'custom-a');
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.deleteCustomPlan('custom-a');
+        await StorageManager.flush();
+
+        assert.deepEqual(StorageManager.getCustomPlans(), {});
+        assert.deepEqual(stored(StorageManager.KEYS.COMPLETED_READINGS).map(c => c.plan), ['nt90']);
+    });
+
+    test('records which date each plan day was read on', async () => {
+        StorageManager.markReadingComplete('2026-01-05', 3, 'nt90');
+        StorageManager.markReadingComplete('2026-01-05', 4, 'nt90');
+        StorageManager.markReadingComplete('2026-01-02', 3, 'nt90');
+
+        assert.deepEqual(StorageManager.getDayReadDates(3, 'nt90'), ['2026-01-02', '2026-01-05']);
+        assert.deepEqual(StorageManager.getDaysReadOn('2026-01-05', 'nt90'), [3, 4]);
+
+        StorageManager.markDayUnread(3, 'nt90');
+        assert.deepEqual(StorageManager.getDayReadDates(3, 'nt90'), []);
+        await StorageManager.flush();
+        assert.deepEqual(stored(StorageManager.KEYS.COMPLETED_READINGS).map(c => c.day), [4]);
+    });
+
+    test('days a plan was paused do not break its streak', () => {
+        StorageManager.setPlanSchedule('nt90', [
+            { type: 'start', date: '2026-01-01' },
+            { type: 'pause', date: '2026-01-03' },
+            { type: 'resume', date: '2026-01-06' }
+        ]);
+        assert.deepEqual(StorageManager.getPlanPauses('nt90'), [{ from: '2026-01-03', to: '2026-01-06' }]);
+        assert.equal(StorageManager.getActiveDayDiff('2026-01-02', '2026-01-06', 'nt90'), 1);
+
+        ['2026-01-01', '2026-01-02', '2026-01-06', '2026-01-07'].forEach((dateKey, index) => {
+            StorageManager.markReadingComplete(dateKey, index + 1, 'nt90');
+        });
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 4);
+
+        StorageManager.recalculateStreak('nt90');
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 4);
+
+        // Pauses from before the plan was started again no longer count
+        StorageManager.setPlanSchedule('nt90', [...StorageManager.getPlanSchedule('nt90'), { type: 'start', date: '2026-01-01' }]);
+        StorageManager.recalculateStreak('nt90');
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 2);
+    });
+});
+
+describe('StorageManager data management', () => {
+    test('upgrades untagged completions from version 1 data', async () => {
+        store.clear();
+        store.set(StorageManager.KEYS.PREFERENCES, JSON.stringify({ readingPlan: 'ot365' }));
+        store.set(StorageManager.KEYS.COMPLETED_READINGS, JSON.stringify([
+            { dateKey: '2026-01-01', day: 1, completedAt: '2026-01-01T08:00:00.000Z' }
+        ]));
+        await reload();
+
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'ot365'), true);
+        assert.equal(stored(StorageManager.KEYS.DATA_VERSION), StorageManager.DATA_VERSION);
+        assert.equal(stored(StorageManager.KEYS.COMPLETED_READINGS)[0].plan, 'ot365');
+    });
+
+    test('clearAll resets progress and notes but keeps custom plans', async () => {
+        StorageManager.saveCustomPlan('custom-a', { title: 'A', schedule: [] });
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.saveStudyNotes('2026-01-01', 'Note');
+        await StorageManager.clearAll();
+
+        assert.deepEqual(StorageManager.getCompletedReadings(), []);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), '');
+        assert.deepEqual(Object.keys(StorageManager.getCustomPlans()), ['custom-a']);
+        assert.deepEqual(stored(StorageManager.KEYS.COMPLETED_READINGS), []);
+        assert.deepEqual(stored(StorageManager.KEYS.STUDY_NOTES), {});
+    });
+
+    test('export and import round trip', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.saveStudyNotes('2026-01-01', 'Note');
+        const exported = StorageManager.exportData();
+
+        await StorageManager.clearAll();
+        await StorageManager.importData(Backup.parse(exported).data);
+        await reload();
+
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'Note');
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 1);
+    });
+});
+
+describe('StorageManager version 1 data', () => {
+    /**
+     * Replace the stored data with version 1 data and load it
+     * @param {Object} data - { preferences, completions, streak }
+     */
+    async function loadVersion1({ preferences, completions = [], streak = null }) {
+        store.clear();
+        store.set(StorageManager.KEYS.PREFERENCES, JSON.stringify(preferences));
+        store.set(StorageManager.KEYS.COMPLETED_READINGS, JSON.stringify(completions));
+        if (streak) {
+            store.set(StorageManager.KEYS.STREAK_DATA, JSON.stringify(streak));
+        }
+        await reload();
+    }
+
+    const untagged = (dateKey, day) => ({ dateKey, day, completedAt: `${dateKey}T08:00:00.000Z` });
+
+    test('gives untagged completions to the plan that recorded them', async () => {
+        await loadVersion1({
+            preferences: { readingPlan: 'ot365', planStartDate: '2026-01-01T00:00:00.000Z' },
+            completions: [
+                // Day 3 of a plan started on January 1
+                untagged('2026-01-03', 3),
+                // Meskerem 1, day 1 of the Ethiopian year
+                untagged('2025-09-11', 1),
+                // Neither, so the plan that was selected
+                untagged('2026-01-05', 2),
+                { ...untagged('2026-01-04', 4), plan: 'nt90' }
+            ]
+        });
+
+        const plans = Object.fromEntries(StorageManager.getCompletedReadings().map(entry => [entry.dateKey, entry.plan]));
+        assert.deepEqual(plans, {
+            '2026-01-03': 'ot365', '2025-09-11': 'ethiopian', '2026-01-05': 'ot365', '2026-01-04': 'nt90'
+        });
+    });
+
+    test('moves the single start date to the selected plan', async () => {
+        await loadVersion1({ preferences: { readingPlan: 'ot365', planStartDate: '2026-01-01T00:00:00.000Z' } });
+
+        assert.equal(StorageManager.getPlanStartDate('ot365'), '2026-01-01T00:00:00.000Z');
+        assert.equal(StorageManager.getPlanStartDate('nt90'), null);
+        assert.equal('planStartDate' in stored(StorageManager.KEYS.PREFERENCES), false);
+    });
+
+    test('rebuilds the single streak per plan', async () => {
+        await loadVersion1({
+            preferences: { readingPlan: 'nt90' },
+            completions: [
+                { ...untagged('2026-01-01', 1), plan: 'nt90' },
+                { ...untagged('2026-01-02', 2), plan: 'nt90' },
+                { ...untagged('2026-01-02', 1), plan: 'ot365' }
+            ],
+            streak: { currentStreak: 9, longestStreak: 9, lastCompletedDate: '2026-01-02' }
+        });
+
+        assert.deepEqual(Object.keys(stored(StorageManager.KEYS.STREAK_DATA)).sort(), ['nt90', 'ot365']);
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 2);
+        assert.equal(StorageManager.getStreakData('ot365').longestStreak, 1);
+    });
+
+    test('leaves data that is already up to date alone', async () => {
+        store.clear();
+        store.set(StorageManager.KEYS.DATA_VERSION, JSON.stringify(StorageManager.DATA_VERSION));
+        store.set(StorageManager.KEYS.PREFERENCES, JSON.stringify({ readingPlan: 'nt90', planStartDate: '2026-01-01' }));
+        await reload();
+
+        assert.equal(StorageManager.getPreference('planStartDate'), '2026-01-01');
+        assert.equal(StorageManager.getPlanStartDate('nt90'), null);
+    });
+});
+
+describe('StorageManager note encryption', () => {
+    test('stores notes encrypted and reads them once unlocked', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'Written before encryption');
+        await StorageManager.enableNoteEncryption('correct horse');
+        StorageManager.saveStudyNotes('2026-01-02', 'A private prayer');
+        assert.equal(StorageManager.getStudyNotes('2026-01-02'), 'A private prayer');
+        await StorageManager.flush();
+
+        const notes = stored(StorageManager.KEYS.STUDY_NOTES);
+        assert.equal(NoteCrypto.isEncrypted(notes['2026-01-01'].content), true);
+        assert.equal(NoteCrypto.isEncrypted(notes['2026-01-02'].content), true);
+        assert.equal(JSON.stringify(notes).includes('prayer'), false);
+
+        await reload();
+        assert.equal(StorageManager.areNotesLocked(), true);
+        assert.equal(StorageManager.getStudyNotes('2026-01-02'), '');
+        assert.throws(() => StorageManager.saveStudyNotes('2026-01-02', 'Overwrite'), /Unlock/);
+
+        await assert.rejects(StorageManager.unlockNotes('wrong'), /Wrong passphrase/);
+        await StorageManager.unlockNotes('correct horse');
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'Written before encryption');
+        assert.equal(StorageManager.getStudyNotes('2026-01-02'), 'A private prayer');
+
+        StorageManager.lockNotes();
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), '');
+    });
+
+    test('changing the passphrase re-encrypts every note', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'First', '2026-01-01T08:00:00.000Z');
+        await StorageManager.enableNoteEncryption('old passphrase');
+        await assert.rejects(StorageManager.changeNotePassphrase('wrong', 'new passphrase'), /Wrong passphrase/);
+        await StorageManager.changeNotePassphrase('old passphrase', 'new passphrase');
+        await reload();
+
+        await assert.rejects(StorageManager.unlockNotes('old passphrase'), /Wrong passphrase/);
+        await StorageManager.unlockNotes('new passphrase');
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'First');
+        assert.equal(StorageManager.getAllStudyNotes()['2026-01-01'].lastModified, '2026-01-01T08:00:00.000Z');
+    });
+
+    test('turning encryption off stores plain text again', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'First');
+        await StorageManager.enableNoteEncryption('correct horse');
+        await StorageManager.disableNoteEncryption('correct horse');
+        await reload();
+
+        assert.equal(StorageManager.isNoteEncryptionOn(), false);
+        assert.equal(stored(StorageManager.KEYS.STUDY_NOTES)['2026-01-01'].content, 'First');
+    });
+
+    test('backups keep notes encrypted and unlock on a new device', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'A private prayer');
+        await StorageManager.enableNoteEncryption('correct horse');
+        await StorageManager.flush();
+        const exported = StorageManager.exportData();
+        assert.equal(exported.includes('prayer'), false);
+
+        store.clear();
+        await reload();
+        await StorageManager.importData(Backup.parse(exported).data);
+        assert.equal(StorageManager.areNotesLocked(), true);
+
+        await StorageManager.unlockNotes('correct horse');
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'A private prayer');
+        StorageManager.saveStudyNotes('2026-01-02', 'Written on the new device');
+        await StorageManager.flush();
+        assert.equal(NoteCrypto.isEncrypted(stored(StorageManager.KEYS.STUDY_NOTES)['2026-01-02'].content), true);
+    });
+
+    test('clearAll turns encryption off', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'First');
+        await StorageManager.enableNoteEncryption('correct horse');
+        await StorageManager.clearAll();
+
+        assert.equal(StorageManager.isNoteEncryptionOn(), false);
+        StorageManager.saveStudyNotes('2026-01-01', 'Plain again');
+        assert.equal(StorageManager.getAllStudyNotes()['2026-01-01'].content, 'Plain again');
+    });
+});
+
+describe('StorageManager note history', () => {
+    test('keeps a version per interval while typing, and large deletions at once', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'Grace', '2026-01-01T08:00:00.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Grace and', '2026-01-01T08:00:03.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Grace and truth', '2026-01-01T08:00:06.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Grace and truth came', '2026-01-01T08:12:00.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Gr', '2026-01-01T08:12:03.000Z');
+
+        const revisions = await StorageManager.getNoteRevisions('2026-01-01');
+        assert.deepEqual(revisions, [
+            { savedAt: '2026-01-01T08:12:00.000Z', content: 'Grace and truth came' },
+            { savedAt: '2026-01-01T08:00:06.000Z', content: 'Grace and truth' },
+            { savedAt: '2026-01-01T08:00:00.000Z', content: 'Grace' }
+        ]);
+        assert.deepEqual(await StorageManager.getNoteRevisions('2026-01-02'), []);
+    });
+
+    test('keeps at most REVISION_LIMIT versions per date', async () => {
+        const hour = index => new Date(Date.UTC(2026, 0, 1, index)).toISOString();
+        for (let index = 0; index < StorageManager.REVISION_LIMIT + 5; index++) {
+            StorageManager.saveStudyNotes('2026-01-01', `Version ${index}`, hour(index));
+        }
+        StorageManager.saveStudyNotes('2026-01-02', 'Other day', hour(0));
+
+        const revisions = await StorageManager.getNoteRevisions('2026-01-01');
+        assert.equal(revisions.length, StorageManager.REVISION_LIMIT);
+        assert.equal(revisions[0].content, `Version ${StorageManager.REVISION_LIMIT + 3}`);
+        assert.equal(revisions[revisions.length - 1].content, 'Version 4');
+    });
+
+    test('restoring a version keeps the current text as a version', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'First draft', '2026-01-01T08:00:00.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Second draft', '2026-01-01T09:00:00.000Z');
+        const [first] = await StorageManager.getNoteRevisions('2026-01-01');
+
+        await StorageManager.restoreNoteRevision('2026-01-01', first.content);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'First draft');
+        const revisions = await StorageManager.getNoteRevisions('2026-01-01');
+        assert.deepEqual(revisions.map(revision => revision.content), ['Second draft', 'First draft']);
+    });
+
+    test('versions follow the note encryption passphrase', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'A private prayer', '2026-01-01T08:00:00.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'An answered prayer', '2026-01-01T09:00:00.000Z');
+        await StorageManager.enableNoteEncryption('old passphrase');
+        await StorageManager.flush();
+        assert.equal(store.get(StorageManager.KEYS.NOTE_REVISIONS).includes('prayer'), false);
+
+        await StorageManager.changeNotePassphrase('old passphrase', 'new passphrase');
+        await reload();
+        await assert.rejects(StorageManager.getNoteRevisions('2026-01-01'), /Unlock/);
+        await StorageManager.unlockNotes('new passphrase');
+        assert.equal((await StorageManager.getNoteRevisions('2026-01-01'))[0].content, 'A private prayer');
+
+        await StorageManager.disableNoteEncryption('new passphrase');
+        assert.equal(stored(StorageManager.KEYS.NOTE_REVISIONS)[0].content, 'A private prayer');
+    });
+
+    test('clearAll removes every version', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'First', '2026-01-01T08:00:00.000Z');
+        StorageManager.saveStudyNotes('2026-01-01', 'Second', '2026-01-01T09:00:00.000Z');
+        await StorageManager.clearAll();
+        assert.deepEqual(await StorageManager.getNoteRevisions('2026-01-01'), []);
+    });
+});
+
+describe('StorageManager across tabs', () => {
+    /**
+     * @param {BroadcastChannel} channel - Channel to listen on
+     * @returns {Promise<Object>} Next message posted to it
+     */
+    function nextMessage(channel) {
+        return new Promise(resolve => {
+            channel.onmessage = event => resolve(event.data);
+        });
+    }
+
+    test('tells other tabs what it saved', async () => {
+        const otherTab = new BroadcastChannel('besorah-storage');
+        try {
+            const message = nextMessage(otherTab);
+            StorageManager.setPreference('calendarType', 'ethiopian');
+            const change = await message;
+
+            assert.equal(change.type, 'value');
+            assert.equal(change.key, StorageManager.KEYS.PREFERENCES);
+            assert.equal(change.value.calendarType, 'ethiopian');
+        } finally {
+            otherTab.close();
+        }
+    });
+
+    test('takes up what another tab saved instead of overwriting it', async () => {
+        const otherTab = new BroadcastChannel('besorah-storage');
+        try {
+            const applied = new Promise(resolve => { StorageManager.onRemoteChange = resolve; });
+            const preferences = { ...StorageManager.get(StorageManager.KEYS.PREFERENCES), calendarType: 'ethiopian' };
+            otherTab.postMessage({ type: 'value', key: StorageManager.KEYS.PREFERENCES, value: preferences });
+            await applied;
+        } finally {
+            StorageManager.onRemoteChange = null;
+            otherTab.close();
+        }
+
+        StorageManager.setPreference('theme', 'dark');
+        await StorageManager.flush();
+        assert.equal(stored(StorageManager.KEYS.PREFERENCES).calendarType, 'ethiopian');
+        assert.equal(stored(StorageManager.KEYS.PREFERENCES).theme, 'dark');
+    });
+
+    test('applies other tabs\' completions and notes', () => {
+        const entry = { plan: 'nt90', dateKey: '2026-01-01', day: 1, completedAt: '2026-01-01T08:00:00.000Z' };
+        StorageManager.applyRemoteChange({ type: 'completion', entry });
+        StorageManager.applyRemoteChange({ type: 'note', dateKey: '2026-01-01', note: { content: 'From the other tab', lastModified: entry.completedAt } });
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'From the other tab');
+
+        StorageManager.applyRemoteChange({ type: 'completion-removed', plan: 'nt90', dateKey: '2026-01-01', day: 1 });
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), false);
+    });
+});
+
+describe('StorageAdapters.localStorage', () => {
+    const adapter = StorageAdapters.localStorage;
+
+    test('queries completions by plan, date and day', async () => {
+        await adapter.writeAll({
+            completions: [
+                { plan: 'nt90', dateKey: '2026-01-01', day: 1 },
+                { plan: 'nt90', dateKey: '2026-01-02', day: 2 },
+                { plan: 'ot365', dateKey: '2026-01-02', day: 2 }
+            ]
+        }, true);
+
+        assert.equal((await adapter.getCompletions({ plan: 'nt90' })).length, 2);
+        assert.equal((await adapter.getCompletions({ dateKey: '2026-01-02' })).length, 2);
+        assert.equal((await adapter.getCompletions({ plan: 'ot365', day: 2 })).length, 1);
+        assert.equal((await adapter.getCompletions()).length, 3);
+    });
+
+    test('writeAll merges unless asked to replace', async () => {
+        await adapter.writeAll({ completions: [{ plan: 'nt90', dateKey: '2026-01-01', day: 1 }] }, true);
+        await adapter.writeAll({ completions: [{ plan: 'nt90', dateKey: '2026-01-02', day: 2 }] });
+        assert.equal((await adapter.getCompletions()).length, 2);
+
+        await adapter.writeAll({ completions: [{ plan: 'nt90', dateKey: '2026-01-02', day: 2 }] }, true);
+        assert.equal((await adapter.getCompletions()).length, 1);
+    });
+
+    test('migrate copies everything and clears the source', async () => {
+        const copied = {};
+        const target = { writeAll: async data => Object.assign(copied, data) };
+        StorageManager.saveStudyNotes('2026-01-01', 'Note');
+        await StorageManager.flush();
+
+        StorageManager.saveStudyNotes('2026-01-01', 'Note, edited');
+        await StorageManager.flush();
+
+        await StorageAdapters.migrate(adapter, target);
+        assert.equal(copied.notes['2026-01-01'].content, 'Note, edited');
+        assert.equal(copied.revisions[0].content, 'Note');
+        assert.equal(copied.values[StorageManager.KEYS.NOTE_REVISIONS], undefined);
+        assert.ok(copied.values[StorageManager.KEYS.PREFERENCES]);
+        assert.equal(adapter.hasData(), false);
+    });
+});
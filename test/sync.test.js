@@ -0,0 +1,356 @@
+/**
+ * Tests for SyncManager against the reference sync server
+ * Run with: npm test
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installLocalStorage } = require('./helpers/local-storage.js');
+
+const storage = installLocalStorage();
+
+global.StorageAdapters = require('../public/js/storage-adapters.js');
+global.NoteCrypto = require('../public/js/note-crypto.js');
+global.Backup = require('../public/js/backup.js');
+global.StorageManager = require('../public/js/storage.js');
+global.PlanSchedule = require('../public/js/plan-schedule.js');
+const SyncManager = require('../public/js/sync.js');
+const { createSyncServer } = require('../server/sync-server.js');
+
+// Far fewer rounds than in the browser, to keep the tests fast
+NoteCrypto.ITERATIONS = 1000;
+
+const TOKEN = 'test-token';
+const SPACE = 'test-space';
+
+let server;
+let dataDir;
+let endpoint;
+
+// Each test syncs through its own space
+let spaceCount = 0;
+
+// Each simulated device has its own localStorage contents
+const devices = { a: new Map(), b: new Map() };
+
+/**
+ * Switch StorageManager to a device's data, as if that device loaded the page
+ * @param {string} name - Device name
+ */
+async function useDevice(name) {
+    await StorageManager.flush();
+    storage.store = devices[name];
+    StorageManager.ready = null;
+    await StorageManager.init();
+}
+
+/**
+ * Start a sync server on a free port
+ * @returns {Promise<Object>} { server, endpoint }
+ */
+async function startServer() {
+    const started = createSyncServer({ dataDir, token: TOKEN });
+    await new Promise(resolve => started.listen(0, '127.0.0.1', resolve));
+    return { server: started, endpoint: `http://127.0.0.1:${started.address().port}` };
+}
+
+/**
+ * Stop a sync server, dropping kept-alive connections
+ * @param {http.Server} stopping - Server to stop
+ */
+async function stopServer(stopping) {
+    const closed = new Promise(resolve => stopping.close(resolve));
+    stopping.closeAllConnections();
+    await closed;
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'besorah-sync-'));
+    ({ server, endpoint } = await startServer());
+});
+
+after(async () => {
+    await stopServer(server);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('SyncManager settings', () => {
+    beforeEach(async () => {
+        devices.a = new Map();
+        await useDevice('a');
+    });
+
+    test('rejects invalid endpoints and sync codes', () => {
+        assert.throws(() => SyncManager.configure({ endpoint: 'sync.example.org', space: SPACE }), /http/);
+        assert.throws(() => SyncManager.configure({ endpoint, space: 'abc' }), /sync code/);
+        assert.equal(SyncManager.isEnabled(), false);
+    });
+
+    test('keeps progress only while the endpoint and code stay the same', () => {
+        SyncManager.configure({ endpoint: `${endpoint}/`, space: SPACE });
+        const { deviceId } = SyncManager.getState();
+        SyncManager.saveState({ ...SyncManager.getState(), cursor: 5 });
+
+        SyncManager.configure({ endpoint, space: SPACE, token: TOKEN });
+        assert.equal(SyncManager.getState().cursor, 5);
+        assert.equal(SyncManager.getState().endpoint, endpoint);
+
+        SyncManager.configure({ endpoint, space: 'other-space' });
+        assert.equal(SyncManager.getState().cursor, 0);
+        assert.equal(SyncManager.getState().deviceId, deviceId);
+
+        SyncManager.disable();
+        assert.equal(SyncManager.isEnabled(), false);
+        assert.equal(SyncManager.getState().deviceId, deviceId);
+    });
+
+    test('does nothing when sync is off', async () => {
+        assert.equal(await SyncManager.sync(), null);
+    });
+});
+
+describe('SyncManager.compareChanges', () => {
+    test('prefers the later edit, then the higher device id', () => {
+        const early = { modifiedAt: '2026-01-01T08:00:00.000Z', deviceId: 'b' };
+        const late = { modifiedAt: '2026-01-01T09:00:00.000Z', deviceId: 'a' };
+        const tie = { modifiedAt: '2026-01-01T09:00:00.000Z', deviceId: 'b' };
+
+        assert.ok(SyncManager.compareChanges(late, early) > 0);
+        assert.ok(SyncManager.compareChanges(early, late) < 0);
+        assert.ok(SyncManager.compareChanges(tie, late) > 0);
+        assert.equal(SyncManager.compareChanges(late, { ...late }), 0);
+    });
+});
+
+describe('SyncManager.isValidChange', () => {
+    test('accepts only schedule events with a date and a known type', () => {
+        const schedule = events => SyncManager.isValidChange({
+            id: 'schedule:nt90', value: events, deleted: false, modifiedAt: '2026-01-01T09:00:00.000Z'
+        });
+
+        assert.equal(schedule([
+            { type: 'start', date: '2026-01-01' },
+            { type: 'shift', date: '2026-01-05', days: [3, 4] }
+        ]), true);
+        assert.equal(schedule([{ type: 'start', date: 'soon' }]), false);
+        assert.equal(schedule([{ type: 'start' }]), false);
+        assert.equal(schedule([{ type: 'restart', date: '2026-01-01' }]), false);
+        assert.equal(schedule([{ type: 'toString', date: '2026-01-01' }]), false);
+    });
+});
+
+describe('Syncing two devices', () => {
+    beforeEach(async () => {
+        const space = `${SPACE}-${++spaceCount}`;
+        devices.a = new Map();
+        devices.b = new Map();
+        for (const name of ['b', 'a']) {
+            await useDevice(name);
+            SyncManager.configure({ endpoint, space, token: TOKEN });
+        }
+    });
+
+    test('sends completions, notes and settings to the other device', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.saveStudyNotes('2026-01-01', 'In the beginning');
+        StorageManager.setPreference('calendarType', 'ethiopian');
+        // Along with the default reading plan setting
+        assert.deepEqual(await SyncManager.sync(), { received: 0, sent: 4 });
+
+        await useDevice('b');
+        assert.deepEqual(await SyncManager.sync(), { received: 3, sent: 0 });
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'In the beginning');
+        assert.equal(StorageManager.getPreference('calendarType'), 'ethiopian');
+        assert.equal(StorageManager.getStreakData('nt90').longestStreak, 1);
+
+        // Nothing left to exchange
+        assert.deepEqual(await SyncManager.sync(), { received: 0, sent: 0 });
+    });
+
+    test('the later edit of a note wins on both devices', async () => {
+        StorageManager.saveStudyNotes('2026-01-01', 'From A', '2026-01-01T08:00:00.000Z');
+        await SyncManager.sync();
+
+        await useDevice('b');
+        StorageManager.saveStudyNotes('2026-01-01', 'From B', '2026-01-01T09:00:00.000Z');
+        assert.deepEqual(await SyncManager.sync(), { received: 0, sent: 1 });
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'From B');
+
+        await useDevice('a');
+        StorageManager.saveStudyNotes('2026-01-01', 'Older edit from A', '2026-01-01T08:30:00.000Z');
+        assert.deepEqual(await SyncManager.sync(), { received: 1, sent: 0 });
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'From B');
+    });
+
+    test('takes plain notes onto a device whose notes are locked, encrypting them on unlock', async () => {
+        await useDevice('b');
+        await StorageManager.enableNoteEncryption('passphrase');
+        await useDevice('b');
+
+        await useDevice('a');
+        StorageManager.saveStudyNotes('2026-01-01', 'In the beginning');
+        await SyncManager.sync();
+
+        await useDevice('b');
+        assert.equal(StorageManager.areNotesLocked(), true);
+        assert.deepEqual(await SyncManager.sync(), { received: 1, sent: 0 });
+
+        await StorageManager.unlockNotes('passphrase');
+        await StorageManager.flush();
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'In the beginning');
+        assert.equal(NoteCrypto.isEncrypted(StorageManager.getAllStudyNotes()['2026-01-01'].content), true);
+        assert.equal([...storage.store.values()].some(value => value.includes('In the beginning')), false);
+    });
+
+    test('adds up chapter progress and plan schedules from both devices', async () => {
+        StorageManager.setChaptersRead('1', { 'Matthew 1': '2026-01-01' }, 'nt90');
+        StorageManager.setPlanSchedule('nt90', [{ type: 'start', date: '2026-01-01' }]);
+        await SyncManager.sync();
+
+        await useDevice('b');
+        StorageManager.setChaptersRead('2', { 'Matthew 5': '2026-01-02' }, 'nt90');
+        StorageManager.setPlanSchedule('ot365', [{ type: 'start', date: '2026-01-02' }]);
+        await SyncManager.sync();
+        assert.deepEqual(Object.keys(StorageManager.getChapterProgress('nt90')), ['1', '2']);
+
+        await useDevice('a');
+        await SyncManager.sync();
+        assert.deepEqual(StorageManager.getChapterProgress('nt90'), {
+            1: { 'Matthew 1': '2026-01-01' }, 2: { 'Matthew 5': '2026-01-02' }
+        });
+        assert.equal(StorageManager.getPlanSchedule('nt90').length, 1);
+        assert.equal(StorageManager.getPlanSchedule('ot365').length, 1);
+
+        // Finishing a day on one device clears its partial progress on the other
+        StorageManager.setChaptersRead('1', {}, 'nt90');
+        await SyncManager.sync();
+        await useDevice('b');
+        await SyncManager.sync();
+        assert.deepEqual(Object.keys(StorageManager.getChapterProgress('nt90')), ['2']);
+    });
+
+    test('unmarking a reading removes it on the other device', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        await SyncManager.sync();
+        await useDevice('b');
+        await SyncManager.sync();
+
+        await useDevice('a');
+        StorageManager.markReadingIncomplete('2026-01-01', 1, 'nt90');
+        assert.deepEqual(await SyncManager.sync(), { received: 0, sent: 1 });
+
+        await useDevice('b');
+        await SyncManager.sync();
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), false);
+    });
+
+    test('resetting one device leaves the other devices\' data alone', async () => {
+        StorageManager.markReadingComplete('2026-01-01', 1, 'nt90');
+        StorageManager.saveStudyNotes('2026-01-01', 'precious note');
+        await SyncManager.sync();
+        await useDevice('b');
+        await SyncManager.sync();
+
+        await useDevice('a');
+        await StorageManager.clearAll();
+        assert.equal(SyncManager.isEnabled(), true);
+        assert.equal((await SyncManager.sync()).received, 0);
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), '');
+
+        await useDevice('b');
+        await SyncManager.sync();
+        assert.equal(StorageManager.getStudyNotes('2026-01-01'), 'precious note');
+        assert.equal(StorageManager.isReadingComplete('2026-01-01', 1, 'nt90'), true);
+    });
+
+    test('a new device takes the synced settings over its defaults', async () => {
+        StorageManager.setPreference('calendarType', 'ethiopian');
+        await SyncManager.sync();
+
+        await useDevice('b');
+        StorageManager.setPreference('calendarType', 'gregorian');
+        await SyncManager.sync();
+        assert.equal(StorageManager.getPreference('calendarType'), 'ethiopian');
+    });
+
+    test('reports a rejected token and records the error', async () => {
+        SyncManager.configure({ ...SyncManager.getState(), token: 'wrong' });
+        await assert.rejects(SyncManager.sync(), /access token/);
+        assert.match(SyncManager.getState().lastError, /access token/);
+    });
+});
+
+describe('Sync server', () => {
+    test('keeps changes across restarts and ignores older ones', async () => {
+        const url = `${endpoint}/spaces/${SPACE}/changes`;
+        const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` };
+        const change = {
+            id: 'preference:calendarType',
+            value: 'ethiopian',
+            deleted: false,
+            modifiedAt: '2026-01-01T09:00:00.000Z'
+        };
+
+        const post = body => fetch(url, { method: 'POST', headers, body: JSON.stringify(body) }).then(r => r.json());
+        assert.equal((await post({ deviceId: 'a', changes: [change] })).accepted, 1);
+        assert.equal((await post({
+            deviceId: 'b',
+            changes: [{ ...change, value: 'gregorian', modifiedAt: '2026-01-01T08:00:00.000Z' }]
+        })).accepted, 0);
+
+        // A second server over the same data directory loads the saved space
+        const restarted = await startServer();
+        const pulled = await fetch(`${restarted.endpoint}/spaces/${SPACE}/changes?since=0`, { headers })
+            .then(r => r.json());
+        await stopServer(restarted.server);
+
+        assert.equal(pulled.changes.length, 1);
+        assert.equal(pulled.changes[0].value, 'ethiopian');
+        assert.equal(pulled.changes[0].deviceId, 'a');
+    });
+
+    test('answers 500 for a space whose file is damaged and keeps serving others', async () => {
+        const headers = { Authorization: `Bearer ${TOKEN}` };
+        fs.writeFileSync(path.join(dataDir, 'damaged-space.json'), '{"seq": 1, "rec');
+
+        const damaged = await fetch(`${endpoint}/spaces/damaged-space/changes?since=0`, { headers });
+        assert.equal(damaged.status, 500);
+        assert.match((await damaged.json()).error, /could not be read/);
+        assert.equal((await fetch(`${endpoint}/spaces/damaged-space/changes`, {
+            method: 'POST', headers, body: JSON.stringify({ deviceId: 'a', changes: [] })
+        })).status, 500);
+
+        assert.equal((await fetch(`${endpoint}/spaces/${SPACE}/changes?since=0`, { headers })).status, 200);
+    });
+
+    test('keeps a space as it was when saving it fails', async () => {
+        const url = `${endpoint}/spaces/unwritable-space/changes`;
+        const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` };
+        const change = { id: 'preference:theme', value: 'dark', deleted: false, modifiedAt: '2026-01-01T09:00:00.000Z' };
+        const post = () => fetch(url, { method: 'POST', headers, body: JSON.stringify({ deviceId: 'a', changes: [change] }) });
+
+        // A directory in the way of the temporary file makes the write fail
+        const blocker = path.join(dataDir, 'unwritable-space.json.tmp');
+        fs.mkdirSync(blocker);
+        assert.equal((await post()).status, 500);
+        assert.deepEqual(await fetch(`${url}?since=0`, { headers }).then(r => r.json()), { changes: [], cursor: 0 });
+
+        fs.rmdirSync(blocker);
+        assert.equal((await post().then(r => r.json())).accepted, 1);
+    });
+
+    test('rejects malformed requests', async () => {
+        const headers = { Authorization: `Bearer ${TOKEN}` };
+        assert.equal((await fetch(`${endpoint}/spaces/x/changes`, { headers })).status, 400);
+        // Not valid percent-encoding, and no token
+        assert.equal((await fetch(`${endpoint}/spaces/%E0/changes`)).status, 400);
+        assert.equal((await fetch(`${endpoint}/spaces/${SPACE}/changes`)).status, 401);
+        assert.equal((await fetch(`${endpoint}/spaces/${SPACE}/changes`, {
+            method: 'POST', headers, body: 'not json'
+        })).status, 400);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for comparing note versions
+ * Run with: npm test
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TextDiff = require('../public/js/text-diff.js');
+
+/**
+ * @param {Array} parts - From TextDiff.diff
+ * @param {string} type - Part type to leave out
+ * @returns {string} Text of the other parts
+ */
+function without(parts, type) {
+    return parts.filter(part => part.type !== type).map(part => part.text).join('');
+}
+
+describe('TextDiff.diff', () => {
+    test('marks changed words', () => {
+        assert.deepEqual(TextDiff.diff('Grace and truth came', 'Grace and peace came'), [
+            { type: 'same', text: 'Grace and ' },
+            { type: 'removed', text: 'truth' },
+            { type: 'added', text: 'peace' },
+            { type: 'same', text: ' came' }
+        ]);
+    });
+
+    test('rebuilds both versions from the parts', () => {
+        const before = 'In the beginning was the Word,\nand the Word was with God.';
+        const after = 'In the beginning was the Word.\nThe Word was God,\nand He was with God.';
+        const parts = TextDiff.diff(before, after);
+
+        assert.equal(without(parts, 'added'), before);
+        assert.equal(without(parts, 'removed'), after);
+    });
+
+    test('handles empty and identical texts', () => {
+        assert.deepEqual(TextDiff.diff('', 'New note'), [{ type: 'added', text: 'New note' }]);
+        assert.deepEqual(TextDiff.diff('Old note', ''), [{ type: 'removed', text: 'Old note' }]);
+        assert.deepEqual(TextDiff.diff('Same', 'Same'), [{ type: 'same', text: 'Same' }]);
+        assert.deepEqual(TextDiff.diff('', ''), []);
+    });
+
+    test('compares long texts line by line', () => {
+        const lines = count => Array.from({ length: count }, (_, index) => `Line ${index} of a long study note`);
+        const before = lines(500).join('\n');
+        const after = lines(500).reverse().join('\n');
+        const parts = TextDiff.diff(before, after);
+
+        assert.equal(without(parts, 'added'), before);
+        assert.equal(without(parts, 'removed'), after);
+        // Whole lines, never single words
+        assert.ok(parts.every(part => part.text.startsWith('Line ')));
+    });
+});